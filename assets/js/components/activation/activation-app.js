@@ -26,6 +26,7 @@ import { __ } from '@wordpress/i18n';
  * Internal dependencies
  */
 import { trackEvent } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import { ActivationMain } from './activation-main';
 import NotificationCounter from '../notifications/notification-counter';
 
@@ -45,7 +46,7 @@ export function ActivationApp() {
 	const onButtonClick = useCallback( async ( event ) => {
 		event.preventDefault();
 		await trackEvent( 'plugin_setup', proxySetupURL ? 'proxy_start_setup_banner' : 'goto_sitekit' );
-		global.location.assign( buttonURL );
+		navigateTo( buttonURL );
 	} );
 
 	return (
@@ -36,6 +36,7 @@ import {
 	showErrorNotification,
 } from '../util';
 import { refreshAuthentication } from '../util/refresh-authentication';
+import { navigateTo } from '../util/navigation';
 import data from './data';
 import CTA from './notifications/cta';
 import GenericError from './notifications/generic-error';
@@ -48,7 +49,7 @@ class AnalyticsInactiveCTA extends Component {
 			await refreshAuthentication();
 
 			// Redirect to ReAuthentication URL
-			global.location = getReAuthURL( 'analytics', true );
+			navigateTo( getReAuthURL( 'analytics', true ) );
 		} catch ( err ) {
 			showErrorNotification( GenericError, {
 				id: 'analytics-setup-error',
@@ -0,0 +1,118 @@
+/**
+ * GoogleChartsAdapter component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import GoogleChart from '../google-chart';
+import { colors as defaultColors } from '../colors';
+import { CHART_TYPES } from './utils';
+
+/**
+ * Translates chart options into Google Charts options.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} type    Chart type, one of `CHART_TYPES`.
+ * @param {Object} options Chart options, see `Chart`.
+ * @return {Object} Google Charts options.
+ */
+export const getGoogleChartsOptions = ( type, {
+	colors = defaultColors,
+	height,
+	width = '100%',
+	legend = false,
+	title = '',
+} ) => {
+	const googleOptions = {
+		title,
+		backgroundColor: 'transparent',
+		colors,
+		height,
+		width,
+		legend: {
+			position: legend ? 'bottom' : 'none',
+		},
+	};
+
+	if ( 'pie' === type || 'sparkline' === type ) {
+		googleOptions.chartArea = {
+			width: '100%',
+			height: legend ? '80%' : '100%',
+		};
+	}
+
+	if ( 'sparkline' === type ) {
+		googleOptions.curveType = 'line';
+		googleOptions.enableInteractivity = false;
+		googleOptions.axisFontSize = 0;
+		googleOptions.hAxis = {
+			baselineColor: 'none',
+			ticks: [],
+		};
+		googleOptions.vAxis = {
+			baselineColor: 'none',
+			ticks: [],
+		};
+		googleOptions.axes = [];
+	}
+
+	return googleOptions;
+};
+
+/**
+ * Renders a chart using Google Charts.
+ *
+ * The Google Charts library is loaded from the network once such a chart is
+ * rendered, so this renderer only works for sites that can access it.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}        props         Component props. Further props are passed to `GoogleChart`, e.g. to
+ *                                      configure its loading state.
+ * @param {string}        props.type    Chart type, one of `CHART_TYPES`.
+ * @param {Array.<Array>} props.data    Chart data, see `parseChartData()`.
+ * @param {Object}        props.options Chart options, see `Chart`.
+ * @return {WPElement} Chart element.
+ */
+export default function GoogleChartsAdapter( { type, data, options, ...props } ) {
+	return (
+		<GoogleChart
+			{ ...props }
+			chartType={ type }
+			data={ data }
+			options={ getGoogleChartsOptions( type, options ) }
+		/>
+	);
+}
+
+GoogleChartsAdapter.propTypes = {
+	type: PropTypes.oneOf( CHART_TYPES ).isRequired,
+	data: PropTypes.arrayOf( PropTypes.array ).isRequired,
+	options: PropTypes.object,
+};
+
+GoogleChartsAdapter.defaultProps = {
+	options: {},
+};
@@ -0,0 +1,103 @@
+/**
+ * Chart component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import ExportMenu from '../export-menu';
+import { getChartExportData } from '../../util/export';
+import { getChartRenderer } from './renderers';
+import { CHART_TYPES } from './utils';
+
+export { registerChartRenderer, setDefaultChartRenderer, getChartRenderer } from './renderers';
+export { CHART_TYPES } from './utils';
+
+/**
+ * Renders a chart with a chart renderer.
+ *
+ * Charts are rendered as inline SVG by default. Other renderers, like the
+ * 'google-charts' adapter, can be selected per chart or as the default via
+ * `setDefaultChartRenderer()`.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}         props                    Component props. Further props are passed to the renderer.
+ * @param {string}         props.type               Chart type, one of 'line', 'area', 'bar', 'pie' or 'sparkline'.
+ * @param {Array.<Array>}  props.data               Chart data in the format of Google Charts' `arrayToDataTable()`. The
+ *                                                  first row contains the column labels, the first column the row
+ *                                                  labels (e.g. dates), and every further column a series.
+ * @param {Object}         [props.options]          Optional. Chart options.
+ * @param {Array.<string>} [props.options.colors]   Optional. Colors of the series, or of the slices for pie charts.
+ * @param {number}         [props.options.height]   Optional. Height in pixels. Pie charts are as wide as high.
+ * @param {string}         [props.options.width]    Optional. Width, e.g. '100%'.
+ * @param {boolean}        [props.options.legend]   Optional. Whether to display a legend. Default false.
+ * @param {string}         [props.options.title]    Optional. Title, used as accessible name of the chart.
+ * @param {string}         [props.renderer]         Optional. Name of the renderer. Default is the default renderer.
+ * @param {string}         [props.exportName]       Optional. Base name of exported files. The export links are only
+ *                                                  displayed if provided.
+ * @param {number}         [props.exportOffsetDays] Optional. Number of days the exported report ends before the
+ *                                                  reference date, for services with delayed data.
+ * @return {WPElement} Chart element.
+ */
+export default function Chart( { type, data, options, renderer, exportName, exportOffsetDays, ...props } ) {
+	// Assign the renderer to a capitalized variable so it can be rendered
+	// as a component in JSX.
+	// eslint-disable-next-line @wordpress/no-unused-vars-before-return
+	const ChartRenderer = getChartRenderer( renderer );
+
+	return (
+		<Fragment>
+			<ChartRenderer { ...props } type={ type } data={ data } options={ options } />
+			{ exportName && (
+				<ExportMenu name={ exportName } getData={ () => getChartExportData( data ) } offsetDays={ exportOffsetDays } />
+			) }
+		</Fragment>
+	);
+}
+
+Chart.propTypes = {
+	type: PropTypes.oneOf( CHART_TYPES ).isRequired,
+	data: PropTypes.arrayOf( PropTypes.array ).isRequired,
+	options: PropTypes.shape( {
+		colors: PropTypes.arrayOf( PropTypes.string ),
+		height: PropTypes.number,
+		width: PropTypes.oneOfType( [ PropTypes.string, PropTypes.number ] ),
+		legend: PropTypes.bool,
+		title: PropTypes.string,
+	} ),
+	renderer: PropTypes.string,
+	exportName: PropTypes.string,
+	exportOffsetDays: PropTypes.number,
+};
+
+Chart.defaultProps = {
+	options: {},
+	renderer: undefined,
+	exportName: '',
+	exportOffsetDays: undefined,
+};
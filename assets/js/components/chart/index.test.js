@@ -0,0 +1,140 @@
+/**
+ * Chart component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import Chart, { getChartRenderer, registerChartRenderer, setDefaultChartRenderer } from './';
+import { getGoogleChartsOptions } from './google-charts-adapter';
+import { render } from '../../../../tests/js/test-utils';
+
+const lineData = [
+	[ 'Day', 'Users', 'Sessions' ],
+	[ 'Mon', 10, 12 ],
+	[ 'Tue', 20, 25 ],
+	[ 'Wed', 15, 18 ],
+];
+
+const pieData = [
+	[ 'Source', 'Percent' ],
+	[ 'organic', 60 ],
+	[ 'direct', 30 ],
+	[ 'social', 10 ],
+];
+
+describe( 'Chart', () => {
+	afterEach( () => {
+		setDefaultChartRenderer( 'svg' );
+	} );
+
+	it( 'should render a line per series for line charts', () => {
+		const { container } = render( <Chart type="line" data={ lineData } /> );
+
+		expect( container.querySelector( '.googlesitekit-svg-chart--line' ) ).toBeInTheDocument();
+		expect( container.querySelectorAll( 'polyline' ) ).toHaveLength( 2 );
+		expect( container.querySelectorAll( 'polygon' ) ).toHaveLength( 0 );
+	} );
+
+	it( 'should fill the area below the lines for area charts', () => {
+		const { container } = render( <Chart type="area" data={ lineData } /> );
+
+		expect( container.querySelectorAll( 'polyline' ) ).toHaveLength( 2 );
+		expect( container.querySelectorAll( 'polygon' ) ).toHaveLength( 2 );
+	} );
+
+	it( 'should render a bar per value for bar charts', () => {
+		const { container } = render( <Chart type="bar" data={ lineData } /> );
+
+		expect( container.querySelectorAll( 'rect' ) ).toHaveLength( 6 );
+	} );
+
+	it( 'should render a slice per row for pie charts', () => {
+		const { container, getByText } = render(
+			<Chart type="pie" data={ pieData } options={ { colors: [ 'red', 'green', 'blue' ], legend: true } } />
+		);
+
+		const slices = container.querySelectorAll( 'path' );
+		expect( slices ).toHaveLength( 3 );
+		expect( slices[ 1 ] ).toHaveAttribute( 'fill', 'green' );
+		expect( getByText( 'social' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should render sparklines with the given height', () => {
+		const { container } = render( <Chart type="sparkline" data={ lineData } options={ { height: 50 } } /> );
+
+		expect( container.querySelector( 'svg' ) ).toHaveAttribute( 'height', '50' );
+		expect( container.querySelector( '.googlesitekit-svg-chart__legend' ) ).not.toBeInTheDocument();
+	} );
+
+	it( 'should render the export links if an export name is given', () => {
+		const { container } = render( <Chart type="line" data={ lineData } exportName="traffic" /> );
+
+		expect( container.querySelector( '.googlesitekit-export-menu' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should use a registered renderer', () => {
+		const CustomRenderer = ( { type, data } ) => <div className="custom-chart">{ `${ type }:${ data.length }` }</div>;
+		registerChartRenderer( 'custom', CustomRenderer );
+
+		const { getByText, rerender } = render( <Chart type="bar" data={ lineData } renderer="custom" /> );
+		expect( getByText( 'bar:4' ) ).toBeInTheDocument();
+
+		setDefaultChartRenderer( 'custom' );
+		rerender( <Chart type="pie" data={ pieData } /> );
+		expect( getByText( 'pie:4' ) ).toBeInTheDocument();
+	} );
+} );
+
+describe( 'chart renderers', () => {
+	it( 'should provide the bundled renderers', () => {
+		expect( getChartRenderer() ).toBe( getChartRenderer( 'svg' ) );
+		expect( getChartRenderer( 'google-charts' ) ).toEqual( expect.any( Function ) );
+	} );
+
+	it( 'should require valid renderers', () => {
+		expect( () => registerChartRenderer( '', () => null ) ).toThrow( 'name must be a non-empty string.' );
+		expect( () => registerChartRenderer( 'invalid', 'chart' ) ).toThrow( 'component must be a React component.' );
+		expect( () => setDefaultChartRenderer( 'unknown' ) ).toThrow( 'No chart renderer is registered as "unknown".' );
+		expect( () => getChartRenderer( 'unknown' ) ).toThrow( 'No chart renderer is registered as "unknown".' );
+	} );
+} );
+
+describe( 'getGoogleChartsOptions', () => {
+	it( 'should translate the chart options', () => {
+		const options = getGoogleChartsOptions( 'pie', { colors: [ 'red' ], height: 250, legend: true } );
+
+		expect( options ).toMatchObject( {
+			colors: [ 'red' ],
+			height: 250,
+			width: '100%',
+			legend: { position: 'bottom' },
+			chartArea: { width: '100%', height: '80%' },
+		} );
+	} );
+
+	it( 'should hide axes and interactivity for sparklines', () => {
+		const options = getGoogleChartsOptions( 'sparkline', { height: 50 } );
+
+		expect( options ).toMatchObject( {
+			enableInteractivity: false,
+			legend: { position: 'none' },
+			hAxis: { ticks: [] },
+			vAxis: { ticks: [] },
+		} );
+	} );
+} );
@@ -0,0 +1,80 @@
+/**
+ * Chart renderers.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+
+/**
+ * Internal dependencies
+ */
+import SVGChart from './svg-chart';
+import GoogleChartsAdapter from './google-charts-adapter';
+
+const renderers = {};
+let defaultRenderer;
+
+/**
+ * Registers a chart renderer.
+ *
+ * A chart renderer is a component receiving the `type`, `data` and `options`
+ * props documented for `Chart`. It must support all `CHART_TYPES`.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string}      name      Unique name of the renderer.
+ * @param {WPComponent} component Component rendering the chart.
+ */
+export const registerChartRenderer = ( name, component ) => {
+	invariant( typeof name === 'string' && name.length, 'name must be a non-empty string.' );
+	invariant( typeof component === 'function', 'component must be a React component.' );
+
+	renderers[ name ] = component;
+};
+
+/**
+ * Sets the renderer used for charts which do not specify one.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} name Name of a registered renderer.
+ */
+export const setDefaultChartRenderer = ( name ) => {
+	invariant( renderers[ name ], `No chart renderer is registered as "${ name }".` );
+
+	defaultRenderer = name;
+};
+
+/**
+ * Gets a chart renderer.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} [name] Optional. Name of a registered renderer. Default is the default renderer.
+ * @return {WPComponent} Component rendering the chart.
+ */
+export const getChartRenderer = ( name = defaultRenderer ) => {
+	invariant( renderers[ name ], `No chart renderer is registered as "${ name }".` );
+
+	return renderers[ name ];
+};
+
+registerChartRenderer( 'svg', SVGChart );
+registerChartRenderer( 'google-charts', GoogleChartsAdapter );
+setDefaultChartRenderer( 'svg' );
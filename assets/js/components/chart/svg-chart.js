@@ -0,0 +1,274 @@
+/**
+ * SVGChart component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { numberFormat } from '../../util';
+import { colors as defaultColors } from '../colors';
+import {
+	CHART_TYPES,
+	getLinePoints,
+	getPieSlicePath,
+	getPieSlices,
+	getValueRange,
+	parseChartData,
+} from './utils';
+
+// Width of the coordinate system for charts which are scaled to their container.
+const VIEWBOX_WIDTH = 300;
+
+const DEFAULT_HEIGHTS = {
+	line: 200,
+	area: 200,
+	bar: 200,
+	pie: 250,
+	sparkline: 50,
+};
+
+/**
+ * Gets the text for the tooltip of a value.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} label Label of the value.
+ * @param {number} value The value.
+ * @return {string} Tooltip text.
+ */
+const getTooltip = ( label, value ) => sprintf(
+	/* translators: 1: label of a chart value, e.g. a date, 2: the value */
+	__( '%1$s: %2$s', 'google-site-kit' ),
+	label,
+	numberFormat( value )
+);
+
+/**
+ * Renders the lines of line, area and sparkline charts.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} args        Arguments.
+ * @param {string} args.type   Chart type.
+ * @param {Array}  args.series Series as returned by `parseChartData()`.
+ * @param {Array}  args.colors Series colors.
+ * @param {number} args.height Height of the plot area.
+ * @return {Array.<WPElement>} SVG elements.
+ */
+const renderLines = ( { type, series, colors, height } ) => {
+	const { min, max } = getValueRange( series, 'sparkline' !== type );
+	const area = { width: VIEWBOX_WIDTH, height, min, max };
+	const baseline = getLinePoints( [ Math.max( min, Math.min( 0, max ) ) ], area )[ 0 ][ 1 ];
+
+	return series.map( ( { label, values }, i ) => {
+		const points = getLinePoints( values, area );
+		const line = points.map( ( point ) => point.join( ',' ) ).join( ' ' );
+		const color = colors[ i % colors.length ];
+
+		return (
+			<g key={ i } className="googlesitekit-svg-chart__series">
+				<title>{ label }</title>
+				{ 'area' === type && (
+					<polygon
+						className="googlesitekit-svg-chart__area"
+						points={ `0,${ baseline } ${ line } ${ VIEWBOX_WIDTH },${ baseline }` }
+						fill={ color }
+						fillOpacity="0.2"
+					/>
+				) }
+				<polyline
+					className="googlesitekit-svg-chart__line"
+					points={ line }
+					fill="none"
+					stroke={ color }
+					strokeWidth="2"
+					vectorEffect="non-scaling-stroke"
+				/>
+			</g>
+		);
+	} );
+};
+
+/**
+ * Renders the bars of a bar chart.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} args        Arguments.
+ * @param {Array}  args.labels Row labels as returned by `parseChartData()`.
+ * @param {Array}  args.series Series as returned by `parseChartData()`.
+ * @param {Array}  args.colors Series colors.
+ * @param {number} args.height Height of the plot area.
+ * @return {Array.<WPElement>} SVG elements.
+ */
+const renderBars = ( { labels, series, colors, height } ) => {
+	const { min, max } = getValueRange( series );
+	const getY = ( value ) => height - ( ( value - min ) / ( max - min ) * height );
+	const groupWidth = VIEWBOX_WIDTH / Math.max( 1, labels.length );
+	// Leave a gap of a fifth of the group width between groups.
+	const barWidth = groupWidth * 0.8 / Math.max( 1, series.length );
+
+	return labels.map( ( label, row ) => (
+		<g key={ row } className="googlesitekit-svg-chart__group">
+			{ series.map( ( { values }, i ) => {
+				const y = getY( values[ row ] );
+				const zero = getY( 0 );
+
+				return (
+					<rect
+						key={ i }
+						className="googlesitekit-svg-chart__bar"
+						x={ ( row * groupWidth ) + ( groupWidth * 0.1 ) + ( i * barWidth ) }
+						y={ Math.min( y, zero ) }
+						width={ barWidth }
+						height={ Math.abs( zero - y ) }
+						fill={ colors[ i % colors.length ] }
+					>
+						<title>{ getTooltip( label, values[ row ] ) }</title>
+					</rect>
+				);
+			} ) }
+		</g>
+	) );
+};
+
+/**
+ * Renders the slices of a pie chart.
+ *
+ * Only the first series is displayed, with a slice per row.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} args        Arguments.
+ * @param {Array}  args.labels Row labels as returned by `parseChartData()`.
+ * @param {Array}  args.series Series as returned by `parseChartData()`.
+ * @param {Array}  args.colors Slice colors.
+ * @return {Array.<WPElement>} SVG elements.
+ */
+const renderPie = ( { labels, series, colors } ) => {
+	const slices = getPieSlices( series.length ? series[ 0 ].values : [] );
+
+	return slices.map( ( { index, value, startAngle, endAngle } ) => (
+		<path
+			key={ index }
+			className="googlesitekit-svg-chart__slice"
+			d={ getPieSlicePath( 50, 50, 50, startAngle, endAngle ) }
+			fill={ colors[ index % colors.length ] }
+		>
+			<title>{ getTooltip( labels[ index ], value ) }</title>
+		</path>
+	) );
+};
+
+/**
+ * Renders a chart as inline SVG.
+ *
+ * This renderer is bundled with the plugin and does not load any external
+ * scripts.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}        props         Component props.
+ * @param {string}        props.type    Chart type, one of `CHART_TYPES`.
+ * @param {Array.<Array>} props.data    Chart data, see `parseChartData()`.
+ * @param {Object}        props.options Chart options, see `Chart`.
+ * @return {WPElement} Chart element.
+ */
+export default function SVGChart( { type, data, options } ) {
+	const {
+		colors = defaultColors,
+		height = DEFAULT_HEIGHTS[ type ],
+		width = '100%',
+		legend = false,
+		title = '',
+	} = options;
+
+	const { labels, series } = parseChartData( data );
+	const isPie = 'pie' === type;
+
+	let content;
+	if ( isPie ) {
+		content = renderPie( { labels, series, colors } );
+	} else if ( 'bar' === type ) {
+		content = renderBars( { labels, series, colors, height } );
+	} else {
+		content = renderLines( { type, series, colors, height } );
+	}
+
+	// Pie charts are sized as given, all other charts span their width and
+	// are scaled horizontally.
+	const svgProps = isPie
+		? { width: height, height, viewBox: '0 0 100 100' }
+		: { width, height, viewBox: `0 0 ${ VIEWBOX_WIDTH } ${ height }`, preserveAspectRatio: 'none' };
+
+	const legendItems = isPie ? labels : series.map( ( { label } ) => label );
+
+	return (
+		<div className={ classnames(
+			'googlesitekit-svg-chart',
+			`googlesitekit-svg-chart--${ type }`
+		) }>
+			<svg
+				className="googlesitekit-svg-chart__canvas"
+				role="img"
+				aria-label={ title || undefined }
+				{ ...svgProps }
+			>
+				{ title && <title>{ title }</title> }
+				{ content }
+			</svg>
+			{ legend && (
+				<ul className="googlesitekit-svg-chart__legend">
+					{ legendItems.map( ( label, i ) => (
+						<li key={ i } className="googlesitekit-svg-chart__legend-item">
+							<span
+								className="googlesitekit-svg-chart__legend-color"
+								style={ { backgroundColor: colors[ i % colors.length ] } }
+							/>
+							{ label }
+						</li>
+					) ) }
+				</ul>
+			) }
+		</div>
+	);
+}
+
+SVGChart.propTypes = {
+	type: PropTypes.oneOf( CHART_TYPES ).isRequired,
+	data: PropTypes.arrayOf( PropTypes.array ).isRequired,
+	options: PropTypes.object,
+};
+
+SVGChart.defaultProps = {
+	options: {},
+};
@@ -0,0 +1,212 @@
+/**
+ * Chart utility functions.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Chart types supported by all chart renderers.
+ *
+ * @since n.e.x.t
+ */
+export const CHART_TYPES = [ 'line', 'area', 'bar', 'pie', 'sparkline' ];
+
+/**
+ * Gets the raw value of a chart data cell.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} cell Cell value, or a Google Charts cell object with `v` property.
+ * @return {*} Raw cell value.
+ */
+const getCellValue = ( cell ) => {
+	if ( cell && typeof cell === 'object' && cell.hasOwnProperty( 'v' ) ) {
+		return cell.v;
+	}
+	return cell;
+};
+
+/**
+ * Parses chart data into labels and series.
+ *
+ * The data uses the format of Google Charts' `arrayToDataTable()`: the first
+ * row contains the column labels or column description objects, the first
+ * column contains the labels of the rows (e.g. dates), and every further
+ * column is a series of numbers. Role columns like tooltips are ignored.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Array>} data Chart data.
+ * @return {Object} Object with `labels`, an array of row labels, and `series`, an array of objects with `label`
+ *                  and `values`.
+ */
+export const parseChartData = ( data ) => {
+	const [ header = [], ...rows ] = data || [];
+
+	const columns = [];
+	header.forEach( ( column, index ) => {
+		if ( column && typeof column === 'object' ) {
+			if ( ! column.role ) {
+				columns.push( { index, label: column.label || column.id || '' } );
+			}
+			return;
+		}
+		columns.push( { index, label: String( column ) } );
+	} );
+
+	if ( ! columns.length ) {
+		return { labels: [], series: [] };
+	}
+
+	const [ domainColumn, ...seriesColumns ] = columns;
+
+	return {
+		labels: rows.map( ( row ) => {
+			const label = getCellValue( row[ domainColumn.index ] );
+			if ( label instanceof Date ) {
+				return label.toLocaleDateString();
+			}
+			return label === undefined || label === null ? '' : String( label );
+		} ),
+		series: seriesColumns.map( ( { index, label } ) => ( {
+			label,
+			values: rows.map( ( row ) => {
+				const value = Number( getCellValue( row[ index ] ) );
+				return isFinite( value ) ? value : 0;
+			} ),
+		} ) ),
+	};
+};
+
+/**
+ * Gets the range of values to plot.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} series        Series as returned by `parseChartData()`.
+ * @param {boolean}        [includeZero] Optional. Whether the range should include zero. Default true.
+ * @return {Object} Object with `min` and `max`, which always differ.
+ */
+export const getValueRange = ( series, includeZero = true ) => {
+	const values = series.reduce( ( allValues, { values: seriesValues } ) => allValues.concat( seriesValues ), [] );
+	if ( includeZero ) {
+		values.push( 0 );
+	}
+
+	let min = values.length ? Math.min( ...values ) : 0;
+	let max = values.length ? Math.max( ...values ) : 1;
+	if ( min === max ) {
+		// Plot constant values in the middle.
+		min -= 1;
+		max += 1;
+	}
+
+	return { min, max };
+};
+
+/**
+ * Gets the coordinates of the points of a line.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<number>} values      Values of the series.
+ * @param {Object}         area        Plot area.
+ * @param {number}         area.width  Width of the plot area.
+ * @param {number}         area.height Height of the plot area.
+ * @param {number}         area.min    Value at the bottom of the plot area.
+ * @param {number}         area.max    Value at the top of the plot area.
+ * @return {Array.<Array>} Array of `[ x, y ]` coordinates.
+ */
+export const getLinePoints = ( values, { width, height, min, max } ) => {
+	const getY = ( value ) => height - ( ( value - min ) / ( max - min ) * height );
+
+	if ( values.length === 1 ) {
+		return [ [ 0, getY( values[ 0 ] ) ], [ width, getY( values[ 0 ] ) ] ];
+	}
+
+	return values.map( ( value, i ) => [ i * width / ( values.length - 1 ), getY( value ) ] );
+};
+
+/**
+ * Gets the slices of a pie chart.
+ *
+ * Angles are in radians, clockwise starting at 12 o'clock. Negative values
+ * cannot be displayed in a pie chart and are ignored.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<number>} values Values of the slices.
+ * @return {Array.<Object>} Slices with `index`, `value`, `fraction`, `startAngle` and `endAngle`, omitting empty ones.
+ */
+export const getPieSlices = ( values ) => {
+	const total = values.reduce( ( sum, value ) => sum + Math.max( 0, value ), 0 );
+	if ( ! total ) {
+		return [];
+	}
+
+	let angle = 0;
+	return values.reduce( ( slices, value, index ) => {
+		if ( value <= 0 ) {
+			return slices;
+		}
+
+		const fraction = value / total;
+		const startAngle = angle;
+		angle += fraction * 2 * Math.PI;
+		slices.push( { index, value, fraction, startAngle, endAngle: angle } );
+
+		return slices;
+	}, [] );
+};
+
+/**
+ * Gets the SVG path of a pie slice.
+ *
+ * @since n.e.x.t
+ *
+ * @param {number} cx         X coordinate of the center.
+ * @param {number} cy         Y coordinate of the center.
+ * @param {number} radius     Radius of the pie.
+ * @param {number} startAngle Start angle of the slice in radians.
+ * @param {number} endAngle   End angle of the slice in radians.
+ * @return {string} SVG path definition.
+ */
+export const getPieSlicePath = ( cx, cy, radius, startAngle, endAngle ) => {
+	const getPoint = ( angle ) => [
+		cx + ( radius * Math.sin( angle ) ),
+		cy - ( radius * Math.cos( angle ) ),
+	].map( ( coordinate ) => Math.round( coordinate * 1000 ) / 1000 ).join( ' ' );
+
+	// An arc cannot start and end at the same point, so draw a full circle
+	// as two halves.
+	if ( endAngle - startAngle >= ( 2 * Math.PI ) - 0.0001 ) {
+		return [
+			`M ${ getPoint( 0 ) }`,
+			`A ${ radius } ${ radius } 0 1 1 ${ getPoint( Math.PI ) }`,
+			`A ${ radius } ${ radius } 0 1 1 ${ getPoint( 0 ) }`,
+			'Z',
+		].join( ' ' );
+	}
+
+	const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+
+	return [
+		`M ${ cx } ${ cy }`,
+		`L ${ getPoint( startAngle ) }`,
+		`A ${ radius } ${ radius } 0 ${ largeArc } 1 ${ getPoint( endAngle ) }`,
+		'Z',
+	].join( ' ' );
+};
@@ -0,0 +1,131 @@
+/**
+ * Chart utility function tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	getLinePoints,
+	getPieSlicePath,
+	getPieSlices,
+	getValueRange,
+	parseChartData,
+} from './utils';
+
+describe( 'chart utils', () => {
+	describe( 'parseChartData', () => {
+		it( 'should split the data into row labels and series', () => {
+			const data = [
+				[ 'Day', 'Users', 'Sessions' ],
+				[ 'Mon', 10, 12 ],
+				[ 'Tue', 20, 25 ],
+			];
+
+			expect( parseChartData( data ) ).toEqual( {
+				labels: [ 'Mon', 'Tue' ],
+				series: [
+					{ label: 'Users', values: [ 10, 20 ] },
+					{ label: 'Sessions', values: [ 12, 25 ] },
+				],
+			} );
+		} );
+
+		it( 'should ignore role columns and unwrap cell objects', () => {
+			const data = [
+				[ { type: 'string', label: 'Source' }, { type: 'number', label: 'Percent' }, { type: 'string', role: 'annotation' } ],
+				[ 'organic', { v: 60, f: '60%' }, 'Organic' ],
+				[ 'direct', 'n/a', 'Direct' ],
+			];
+
+			expect( parseChartData( data ) ).toEqual( {
+				labels: [ 'organic', 'direct' ],
+				series: [
+					{ label: 'Percent', values: [ 60, 0 ] },
+				],
+			} );
+		} );
+
+		it( 'should return empty labels and series for empty data', () => {
+			expect( parseChartData( [] ) ).toEqual( { labels: [], series: [] } );
+			expect( parseChartData( undefined ) ).toEqual( { labels: [], series: [] } );
+		} );
+	} );
+
+	describe( 'getValueRange', () => {
+		const series = [
+			{ label: 'a', values: [ 5, 10 ] },
+			{ label: 'b', values: [ 15, 8 ] },
+		];
+
+		it( 'should include zero by default', () => {
+			expect( getValueRange( series ) ).toEqual( { min: 0, max: 15 } );
+		} );
+
+		it( 'should only span the values if zero is not included', () => {
+			expect( getValueRange( series, false ) ).toEqual( { min: 5, max: 15 } );
+		} );
+
+		it( 'should return differing values for constant series', () => {
+			expect( getValueRange( [ { label: 'a', values: [ 3, 3 ] } ], false ) ).toEqual( { min: 2, max: 4 } );
+			expect( getValueRange( [] ) ).toEqual( { min: -1, max: 1 } );
+		} );
+	} );
+
+	describe( 'getLinePoints', () => {
+		it( 'should spread the values over the width of the area', () => {
+			const points = getLinePoints( [ 0, 5, 10 ], { width: 300, height: 100, min: 0, max: 10 } );
+
+			expect( points ).toEqual( [ [ 0, 100 ], [ 150, 50 ], [ 300, 0 ] ] );
+		} );
+
+		it( 'should draw a single value as a horizontal line', () => {
+			const points = getLinePoints( [ 5 ], { width: 300, height: 100, min: 0, max: 10 } );
+
+			expect( points ).toEqual( [ [ 0, 50 ], [ 300, 50 ] ] );
+		} );
+	} );
+
+	describe( 'getPieSlices', () => {
+		it( 'should compute the fractions and angles of the slices', () => {
+			const slices = getPieSlices( [ 1, 0, 3 ] );
+
+			expect( slices ).toHaveLength( 2 );
+			expect( slices[ 0 ] ).toEqual( { index: 0, value: 1, fraction: 0.25, startAngle: 0, endAngle: Math.PI / 2 } );
+			expect( slices[ 1 ] ).toEqual( { index: 2, value: 3, fraction: 0.75, startAngle: Math.PI / 2, endAngle: 2 * Math.PI } );
+		} );
+
+		it( 'should return no slices if there is nothing to display', () => {
+			expect( getPieSlices( [] ) ).toEqual( [] );
+			expect( getPieSlices( [ 0, -2 ] ) ).toEqual( [] );
+		} );
+	} );
+
+	describe( 'getPieSlicePath', () => {
+		it( 'should draw a slice from the center', () => {
+			expect( getPieSlicePath( 50, 50, 50, 0, Math.PI / 2 ) ).toBe( 'M 50 50 L 50 0 A 50 50 0 0 1 100 50 Z' );
+		} );
+
+		it( 'should use the large arc flag for slices over half of the pie', () => {
+			expect( getPieSlicePath( 50, 50, 50, 0, 1.5 * Math.PI ) ).toBe( 'M 50 50 L 50 0 A 50 50 0 1 1 0 50 Z' );
+		} );
+
+		it( 'should draw a full circle as two arcs', () => {
+			expect( getPieSlicePath( 50, 50, 50, 0, 2 * Math.PI ) ).toBe( 'M 50 0 A 50 50 0 1 1 50 100 A 50 50 0 1 1 50 0 Z' );
+		} );
+	} );
+} );
@@ -0,0 +1,60 @@
+/**
+ * ComparisonToggle component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Switch from './switch';
+
+/**
+ * Renders a switch to toggle the comparison of a chart with the previous period.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}   props          Component props.
+ * @param {boolean}  props.checked  Whether the previous period is displayed.
+ * @param {Function} props.onToggle Callback to toggle the comparison.
+ * @return {WPElement} Comparison toggle element.
+ */
+export default function ComparisonToggle( { checked, onToggle } ) {
+	return (
+		<div className="googlesitekit-chart__comparison-toggle">
+			<Switch
+				label={ __( 'Compare to previous period', 'google-site-kit' ) }
+				onClick={ onToggle }
+				checked={ checked }
+				hideLabel={ false }
+			/>
+		</div>
+	);
+}
+
+ComparisonToggle.propTypes = {
+	checked: PropTypes.bool.isRequired,
+	onToggle: PropTypes.func.isRequired,
+};
@@ -29,6 +29,7 @@ import DashboardSplashMain from './dashboard-splash-main';
 import DashboardSplashNotifications from './dashboard-splash-notifications';
 import ProgressBar from '../progress-bar';
 import { trackEvent } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import '../publisher-wins';
 
 const AUTHENTICATION = 1;
@@ -90,7 +91,7 @@ class DashboardSplashApp extends Component {
 
 		await trackEvent( 'plugin_setup', 'connect_account' );
 
-		document.location = this.state.connectURL;
+		navigateTo( this.state.connectURL );
 	}
 
 	render() {
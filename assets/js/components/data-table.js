@@ -29,13 +29,27 @@ import {
 /**
  * WordPress dependencies
  */
-import { Component, createRef } from '@wordpress/element';
+import { Component, createRef, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
 import SourceLink from './source-link';
 import Link from './link';
+import ExportMenu from './export-menu';
+import { TextField, Input } from '../material-components';
+import { numberFormat } from '../util';
+
+/**
+ * Number of rows to request for reports displayed in a paginated data table.
+ *
+ * More rows than displayed at once are requested, so that users can page
+ * through them without further requests.
+ *
+ * @since n.e.x.t
+ */
+export const PAGINATED_REPORT_ROW_LIMIT = 50;
 
 // Construct a table component from a data object.
 export const getDataTableFromData = ( data, headers, options ) => {
@@ -156,6 +170,435 @@ export const getDataTableFromData = ( data, headers, options ) => {
 	);
 };
 
+const NUMERIC_COLUMN_TYPES = [ 'number', 'percent' ];
+
+/**
+ * Checks whether a table cell value is missing.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} value Cell value.
+ * @return {boolean} `true` if the value is `undefined` or `null`, otherwise `false`.
+ */
+const isMissingValue = ( value ) => value === undefined || value === null;
+
+/**
+ * Formats the value of a table cell for display.
+ *
+ * Uses the column's formatter if provided, otherwise formats the value based
+ * on the column type.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} column Column definition, see `DataTable`.
+ * @param {Object} row    Table row.
+ * @return {*} Formatted cell value.
+ */
+const formatCell = ( column, row ) => {
+	const value = row[ column.field ];
+
+	if ( column.formatter ) {
+		return column.formatter( value, row );
+	}
+
+	if ( isMissingValue( value ) ) {
+		return '';
+	}
+
+	switch ( column.type ) {
+		case 'number':
+			return numberFormat( value );
+		case 'percent':
+			return numberFormat( value / 100, {
+				style: 'percent',
+				minimumFractionDigits: 2,
+				maximumFractionDigits: 2,
+			} );
+		default:
+			return String( value );
+	}
+};
+
+/**
+ * Sorts table rows by a column.
+ *
+ * Number and percent columns are compared numerically, all other columns as
+ * case-insensitive strings. Rows without a value for the column always come
+ * last, and rows with equal values keep their original order.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} rows        Table rows.
+ * @param {Object}         column      Column definition to sort by, see `DataTable`.
+ * @param {string}         [sortOrder] Optional. Either 'asc' or 'desc'. Default 'asc'.
+ * @return {Array.<Object>} Sorted copy of the rows.
+ */
+export const sortRows = ( rows, { field, type }, sortOrder = 'asc' ) => {
+	const direction = sortOrder === 'desc' ? -1 : 1;
+	const isNumeric = NUMERIC_COLUMN_TYPES.includes( type );
+
+	const compareValues = ( a, b ) => {
+		if ( isNumeric ) {
+			return Number( a ) - Number( b );
+		}
+		return String( a ).localeCompare( String( b ), undefined, { numeric: true, sensitivity: 'base' } );
+	};
+
+	// Sort with the original index as tie-breaker, as `Array.prototype.sort`
+	// is not guaranteed to be stable in all supported browsers.
+	return rows
+		.map( ( row, index ) => ( { row, index } ) )
+		.sort( ( a, b ) => {
+			const aValue = a.row[ field ];
+			const bValue = b.row[ field ];
+			const aIsMissing = isMissingValue( aValue );
+			const bIsMissing = isMissingValue( bValue );
+
+			if ( aIsMissing !== bIsMissing ) {
+				return aIsMissing ? 1 : -1;
+			}
+
+			if ( aIsMissing ) {
+				return a.index - b.index;
+			}
+
+			return ( direction * compareValues( aValue, bValue ) ) || ( a.index - b.index );
+		} )
+		.map( ( { row } ) => row );
+};
+
+/**
+ * Filters table rows by a search term.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} rows   Table rows.
+ * @param {Array.<string>} fields Row fields to search in.
+ * @param {string}         filter Search term, matched case-insensitively anywhere in the field values.
+ * @return {Array.<Object>} Rows matching the search term in at least one of the fields.
+ */
+export const filterRows = ( rows, fields, filter ) => {
+	const search = ( filter || '' ).trim().toLowerCase();
+	if ( ! search.length ) {
+		return rows;
+	}
+
+	return rows.filter( ( row ) => fields.some( ( field ) => {
+		return ! isMissingValue( row[ field ] ) && String( row[ field ] ).toLowerCase().includes( search );
+	} ) );
+};
+
+/**
+ * Gets the rows for a page of a table.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} rows        Table rows.
+ * @param {number}         page        Index of the page, starting at 0.
+ * @param {number}         rowsPerPage Number of rows per page, or 0 to not paginate.
+ * @return {Array.<Object>} Rows on the page.
+ */
+export const paginateRows = ( rows, page, rowsPerPage ) => {
+	if ( ! rowsPerPage ) {
+		return rows;
+	}
+
+	return rows.slice( page * rowsPerPage, ( page + 1 ) * rowsPerPage );
+};
+
+/**
+ * Renders a table with client-side sorting, filtering and pagination.
+ *
+ * Columns are defined declaratively, and rows are objects with raw values
+ * keyed by the columns' fields. Raw values are used for sorting and
+ * filtering, while the cells display formatted values.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}         props                    Component props.
+ * @param {Array.<Object>} props.columns            Column definitions. Each column requires a `field` (the row key
+ *                                                  to display) and a `title`. Optional properties are `tooltip`,
+ *                                                  `primary`, `type` (one of 'string', 'number' or 'percent', with
+ *                                                  percentages given like `12.5` for 12.5%), `formatter` (a
+ *                                                  function receiving the value and row), `sortable`,
+ *                                                  `hideOnMobile`, `link` (a function receiving the row and
+ *                                                  returning a URL to link the cell to) and `showURL`.
+ * @param {Array.<Object>} props.rows               Table rows.
+ * @param {string}         [props.defaultSortBy]    Optional. Field to initially sort by. By default, rows are
+ *                                                  displayed in the given order.
+ * @param {string}         [props.defaultSortOrder] Optional. Initial sort order, either 'asc' or 'desc'.
+ * @param {number}         [props.rowsPerPage]      Optional. Number of rows per page, or 0 to not paginate.
+ * @param {Array.<string>} [props.filterBy]         Optional. Row fields to filter by. The filter input is only
+ *                                                  displayed if provided.
+ * @param {string}         [props.filterLabel]      Optional. Label of the filter input.
+ * @param {string}         [props.exportName]       Optional. Base name of exported files. The export links, which
+ *                                                  export the filtered and sorted rows of all pages, are only
+ *                                                  displayed if provided.
+ * @param {number}         [props.exportOffsetDays] Optional. Number of days the exported report ends before the
+ *                                                  reference date, for services with delayed data. Default
+ *                                                  `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @param {Object}         [props.source]           Optional. Source to link to below the table, with `name` and
+ *                                                  `link` properties.
+ * @param {boolean}        [props.hideHeader]       Optional. Whether to hide the table header.
+ * @param {boolean}        [props.disableListMode]  Optional. Whether to not number the rows.
+ * @return {WPElement} Table element.
+ */
+export function DataTable( {
+	columns,
+	rows,
+	defaultSortBy,
+	defaultSortOrder,
+	rowsPerPage,
+	filterBy,
+	filterLabel,
+	exportName,
+	exportOffsetDays,
+	source,
+	hideHeader,
+	disableListMode,
+} ) {
+	const [ sortBy, setSortBy ] = useState( defaultSortBy );
+	const [ sortOrder, setSortOrder ] = useState( defaultSortOrder );
+	const [ filter, setFilter ] = useState( '' );
+	const [ page, setPage ] = useState( 0 );
+
+	const sortColumn = columns.find( ( { field } ) => field === sortBy );
+	const filteredRows = filterRows( rows, filterBy, filter );
+	const sortedRows = sortColumn ? sortRows( filteredRows, sortColumn, sortOrder ) : filteredRows;
+	const pageCount = rowsPerPage ? Math.max( 1, Math.ceil( sortedRows.length / rowsPerPage ) ) : 1;
+	// Filtering may have reduced the number of pages.
+	const currentPage = Math.min( page, pageCount - 1 );
+	const pageRows = paginateRows( sortedRows, currentPage, rowsPerPage );
+	const offset = currentPage * rowsPerPage;
+
+	const onSort = ( column ) => {
+		if ( column.field === sortBy ) {
+			setSortOrder( sortOrder === 'asc' ? 'desc' : 'asc' );
+		} else {
+			// Numbers are most interesting from highest to lowest.
+			setSortBy( column.field );
+			setSortOrder( NUMERIC_COLUMN_TYPES.includes( column.type ) ? 'desc' : 'asc' );
+		}
+		setPage( 0 );
+	};
+
+	const onFilter = ( event ) => {
+		setFilter( event.target.value );
+		setPage( 0 );
+	};
+
+	const getExportData = () => ( {
+		columns: columns.map( ( { field, title } ) => ( { key: field, label: title } ) ),
+		rows: sortedRows.map( ( row ) => columns.map( ( { field } ) => row[ field ] ) ),
+	} );
+
+	const mobileColumns = columns.filter( ( { hideOnMobile } ) => ! hideOnMobile ).length;
+
+	return (
+		<div className={ classnames(
+			'googlesitekit-table',
+			{ 'googlesitekit-table--with-list': ! disableListMode }
+		) }>
+			{ filterBy.length > 0 && (
+				<div className="googlesitekit-table__filter">
+					<TextField
+						label={ filterLabel }
+						name="filter"
+						onChange={ onFilter }
+						outlined
+					>
+						<Input value={ filter } />
+					</TextField>
+				</div>
+			) }
+			<table className={ classnames(
+				'googlesitekit-table__wrapper',
+				`googlesitekit-table__wrapper--${ columns.length }-col`,
+				{ [ `googlesitekit-table__wrapper--mobile-${ mobileColumns }-col` ]: mobileColumns !== columns.length }
+			) }>
+				<thead className="googlesitekit-table__head">
+					<tr
+						style={ hideHeader ? { display: 'none' } : {} }
+						className="googlesitekit-table__head-row"
+					>
+						{ columns.map( ( column ) => {
+							const isSorted = column.field === sortBy;
+							let ariaSort;
+							if ( isSorted ) {
+								ariaSort = sortOrder === 'asc' ? 'ascending' : 'descending';
+							}
+
+							return (
+								<th
+									key={ column.field }
+									className={ classnames(
+										'googlesitekit-table__head-item',
+										{ 'googlesitekit-table__head-item--primary': column.primary },
+										{ 'hidden-on-mobile': column.hideOnMobile },
+									) }
+									data-tooltip={ column.tooltip }
+									aria-sort={ ariaSort }
+								>
+									{ column.sortable
+										? <button
+											type="button"
+											className={ classnames(
+												'googlesitekit-table__sort-button',
+												{ [ `googlesitekit-table__sort-button--${ sortOrder }` ]: isSorted }
+											) }
+											onClick={ () => onSort( column ) }
+										>
+											{ column.title }
+										</button>
+										: column.title
+									}
+								</th>
+							);
+						} ) }
+					</tr>
+				</thead>
+				<tbody
+					className="googlesitekit-table__body"
+					style={ offset ? { counterReset: `table ${ offset }` } : {} }
+				>
+					{ pageRows.map( ( row, i ) => (
+						<tr key={ `tr-${ offset + i }` } className="googlesitekit-table__body-row">
+							{ columns.map( ( column ) => {
+								const link = column.link && column.link( row );
+								const cell = formatCell( column, row );
+
+								return (
+									<td
+										key={ column.field }
+										className={ classnames(
+											'googlesitekit-table__body-item',
+											{ 'hidden-on-mobile': column.hideOnMobile }
+										) }
+									>
+										<div className="googlesitekit-table__body-item-content">
+											{ link
+												? <Link
+													className="googlesitekit-table__body-item-link"
+													href={ link }
+													external
+													inherit
+												>
+													{ cell }
+												</Link>
+												: cell
+											}
+											{ link && column.showURL &&
+												<Link
+													className="googlesitekit-table__body-item-url"
+													href={ link }
+													inherit
+													external
+												>
+													{ link }
+												</Link>
+											}
+										</div>
+									</td>
+								);
+							} ) }
+						</tr>
+					) ) }
+					{ ! pageRows.length && (
+						<tr className="googlesitekit-table__body-row googlesitekit-table__body-row--no-results">
+							<td className="googlesitekit-table__body-item" colSpan={ columns.length }>
+								{ __( 'No matching rows.', 'google-site-kit' ) }
+							</td>
+						</tr>
+					) }
+				</tbody>
+			</table>
+			{ pageCount > 1 && (
+				<div className="googlesitekit-table__pagination">
+					<span className="googlesitekit-table__pagination-info">
+						{ sprintf(
+							/* translators: 1: number of the first row on the page, 2: number of the last row on the page, 3: total number of rows */
+							__( '%1$s–%2$s of %3$s', 'google-site-kit' ),
+							numberFormat( offset + 1 ),
+							numberFormat( offset + pageRows.length ),
+							numberFormat( sortedRows.length )
+						) }
+					</span>
+					<Link
+						className="googlesitekit-table__pagination-button"
+						onClick={ () => setPage( currentPage - 1 ) }
+						disabled={ currentPage === 0 }
+						small
+					>
+						{ __( 'Previous', 'google-site-kit' ) }
+					</Link>
+					<Link
+						className="googlesitekit-table__pagination-button"
+						onClick={ () => setPage( currentPage + 1 ) }
+						disabled={ currentPage === pageCount - 1 }
+						small
+					>
+						{ __( 'Next', 'google-site-kit' ) }
+					</Link>
+				</div>
+			) }
+			{ exportName && (
+				<ExportMenu name={ exportName } getData={ getExportData } offsetDays={ exportOffsetDays } />
+			) }
+			{ source && (
+				<SourceLink
+					className="googlesitekit-table__source"
+					name={ source.name }
+					href={ source.link }
+				/>
+			) }
+		</div>
+	);
+}
+
+DataTable.propTypes = {
+	columns: PropTypes.arrayOf( PropTypes.shape( {
+		field: PropTypes.string.isRequired,
+		title: PropTypes.string.isRequired,
+		tooltip: PropTypes.string,
+		primary: PropTypes.bool,
+		type: PropTypes.oneOf( [ 'string', 'number', 'percent' ] ),
+		formatter: PropTypes.func,
+		sortable: PropTypes.bool,
+		hideOnMobile: PropTypes.bool,
+		link: PropTypes.func,
+		showURL: PropTypes.bool,
+	} ) ).isRequired,
+	rows: PropTypes.arrayOf( PropTypes.object ).isRequired,
+	defaultSortBy: PropTypes.string,
+	defaultSortOrder: PropTypes.oneOf( [ 'asc', 'desc' ] ),
+	rowsPerPage: PropTypes.number,
+	filterBy: PropTypes.arrayOf( PropTypes.string ),
+	filterLabel: PropTypes.string,
+	exportName: PropTypes.string,
+	exportOffsetDays: PropTypes.number,
+	source: PropTypes.shape( {
+		name: PropTypes.string,
+		link: PropTypes.string,
+	} ),
+	hideHeader: PropTypes.bool,
+	disableListMode: PropTypes.bool,
+};
+
+DataTable.defaultProps = {
+	defaultSortBy: undefined,
+	defaultSortOrder: 'asc',
+	rowsPerPage: 10,
+	filterBy: [],
+	filterLabel: __( 'Filter', 'google-site-kit' ),
+	exportName: undefined,
+	exportOffsetDays: undefined,
+	source: undefined,
+	hideHeader: false,
+	disableListMode: false,
+};
+
 export class TableOverflowContainer extends Component {
 	constructor() {
 		super();
@@ -0,0 +1,237 @@
+/**
+ * DataTable component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { DataTable, filterRows, paginateRows, sortRows } from './data-table';
+import { render, fireEvent } from '../../../tests/js/test-utils';
+import { STORE_NAME as CORE_USER } from '../googlesitekit/datastore/user/constants';
+import { downloadFile } from '../util/export';
+
+jest.mock( '../util/export', () => ( {
+	...jest.requireActual( '../util/export' ),
+	downloadFile: jest.fn(),
+} ) );
+
+const columns = [
+	{
+		field: 'title',
+		title: 'Title',
+		primary: true,
+		sortable: true,
+		link: ( { url } ) => `https://example.com${ url }`,
+	},
+	{
+		field: 'pageviews',
+		title: 'Pageviews',
+		type: 'number',
+		sortable: true,
+	},
+	{
+		field: 'bounceRate',
+		title: 'Bounce Rate',
+		type: 'percent',
+		hideOnMobile: true,
+	},
+];
+
+const rows = [
+	{ title: 'Home', url: '/', pageviews: 200, bounceRate: 40 },
+	{ title: 'about', url: '/about/', pageviews: 1000, bounceRate: 55.5 },
+	{ title: 'Blog', url: '/blog/', pageviews: 30, bounceRate: 12.345 },
+];
+
+const getColumnText = ( container, index ) => {
+	return Array.from( container.querySelectorAll( '.googlesitekit-table__body-row' ) )
+		.map( ( row ) => row.children[ index ].textContent );
+};
+
+describe( 'DataTable', () => {
+	describe( 'sortRows', () => {
+		it( 'sorts strings case-insensitively', () => {
+			expect( sortRows( rows, columns[ 0 ] ).map( ( { title } ) => title ) ).toEqual( [ 'about', 'Blog', 'Home' ] );
+			expect( sortRows( rows, columns[ 0 ], 'desc' ).map( ( { title } ) => title ) ).toEqual( [ 'Home', 'Blog', 'about' ] );
+		} );
+
+		it( 'sorts numbers numerically', () => {
+			expect( sortRows( rows, columns[ 1 ] ).map( ( { pageviews } ) => pageviews ) ).toEqual( [ 30, 200, 1000 ] );
+			expect( sortRows( rows, columns[ 1 ], 'desc' ).map( ( { pageviews } ) => pageviews ) ).toEqual( [ 1000, 200, 30 ] );
+		} );
+
+		it( 'keeps the order of equal rows and puts missing values last', () => {
+			const unsorted = [
+				{ id: 1, value: 5 },
+				{ id: 2, value: null },
+				{ id: 3, value: 5 },
+				{ id: 4, value: 1 },
+			];
+
+			expect( sortRows( unsorted, { field: 'value', type: 'number' } ).map( ( { id } ) => id ) ).toEqual( [ 4, 1, 3, 2 ] );
+			expect( sortRows( unsorted, { field: 'value', type: 'number' }, 'desc' ).map( ( { id } ) => id ) ).toEqual( [ 1, 3, 4, 2 ] );
+		} );
+
+		it( 'does not modify the given rows', () => {
+			const original = [ ...rows ];
+			sortRows( rows, columns[ 1 ] );
+			expect( rows ).toEqual( original );
+		} );
+	} );
+
+	describe( 'filterRows', () => {
+		it( 'returns rows matching the filter in any of the fields', () => {
+			expect( filterRows( rows, [ 'title', 'url' ], 'BLOG' ) ).toEqual( [ rows[ 2 ] ] );
+			expect( filterRows( rows, [ 'title', 'url' ], '/ab' ) ).toEqual( [ rows[ 1 ] ] );
+			expect( filterRows( rows, [ 'title' ], '/ab' ) ).toEqual( [] );
+		} );
+
+		it( 'returns all rows for an empty filter', () => {
+			expect( filterRows( rows, [ 'title' ], '  ' ) ).toBe( rows );
+		} );
+	} );
+
+	describe( 'paginateRows', () => {
+		it( 'returns the rows on the given page', () => {
+			expect( paginateRows( rows, 0, 2 ) ).toEqual( [ rows[ 0 ], rows[ 1 ] ] );
+			expect( paginateRows( rows, 1, 2 ) ).toEqual( [ rows[ 2 ] ] );
+		} );
+
+		it( 'returns all rows without a number of rows per page', () => {
+			expect( paginateRows( rows, 0, 0 ) ).toBe( rows );
+		} );
+	} );
+
+	it( 'renders formatted cells and links', () => {
+		const { container } = render( <DataTable columns={ columns } rows={ rows } /> );
+
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'Home', 'about', 'Blog' ] );
+		expect( getColumnText( container, 1 ) ).toEqual( [ '200', '1,000', '30' ] );
+		expect( getColumnText( container, 2 ) ).toEqual( [ '40.00%', '55.50%', '12.35%' ] );
+		expect( container.querySelector( '.googlesitekit-table__body-item-link' ) ).toHaveAttribute( 'href', 'https://example.com/' );
+		expect( container.querySelector( '.googlesitekit-table__wrapper--mobile-2-col' ) ).not.toBeNull();
+	} );
+
+	it( 'sorts rows when clicking a sortable column header', () => {
+		const { container, getByText } = render( <DataTable columns={ columns } rows={ rows } /> );
+
+		// Numbers are sorted in descending order first.
+		fireEvent.click( getByText( 'Pageviews' ) );
+		expect( getColumnText( container, 1 ) ).toEqual( [ '1,000', '200', '30' ] );
+		expect( container.querySelectorAll( 'th' )[ 1 ] ).toHaveAttribute( 'aria-sort', 'descending' );
+
+		fireEvent.click( getByText( 'Pageviews' ) );
+		expect( getColumnText( container, 1 ) ).toEqual( [ '30', '200', '1,000' ] );
+		expect( container.querySelectorAll( 'th' )[ 1 ] ).toHaveAttribute( 'aria-sort', 'ascending' );
+
+		fireEvent.click( getByText( 'Title' ) );
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'about', 'Blog', 'Home' ] );
+
+		// Only sortable columns have a sort button.
+		expect( container.querySelectorAll( '.googlesitekit-table__sort-button' ) ).toHaveLength( 2 );
+	} );
+
+	it( 'filters rows by the filter input', () => {
+		const { container } = render(
+			<DataTable columns={ columns } rows={ rows } filterBy={ [ 'title', 'url' ] } />
+		);
+
+		fireEvent.change( container.querySelector( '.googlesitekit-table__filter input' ), { target: { value: 'blog' } } );
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'Blog' ] );
+
+		fireEvent.change( container.querySelector( '.googlesitekit-table__filter input' ), { target: { value: 'missing' } } );
+		expect( container ).toHaveTextContent( 'No matching rows.' );
+	} );
+
+	it( 'does not render the filter input without fields to filter by', () => {
+		const { container } = render( <DataTable columns={ columns } rows={ rows } /> );
+
+		expect( container.querySelector( '.googlesitekit-table__filter' ) ).toBeNull();
+	} );
+
+	it( 'paginates rows', () => {
+		const { container, getByText } = render(
+			<DataTable columns={ columns } rows={ rows } rowsPerPage={ 2 } defaultSortBy="pageviews" defaultSortOrder="desc" />
+		);
+
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'about', 'Home' ] );
+		expect( container.querySelector( '.googlesitekit-table__pagination-info' ) ).toHaveTextContent( '1–2 of 3' );
+		expect( getByText( 'Previous' ) ).toBeDisabled();
+
+		fireEvent.click( getByText( 'Next' ) );
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'Blog' ] );
+		expect( container.querySelector( '.googlesitekit-table__pagination-info' ) ).toHaveTextContent( '3–3 of 3' );
+		expect( getByText( 'Next' ) ).toBeDisabled();
+
+		// Sorting starts over at the first page.
+		fireEvent.click( getByText( 'Title' ) );
+		expect( getColumnText( container, 0 ) ).toEqual( [ 'about', 'Blog' ] );
+	} );
+
+	it( 'exports the filtered and sorted rows of all pages', () => {
+		const setupRegistry = ( registry ) => {
+			registry.dispatch( CORE_USER ).setReferenceDate( '2020-09-29' );
+		};
+		const { container, getByText } = render(
+			<DataTable
+				columns={ columns }
+				rows={ rows }
+				rowsPerPage={ 1 }
+				defaultSortBy="pageviews"
+				filterBy={ [ 'url' ] }
+				exportName="top-pages"
+			/>,
+			{ setupRegistry }
+		);
+
+		fireEvent.change( container.querySelector( '.googlesitekit-table__filter input' ), { target: { value: 'o' } } );
+		fireEvent.click( getByText( 'CSV' ) );
+
+		expect( downloadFile ).toHaveBeenCalledWith(
+			'\uFEFFTitle,Pageviews,Bounce Rate\r\nBlog,30,12.345\r\nabout,1000,55.5\r\n',
+			'top-pages_2020-09-01_2020-09-28.csv',
+			'text/csv;charset=utf-8'
+		);
+
+		fireEvent.click( getByText( 'JSON' ) );
+
+		expect( JSON.parse( downloadFile.mock.calls[ 1 ][ 0 ] ) ).toEqual( [
+			{ title: 'Blog', pageviews: 30, bounceRate: 12.345 },
+			{ title: 'about', pageviews: 1000, bounceRate: 55.5 },
+		] );
+		expect( downloadFile.mock.calls[ 1 ][ 1 ] ).toBe( 'top-pages_2020-09-01_2020-09-28.json' );
+	} );
+
+	it( 'names exports by the dates of reports with delayed data', () => {
+		const setupRegistry = ( registry ) => {
+			registry.dispatch( CORE_USER ).setReferenceDate( '2020-09-29' );
+		};
+		const { getByText } = render(
+			<DataTable
+				columns={ columns }
+				rows={ rows }
+				exportName="top-queries"
+				exportOffsetDays={ 3 }
+			/>,
+			{ setupRegistry }
+		);
+
+		fireEvent.click( getByText( 'CSV' ) );
+
+		expect( downloadFile ).toHaveBeenLastCalledWith( expect.any( String ), 'top-queries_2020-08-30_2020-09-26.csv', expect.any( String ) );
+	} );
+} );
@@ -37,6 +37,7 @@ import { getQueryParameter } from '../../util/standalone';
 import DashboardAuthAlert from '../notifications/dashboard-auth-alert';
 import DashboardPermissionAlert from '../notifications/dashboard-permission-alert';
 import { getCacheKey, getCache, setCache } from './cache';
+import { fetchWithRetryInfo, withRetry } from '../../googlesitekit/api/retry';
 import { TYPE_CORE, TYPE_MODULES } from './constants';
 import { invalidateCacheGroup } from './invalidate-cache-group';
 
@@ -171,10 +172,13 @@ const dataAPI = {
 		}
 
 		const datacache = null !== getQueryParameter( 'datacache' );
-		return apiFetch( {
+		// While sent via POST, the batch request only reads data, so it is safe to retry.
+		return withRetry( () => fetchWithRetryInfo( {
 			path: addQueryArgs( '/google-site-kit/v1/data/', { datacache: datacache || undefined } ),
 			data: { request: currentRequest },
 			method: 'POST',
+		} ), {
+			request: { datapoints: currentRequest.map( ( { key } ) => key ) },
 		} ).then( ( results ) => {
 			each( results, ( result, key ) => {
 				if ( ! keyIndexesMap[ key ] ) {
@@ -310,8 +314,10 @@ const dataAPI = {
 		}
 
 		// Make an API request to retrieve the results.
-		return apiFetch( {
+		return withRetry( () => fetchWithRetryInfo( {
 			path: addQueryArgs( `/google-site-kit/v1/${ type }/${ identifier }/data/${ datapoint }`, data ),
+		} ), {
+			request: { type, identifier, datapoint, queryParams: data },
 		} ).then( ( results ) => {
 			if ( ! nocache ) {
 				setCache( cacheKey, results );
@@ -1,132 +1,93 @@
 /**
  * WordPress dependencies
  */
-import { _n, sprintf } from '@wordpress/i18n';
-import { Component } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { useCallback } from '@wordpress/element';
 import {
 	addAction,
-	applyFilters,
 	removeAction,
-	removeFilter,
-	addFilter,
 	doAction,
 } from '@wordpress/hooks';
 
 /**
  * Internal dependencies
  */
+import Data from 'googlesitekit-data';
+import { STORE_NAME as CORE_USER } from '../googlesitekit/datastore/user/constants';
 import { Option, Select } from '../material-components';
-
-class DateRangeSelector extends Component {
-	constructor( props ) {
-		super( props );
-
-		// The date range is a filtered value.
-		this.dateRangeHook = 'googlesitekit.dateRange';
-
-		// The date range is altered when the selection changes with this hook.
-		this.dateRangeHandlerHook = 'googlesitekit.dateRageHandler';
-
-		// This hook is used to capture filter changes, forcing a component re-render.
-		this.dateRangeHookAddedHook = 'googlesitekit.dateRageHookAddedHandler';
-
-		this.state = {
-			context: 'Dashboard',
-			dateValue: applyFilters( this.dateRangeHook, 'last-28-days' ),
-		};
-
-		// Store the current context when the screen loads, so we can reuse it later.
-		addAction(
-			'googlesitekit.moduleLoaded',
-			'googlesitekit.collectModuleListingDataForDateRangeSelector',
-			( context ) => {
-				this.setState( { context } );
-				removeAction(
-					'googlesitekit.moduleLoaded',
-					'googlesitekit.collectModuleListingDataForDateRangeSelector'
-				);
-			}
-		);
-
-		this.handleSelection = this.handleSelection.bind( this );
-	}
-
-	componentDidMount() {
-		addAction(
-			'hookAdded',
-			this.dateRangeHookAddedHook,
-			( slug ) => {
-				if ( this.dateRangeHook === slug ) {
-					this.forceUpdate();
-				}
-			}
-		);
-	}
-
-	componentWillUnmount() {
+const { useSelect, useDispatch } = Data;
+
+// Store the current context when the screen loads, so we can reuse it later
+// to refresh legacy module data.
+let context = 'Dashboard';
+addAction(
+	'googlesitekit.moduleLoaded',
+	'googlesitekit.collectModuleListingDataForDateRangeSelector',
+	( moduleContext ) => {
+		context = moduleContext;
 		removeAction(
-			'hookAdded',
-			this.dateRangeHookAddedHook,
+			'googlesitekit.moduleLoaded',
+			'googlesitekit.collectModuleListingDataForDateRangeSelector'
 		);
 	}
+);
 
-	handleSelection( index, item ) {
-		const { context } = this.state;
-		const value = item.getAttribute( 'data-value' );
+function DateRangeSelector() {
+	const dateRange = useSelect( ( select ) => select( CORE_USER ).getDateRange() );
+	const dateRangeDates = useSelect( ( select ) => select( CORE_USER ).getDateRangeDates() );
+	const { setDateRange } = useDispatch( CORE_USER );
 
-		removeFilter( this.dateRangeHook, this.dateRangeHandlerHook );
-		addFilter(
-			this.dateRangeHook,
-			this.dateRangeHandlerHook,
-			() => {
-				return value;
-			}
-		);
+	const handleSelection = useCallback( ( index, item ) => {
+		setDateRange( item.getAttribute( 'data-value' ) );
 
-		// Trigger a data refresh.
+		// Trigger a data refresh for components still using the legacy dataAPI.
 		doAction( 'googlesitekit.moduleDataReset' );
 		doAction( 'googlesitekit.moduleLoaded', context );
 
-		// Update this component.
-		this.setState( {
-			dateValue: applyFilters( this.dateRangeHook, 'last-28-days' ),
-		} );
-
 		return false;
-	}
-
-	render() {
-		const { dateValue } = this.state;
-		const options = {
-			/* translators: %s: Number of days to request data. */
-			'last-7-days': sprintf( _n( 'Last %s day', 'Last %s days', 7, 'google-site-kit' ), 7 ),
-			/* translators: %s: Number of days to request data. */
-			'last-14-days': sprintf( _n( 'Last %s day', 'Last %s days', 14, 'google-site-kit' ), 14 ),
-			/* translators: %s: Number of days to request data. */
-			'last-28-days': sprintf( _n( 'Last %s day', 'Last %s days', 28, 'google-site-kit' ), 28 ),
-			/* translators: %s: Number of days to request data. */
-			'last-90-days': sprintf( _n( 'Last %s day', 'Last %s days', 90, 'google-site-kit' ), 90 ),
-		};
-
-		return (
-			<Select
-				enhanced
-				className="mdc-select--minimal"
-				name="time_period"
-				label=""
-				onEnhancedChange={ this.handleSelection }
-				value={ dateValue }
-			>
-				{ Object.keys( options ).map( ( option ) => {
-					return (
-						<Option key={ option } value={ option }>
-							{ options[ option ] }
-						</Option>
-					);
-				} ) }
-			</Select>
+	}, [ setDateRange ] );
+
+	const options = {
+		/* translators: %s: Number of days to request data. */
+		'last-7-days': sprintf( _n( 'Last %s day', 'Last %s days', 7, 'google-site-kit' ), 7 ),
+		/* translators: %s: Number of days to request data. */
+		'last-14-days': sprintf( _n( 'Last %s day', 'Last %s days', 14, 'google-site-kit' ), 14 ),
+		/* translators: %s: Number of days to request data. */
+		'last-28-days': sprintf( _n( 'Last %s day', 'Last %s days', 28, 'google-site-kit' ), 28 ),
+		/* translators: %s: Number of days to request data. */
+		'last-90-days': sprintf( _n( 'Last %s day', 'Last %s days', 90, 'google-site-kit' ), 90 ),
+		'this-month': __( 'This month', 'google-site-kit' ),
+		'last-month': __( 'Last month', 'google-site-kit' ),
+	};
+
+	// A custom range may have been set programmatically; make it selectable too.
+	if ( ! options[ dateRange ] ) {
+		options[ dateRange ] = sprintf(
+			/* translators: 1: Start date of the date range, 2: End date of the date range. */
+			__( '%1$s – %2$s', 'google-site-kit' ),
+			dateRangeDates.startDate,
+			dateRangeDates.endDate
 		);
 	}
+
+	return (
+		<Select
+			enhanced
+			className="mdc-select--minimal"
+			name="time_period"
+			label=""
+			onEnhancedChange={ handleSelection }
+			value={ dateRange }
+		>
+			{ Object.keys( options ).map( ( option ) => {
+				return (
+					<Option key={ option } value={ option }>
+						{ options[ option ] }
+					</Option>
+				);
+			} ) }
+		</Select>
+	);
 }
 
 export default DateRangeSelector;
@@ -0,0 +1,103 @@
+/**
+ * Block editor integration.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { render, unmountComponentAtNode } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import Root from '../root';
+import PostPerformance from './post-performance';
+
+export const PLUGIN_NAME = 'googlesitekit-post-performance';
+
+/**
+ * Renders the post performance into a DOM node.
+ *
+ * Site Kit bundles its own copy of React, so its components cannot be part
+ * of the block editor's element tree and are rendered into a separate root.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {HTMLElement} node DOM node to render into.
+ * @return {Function} Function to unmount the rendered tree.
+ */
+export const renderPostPerformance = ( node ) => {
+	render( <Root><PostPerformance /></Root>, node );
+
+	return () => unmountComponentAtNode( node );
+};
+
+/**
+ * Registers the post performance panel with the block editor.
+ *
+ * The panel is displayed in the document settings sidebar for published
+ * posts only, as there is no data for other posts.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object} [wp] Optional. The global `wp` object providing the block editor APIs. Default `global.wp`.
+ * @return {boolean} True if the panel was registered, false if the block editor APIs are unavailable.
+ */
+export const registerEditorPlugin = ( wp = global.wp ) => {
+	if ( ! wp?.plugins?.registerPlugin || ! wp?.editPost?.PluginDocumentSettingPanel ) {
+		return false;
+	}
+
+	const { createElement, useEffect, useRef } = wp.element;
+	const { useSelect } = wp.data;
+	const { PluginDocumentSettingPanel } = wp.editPost;
+
+	// These components are rendered by the block editor, so they must use its element API.
+	const PostPerformanceIsland = () => {
+		const ref = useRef();
+		useEffect( () => renderPostPerformance( ref.current ), [] );
+
+		return createElement( 'div', { ref } );
+	};
+
+	const PostPerformancePanel = () => {
+		const isPublished = useSelect( ( select ) => select( 'core/editor' ).isCurrentPostPublished() );
+
+		if ( ! isPublished ) {
+			return null;
+		}
+
+		return createElement(
+			PluginDocumentSettingPanel,
+			{
+				name: PLUGIN_NAME,
+				title: __( 'Site Kit performance', 'google-site-kit' ),
+				className: 'googlesitekit-plugin',
+			},
+			createElement( PostPerformanceIsland )
+		);
+	};
+
+	wp.plugins.registerPlugin( PLUGIN_NAME, {
+		render: PostPerformancePanel,
+		icon: null,
+	} );
+
+	return true;
+};
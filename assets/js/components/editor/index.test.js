@@ -0,0 +1,74 @@
+/**
+ * Block editor integration tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { registerEditorPlugin, PLUGIN_NAME } from './';
+
+const createWP = ( { isPublished = true } = {} ) => {
+	const createElement = jest.fn( ( type, props, ...children ) => ( { type, props, children } ) );
+
+	return {
+		element: {
+			createElement,
+			useEffect: jest.fn(),
+			useRef: jest.fn( () => ( {} ) ),
+		},
+		data: {
+			useSelect: ( mapSelect ) => mapSelect( () => ( {
+				isCurrentPostPublished: () => isPublished,
+			} ) ),
+		},
+		plugins: {
+			registerPlugin: jest.fn(),
+		},
+		editPost: {
+			PluginDocumentSettingPanel: () => null,
+		},
+	};
+};
+
+describe( 'registerEditorPlugin', () => {
+	it( 'does not register anything if the block editor APIs are unavailable', () => {
+		expect( registerEditorPlugin( {} ) ).toBe( false );
+		expect( registerEditorPlugin( { plugins: { registerPlugin: jest.fn() } } ) ).toBe( false );
+	} );
+
+	it( 'registers a plugin rendering a document settings panel', () => {
+		const wp = createWP();
+
+		expect( registerEditorPlugin( wp ) ).toBe( true );
+		expect( wp.plugins.registerPlugin ).toHaveBeenCalledTimes( 1 );
+
+		const [ name, { render } ] = wp.plugins.registerPlugin.mock.calls[ 0 ];
+		expect( name ).toBe( PLUGIN_NAME );
+
+		const panel = render();
+		expect( panel.type ).toBe( wp.editPost.PluginDocumentSettingPanel );
+		expect( panel.props ).toMatchObject( { name: PLUGIN_NAME, className: 'googlesitekit-plugin' } );
+	} );
+
+	it( 'renders nothing for posts that are not published', () => {
+		const wp = createWP( { isPublished: false } );
+		registerEditorPlugin( wp );
+
+		const [ , { render } ] = wp.plugins.registerPlugin.mock.calls[ 0 ];
+		expect( render() ).toBeNull();
+	} );
+} );
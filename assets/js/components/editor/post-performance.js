@@ -0,0 +1,234 @@
+/**
+ * PostPerformance component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _x } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME as CORE_SITE } from '../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_USER } from '../../googlesitekit/datastore/user/constants';
+import { STORE_NAME as CORE_MODULES } from '../../googlesitekit/modules/datastore/constants';
+import { STORE_NAME as MODULES_ANALYTICS } from '../../modules/analytics/datastore/constants';
+import { STORE_NAME as MODULES_SEARCH_CONSOLE } from '../../modules/search-console/datastore/constants';
+import { useAbortOnUnmount } from '../../googlesitekit/data/use-abort-on-unmount';
+import { numberFormat } from '../../util';
+import ProgressBar from '../progress-bar';
+import ErrorText from '../error-text';
+import Link from '../link';
+
+const { useSelect } = Data;
+
+// Number of top search queries to display.
+const TOP_QUERIES_LIMIT = 5;
+
+export const ANALYTICS_REPORT_OPTIONS = {
+	metrics: [
+		{
+			expression: 'ga:pageviews',
+			alias: 'Pageviews',
+		},
+		{
+			expression: 'ga:bounceRate',
+			alias: 'Bounce Rate',
+		},
+	],
+};
+
+/**
+ * Renders a list of stats.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object}         props       Component props.
+ * @param {Array.<Object>} props.stats Stats with `label` and `value`.
+ * @return {WPElement} Stats element.
+ */
+function Stats( { stats } ) {
+	return (
+		<dl className="googlesitekit-post-performance__stats">
+			{ stats.map( ( { label, value } ) => (
+				<div key={ label } className="googlesitekit-post-performance__stat">
+					<dt>{ label }</dt>
+					<dd>{ value }</dd>
+				</div>
+			) ) }
+		</dl>
+	);
+}
+
+/**
+ * Renders the Search Console performance of a URL.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} props     Component props.
+ * @param {string} props.url URL to display the performance for.
+ * @return {WPElement} Search Console performance element.
+ */
+function SearchConsolePerformance( { url } ) {
+	const dateRange = useSelect( ( select ) => select( CORE_USER ).getDateRange() );
+	const totalsOptions = { url, dateRange };
+	const topQueriesOptions = {
+		url,
+		dateRange,
+		dimensions: 'query',
+		limit: TOP_QUERIES_LIMIT,
+	};
+	// Stop loading the reports once the panel is closed or the date range changed.
+	useAbortOnUnmount( MODULES_SEARCH_CONSOLE, 'getReport', totalsOptions );
+	useAbortOnUnmount( MODULES_SEARCH_CONSOLE, 'getReport', topQueriesOptions );
+	const totals = useSelect( ( select ) => select( MODULES_SEARCH_CONSOLE ).getReport( totalsOptions ) );
+	const topQueries = useSelect( ( select ) => select( MODULES_SEARCH_CONSOLE ).getReport( topQueriesOptions ) );
+	const error = useSelect( ( select ) => {
+		return select( MODULES_SEARCH_CONSOLE ).getErrorForGetReport( totalsOptions ) ||
+			select( MODULES_SEARCH_CONSOLE ).getErrorForGetReport( topQueriesOptions );
+	} );
+
+	if ( error ) {
+		return <ErrorText message={ error.message } />;
+	}
+
+	if ( totals === undefined || topQueries === undefined ) {
+		return <ProgressBar small />;
+	}
+
+	const { clicks = 0, impressions = 0 } = totals[ 0 ] || {};
+
+	return (
+		<div className="googlesitekit-post-performance__section">
+			<h3 className="googlesitekit-post-performance__title">
+				{ _x( 'Search Console', 'Service name', 'google-site-kit' ) }
+			</h3>
+			<Stats
+				stats={ [
+					{ label: __( 'Clicks', 'google-site-kit' ), value: numberFormat( clicks ) },
+					{ label: __( 'Impressions', 'google-site-kit' ), value: numberFormat( impressions ) },
+				] }
+			/>
+			<h4 className="googlesitekit-post-performance__subtitle">
+				{ __( 'Top search queries', 'google-site-kit' ) }
+			</h4>
+			{ topQueries.length > 0 && (
+				<ol className="googlesitekit-post-performance__queries">
+					{ topQueries.map( ( { keys, clicks: queryClicks } ) => (
+						<li key={ keys[ 0 ] }>
+							<span className="googlesitekit-post-performance__query">{ keys[ 0 ] }</span>
+							{ ' ' }
+							<span className="googlesitekit-post-performance__query-clicks">
+								{ numberFormat( queryClicks ) }
+							</span>
+						</li>
+					) ) }
+				</ol>
+			) }
+			{ topQueries.length === 0 && (
+				<p>{ __( 'No search queries led to this post yet.', 'google-site-kit' ) }</p>
+			) }
+		</div>
+	);
+}
+
+/**
+ * Renders the Analytics performance of a URL.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} props     Component props.
+ * @param {string} props.url URL to display the performance for.
+ * @return {WPElement} Analytics performance element.
+ */
+function AnalyticsPerformance( { url } ) {
+	const dateRange = useSelect( ( select ) => select( CORE_USER ).getDateRange() );
+	const options = { ...ANALYTICS_REPORT_OPTIONS, url, dateRange };
+	useAbortOnUnmount( MODULES_ANALYTICS, 'getReport', options );
+	const report = useSelect( ( select ) => select( MODULES_ANALYTICS ).getReport( options ) );
+	const error = useSelect( ( select ) => select( MODULES_ANALYTICS ).getErrorForGetReport( options ) );
+
+	if ( error ) {
+		return <ErrorText message={ error.message } />;
+	}
+
+	if ( report === undefined ) {
+		return <ProgressBar small />;
+	}
+
+	const { totals = [] } = ( report[ 0 ] && report[ 0 ].data ) || {};
+	const [ pageviews = 0, bounceRate = 0 ] = totals[ 0 ] ? totals[ 0 ].values : [];
+
+	return (
+		<div className="googlesitekit-post-performance__section">
+			<h3 className="googlesitekit-post-performance__title">
+				{ _x( 'Analytics', 'Service name', 'google-site-kit' ) }
+			</h3>
+			<Stats
+				stats={ [
+					{ label: __( 'Pageviews', 'google-site-kit' ), value: numberFormat( pageviews ) },
+					{
+						label: __( 'Bounce Rate', 'google-site-kit' ),
+						value: numberFormat( bounceRate / 100, { style: 'percent', maximumFractionDigits: 1 } ),
+					},
+				] }
+			/>
+		</div>
+	);
+}
+
+/**
+ * Renders the performance of the current post in Search Console and Analytics.
+ *
+ * The stats cover the active date range, like the dashboard.
+ *
+ * @since n.e.x.t
+ *
+ * @return {WPElement} Post performance element.
+ */
+export default function PostPerformance() {
+	const url = useSelect( ( select ) => select( CORE_SITE ).getCurrentEntityURL() );
+	const analyticsActive = useSelect( ( select ) => select( CORE_MODULES ).isModuleActive( 'analytics' ) );
+	const detailsURL = useSelect( ( select ) => select( CORE_SITE ).getAdminURL( 'googlesitekit-dashboard', { permaLink: url } ) );
+
+	if ( url === undefined || analyticsActive === undefined ) {
+		return <ProgressBar small />;
+	}
+
+	if ( ! url ) {
+		return (
+			<p className="googlesitekit-post-performance">
+				{ __( 'Performance data is available once the post is published.', 'google-site-kit' ) }
+			</p>
+		);
+	}
+
+	return (
+		<div className="googlesitekit-post-performance">
+			<SearchConsolePerformance url={ url } />
+			{ analyticsActive && <AnalyticsPerformance url={ url } /> }
+			<Link href={ detailsURL } small>
+				{ __( 'View details in Site Kit', 'google-site-kit' ) }
+			</Link>
+		</div>
+	);
+}
@@ -0,0 +1,162 @@
+/**
+ * PostPerformance component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import PostPerformance, { ANALYTICS_REPORT_OPTIONS } from './post-performance';
+import { render, muteConsole, wait } from '../../../../tests/js/test-utils';
+import { STORE_NAME as CORE_SITE } from '../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_USER } from '../../googlesitekit/datastore/user/constants';
+import { STORE_NAME as CORE_MODULES } from '../../googlesitekit/modules/datastore/constants';
+import { STORE_NAME as MODULES_ANALYTICS } from '../../modules/analytics/datastore/constants';
+import { STORE_NAME as MODULES_SEARCH_CONSOLE } from '../../modules/search-console/datastore/constants';
+import modulesFixtures from '../../googlesitekit/modules/datastore/fixtures.json';
+
+const url = 'http://example.com/hello-world/';
+
+const searchConsoleTotals = [
+	{ clicks: 1234, impressions: 56789, ctr: 0.02, position: 12.3 },
+];
+const searchConsoleQueries = [
+	{ keys: [ 'hello world' ], clicks: 100, impressions: 1000, ctr: 0.1, position: 1.2 },
+	{ keys: [ 'site kit' ], clicks: 50, impressions: 2000, ctr: 0.025, position: 3.4 },
+];
+const analyticsReport = [
+	{
+		data: {
+			rows: [],
+			totals: [ { values: [ '4321', '56.25' ] } ],
+		},
+	},
+];
+
+const setupSiteInfo = ( { dispatch }, currentEntityURL = url ) => {
+	dispatch( CORE_SITE ).receiveSiteInfo( {
+		adminURL: 'http://example.com/wp-admin/',
+		referenceSiteURL: 'http://example.com',
+		currentEntityURL,
+	} );
+};
+
+const setupReports = ( { dispatch, select } ) => {
+	const dateRange = select( CORE_USER ).getDateRange();
+
+	dispatch( MODULES_SEARCH_CONSOLE ).receiveGetReport( searchConsoleTotals, { options: { url, dateRange } } );
+	dispatch( MODULES_SEARCH_CONSOLE ).receiveGetReport( searchConsoleQueries, { options: { url, dimensions: 'query', limit: 5, dateRange } } );
+	dispatch( MODULES_ANALYTICS ).receiveGetReport( analyticsReport, { options: { ...ANALYTICS_REPORT_OPTIONS, url, dateRange } } );
+};
+
+describe( 'PostPerformance', () => {
+	it( 'renders Search Console and Analytics stats for the current entity', () => {
+		const setupRegistry = ( registry ) => {
+			setupSiteInfo( registry );
+			registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+			setupReports( registry );
+		};
+		const { container, getByText } = render( <PostPerformance />, { setupRegistry } );
+
+		expect( getByText( '1,234' ) ).toBeInTheDocument();
+		expect( getByText( '56,789' ) ).toBeInTheDocument();
+		expect( getByText( 'hello world' ) ).toBeInTheDocument();
+		expect( getByText( 'site kit' ) ).toBeInTheDocument();
+		expect( getByText( '4,321' ) ).toBeInTheDocument();
+		expect( getByText( '56.3%' ) ).toBeInTheDocument();
+		expect( container.querySelector( 'a' ) ).toHaveAttribute(
+			'href',
+			`http://example.com/wp-admin/admin.php?page=googlesitekit-dashboard&permaLink=${ encodeURIComponent( url ) }`
+		);
+	} );
+
+	it( 'does not render Analytics stats if the module is not active', () => {
+		const setupRegistry = ( registry ) => {
+			setupSiteInfo( registry );
+			registry.dispatch( CORE_MODULES ).receiveGetModules(
+				modulesFixtures.map( ( module ) => ( { ...module, active: module.slug !== 'analytics' } ) )
+			);
+			setupReports( registry );
+		};
+		const { getByText, queryByText } = render( <PostPerformance />, { setupRegistry } );
+
+		expect( getByText( '1,234' ) ).toBeInTheDocument();
+		expect( queryByText( 'Pageviews' ) ).not.toBeInTheDocument();
+	} );
+
+	it( 'renders the error if the Analytics report could not be loaded', async () => {
+		const error = {
+			code: 'internal_server_error',
+			message: 'Internal server error',
+			data: { status: 500 },
+		};
+		fetchMock.getOnce(
+			/^\/google-site-kit\/v1\/modules\/analytics\/data\/report/,
+			{ body: error, status: 500 }
+		);
+
+		const setupRegistry = ( registry ) => {
+			setupSiteInfo( registry );
+			registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+			const dateRange = registry.select( CORE_USER ).getDateRange();
+			registry.dispatch( MODULES_SEARCH_CONSOLE ).receiveGetReport( searchConsoleTotals, { options: { url, dateRange } } );
+			registry.dispatch( MODULES_SEARCH_CONSOLE ).receiveGetReport( searchConsoleQueries, { options: { url, dimensions: 'query', limit: 5, dateRange } } );
+		};
+
+		muteConsole( 'error' );
+		const { getByText } = render( <PostPerformance />, { setupRegistry } );
+
+		await wait( () => expect( getByText( /Internal server error/ ) ).toBeInTheDocument() );
+		expect( getByText( '1,234' ) ).toBeInTheDocument();
+	} );
+
+	it( 'renders the error if a Search Console report could not be loaded', async () => {
+		const error = {
+			code: 'internal_server_error',
+			message: 'Internal server error',
+			data: { status: 500 },
+		};
+		// Both Search Console reports are requested in a single batch request.
+		fetchMock.postOnce(
+			/^\/google-site-kit\/v1\/data\//,
+			{ body: error, status: 500 }
+		);
+
+		const setupRegistry = ( registry ) => {
+			setupSiteInfo( registry );
+			registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+			const dateRange = registry.select( CORE_USER ).getDateRange();
+			registry.dispatch( MODULES_ANALYTICS ).receiveGetReport( analyticsReport, { options: { ...ANALYTICS_REPORT_OPTIONS, url, dateRange } } );
+		};
+
+		muteConsole( 'error' );
+		const { getByText, queryByText } = render( <PostPerformance />, { setupRegistry } );
+
+		await wait( () => expect( getByText( /Internal server error/ ) ).toBeInTheDocument() );
+		expect( queryByText( 'Top search queries' ) ).not.toBeInTheDocument();
+		expect( getByText( '4,321' ) ).toBeInTheDocument();
+	} );
+
+	it( 'renders a notice if there is no URL for the current entity', () => {
+		const setupRegistry = ( registry ) => {
+			setupSiteInfo( registry, null );
+			registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+		};
+		const { getByText } = render( <PostPerformance />, { setupRegistry } );
+
+		expect( getByText( /available once the post is published/i ) ).toBeInTheDocument();
+	} );
+} );
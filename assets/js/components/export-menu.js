@@ -0,0 +1,113 @@
+/**
+ * ExportMenu component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME as CORE_USER } from '../googlesitekit/datastore/user/constants';
+import { DEFAULT_DATE_RANGE_OFFSET_DAYS } from '../util/date-range';
+import { downloadFile, getExportFileName, toCSV, toJSON } from '../util/export';
+import Link from './link';
+
+const { useSelect } = Data;
+
+const FORMATS = {
+	csv: {
+		label: __( 'CSV', 'google-site-kit' ),
+		type: 'text/csv;charset=utf-8',
+		// The byte order mark makes spreadsheet applications detect UTF-8.
+		convert: ( columns, rows ) => '\uFEFF' + toCSV( columns, rows ),
+	},
+	json: {
+		label: __( 'JSON', 'google-site-kit' ),
+		type: 'application/json;charset=utf-8',
+		convert: toJSON,
+	},
+};
+
+/**
+ * Renders links to export tabular data as CSV or JSON.
+ *
+ * The data is only retrieved once a link is clicked, and the exported file
+ * name includes the dates of the active date range.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}   props              Component props.
+ * @param {string}   props.name         Base name of the exported files, e.g. the title of the table.
+ * @param {Function} props.getData      Function returning an object with `columns` and `rows` to export, see
+ *                                      `toCSV()`.
+ * @param {number}   [props.offsetDays] Optional. Number of days the exported report ends before the reference
+ *                                      date, see `getDateRangeDates()`. Default `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @return {WPElement} Export links.
+ */
+export default function ExportMenu( { name, getData, offsetDays } ) {
+	// Select the dates separately, as strings are stable across renders unlike a new object.
+	const startDate = useSelect( ( select ) => select( CORE_USER ).getDateRangeDates( { offsetDays } ).startDate );
+	const endDate = useSelect( ( select ) => select( CORE_USER ).getDateRangeDates( { offsetDays } ).endDate );
+
+	const onExport = ( format ) => {
+		const { columns, rows } = getData();
+		const { type, convert } = FORMATS[ format ];
+
+		downloadFile(
+			convert( columns, rows ),
+			getExportFileName( name, { startDate, endDate }, format ),
+			type
+		);
+	};
+
+	return (
+		<div className="googlesitekit-export-menu">
+			<span className="googlesitekit-export-menu__label">
+				{ __( 'Export:', 'google-site-kit' ) }
+			</span>
+			{ Object.keys( FORMATS ).map( ( format ) => (
+				<Link
+					key={ format }
+					className="googlesitekit-export-menu__link"
+					onClick={ () => onExport( format ) }
+					small
+				>
+					{ FORMATS[ format ].label }
+				</Link>
+			) ) }
+		</div>
+	);
+}
+
+ExportMenu.propTypes = {
+	name: PropTypes.string.isRequired,
+	getData: PropTypes.func.isRequired,
+	offsetDays: PropTypes.number,
+};
+
+ExportMenu.defaultProps = {
+	offsetDays: DEFAULT_DATE_RANGE_OFFSET_DAYS,
+};
@@ -26,12 +26,23 @@ import PropTypes from 'prop-types';
  */
 import { __ } from '@wordpress/i18n';
 import { Component, createRef } from '@wordpress/element';
-import { debounce } from 'lodash';
+import { debounce, isEqual } from 'lodash';
 
 /**
  * Internal dependencies
  */
 import ProgressBar from './progress-bar';
+import ExportMenu from './export-menu';
+import { getChartExportData } from '../util/export';
+
+// Google Charts classes to draw the supported chart types with.
+const GOOGLE_CHART_CLASSES = {
+	line: 'LineChart',
+	area: 'AreaChart',
+	bar: 'ColumnChart',
+	pie: 'PieChart',
+	sparkline: 'LineChart',
+};
 
 let chartLoadPromise;
 
@@ -75,6 +86,7 @@ class GoogleChart extends Component {
 		this.prepareChart = this.prepareChart.bind( this );
 		this.drawChart = this.drawChart.bind( this );
 		this.updateChart = this.updateChart.bind( this );
+		this.getExportData = this.getExportData.bind( this );
 		this.chartRef = createRef();
 		this.resize = debounce( this.drawChart, 100 );
 	}
@@ -96,7 +108,14 @@ class GoogleChart extends Component {
 	}
 
 	componentDidUpdate( prevProps ) {
-		const { selectedStats } = this.props;
+		const { selectedStats, data, options } = this.props;
+		const { loading } = this.state;
+
+		// Redraw if the data or options changed, e.g. when toggling the comparison with the previous period.
+		if ( ! loading && ( ! isEqual( data, prevProps.data ) || ! isEqual( options, prevProps.options ) ) ) {
+			this.drawChart();
+			return;
+		}
 
 		if ( 0 !== selectedStats.length && JSON.stringify( selectedStats ) !== JSON.stringify( prevProps.selectedStats ) ) {
 			this.updateChart();
@@ -128,7 +147,8 @@ class GoogleChart extends Component {
 		}
 
 		const { chartType } = this.props;
-		const googleChart = 'pie' === chartType ? new global.google.visualization.PieChart( element ) : new global.google.visualization.LineChart( element );
+		const ChartClass = global.google.visualization[ GOOGLE_CHART_CLASSES[ chartType ] || GOOGLE_CHART_CLASSES.line ];
+		const googleChart = new ChartClass( element );
 
 		this.setState( { chart: googleChart } );
 	}
@@ -176,9 +196,23 @@ class GoogleChart extends Component {
 		chart.draw( view, options );
 	}
 
+	getExportData() {
+		const { data, selectedStats, singleStat } = this.props;
+
+		// Only export the series which are displayed, see `updateChart()`.
+		if ( ! singleStat && 0 !== selectedStats.length ) {
+			const columns = [ 0, ...selectedStats.map( ( stat ) => stat + 1 ) ];
+			return getChartExportData( data.map( ( row ) => columns.map( ( column ) => row[ column ] ) ) );
+		}
+
+		return getChartExportData( data );
+	}
+
 	render() {
 		const { loading } = this.state;
 		const {
+			exportName,
+			exportOffsetDays,
 			className,
 			loadSmall,
 			loadCompressed,
@@ -204,6 +238,9 @@ class GoogleChart extends Component {
 						</div> }
 					</div>
 				</div>
+				{ exportName && ! loading &&
+					<ExportMenu name={ exportName } getData={ this.getExportData } offsetDays={ exportOffsetDays } />
+				}
 			</div>
 		);
 	}
@@ -212,8 +249,11 @@ class GoogleChart extends Component {
 GoogleChart.propTypes = {
 	selectedStats: PropTypes.array,
 	options: PropTypes.object.isRequired,
+	chartType: PropTypes.oneOf( Object.keys( GOOGLE_CHART_CLASSES ) ),
 	id: PropTypes.string,
 	singleStat: PropTypes.bool,
+	exportName: PropTypes.string,
+	exportOffsetDays: PropTypes.number,
 	className: PropTypes.string,
 	loadSmall: PropTypes.bool,
 	loadCompressed: PropTypes.bool,
@@ -223,8 +263,10 @@ GoogleChart.propTypes = {
 
 GoogleChart.defaultProps = {
 	selectedStats: [],
+	chartType: 'line',
 	id: '',
 	singleStat: true,
+	exportName: '',
 	className: '',
 	loadSmall: false,
 	loadCompressed: false,
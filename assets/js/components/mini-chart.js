@@ -24,7 +24,7 @@ import { Component } from '@wordpress/element';
 /**
  * Internal dependencies
  */
-import GoogleChart from './google-chart';
+import Chart from './chart';
 import { colors } from './colors';
 
 class MiniChart extends Component {
@@ -32,28 +32,8 @@ class MiniChart extends Component {
 		const { index, percent } = this.props;
 
 		const options = {
-			backgroundColor: 'transparent',
-			chartArea: {
-				width: '100%',
-				height: '100%',
-			},
-			enableInteractivity: false,
+			colors: [ colors[ index ], '#e6e6e6' ],
 			height: 28,
-			legend: {
-				position: 'none',
-			},
-			slices: {
-				0: {
-					color: colors[ index ],
-				},
-				1: {
-					color: '#e6e6e6',
-				},
-			},
-			title: null,
-			tooltip: {
-				trigger: 'none',
-			},
 			width: 28,
 		};
 
@@ -65,10 +45,10 @@ class MiniChart extends Component {
 
 		return (
 			<div className="googlesitekit-mini-chart">
-				<GoogleChart
+				<Chart
+					type="pie"
 					data={ data }
 					options={ options }
-					chartType="pie"
 					loadSmall
 					loadCompressed
 					loadHeight={ 24 }
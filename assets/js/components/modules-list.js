@@ -39,6 +39,7 @@ import {
 	getModulesData,
 } from '../util';
 import { refreshAuthentication } from '../util/refresh-authentication';
+import { navigateTo } from '../util/navigation';
 import Link from './link';
 import data from '../components/data';
 import GenericError from './notifications/generic-error';
@@ -64,7 +65,7 @@ class ModulesList extends Component {
 			await refreshAuthentication();
 
 			// Redirect to ReAuthentication URL
-			global.location = getReAuthURL( slug, true );
+			navigateTo( getReAuthURL( slug, true ) );
 		} catch ( err ) {
 			showErrorNotification( GenericError, {
 				id: 'setup-module-error',
@@ -26,6 +26,7 @@ import { __, sprintf } from '@wordpress/i18n';
  * Internal dependencies
  */
 import { getReAuthURL, getModulesData } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import CTA from './cta';
 import ctaWrapper from './cta-wrapper';
 
@@ -50,7 +51,7 @@ const getSetupIncompleteComponent = ( module, inGrid = false, fullWidth = false,
 		description={ sprintf( __( '%s module needs to be configured', 'google-site-kit' ), name ) }
 		ctaLabel={ __( 'Complete activation', 'google-site-kit' ) }
 		onClick={ () => {
-			global.location = getReAuthURL( module, true );
+			navigateTo( getReAuthURL( module, true ) );
 		} }
 	/>;
 
@@ -30,6 +30,7 @@ import { STORE_NAME as CORE_USER } from '../../googlesitekit/datastore/user';
 import Dialog from '../dialog';
 import Modal from '../modal';
 import { snapshotAllStores } from '../../googlesitekit/data/create-snapshot-store';
+import { navigateTo } from '../../util/navigation';
 
 const { useSelect, useDispatch, useRegistry } = Data;
 
@@ -53,7 +54,7 @@ const PermissionsModal = () => {
 		// authorization page, do that first.
 		await snapshotAllStores( registry );
 
-		global.location.assign( connectURL );
+		navigateTo( connectURL );
 	}, [ registry, connectURL ] );
 
 	useEffect( () => {
@@ -28,6 +28,7 @@ import Data from 'googlesitekit-data';
 import ErrorHandler from '../ErrorHandler';
 import PermissionsModal from '../permissions-modal';
 import RestoreSnapshots from '../restore-snapshots';
+import UnsavedChangesGuard from '../unsaved-changes-guard';
 import CollectModuleData from '../data/collect-module-data';
 
 export default function Root( {
@@ -48,6 +49,7 @@ export default function Root( {
 					) }
 				</RestoreSnapshots>
 				<PermissionsModal />
+				<UnsavedChangesGuard />
 			</ErrorHandler>
 		</Data.RegistryProvider>
 	);
@@ -29,6 +29,7 @@ import { __ } from '@wordpress/i18n';
 import {
 	getReAuthURL,
 } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import Link from '../link';
 import ModuleSettingsWarning from '../notifications/module-settings-warning';
 
@@ -45,7 +46,7 @@ class ModuleSetupIncomplete extends Component {
 				<Link
 					className="googlesitekit-settings-module__edit-button"
 					onClick={ () => {
-						global.location = getReAuthURL( slug, true );
+						navigateTo( getReAuthURL( slug, true ) );
 					} }
 					inherit
 				>
@@ -43,6 +43,7 @@ import {
 	getModulesData,
 } from '../../util';
 import { refreshAuthentication } from '../../util/refresh-authentication';
+import { navigateTo } from '../../util/navigation';
 import Link from '../../components/link';
 import Button from '../../components/button';
 import data, { TYPE_MODULES } from '../../components/data';
@@ -106,7 +107,7 @@ class SettingsModule extends Component {
 				active: newActiveState,
 			} );
 
-			global.location = getReAuthURL( this.props.slug, false );
+			navigateTo( getReAuthURL( this.props.slug, false ) );
 		} catch ( err ) {
 			showErrorNotification( GenericError, {
 				id: 'activate-module-error',
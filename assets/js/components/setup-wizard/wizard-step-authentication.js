@@ -31,6 +31,7 @@ import { Component } from '@wordpress/element';
  * Internal dependencies
  */
 import { trackEvent } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import Button from '../button';
 import Link from '../link';
 import OptIn from '../optin';
@@ -71,7 +72,7 @@ class WizardStepAuthentication extends Component {
 								<Button
 									onClick={ async () => {
 										await trackEvent( 'plugin_setup', 'signin_with_google' );
-										document.location = connectURL;
+										navigateTo( connectURL );
 									} }
 								>
 									{ __( 'Sign in with Google', 'google-site-kit' ) }
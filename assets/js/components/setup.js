@@ -35,6 +35,7 @@ import Button from '../components/button';
 import Layout from '../components/layout/layout';
 import data, { TYPE_CORE } from '../components/data';
 import { trackEvent, clearWebStorage, getSiteKitAdminURL } from '../util';
+import { navigateTo } from '../util/navigation';
 import STEPS from '../components/setup-wizard/wizard-steps';
 import WizardProgressStep from '../components/setup-wizard/wizard-progress-step';
 
@@ -277,7 +278,7 @@ class Setup extends Component {
 																href="#"
 																onClick={ async () => {
 																	await trackEvent( 'plugin_setup', 'signin_with_google' );
-																	document.location = connectURL;
+																	navigateTo( connectURL );
 																} }
 															>{ __( 'Sign in with Google', 'google-site-kit' ) }</Button>
 														</div>
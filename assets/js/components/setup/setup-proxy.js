@@ -32,6 +32,7 @@ import { getQueryArg } from '@wordpress/url';
  * Internal dependencies
  */
 import { trackEvent, getSiteKitAdminURL } from '../../util';
+import { navigateTo } from '../../util/navigation';
 import Header from '../header';
 import Button from '../button';
 import ResetButton from '../reset-button';
@@ -120,7 +121,7 @@ class SetupUsingProxy extends Component {
 		const onButtonClick = async ( event ) => {
 			event.preventDefault();
 			await trackEvent( 'plugin_setup', 'proxy_start_setup_landing_page' );
-			global.location.assign( proxySetupURL );
+			navigateTo( proxySetupURL );
 		};
 
 		return (
@@ -30,7 +30,7 @@ import { Component } from '@wordpress/element';
 /**
  * Internal dependencies
  */
-import GoogleChart from './google-chart';
+import Chart from './chart';
 
 class Sparkline extends Component {
 	render() {
@@ -53,35 +53,16 @@ class Sparkline extends Component {
 		const negativeColor = ! invertChangeColor ? 'red' : 'green';
 
 		const chartOptions = {
-			title: '',
-			backgroundColor: 'transparent',
-			curveType: 'line',
-			width: '100%',
-			height: '50',
-			enableInteractivity: false,
-			chartArea: {
-				height: '100%',
-				width: '100%',
-			},
-			legend: { position: 'none' },
-			axisFontSize: 0,
-			hAxis: {
-				baselineColor: 'none',
-				ticks: [],
-			},
-			vAxis: {
-				baselineColor: 'none',
-				ticks: [],
-			},
-			axes: [],
 			colors: [
 				0 <= ( parseFloat( change ) || 0 ) ? positiveColor : negativeColor,
 			],
+			height: 50,
 		};
 
 		return (
 			<div className="googlesitekit-analytics-sparkline-chart-wrap">
-				<GoogleChart
+				<Chart
+					type="sparkline"
 					data={ data }
 					options={ chartOptions }
 					id={ `googlesitekit-sparkline-${ instanceId }` }
@@ -0,0 +1,73 @@
+/**
+ * UnsavedChangesGuard component.
+ *
+ *
+ * Site Kit by Google, Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { useEffect } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME as CORE_FORMS } from '../googlesitekit/datastore/forms';
+import { isNavigating } from '../util/navigation';
+const { useSelect } = Data;
+
+/**
+ * Asks for confirmation before leaving the page while any form has unsaved changes.
+ *
+ * Navigations through `navigateTo`, e.g. redirects to authorization or setup
+ * pages, are intentional and thus not confirmed.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @return {null} Renders nothing.
+ */
+export default function UnsavedChangesGuard() {
+	const hasDirtyForms = useSelect( ( select ) => select( CORE_FORMS ).getDirtyFormNames().length > 0 );
+
+	useEffect( () => {
+		if ( ! hasDirtyForms ) {
+			return;
+		}
+
+		const onBeforeUnload = ( event ) => {
+			if ( isNavigating() ) {
+				return;
+			}
+
+			const message = __( 'You have unsaved changes. Are you sure you want to leave?', 'google-site-kit' );
+
+			// Browsers show their own message, but require the return value to be set.
+			event.preventDefault();
+			event.returnValue = message;
+
+			return message;
+		};
+
+		global.addEventListener( 'beforeunload', onBeforeUnload );
+
+		return () => global.removeEventListener( 'beforeunload', onBeforeUnload );
+	}, [ hasDirtyForms ] );
+
+	return null;
+}
@@ -0,0 +1,69 @@
+/**
+ * UnsavedChangesGuard component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import UnsavedChangesGuard from './unsaved-changes-guard';
+import { render, act } from '../../../tests/js/test-utils';
+import { STORE_NAME as CORE_FORMS } from '../googlesitekit/datastore/forms/constants';
+import { navigateTo } from '../util/navigation';
+
+const leavePage = () => {
+	const event = new global.Event( 'beforeunload', { cancelable: true } );
+	global.dispatchEvent( event );
+	return event;
+};
+
+describe( 'UnsavedChangesGuard', () => {
+	let registry;
+
+	beforeEach( async () => {
+		( { registry } = render( <UnsavedChangesGuard /> ) );
+
+		await act( () => registry.dispatch( CORE_FORMS ).initForm( 'form-name', { key: 'initial' } ) );
+	} );
+
+	it( 'does not ask for confirmation if there are no unsaved changes', () => {
+		expect( leavePage().defaultPrevented ).toBe( false );
+	} );
+
+	it( 'asks for confirmation if a form has unsaved changes', () => {
+		act( () => {
+			registry.dispatch( CORE_FORMS ).setValues( 'form-name', { key: 'changed' } );
+		} );
+
+		expect( leavePage().defaultPrevented ).toBe( true );
+	} );
+
+	it( 'does not ask for confirmation when navigating on purpose', () => {
+		const { location } = global;
+		delete global.location;
+		global.location = { assign: jest.fn() };
+
+		act( () => {
+			registry.dispatch( CORE_FORMS ).setValues( 'form-name', { key: 'changed' } );
+		} );
+		navigateTo( 'http://example.com/authorize' );
+
+		expect( global.location.assign ).toHaveBeenCalledWith( 'http://example.com/authorize' );
+		expect( leavePage().defaultPrevented ).toBe( false );
+
+		global.location = location;
+	} );
+} );
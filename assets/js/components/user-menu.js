@@ -26,6 +26,7 @@ import { __ } from '@wordpress/i18n';
  * Internal dependencies
  */
 import { getSiteKitAdminURL, clearWebStorage } from '../util';
+import { navigateTo } from '../util/navigation';
 import Dialog from './dialog';
 import Button from './button';
 import Menu from './menu';
@@ -95,7 +96,7 @@ class UserMenu extends Component {
 					this.handleDialog();
 					break;
 				case 1:
-					global.location.assign( proxyPermissionsURL );
+					navigateTo( proxyPermissionsURL );
 					break;
 				default:
 					this.handleMenu();
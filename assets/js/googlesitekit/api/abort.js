@@ -0,0 +1,94 @@
+/**
+ * Cancellation of API requests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Error code of errors for aborted requests.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const ABORT_ERROR_CODE = 'fetch_abort';
+
+/**
+ * Creates the error an aborted request rejects with.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @return {Object} Error object.
+ */
+export const createAbortError = () => ( {
+	code: ABORT_ERROR_CODE,
+	message: __( 'The request was aborted.', 'google-site-kit' ),
+} );
+
+/**
+ * Checks whether an error is caused by an aborted request.
+ *
+ * Aborted requests are expected, e.g. when a request is superseded by a newer
+ * one, so they should not be surfaced as errors.
+ *
+ * @since n.e.x.t
+ *
+ * @param {*} error Error a request rejected with.
+ * @return {boolean} `true` if the request was aborted, otherwise `false`.
+ */
+export const isAbortError = ( error ) => {
+	return !! error && error.code === ABORT_ERROR_CODE;
+};
+
+/**
+ * Makes a promise reject as soon as the given signal is aborted.
+ *
+ * The original promise is not affected, so this is useful to let a single
+ * caller stop waiting for a request that is shared with other callers.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Promise}     promise  Promise to wrap.
+ * @param {AbortSignal} [signal] Optional. Signal to abort waiting for the promise.
+ * @return {Promise} Promise settling like the given promise, or rejecting once the signal is aborted.
+ */
+export const raceAbort = ( promise, signal ) => {
+	if ( ! signal ) {
+		return promise;
+	}
+
+	if ( signal.aborted ) {
+		return Promise.reject( createAbortError() );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const onAbort = () => reject( createAbortError() );
+		signal.addEventListener( 'abort', onAbort );
+
+		promise.then( ( response ) => {
+			signal.removeEventListener( 'abort', onAbort );
+			resolve( response );
+		}, ( error ) => {
+			signal.removeEventListener( 'abort', onAbort );
+			reject( error );
+		} );
+	} );
+};
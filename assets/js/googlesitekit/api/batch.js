@@ -0,0 +1,200 @@
+/**
+ * Batching of GET requests for the API.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { addQueryArgs } from '@wordpress/url';
+
+/**
+ * Internal dependencies
+ */
+import { createAbortError } from './abort';
+import { fetchWithRetryInfo } from './retry';
+
+/**
+ * Maximum number of datapoints to request in a single batch request.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const MAX_REQUESTS_PER_BATCH = 10;
+
+let queue = [];
+let isFlushScheduled = false;
+
+/**
+ * Checks whether a batch response item is a serialized WP_Error.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} response Response item for a single request.
+ * @return {boolean} `true` if the response is an error, otherwise `false`.
+ */
+const isWPError = ( response ) => {
+	return !! response && typeof response === 'object' &&
+		[ 'code', 'data', 'message' ].every( ( key ) => response.hasOwnProperty( key ) );
+};
+
+/**
+ * Sends a single queued request to its own REST endpoint.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} entry Queued request entry.
+ */
+const sendRequest = async ( { request, signal, resolve, reject } ) => {
+	const { type, identifier, datapoint, data } = request;
+
+	try {
+		resolve( await fetchWithRetryInfo( {
+			method: 'GET',
+			path: addQueryArgs(
+				`/google-site-kit/v1/${ type }/${ identifier }/data/${ datapoint }`,
+				data
+			),
+			signal,
+		} ) );
+	} catch ( error ) {
+		reject( error );
+	}
+};
+
+/**
+ * Sends multiple queued requests to the batch REST endpoint.
+ *
+ * The endpoint returns an object with responses keyed by request key.
+ * Errors for individual requests are returned as serialized WP_Error
+ * objects, which are passed on to the respective callers as rejections.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Array.<Object>} entries Queued request entries.
+ */
+const sendBatchRequest = async ( entries ) => {
+	let responses;
+	try {
+		responses = await fetchWithRetryInfo( {
+			method: 'POST',
+			path: '/google-site-kit/v1/data/',
+			data: {
+				request: entries.map( ( { request } ) => request ),
+			},
+		} );
+	} catch ( error ) {
+		entries.forEach( ( { reject } ) => reject( error ) );
+		return;
+	}
+
+	entries.forEach( ( entry ) => {
+		const { request, resolve, reject } = entry;
+
+		// The batch endpoint responds to every request, including those it
+		// cannot batch, e.g. for inactive modules. Should a response still be
+		// missing, e.g. from an outdated server, request it individually.
+		if ( ! responses || ! responses.hasOwnProperty( request.key ) ) {
+			sendRequest( entry );
+			return;
+		}
+
+		const response = responses[ request.key ];
+		if ( isWPError( response ) ) {
+			reject( response );
+		} else {
+			resolve( response );
+		}
+	} );
+};
+
+/**
+ * Sends all requests queued in the current tick.
+ *
+ * A lone request is sent to its own endpoint, as batching it would not save
+ * anything. Everything else is split into batches of at most
+ * `MAX_REQUESTS_PER_BATCH` requests. Requests aborted in the meantime are
+ * not sent at all.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+const flushQueue = () => {
+	const entries = queue.filter( ( { signal, reject } ) => {
+		if ( signal?.aborted ) {
+			reject( createAbortError() );
+			return false;
+		}
+		return true;
+	} );
+	queue = [];
+	isFlushScheduled = false;
+
+	for ( let i = 0; i < entries.length; i += MAX_REQUESTS_PER_BATCH ) {
+		const batch = entries.slice( i, i + MAX_REQUESTS_PER_BATCH );
+
+		if ( batch.length === 1 ) {
+			sendRequest( batch[ 0 ] );
+		} else {
+			sendBatchRequest( batch );
+		}
+	}
+};
+
+/**
+ * Queues a GET request for a module datapoint to be sent as part of a batch.
+ *
+ * All requests queued in the same tick are combined into as few requests to
+ * the batch REST endpoint as possible. Callers must make sure to only queue
+ * one request per key at a time.
+ *
+ * A request that is aborted before being sent is dropped. Once sent, the
+ * signal only aborts requests sent on their own, as a batch request also
+ * serves other requests.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object}      request            Request to queue.
+ * @param {string}      request.key        Unique key for the request, used to match its response.
+ * @param {string}      request.type       The data to access. Only 'modules' is supported by the batch endpoint.
+ * @param {string}      request.identifier The data identifier, eg. a module slug like `'search-console'`.
+ * @param {string}      request.datapoint  The endpoint to request data from.
+ * @param {Object}      request.data       Query params to send with the request.
+ * @param {AbortSignal} [signal]           Optional. Signal to abort the request.
+ * @return {Promise} Promise resolving to the response for the request.
+ */
+export const enqueueRequest = ( { key, type, identifier, datapoint, data = {} }, signal ) => {
+	return new Promise( ( resolve, reject ) => {
+		queue.push( {
+			request: { key, type, identifier, datapoint, data },
+			signal,
+			resolve,
+			reject,
+		} );
+
+		// Flush at the end of the current tick, once all synchronous code
+		// (e.g. rendering a screen and its resolvers) has had a chance to
+		// queue its requests.
+		if ( ! isFlushScheduled ) {
+			isFlushScheduled = true;
+			Promise.resolve().then( flushQueue );
+		}
+	} );
+};
@@ -16,6 +16,16 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+
+/**
+ * Internal dependencies
+ */
+import indexedDBStorage from './indexeddb-storage';
+
 /**
  * Prefix used for all Site Kit keys.
  *
@@ -26,20 +36,63 @@
  */
 export const STORAGE_KEY_PREFIX = 'googlesitekit_';
 
+/**
+ * Default maximum size of all Site Kit cache entries, in bytes.
+ *
+ * Browsers usually allow 5 MB per origin, which is shared with everything
+ * else on the site, so Site Kit only uses a part of it.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const DEFAULT_CACHE_BYTE_LIMIT = 2 * 1024 * 1024;
+
+// IndexedDB is only used if preferred, see `getPreferredStorageType`.
 const defaultOrder = [ 'localStorage', 'sessionStorage' ];
 let storageBackend;
-let storageOrder = [ ...defaultOrder	];
+let selectedStorageType;
+let storageOrder = [ ...defaultOrder ];
+let cacheByteLimit = DEFAULT_CACHE_BYTE_LIMIT;
+
+// Order in which entries were last read or written during this page load,
+// keyed by storage key. Used to find the least recently used entries.
+let lastAccess = {};
+let accessCount = 0;
+
+// Sizes of the Site Kit entries of every string-based storage, keyed by
+// storage key. Kept up to date as entries are written and removed, so that
+// the total size is known without reading every entry.
+const entrySizes = new WeakMap();
+
+const cacheStats = {
+	hits: 0,
+	misses: 0,
+	evictions: 0,
+};
+
 /**
  * Overrides the storage backend.
  *
  * Largely used for tests. Should not be used directly.
  *
+ * A browser storage selected by name is only used if it is available;
+ * otherwise the first available storage of the storage order is used.
+ *
  * @since 1.5.0
+ * @since n.e.x.t Accepts the name of a browser storage, e.g. `'indexedDB'`.
  * @private
  *
- * @param {*} backend Backend to set for the cache.
+ * @param {*} backend Backend to set for the cache, or the name of a browser storage.
  */
 export const setSelectedStorageBackend = ( backend ) => {
+	if ( typeof backend === 'string' ) {
+		// Availability can only be checked asynchronously, so it is left to `getStorage`.
+		selectedStorageType = backend;
+		storageBackend = undefined;
+		return;
+	}
+
+	selectedStorageType = undefined;
 	storageBackend = backend;
 };
 
@@ -75,17 +128,34 @@ export const resetDefaultStorageOrder = () => {
 	setSelectedStorageBackend( undefined );
 };
 
+/**
+ * Gets the storage object for the given type of browser storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} type Browser storage. One of `indexedDB`, `localStorage` or `sessionStorage`.
+ * @return {Object|undefined} Storage object, or `undefined` if not supported.
+ */
+const getStorageForType = ( type ) => {
+	if ( type === 'indexedDB' ) {
+		return global.indexedDB ? indexedDBStorage : undefined;
+	}
+
+	return global[ type ];
+};
+
 /**
  * Detects whether browser storage is both supported and available.
  *
  * @since 1.5.0
  * @private
  *
- * @param {string} type Browser storage to test. Should be one of `localStorage` or `sessionStorage`.
+ * @param {string} type Browser storage to test. Should be one of `indexedDB`, `localStorage` or `sessionStorage`.
  * @return {boolean} True if the given storage is available, false otherwise.
  */
 export const isStorageAvailable = async ( type ) => {
-	const storage = global[ type ];
+	const storage = getStorageForType( type );
 
 	if ( ! storage ) {
 		return false;
@@ -94,28 +164,55 @@ export const isStorageAvailable = async ( type ) => {
 	try {
 		const x = '__storage_test__';
 
-		storage.setItem( x, x );
-		storage.removeItem( x );
+		await storage.setItem( x, x );
+		await storage.removeItem( x );
 		return true;
 	} catch ( e ) {
-		return e instanceof DOMException && (
+		// acknowledge QuotaExceededError only if there's something already stored
+		return isQuotaExceededError( e ) && 0 !== ( await getStorageKeys( storage ) ).length;
+	}
+};
 
-			// everything except Firefox
-			22 === e.code ||
+/**
+ * Checks whether the given error was caused by exceeding the storage quota.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} error Error thrown by a storage operation.
+ * @return {boolean} True if the error is a quota error, false otherwise.
+ */
+export const isQuotaExceededError = ( error ) => {
+	return error instanceof DOMException && (
 
-			// Firefox
-			1014 === e.code ||
+		// everything except Firefox
+		22 === error.code ||
 
-			// test name field too, because code might not be present
-			// everything except Firefox
-			'QuotaExceededError' === e.name ||
+		// Firefox
+		1014 === error.code ||
 
-			// Firefox
-			'NS_ERROR_DOM_QUOTA_REACHED' === e.name ) &&
+		// test name field too, because code might not be present
+		// everything except Firefox
+		'QuotaExceededError' === error.name ||
 
-			// acknowledge QuotaExceededError only if there's something already stored
-			0 !== storage.length;
-	}
+		// Firefox
+		'NS_ERROR_DOM_QUOTA_REACHED' === error.name );
+};
+
+/**
+ * Gets the name of the browser storage preferred for the cache.
+ *
+ * The storage selected via `setSelectedStorageBackend` takes precedence over
+ * the one configured on the server through the `googlesitekit_js_cache_storage`
+ * filter, e.g. to opt in to IndexedDB.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @return {(string|undefined)} Name of the preferred browser storage, if any.
+ */
+const getPreferredStorageType = () => {
+	return selectedStorageType || global._googlesitekitLegacyData?.admin?.jsCacheStorage || undefined;
 };
 
 /**
@@ -124,7 +221,7 @@ export const isStorageAvailable = async ( type ) => {
  * @since 1.5.0
  * @private
  *
- * @return {Object|null} A storage mechanism (`localStorage` or `sessionStorage`) if available; otherwise returns `null`;
+ * @return {Object|null} A storage mechanism (IndexedDB, `localStorage` or `sessionStorage`) if available; otherwise returns `null`;
  */
 export const getStorage = async () => {
 	// If `googlesitekit.admin.nojscache` is `true`, we should never use
@@ -135,13 +232,17 @@ export const getStorage = async () => {
 
 	// Only run the logic to determine the storage object once.
 	if ( storageBackend === undefined ) {
-		for ( const backend of storageOrder ) {
+		// A preferred storage that is not available falls back to the storage order.
+		const preferredStorageType = getPreferredStorageType();
+		const order = preferredStorageType ? [ preferredStorageType, ...storageOrder ] : storageOrder;
+
+		for ( const backend of order ) {
 			if ( storageBackend ) {
 				continue;
 			}
 
 			if ( await isStorageAvailable( backend ) ) {
-				storageBackend = global[ backend ];
+				storageBackend = getStorageForType( backend );
 			}
 		}
 
@@ -153,6 +254,312 @@ export const getStorage = async () => {
 	return storageBackend;
 };
 
+/**
+ * Sets the maximum size of all Site Kit cache entries combined.
+ *
+ * @since n.e.x.t
+ *
+ * @param {number} limit Maximum size in bytes.
+ */
+export const setCacheByteLimit = ( limit ) => {
+	invariant( Number.isInteger( limit ) && limit > 0, 'limit must be a positive integer.' );
+
+	cacheByteLimit = limit;
+};
+
+/**
+ * Gets statistics about the usage of the cache during this page load.
+ *
+ * @since n.e.x.t
+ *
+ * @return {Object} Object with the number of cache `hits`, `misses` and `evictions`.
+ */
+export const getCacheStats = () => {
+	return { ...cacheStats };
+};
+
+/**
+ * Resets the cache statistics and the recorded access order.
+ *
+ * Largely used for tests.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const resetCacheStats = () => {
+	cacheStats.hits = 0;
+	cacheStats.misses = 0;
+	cacheStats.evictions = 0;
+	lastAccess = {};
+	accessCount = 0;
+};
+
+/**
+ * Records an access to the given storage key, making it the most recently used.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} storageKey Prefixed storage key.
+ */
+const touch = ( storageKey ) => {
+	lastAccess[ storageKey ] = ++accessCount;
+};
+
+/**
+ * Gets all keys in the given storage, including non-Site Kit keys.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage Storage to read from.
+ * @return {Promise} A promise: resolves to an array of storage keys.
+ */
+const getStorageKeys = async ( storage ) => {
+	// Asynchronous backends list their keys themselves.
+	if ( typeof storage.getKeys === 'function' ) {
+		return storage.getKeys();
+	}
+
+	const keys = [];
+	for ( let i = 0; i < storage.length; i++ ) {
+		keys.push( storage.key( i ) );
+	}
+
+	return keys;
+};
+
+/**
+ * Gets the approximate size of a storage entry in bytes.
+ *
+ * Storage keeps strings as UTF-16, so every character takes two bytes.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} storageKey Prefixed storage key.
+ * @param {string} value      Stored string.
+ * @return {number} Size in bytes.
+ */
+const getEntrySize = ( storageKey, value ) => ( storageKey.length + value.length ) * 2;
+
+/**
+ * Gets the sizes of all Site Kit entries in the given storage.
+ *
+ * Only entries not written or read for their size during this page load,
+ * e.g. those saved in another tab or an earlier page load, are read. Listing
+ * the keys of a storage is cheap compared to reading all of its entries.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage Storage to get the entry sizes for.
+ * @return {Promise} A promise: resolves to an object with the size of every entry in bytes, keyed by storage key.
+ */
+const getEntrySizes = async ( storage ) => {
+	const knownSizes = entrySizes.get( storage ) || {};
+	const sizes = {};
+
+	for ( const entryKey of await getStorageKeys( storage ) ) {
+		if ( entryKey.indexOf( STORAGE_KEY_PREFIX ) !== 0 ) {
+			continue;
+		}
+
+		if ( knownSizes[ entryKey ] !== undefined ) {
+			sizes[ entryKey ] = knownSizes[ entryKey ];
+			continue;
+		}
+
+		const storedData = await storage.getItem( entryKey );
+		sizes[ entryKey ] = typeof storedData === 'string' ? getEntrySize( entryKey, storedData ) : 0;
+	}
+
+	entrySizes.set( storage, sizes );
+
+	return sizes;
+};
+
+/**
+ * Records the size of an entry after it was written or removed.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage    Storage the entry was written to or removed from.
+ * @param {string} storageKey Prefixed storage key.
+ * @param {number} [size]     Optional. Size of the written entry in bytes. Omit if the entry was removed.
+ */
+const updateEntrySize = ( storage, storageKey, size ) => {
+	const sizes = entrySizes.get( storage );
+	if ( ! sizes ) {
+		return;
+	}
+
+	if ( size === undefined ) {
+		delete sizes[ storageKey ];
+	} else {
+		sizes[ storageKey ] = size;
+	}
+};
+
+/**
+ * Parses a stored entry.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} storedData Stored data, either a JSON string or, for backends storing objects, the entry itself.
+ * @return {Object} Parsed entry with `timestamp` and `value`.
+ */
+const parseEntry = ( storedData ) => {
+	return typeof storedData === 'string' ? JSON.parse( storedData ) : storedData;
+};
+
+/**
+ * Gets all Site Kit entries in the given storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage    Storage to read from.
+ * @param {string} storageKey Prefixed storage key to leave out, i.e. the entry about to be written.
+ * @return {Promise} A promise: resolves to a list of entries with `storageKey`, `storedData` and `size`.
+ *                   The size is only known for backends storing strings, otherwise it is `0`.
+ */
+const getEntries = async ( storage, storageKey ) => {
+	const entries = [];
+	for ( const entryKey of await getStorageKeys( storage ) ) {
+		if ( entryKey.indexOf( STORAGE_KEY_PREFIX ) !== 0 || entryKey === storageKey ) {
+			continue;
+		}
+
+		const storedData = await storage.getItem( entryKey );
+		entries.push( {
+			storageKey: entryKey,
+			storedData,
+			size: typeof storedData === 'string' ? getEntrySize( entryKey, storedData ) : 0,
+		} );
+	}
+
+	return entries;
+};
+
+/**
+ * Sorts entries so that the least recently used entries come first.
+ *
+ * Entries used during this page load are ordered by their last access.
+ * Entries from earlier page loads are considered older than those and are
+ * ordered by the time they were saved.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Array.<Object>} entries Entries as returned by `getEntries()`.
+ * @return {Array.<Object>} Sorted entries.
+ */
+const sortByLeastRecentUse = ( entries ) => {
+	const timestamps = {};
+	entries.forEach( ( { storageKey, storedData } ) => {
+		try {
+			timestamps[ storageKey ] = parseEntry( storedData ).timestamp || 0;
+		} catch ( error ) {
+			// Unparseable entries are the first to go.
+			timestamps[ storageKey ] = 0;
+		}
+	} );
+
+	return [ ...entries ].sort( ( a, b ) => {
+		return ( ( lastAccess[ a.storageKey ] || 0 ) - ( lastAccess[ b.storageKey ] || 0 ) ) ||
+			( timestamps[ a.storageKey ] - timestamps[ b.storageKey ] );
+	} );
+};
+
+/**
+ * Removes the given entries from storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object}         storage Storage to evict entries from.
+ * @param {Array.<Object>} entries Entries to evict.
+ */
+const evictEntries = async ( storage, entries ) => {
+	for ( const { storageKey } of entries ) {
+		await storage.removeItem( storageKey );
+		delete lastAccess[ storageKey ];
+		updateEntrySize( storage, storageKey );
+		cacheStats.evictions++;
+	}
+};
+
+/**
+ * Evicts least recently used Site Kit entries until there is enough space for a new entry.
+ *
+ * Only applies to backends storing strings; IndexedDB is only bound by the
+ * browser's storage quota. The entries themselves are only read, to find the
+ * least recently used ones, if the cache is actually over budget.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage      Storage to evict entries from.
+ * @param {string} storageKey   Prefixed storage key of the entry about to be written, which is never evicted.
+ * @param {number} bytesNeeded  Size of the entry about to be written, in bytes.
+ * @param {number} [byteBudget] Optional. Total size the Site Kit entries may use. Defaults to the
+ *                              current usage, i.e. free up the space of the new entry.
+ */
+const evictEntriesForSize = async ( storage, storageKey, bytesNeeded, byteBudget ) => {
+	const sizes = await getEntrySizes( storage );
+	let bytesUsed = Object.keys( sizes ).reduce( ( total, entryKey ) => {
+		// The entry about to be written replaces its previous version.
+		return entryKey === storageKey ? total : total + sizes[ entryKey ];
+	}, 0 );
+	const budget = byteBudget === undefined ? bytesUsed : byteBudget;
+
+	if ( bytesUsed + bytesNeeded <= budget ) {
+		return;
+	}
+
+	const entries = await getEntries( storage, storageKey );
+	entries.forEach( ( { storageKey: entryKey, size } ) => updateEntrySize( storage, entryKey, size ) );
+	bytesUsed = entries.reduce( ( total, { size } ) => total + size, 0 );
+
+	const evictedEntries = [];
+	for ( const entry of sortByLeastRecentUse( entries ) ) {
+		if ( bytesUsed + bytesNeeded <= budget ) {
+			break;
+		}
+
+		evictedEntries.push( entry );
+		bytesUsed -= entry.size;
+	}
+
+	await evictEntries( storage, evictedEntries );
+};
+
+/**
+ * Evicts least recently used Site Kit entries after the storage quota was exceeded.
+ *
+ * For backends storing objects the size of entries is unknown, so the least
+ * recently used quarter of the entries is evicted.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} storage     Storage to evict entries from.
+ * @param {string} storageKey  Prefixed storage key of the entry about to be written, which is never evicted.
+ * @param {number} bytesNeeded Size of the entry about to be written, in bytes.
+ */
+const evictEntriesForQuota = async ( storage, storageKey, bytesNeeded ) => {
+	if ( ! storage.storesObjects ) {
+		await evictEntriesForSize( storage, storageKey, bytesNeeded );
+		return;
+	}
+
+	const entries = sortByLeastRecentUse( await getEntries( storage, storageKey ) );
+	await evictEntries( storage, entries.slice( 0, Math.ceil( entries.length / 4 ) ) );
+};
+
 /**
  * Gets cached data.
  *
@@ -168,10 +575,16 @@ export const getItem = async ( key, cacheTimeToLive = null ) => {
 	const storage = await getStorage();
 
 	if ( storage ) {
-		const cachedData = storage.getItem( `${ STORAGE_KEY_PREFIX }${ key }` );
+		const storageKey = `${ STORAGE_KEY_PREFIX }${ key }`;
+		let cachedData;
+		try {
+			cachedData = await storage.getItem( storageKey );
+		} catch ( error ) {
+			global.console.warn( 'Encountered an unexpected storage error:', error );
+		}
 
 		if ( cachedData ) {
-			const parsedData = JSON.parse( cachedData );
+			const parsedData = parseEntry( cachedData );
 
 			// Ensure a timestamp is found, otherwise this isn't a valid cache hit.
 			// (We don't check for a truthy `value`, because it could be legitimately
@@ -180,12 +593,17 @@ export const getItem = async ( key, cacheTimeToLive = null ) => {
 				cacheTimeToLive === null || // Ensure the cached data isn't too old.
 				Math.round( Date.now() / 1000 ) - parsedData.timestamp < cacheTimeToLive
 			) ) {
+				touch( storageKey );
+				cacheStats.hits++;
+
 				return {
 					cacheHit: true,
 					value: parsedData.value,
 				};
 			}
 		}
+
+		cacheStats.misses++;
 	}
 
 	return {
@@ -199,6 +617,11 @@ export const getItem = async ( key, cacheTimeToLive = null ) => {
  *
  * Save data to the relevant local storage mechanism, if available.
  *
+ * For `localStorage` and `sessionStorage`, least recently used Site Kit
+ * entries are evicted to keep the cache within its byte limit (see
+ * `setCacheByteLimit()`). If the browser's storage quota
+ * is exceeded nonetheless, more entries are evicted and saving is retried once.
+ *
  * @since 1.5.0
  *
  * @param {string} key        Name of cache key.
@@ -210,17 +633,45 @@ export const setItem = async ( key, value, _timestamp = undefined ) => {
 	const storage = await getStorage();
 
 	if ( storage ) {
-		try {
-			storage.setItem( `${ STORAGE_KEY_PREFIX }${ key }`, JSON.stringify( {
-				timestamp: _timestamp || Math.round( Date.now() / 1000 ),
-				value,
-			} ) );
+		const storageKey = `${ STORAGE_KEY_PREFIX }${ key }`;
+		const entry = {
+			timestamp: _timestamp || Math.round( Date.now() / 1000 ),
+			value,
+		};
+		// Backends like IndexedDB store the entry as-is, which avoids
+		// serializing it on the main thread.
+		const data = storage.storesObjects ? entry : JSON.stringify( entry );
+		const size = storage.storesObjects ? 0 : getEntrySize( storageKey, data );
+
+		// Entries which can never fit into the cache are not saved at all.
+		if ( size > cacheByteLimit ) {
+			return false;
+		}
 
-			return true;
+		try {
+			if ( ! storage.storesObjects ) {
+				await evictEntriesForSize( storage, storageKey, size, cacheByteLimit );
+			}
+			await storage.setItem( storageKey, data );
 		} catch ( error ) {
-			global.console.warn( 'Encountered an unexpected storage error:', error );
-			return false;
+			if ( ! isQuotaExceededError( error ) ) {
+				global.console.warn( 'Encountered an unexpected storage error:', error );
+				return false;
+			}
+
+			try {
+				await evictEntriesForQuota( storage, storageKey, size );
+				await storage.setItem( storageKey, data );
+			} catch ( retryError ) {
+				global.console.warn( 'Encountered an unexpected storage error:', retryError );
+				return false;
+			}
 		}
+
+		touch( storageKey );
+		updateEntrySize( storage, storageKey, size );
+
+		return true;
 	}
 
 	return false;
@@ -241,7 +692,9 @@ export const deleteItem = async ( key ) => {
 
 	if ( storage ) {
 		try {
-			storage.removeItem( `${ STORAGE_KEY_PREFIX }${ key }` );
+			await storage.removeItem( `${ STORAGE_KEY_PREFIX }${ key }` );
+			delete lastAccess[ `${ STORAGE_KEY_PREFIX }${ key }` ];
+			updateEntrySize( storage, `${ STORAGE_KEY_PREFIX }${ key }` );
 
 			return true;
 		} catch ( error ) {
@@ -265,15 +718,11 @@ export const getKeys = async () => {
 
 	if ( storage ) {
 		try {
-			const keys = [];
-			for ( let i = 0; i < storage.length; i++ ) {
-				const itemKey = storage.key( i );
-				if ( itemKey.indexOf( STORAGE_KEY_PREFIX ) === 0 ) {
-					keys.push( itemKey.substring( STORAGE_KEY_PREFIX.length ) );
-				}
-			}
+			const keys = await getStorageKeys( storage );
 
-			return keys;
+			return keys
+				.filter( ( itemKey ) => itemKey.indexOf( STORAGE_KEY_PREFIX ) === 0 )
+				.map( ( itemKey ) => itemKey.substring( STORAGE_KEY_PREFIX.length ) );
 		} catch ( error ) {
 			global.console.warn( 'Encountered an unexpected storage error:', error );
 			return [];
@@ -19,14 +19,19 @@
 /**
  * Internal dependencies
  */
+import { muteConsole } from '../../../../tests/js/test-utils';
 import {
+	DEFAULT_CACHE_BYTE_LIMIT,
 	STORAGE_KEY_PREFIX,
 	clearCache,
 	deleteItem,
+	getCacheStats,
 	getItem,
 	getKeys,
 	getStorage,
+	resetCacheStats,
 	resetDefaultStorageOrder,
+	setCacheByteLimit,
 	setItem,
 	setSelectedStorageBackend,
 	setStorageOrder,
@@ -68,6 +73,39 @@ describe( 'googlesitekit.api.cache', () => {
 			resetDefaultStorageOrder();
 		} );
 
+		it( 'should fall back to other storage when IndexedDB is not available', async () => {
+			setStorageOrder( [ 'indexedDB', 'sessionStorage' ] );
+			const storage = await getStorage();
+
+			// jsdom does not support IndexedDB.
+			expect( storage ).toEqual( sessionStorage );
+
+			resetDefaultStorageOrder();
+		} );
+
+		it( 'should fall back to the storage order if a storage selected by name is not available', async () => {
+			setSelectedStorageBackend( 'indexedDB' );
+			expect( await getStorage() ).toEqual( localStorage );
+
+			setSelectedStorageBackend( 'sessionStorage' );
+			expect( await getStorage() ).toEqual( sessionStorage );
+
+			resetDefaultStorageOrder();
+		} );
+
+		it( 'should prefer the storage configured on the server if available', async () => {
+			global._googlesitekitLegacyData.admin.jsCacheStorage = 'sessionStorage';
+			expect( await getStorage() ).toEqual( sessionStorage );
+
+			resetDefaultStorageOrder();
+			global._googlesitekitLegacyData.admin.jsCacheStorage = 'indexedDB';
+			// jsdom does not support IndexedDB.
+			expect( await getStorage() ).toEqual( localStorage );
+
+			delete global._googlesitekitLegacyData.admin.jsCacheStorage;
+			resetDefaultStorageOrder();
+		} );
+
 		it( 'should return null if googlesitekit.admin.nojscache is true', async () => {
 			disableCache();
 			const storage = await getStorage();
@@ -229,6 +267,122 @@ describe( 'googlesitekit.api.cache', () => {
 				} );
 			} );
 
+			describe( 'cache limits', () => {
+				// Size of an entry as accounted for by the cache.
+				const getSize = ( key, value ) => {
+					return ( `${ STORAGE_KEY_PREFIX }${ key }`.length + JSON.stringify( { timestamp: 500, value } ).length ) * 2;
+				};
+
+				beforeEach( () => {
+					resetCacheStats();
+				} );
+
+				afterEach( () => {
+					setCacheByteLimit( DEFAULT_CACHE_BYTE_LIMIT );
+				} );
+
+				it( 'should evict the least recently used entries to stay within the byte limit', async () => {
+					setCacheByteLimit( getSize( 'a', 'value' ) * 2 );
+
+					await setItem( 'a', 'value', 500 );
+					await setItem( 'b', 'value', 500 );
+					// Reading `a` makes `b` the least recently used entry.
+					await getItem( 'a' );
+					await setItem( 'c', 'value', 500 );
+
+					expect( await getKeys() ).toEqual( expect.arrayContaining( [ 'a', 'c' ] ) );
+					expect( await getKeys() ).toHaveLength( 2 );
+					expect( getCacheStats().evictions ).toEqual( 1 );
+				} );
+
+				it( 'should evict entries from earlier page loads by the time they were saved', async () => {
+					storageMechanism.setItem( `${ STORAGE_KEY_PREFIX }old`, JSON.stringify( { timestamp: 100, value: 'value' } ) );
+					storageMechanism.setItem( `${ STORAGE_KEY_PREFIX }new`, JSON.stringify( { timestamp: 300, value: 'value' } ) );
+					setCacheByteLimit( getSize( 'new', 'value' ) * 2 );
+
+					await setItem( 'abc', 'value', 500 );
+
+					expect( ( await getKeys() ).sort() ).toEqual( [ 'abc', 'new' ] );
+				} );
+
+				it( 'should only read the stored entries once over the byte limit', async () => {
+					setCacheByteLimit( getSize( 'a', 'value' ) * 3 );
+
+					await setItem( 'a', 'value', 500 );
+					await setItem( 'b', 'value', 500 );
+					storageMechanism.getItem.mockClear();
+					await setItem( 'c', 'value', 500 );
+
+					expect( storageMechanism.getItem ).not.toHaveBeenCalled();
+
+					await setItem( 'd', 'value', 500 );
+
+					expect( storageMechanism.getItem ).toHaveBeenCalled();
+					expect( ( await getKeys() ).sort() ).toEqual( [ 'b', 'c', 'd' ] );
+				} );
+
+				it( 'should account for entries removed by others', async () => {
+					setCacheByteLimit( getSize( 'a', 'value' ) * 2 );
+
+					await setItem( 'a', 'value', 500 );
+					await setItem( 'b', 'value', 500 );
+					storageMechanism.removeItem( `${ STORAGE_KEY_PREFIX }a` );
+					await setItem( 'c', 'value', 500 );
+
+					expect( ( await getKeys() ).sort() ).toEqual( [ 'b', 'c' ] );
+					expect( getCacheStats().evictions ).toEqual( 0 );
+				} );
+
+				it( 'should not save entries larger than the byte limit', async () => {
+					setCacheByteLimit( getSize( 'a', 'value' ) - 1 );
+
+					const didSave = await setItem( 'a', 'value', 500 );
+
+					expect( didSave ).toEqual( false );
+					expect( Object.keys( storageMechanism.__STORE__ ).length ).toBe( 0 );
+				} );
+
+				it( 'should evict entries and retry once when the storage quota is exceeded', async () => {
+					await setItem( 'a', 'value', 500 );
+					await setItem( 'b', 'value', 500 );
+
+					storageMechanism.setItem.mockImplementationOnce( () => {
+						throw new DOMException( 'Quota exceeded', 'QuotaExceededError' );
+					} );
+					const didSave = await setItem( 'c', 'value', 500 );
+
+					expect( didSave ).toEqual( true );
+					expect( ( await getKeys() ).sort() ).toEqual( [ 'b', 'c' ] );
+					expect( getCacheStats().evictions ).toEqual( 1 );
+				} );
+
+				it( 'should give up if the storage quota is still exceeded after evicting entries', async () => {
+					await setItem( 'a', 'value', 500 );
+
+					const quotaExceeded = () => {
+						throw new DOMException( 'Quota exceeded', 'QuotaExceededError' );
+					};
+					storageMechanism.setItem
+						.mockImplementationOnce( quotaExceeded )
+						.mockImplementationOnce( quotaExceeded );
+					muteConsole( 'warn' );
+					const didSave = await setItem( 'b', 'value', 500 );
+
+					expect( didSave ).toEqual( false );
+					expect( storageMechanism.setItem ).toHaveBeenCalledTimes( 3 );
+				} );
+
+				it( 'should count cache hits and misses', async () => {
+					await setItem( 'a', 'value' );
+
+					await getItem( 'a' );
+					await getItem( 'a' );
+					await getItem( 'not-a-key' );
+
+					expect( getCacheStats() ).toEqual( { hits: 2, misses: 1, evictions: 0 } );
+				} );
+			} );
+
 			describe( 'deleteItem', () => {
 				it( 'should delete data', async () => {
 					const didSave = await setItem( 'array', [ 1, 2, 3 ] );
@@ -325,6 +479,83 @@ describe( 'googlesitekit.api.cache', () => {
 		} );
 	} );
 
+	describe( 'asynchronous backend', () => {
+		// In-memory stand-in for the IndexedDB backend, which is not available in jsdom.
+		let store;
+		const asyncBackend = {
+			storesObjects: true,
+			getItem: jest.fn( async ( key ) => store.has( key ) ? store.get( key ) : null ),
+			setItem: jest.fn( async ( key, value ) => {
+				store.set( key, value );
+			} ),
+			removeItem: jest.fn( async ( key ) => {
+				store.delete( key );
+			} ),
+			getKeys: jest.fn( async () => [ ...store.keys() ] ),
+		};
+
+		beforeAll( () => {
+			setSelectedStorageBackend( asyncBackend );
+		} );
+
+		beforeEach( () => {
+			store = new Map();
+			resetCacheStats();
+		} );
+
+		afterAll( () => {
+			setSelectedStorageBackend( undefined );
+		} );
+
+		it( 'should store entries without serializing them', async () => {
+			const value = { foo: [ 1, 2, 3 ] };
+			const didSave = await setItem( 'object', value, 500 );
+
+			expect( didSave ).toEqual( true );
+			expect( asyncBackend.setItem ).toHaveBeenCalledWith( `${ STORAGE_KEY_PREFIX }object`, { timestamp: 500, value } );
+			expect( await getItem( 'object' ) ).toEqual( { cacheHit: true, value } );
+		} );
+
+		it( 'should list, delete and clear Site Kit keys', async () => {
+			store.set( 'not-site-kit', 'value' );
+			await setItem( 'a', 'value' );
+			await setItem( 'b', 'value' );
+
+			expect( await getKeys() ).toEqual( [ 'a', 'b' ] );
+
+			await deleteItem( 'a' );
+			expect( await getKeys() ).toEqual( [ 'b' ] );
+
+			await clearCache();
+			expect( await getKeys() ).toEqual( [] );
+			expect( store.has( 'not-site-kit' ) ).toBe( true );
+		} );
+
+		it( 'should evict the least recently used entries and retry once when the storage quota is exceeded', async () => {
+			await setItem( 'a', 'value', 500 );
+			await setItem( 'b', 'value', 500 );
+			await setItem( 'c', 'value', 500 );
+
+			asyncBackend.setItem.mockImplementationOnce( async () => {
+				throw new DOMException( 'Quota exceeded', 'QuotaExceededError' );
+			} );
+			const didSave = await setItem( 'd', 'value', 500 );
+
+			expect( didSave ).toEqual( true );
+			expect( await getKeys() ).toEqual( [ 'b', 'c', 'd' ] );
+			expect( getCacheStats().evictions ).toEqual( 1 );
+		} );
+
+		it( 'should treat storage errors when reading as a cache miss', async () => {
+			asyncBackend.getItem.mockImplementationOnce( async () => {
+				throw new Error( 'Transaction aborted' );
+			} );
+
+			muteConsole( 'warn' );
+			expect( await getItem( 'a' ) ).toEqual( { cacheHit: false, value: undefined } );
+		} );
+	} );
+
 	[ DISABLE_CACHE, NO_BACKEND ].forEach( ( testSuite ) => {
 		describe( `No-op caching (${ testSuite })`, () => {
 			beforeAll( () => {
@@ -32,10 +32,19 @@ import { addQueryArgs } from '@wordpress/url';
  */
 import {
 	deleteItem,
+	getCacheStats,
 	getItem,
 	getKeys,
 	setItem,
 } from './cache';
+import { createAbortError, isAbortError, raceAbort } from './abort';
+import { enqueueRequest } from './batch';
+import {
+	fetchWithRetryInfo,
+	getRetryPolicy,
+	setRetryPolicy,
+	withRetry,
+} from './retry';
 import { stringifyObject } from '../../util';
 
 // Specific error to handle here, see below.
@@ -46,6 +55,9 @@ let cachingEnabled = true;
 
 const KEY_SEPARATOR = '::';
 
+// GET requests currently in flight, keyed by cache key.
+const pendingRequests = {};
+
 /**
  * Create a cache key for a set of type/identifier/datapoint values.
  *
@@ -76,21 +88,121 @@ export const createCacheKey = ( type, identifier, datapoint, queryParams = {} )
 	return keySections.join( KEY_SEPARATOR );
 };
 
+/**
+ * Send a request to a WP REST API Site Kit endpoint, bypassing the cache.
+ *
+ * GET requests for modules are sent as part of a batch together with other
+ * such requests made in the same tick. GET requests failing with a transient
+ * error are retried according to the retry policy.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string}           type                       The data to access. One of 'core' or 'modules'.
+ * @param {string}           identifier                 The data identifier, eg. a module slug like `'search-console'`.
+ * @param {string}           datapoint                  The endpoint to request data from.
+ * @param {Object}           options                    Options to pass to the request.
+ * @param {Object}           options.bodyParams         Request body data to send.
+ * @param {string}           options.cacheKey           Cache key for the request.
+ * @param {number}           options.method             HTTP method to use for this request.
+ * @param {Object}           options.queryParams        Query params to send with the request.
+ * @param {(Object|boolean)} options.retry              Retry policy overriding the defaults, or `false` to not retry.
+ * @param {AbortSignal}      options.signal             Signal to abort the request.
+ * @param {boolean}          options.useCacheForRequest Whether to cache the response.
+ * @return {Promise} Response of HTTP request.
+ */
+const sendRequest = async ( type, identifier, datapoint, {
+	bodyParams,
+	cacheKey,
+	method,
+	queryParams,
+	retry,
+	signal,
+	useCacheForRequest = false,
+} ) => {
+	// Make an API request to retrieve the results.
+	try {
+		let response;
+		if ( method === 'GET' ) {
+			response = await withRetry( () => {
+				if ( type === 'modules' ) {
+					return enqueueRequest( {
+						key: cacheKey,
+						type,
+						identifier,
+						datapoint,
+						data: queryParams,
+					}, signal );
+				}
+
+				return fetchWithRetryInfo( {
+					method,
+					path: addQueryArgs(
+						`/google-site-kit/v1/${ type }/${ identifier }/data/${ datapoint }`,
+						queryParams
+					),
+					signal,
+				} );
+			}, {
+				policy: retry,
+				request: { type, identifier, datapoint, queryParams },
+				signal,
+			} );
+		} else {
+			response = await apiFetch( {
+				data: bodyParams,
+				method,
+				path: addQueryArgs(
+					`/google-site-kit/v1/${ type }/${ identifier }/data/${ datapoint }`,
+					queryParams
+				),
+				signal,
+			} );
+		}
+
+		if ( useCacheForRequest ) {
+			await setItem( cacheKey, response );
+		}
+
+		return response;
+	} catch ( error ) {
+		// Aborting a request is intentional, so it is not an error to report.
+		// `apiFetch` reports aborted requests like network errors.
+		if ( isAbortError( error ) || signal?.aborted ) {
+			throw createAbortError();
+		}
+
+		// Check to see if this error was a `PERMISSION_SCOPE_ERROR_CODE` error;
+		// if so and there is a data store available to dispatch on, dispatch a
+		// `setPermissionScopeError()` action.
+		// Kind of a hack, but scales to all components.
+		if ( error.code === PERMISSION_SCOPE_ERROR_CODE && global.googlesitekit?.data?.dispatch?.( CORE_USER ) ) {
+			global.googlesitekit.data.dispatch( CORE_USER ).setPermissionScopeError( error );
+		}
+
+		global.console.error( 'Google Site Kit API Error', error );
+
+		throw error;
+	}
+};
+
 /**
  * Make a request to a WP REST API Site Kit endpoint.
  *
  * @since 1.5.0
  * @private
  *
- * @param {string}  type                The data to access. One of 'core' or 'modules'.
- * @param {string}  identifier          The data identifier, eg. a module slug like `'search-console'`.
- * @param {string}  datapoint           The endpoint to request data from.
- * @param {Object}  options             Optional. Options to pass to the request.
- * @param {number}  options.cacheTTL    The oldest cache data to use, in seconds.
- * @param {Object}  options.bodyParams  Request body data to send. (Eg. used for `POST`/`PUT` request variables.)
- * @param {number}  options.method      HTTP method to use for this request.
- * @param {Object}  options.queryParams Query params to send with the request.
- * @param {boolean} options.useCache    Enable or disable caching for this request only. (Caching is only used for `GET` requests.)
+ * @param {string}           type                The data to access. One of 'core' or 'modules'.
+ * @param {string}           identifier          The data identifier, eg. a module slug like `'search-console'`.
+ * @param {string}           datapoint           The endpoint to request data from.
+ * @param {Object}           options             Optional. Options to pass to the request.
+ * @param {number}           options.cacheTTL    The oldest cache data to use, in seconds.
+ * @param {Object}           options.bodyParams  Request body data to send. (Eg. used for `POST`/`PUT` request variables.)
+ * @param {number}           options.method      HTTP method to use for this request.
+ * @param {Object}           options.queryParams Query params to send with the request.
+ * @param {(Object|boolean)} options.retry       Retry policy overriding the defaults, or `false` to not retry. (Retries are only used for `GET` requests.)
+ * @param {AbortSignal}      options.signal      Signal to abort the request. Aborted requests reject with an error for which `isAbortError()` returns `true`.
+ * @param {boolean}          options.useCache    Enable or disable caching for this request only. (Caching is only used for `GET` requests.)
  * @return {Promise} Response of HTTP request.
  */
 export const siteKitRequest = async ( type, identifier, datapoint, {
@@ -98,12 +210,18 @@ export const siteKitRequest = async ( type, identifier, datapoint, {
 	cacheTTL = 3600,
 	method = 'GET',
 	queryParams,
+	retry = undefined,
+	signal = undefined,
 	useCache = undefined,
 } = {} ) => {
 	invariant( type, '`type` argument for requests is required.' );
 	invariant( identifier, '`identifier` argument for requests is required.' );
 	invariant( datapoint, '`datapoint` argument for requests is required.' );
 
+	if ( signal?.aborted ) {
+		throw createAbortError();
+	}
+
 	// Don't check for a `false`-y `useCache` value to ensure we don't fallback
 	// to the `usingCache()` behaviour when caching is manually disabled on a
 	// per-request basis.
@@ -118,35 +236,49 @@ export const siteKitRequest = async ( type, identifier, datapoint, {
 		}
 	}
 
-	// Make an API request to retrieve the results.
-	try {
-		const response = await apiFetch( {
-			data: bodyParams,
-			method,
-			path: addQueryArgs(
-				`/google-site-kit/v1/${ type }/${ identifier }/data/${ datapoint }`,
-				queryParams
-			),
-		} );
-
-		if ( useCacheForRequest ) {
-			await setItem( cacheKey, response );
-		}
+	if ( method !== 'GET' ) {
+		return sendRequest( type, identifier, datapoint, { bodyParams, method, queryParams, signal } );
+	}
 
-		return response;
-	} catch ( error ) {
-		// Check to see if this error was a `PERMISSION_SCOPE_ERROR_CODE` error;
-		// if so and there is a data store available to dispatch on, dispatch a
-		// `setPermissionScopeError()` action.
-		// Kind of a hack, but scales to all components.
-		if ( error.code === PERMISSION_SCOPE_ERROR_CODE && global.googlesitekit?.data?.dispatch?.( CORE_USER ) ) {
-			global.googlesitekit.data.dispatch( CORE_USER ).setPermissionScopeError( error );
-		}
+	// Identical GET requests share the request that is already in flight.
+	// Aborting it is only possible while all callers waiting for it passed a
+	// signal, and it is only aborted once all of those signals are aborted.
+	if ( ! pendingRequests[ cacheKey ] ) {
+		const controller = signal ? new global.AbortController() : undefined;
+		const removePendingRequest = () => {
+			delete pendingRequests[ cacheKey ];
+		};
 
-		global.console.error( 'Google Site Kit API Error', error );
+		pendingRequests[ cacheKey ] = {
+			controller,
+			promise: sendRequest( type, identifier, datapoint, {
+				cacheKey,
+				method,
+				queryParams,
+				retry,
+				signal: controller?.signal,
+				useCacheForRequest,
+			} ),
+			waiting: 0,
+		};
+		pendingRequests[ cacheKey ].promise.then( removePendingRequest, removePendingRequest );
+	}
 
-		throw error;
+	const pendingRequest = pendingRequests[ cacheKey ];
+	if ( ! signal ) {
+		pendingRequest.controller = undefined;
+		return pendingRequest.promise;
 	}
+
+	pendingRequest.waiting++;
+	signal.addEventListener( 'abort', () => {
+		pendingRequest.waiting--;
+		if ( pendingRequest.waiting === 0 && pendingRequest.controller ) {
+			pendingRequest.controller.abort();
+		}
+	} );
+
+	return raceAbort( pendingRequest.promise, signal );
 };
 
 /**
@@ -160,13 +292,15 @@ export const siteKitRequest = async ( type, identifier, datapoint, {
  *
  * @since 1.5.0
  *
- * @param {string}  type             The data to access. One of 'core' or 'modules'.
- * @param {string}  identifier       The data identifier, eg. a module slug like `'search-console'`.
- * @param {string}  datapoint        The endpoint to request data from.
- * @param {Object}  data             Data (query params) to send with the request.
- * @param {Object}  options          Extra options for this request.
- * @param {number}  options.cacheTTL The oldest cache data to use, in seconds.
- * @param {boolean} options.useCache Enable or disable caching for this request only.
+ * @param {string}           type             The data to access. One of 'core' or 'modules'.
+ * @param {string}           identifier       The data identifier, eg. a module slug like `'search-console'`.
+ * @param {string}           datapoint        The endpoint to request data from.
+ * @param {Object}           data             Data (query params) to send with the request.
+ * @param {Object}           options          Extra options for this request.
+ * @param {number}           options.cacheTTL The oldest cache data to use, in seconds.
+ * @param {(Object|boolean)} options.retry    Retry policy overriding the defaults (see `setRetryPolicy()`), or `false` to not retry.
+ * @param {AbortSignal}      options.signal   Signal to abort the request, e.g. once its data is no longer needed.
+ * @param {boolean}          options.useCache Enable or disable caching for this request only.
  * @return {Promise} A promise for the `fetch` request.
  */
 export const get = async (
@@ -174,11 +308,13 @@ export const get = async (
 	identifier,
 	datapoint,
 	data,
-	{ cacheTTL = 3600, useCache = undefined } = {}
+	{ cacheTTL = 3600, retry = undefined, signal = undefined, useCache = undefined } = {}
 ) => {
 	return siteKitRequest( type, identifier, datapoint, {
 		cacheTTL,
 		queryParams: data,
+		retry,
+		signal,
 		useCache,
 	} );
 };
@@ -282,9 +418,13 @@ export const invalidateCache = async ( type, identifier, datapoint ) => {
 };
 
 const API = {
+	getCacheStats,
+	isAbortError,
+	getRetryPolicy,
 	invalidateCache,
 	get,
 	set,
+	setRetryPolicy,
 	setUsingCache,
 	usingCache,
 };
@@ -21,6 +21,8 @@
  */
 import { muteConsole, unexpectedSuccess } from '../../../../tests/js/test-utils';
 import * as CacheModule from './cache';
+import { isAbortError } from './abort';
+import { setRetryPolicy } from './retry';
 import {
 	createCacheKey,
 	get,
@@ -281,6 +283,150 @@ describe( 'googlesitekit.api', () => {
 		} );
 	} );
 
+	describe( 'batching', () => {
+		it( 'should combine module requests made in the same tick into one batch request', async () => {
+			const reportKey = createCacheKey( 'modules', 'search-console', 'searchanalytics', { dateRange: 'last-28-days' } );
+			const settingsKey = createCacheKey( 'modules', 'analytics', 'accounts-properties-profiles' );
+			fetchMock.postOnce(
+				/^\/google-site-kit\/v1\/data\//,
+				{ body: { [ reportKey ]: [ { clicks: 1 } ], [ settingsKey ]: { accounts: [] } }, status: 200 }
+			);
+
+			const responses = await Promise.all( [
+				get( 'modules', 'search-console', 'searchanalytics', { dateRange: 'last-28-days' } ),
+				get( 'modules', 'analytics', 'accounts-properties-profiles' ),
+			] );
+
+			expect( fetchMock ).toHaveFetchedTimes( 1 );
+			expect( responses ).toEqual( [ [ { clicks: 1 } ], { accounts: [] } ] );
+
+			const { request } = JSON.parse( fetchMock.lastCall()[ 1 ].body );
+			expect( request ).toEqual( [
+				{ key: reportKey, type: 'modules', identifier: 'search-console', datapoint: 'searchanalytics', data: { dateRange: 'last-28-days' } },
+				{ key: settingsKey, type: 'modules', identifier: 'analytics', datapoint: 'accounts-properties-profiles', data: {} },
+			] );
+
+			// Ensure the individual responses were cached.
+			expect( setItemSpy ).toHaveBeenCalledWith( reportKey, [ { clicks: 1 } ] );
+			expect( setItemSpy ).toHaveBeenCalledWith( settingsKey, { accounts: [] } );
+		} );
+
+		it( 'should share a single request between identical requests in flight', async () => {
+			fetchMock.getOnce(
+				/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+				{ body: { foo: 'bar' }, status: 200 }
+			);
+
+			const responses = await Promise.all( [
+				get( 'modules', 'search-console', 'searchanalytics', { dateRange: 'last-7-days' } ),
+				get( 'modules', 'search-console', 'searchanalytics', { dateRange: 'last-7-days' } ),
+			] );
+
+			expect( fetchMock ).toHaveFetchedTimes( 1 );
+			expect( responses ).toEqual( [ { foo: 'bar' }, { foo: 'bar' } ] );
+		} );
+
+		it( 'should reject only the requests with an error in the batch response', async () => {
+			const errorResponse = {
+				code: 'internal_server_error',
+				message: 'Internal server error',
+				data: { status: 500 },
+			};
+			fetchMock.postOnce(
+				/^\/google-site-kit\/v1\/data\//,
+				{
+					body: {
+						[ createCacheKey( 'modules', 'adsense', 'accounts' ) ]: errorResponse,
+						[ createCacheKey( 'modules', 'adsense', 'alerts' ) ]: [],
+					},
+					status: 200,
+				}
+			);
+
+			muteConsole( 'error' );
+			const [ accounts, alerts ] = await Promise.all( [
+				get( 'modules', 'adsense', 'accounts' ).catch( ( error ) => error ),
+				get( 'modules', 'adsense', 'alerts' ),
+			] );
+
+			expect( accounts ).toEqual( errorResponse );
+			expect( alerts ).toEqual( [] );
+		} );
+
+		it( 'should reject all requests if the batch request fails', async () => {
+			const errorResponse = {
+				code: 'rest_forbidden',
+				message: 'Sorry, you are not allowed to do that.',
+				data: { status: 403 },
+			};
+			fetchMock.postOnce(
+				/^\/google-site-kit\/v1\/data\//,
+				{ body: errorResponse, status: 403 }
+			);
+
+			muteConsole( 'error', 2 );
+			const errors = await Promise.all( [
+				get( 'modules', 'adsense', 'accounts' ).catch( ( error ) => error ),
+				get( 'modules', 'adsense', 'alerts' ).catch( ( error ) => error ),
+			] );
+
+			expect( errors ).toEqual( [ errorResponse, errorResponse ] );
+		} );
+
+		it( 'should request datapoints missing from the batch response individually', async () => {
+			fetchMock.postOnce(
+				/^\/google-site-kit\/v1\/data\//,
+				{ body: { [ createCacheKey( 'modules', 'adsense', 'alerts' ) ]: [] }, status: 200 }
+			);
+			fetchMock.getOnce(
+				/^\/google-site-kit\/v1\/modules\/adsense\/data\/accounts/,
+				{ body: [ { id: 'pub-123' } ], status: 200 }
+			);
+
+			const responses = await Promise.all( [
+				get( 'modules', 'adsense', 'accounts' ),
+				get( 'modules', 'adsense', 'alerts' ),
+			] );
+
+			expect( fetchMock ).toHaveFetchedTimes( 2 );
+			expect( responses ).toEqual( [ [ { id: 'pub-123' } ], [] ] );
+		} );
+
+		it( 'should split large batches into multiple batch requests', async () => {
+			fetchMock.post(
+				/^\/google-site-kit\/v1\/data\//,
+				( url, { body } ) => {
+					return JSON.parse( body ).request.reduce( ( responses, { key } ) => {
+						return { ...responses, [ key ]: key };
+					}, {} );
+				}
+			);
+
+			const requests = Array.from( { length: 15 } ).map( ( value, index ) => {
+				return get( 'modules', 'analytics', 'report', { limit: index + 1 } );
+			} );
+			const responses = await Promise.all( requests );
+
+			expect( fetchMock ).toHaveFetchedTimes( 2 );
+			expect( responses[ 14 ] ).toEqual( createCacheKey( 'modules', 'analytics', 'report', { limit: 15 } ) );
+		} );
+
+		it( 'should not batch core requests', async () => {
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/site\/data\//,
+				{ body: { foo: 'bar' }, status: 200 }
+			);
+
+			await Promise.all( [
+				get( 'core', 'site', 'connection' ),
+				get( 'core', 'site', 'reset' ),
+			] );
+
+			expect( fetchMock ).toHaveFetchedTimes( 2 );
+			expect( fetchMock ).not.toHaveFetched( /^\/google-site-kit\/v1\/data\// );
+		} );
+	} );
+
 	describe( 'set', () => {
 		it( 'should throw an error when required arguments are missing', async () => {
 			try {
@@ -610,5 +756,124 @@ describe( 'googlesitekit.api', () => {
 				}
 			);
 		} );
+
+		describe( 'aborting', () => {
+			it( 'should reject with an abort error without reporting it', async () => {
+				fetchMock.get(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: { foo: 'bar' }, status: 200 }
+				);
+
+				const controller = new AbortController();
+				const request = siteKitRequest( 'core', 'search-console', 'settings', {
+					signal: controller.signal,
+					useCache: false,
+				} );
+				controller.abort();
+
+				try {
+					await request;
+					return unexpectedSuccess();
+				} catch ( error ) {
+					expect( isAbortError( error ) ).toBe( true );
+				}
+				expect( global.console.error ).not.toHaveBeenCalled();
+			} );
+
+			it( 'should not abort a request shared with a caller that is still waiting', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: { foo: 'bar' }, status: 200 }
+				);
+
+				const controller = new AbortController();
+				const abortedRequest = siteKitRequest( 'core', 'search-console', 'settings', {
+					signal: controller.signal,
+					useCache: false,
+				} );
+				const request = siteKitRequest( 'core', 'search-console', 'settings', { useCache: false } );
+				controller.abort();
+
+				await expect( abortedRequest ).rejects.toMatchObject( { code: 'fetch_abort' } );
+				expect( await request ).toEqual( { foo: 'bar' } );
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+			} );
+
+			it( 'should not send a request that is aborted before it is sent', async () => {
+				const controller = new AbortController();
+				controller.abort();
+
+				await expect(
+					get( 'modules', 'search-console', 'searchanalytics', {}, { signal: controller.signal, useCache: false } )
+				).rejects.toMatchObject( { code: 'fetch_abort' } );
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+		} );
+
+		describe( 'retries', () => {
+			const serverError = {
+				code: 'internal_server_error',
+				message: 'Internal server error',
+				data: { status: 503 },
+			};
+
+			beforeEach( () => {
+				jest.useRealTimers();
+				setRetryPolicy( { maxAttempts: 2, initialDelay: 1 } );
+			} );
+
+			afterEach( () => {
+				jest.useFakeTimers();
+			} );
+
+			it( 'should retry GET requests failing with a transient error', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: serverError, status: 503 }
+				);
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: { foo: 'bar' }, status: 200 },
+					{ overwriteRoutes: false }
+				);
+
+				const response = await siteKitRequest( 'core', 'search-console', 'settings', { useCache: false } );
+
+				expect( response ).toEqual( { foo: 'bar' } );
+				expect( fetchMock ).toHaveFetchedTimes( 2 );
+			} );
+
+			it( 'should not retry GET requests if disabled for the request', async () => {
+				fetchMock.get(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: serverError, status: 503 }
+				);
+
+				muteConsole( 'error' );
+				try {
+					await siteKitRequest( 'core', 'search-console', 'settings', { retry: false, useCache: false } );
+					return unexpectedSuccess();
+				} catch ( error ) {
+					expect( error ).toEqual( serverError );
+				}
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+			} );
+
+			it( 'should not retry other requests', async () => {
+				fetchMock.post(
+					/^\/google-site-kit\/v1\/core\/search-console\/data\/settings/,
+					{ body: serverError, status: 503 }
+				);
+
+				muteConsole( 'error' );
+				try {
+					await set( 'core', 'search-console', 'settings', { foo: 'bar' } );
+					return unexpectedSuccess();
+				} catch ( error ) {
+					expect( error ).toEqual( serverError );
+				}
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+			} );
+		} );
 	} );
 } );
@@ -0,0 +1,132 @@
+/**
+ * IndexedDB storage backend for the API cache.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Name of the IndexedDB database used by Site Kit.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const DATABASE_NAME = 'googlesitekit';
+
+const DATABASE_VERSION = 1;
+const OBJECT_STORE_NAME = 'cache';
+
+let databasePromise;
+
+/**
+ * Opens the Site Kit database, creating it if necessary.
+ *
+ * The connection is reused for all operations, and closed again when another
+ * tab upgrades or deletes the database.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @return {Promise} Promise resolving to the `IDBDatabase`.
+ */
+const openDatabase = () => {
+	if ( ! databasePromise ) {
+		databasePromise = new Promise( ( resolve, reject ) => {
+			if ( ! global.indexedDB ) {
+				reject( new Error( 'IndexedDB is not supported.' ) );
+				return;
+			}
+
+			const request = global.indexedDB.open( DATABASE_NAME, DATABASE_VERSION );
+
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore( OBJECT_STORE_NAME );
+			};
+			request.onsuccess = () => {
+				const database = request.result;
+				database.onversionchange = () => {
+					database.close();
+					databasePromise = undefined;
+				};
+				resolve( database );
+			};
+			request.onerror = () => reject( request.error );
+			request.onblocked = () => reject( new Error( 'IndexedDB is blocked.' ) );
+		} );
+
+		// Allow to try again later, e.g. once another tab released the database.
+		databasePromise.catch( () => {
+			databasePromise = undefined;
+		} );
+	}
+
+	return databasePromise;
+};
+
+/**
+ * Runs a single request against the cache object store.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string}   mode     Transaction mode, either 'readonly' or 'readwrite'.
+ * @param {Function} callback Function receiving the `IDBObjectStore` and returning an `IDBRequest`.
+ * @return {Promise} Promise resolving to the result of the request once the transaction completed.
+ */
+const runRequest = async ( mode, callback ) => {
+	const database = await openDatabase();
+
+	return new Promise( ( resolve, reject ) => {
+		const transaction = database.transaction( OBJECT_STORE_NAME, mode );
+		const request = callback( transaction.objectStore( OBJECT_STORE_NAME ) );
+
+		transaction.oncomplete = () => resolve( request.result );
+		transaction.onerror = () => reject( transaction.error || request.error );
+		transaction.onabort = () => reject( transaction.error || request.error );
+	} );
+};
+
+/**
+ * Asynchronous storage backend using IndexedDB.
+ *
+ * Mirrors the `Storage` interface used by `localStorage`, except that all
+ * methods return promises, keys are listed via `getKeys()`, and values are
+ * stored as-is rather than as strings. The latter avoids serializing large
+ * values like PageSpeed Insights reports on the main thread.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+const indexedDBStorage = {
+	storesObjects: true,
+
+	async getItem( key ) {
+		const value = await runRequest( 'readonly', ( store ) => store.get( key ) );
+		return value === undefined ? null : value;
+	},
+
+	async setItem( key, value ) {
+		await runRequest( 'readwrite', ( store ) => store.put( value, key ) );
+	},
+
+	async removeItem( key ) {
+		await runRequest( 'readwrite', ( store ) => store.delete( key ) );
+	},
+
+	async getKeys() {
+		return runRequest( 'readonly', ( store ) => store.getAllKeys() );
+	},
+};
+
+export default indexedDBStorage;
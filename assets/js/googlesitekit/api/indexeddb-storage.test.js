@@ -0,0 +1,146 @@
+/**
+ * IndexedDB storage backend tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Creates a request which completes asynchronously like in browsers.
+const createRequest = ( callback ) => {
+	const request = {};
+	Promise.resolve().then( () => callback( request ) );
+	return request;
+};
+
+// Minimal in-memory IndexedDB, as jsdom does not support it.
+const createIndexedDB = () => {
+	const objectStores = {};
+
+	const database = {
+		close: jest.fn(),
+		createObjectStore: ( name ) => {
+			objectStores[ name ] = new Map();
+		},
+		transaction: ( name ) => {
+			const objectStore = objectStores[ name ];
+			const transaction = {};
+			const runRequest = ( operation ) => createRequest( ( request ) => {
+				request.result = operation();
+				transaction.oncomplete();
+			} );
+
+			transaction.objectStore = () => ( {
+				get: ( key ) => runRequest( () => objectStore.get( key ) ),
+				put: ( value, key ) => runRequest( () => objectStore.set( key, value ) && key ),
+				delete: ( key ) => runRequest( () => {
+					objectStore.delete( key );
+				} ),
+				getAllKeys: () => runRequest( () => Array.from( objectStore.keys() ) ),
+			} );
+
+			return transaction;
+		},
+	};
+
+	return {
+		database,
+		open: jest.fn( () => createRequest( ( request ) => {
+			request.result = database;
+			if ( ! Object.keys( objectStores ).length ) {
+				request.onupgradeneeded();
+			}
+			request.onsuccess();
+		} ) ),
+	};
+};
+
+describe( 'indexedDBStorage', () => {
+	let indexedDBStorage;
+	let DATABASE_NAME;
+
+	beforeEach( () => {
+		global.indexedDB = createIndexedDB();
+
+		// The database connection is kept by the module, so every test needs a fresh one.
+		jest.isolateModules( () => {
+			( { default: indexedDBStorage, DATABASE_NAME } = require( './indexeddb-storage' ) );
+		} );
+	} );
+
+	afterEach( () => {
+		delete global.indexedDB;
+	} );
+
+	it( 'stores values as-is', async () => {
+		const value = { value: 'data', timestamp: 1000 };
+
+		await indexedDBStorage.setItem( 'googlesitekit_key', value );
+
+		expect( await indexedDBStorage.getItem( 'googlesitekit_key' ) ).toEqual( value );
+		expect( global.indexedDB.open ).toHaveBeenCalledWith( DATABASE_NAME, 1 );
+	} );
+
+	it( 'returns null for missing items', async () => {
+		expect( await indexedDBStorage.getItem( 'googlesitekit_missing' ) ).toBeNull();
+	} );
+
+	it( 'lists and removes items', async () => {
+		await indexedDBStorage.setItem( 'googlesitekit_one', 'one' );
+		await indexedDBStorage.setItem( 'googlesitekit_two', 'two' );
+		expect( await indexedDBStorage.getKeys() ).toEqual( [ 'googlesitekit_one', 'googlesitekit_two' ] );
+
+		await indexedDBStorage.removeItem( 'googlesitekit_one' );
+
+		expect( await indexedDBStorage.getKeys() ).toEqual( [ 'googlesitekit_two' ] );
+		expect( await indexedDBStorage.getItem( 'googlesitekit_one' ) ).toBeNull();
+	} );
+
+	it( 'reuses the database connection', async () => {
+		await indexedDBStorage.setItem( 'googlesitekit_key', 'value' );
+		await indexedDBStorage.getItem( 'googlesitekit_key' );
+		await indexedDBStorage.getKeys();
+
+		expect( global.indexedDB.open ).toHaveBeenCalledTimes( 1 );
+	} );
+
+	it( 'reopens the database once another tab changed its version', async () => {
+		await indexedDBStorage.setItem( 'googlesitekit_key', 'value' );
+
+		global.indexedDB.database.onversionchange();
+
+		expect( global.indexedDB.database.close ).toHaveBeenCalled();
+		expect( await indexedDBStorage.getItem( 'googlesitekit_key' ) ).toEqual( 'value' );
+		expect( global.indexedDB.open ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'tries to open the database again if it failed before', async () => {
+		const error = new Error( 'Opening the database failed.' );
+		const { open } = global.indexedDB;
+		global.indexedDB.open = jest.fn( () => createRequest( ( request ) => {
+			request.error = error;
+			request.onerror();
+		} ) );
+
+		await expect( indexedDBStorage.getKeys() ).rejects.toBe( error );
+
+		global.indexedDB.open = open;
+		expect( await indexedDBStorage.getKeys() ).toEqual( [] );
+	} );
+
+	it( 'rejects if IndexedDB is not supported', async () => {
+		delete global.indexedDB;
+
+		await expect( indexedDBStorage.getItem( 'googlesitekit_key' ) ).rejects.toThrow( 'IndexedDB is not supported.' );
+	} );
+} );
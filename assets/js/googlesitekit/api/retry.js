@@ -0,0 +1,340 @@
+/**
+ * Retrying of failed API requests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+import isPlainObject from 'lodash/isPlainObject';
+
+/**
+ * WordPress dependencies
+ */
+import apiFetch from '@wordpress/api-fetch';
+import { doAction } from '@wordpress/hooks';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { createAbortError, raceAbort } from './abort';
+
+/**
+ * Default policy for retrying failed requests.
+ *
+ * @since n.e.x.t
+ * @private
+ */
+export const DEFAULT_RETRY_POLICY = {
+	// Total number of attempts, including the initial request.
+	maxAttempts: 3,
+	// Base delay in milliseconds, doubled for every further attempt.
+	initialDelay: 1000,
+	// Maximum delay in milliseconds to wait before an attempt.
+	maxDelay: 30000,
+};
+
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Validates a retry policy and merges it with the defaults.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} policy Retry policy, see `setRetryPolicy()`.
+ * @return {Object} Complete retry policy.
+ */
+const parsePolicy = ( policy ) => {
+	invariant( isPlainObject( policy ), 'policy must be an object.' );
+
+	const parsedPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+	invariant( Number.isInteger( parsedPolicy.maxAttempts ) && parsedPolicy.maxAttempts > 0, 'maxAttempts must be a positive integer.' );
+	invariant( Number.isInteger( parsedPolicy.initialDelay ) && parsedPolicy.initialDelay >= 0, 'initialDelay must be a non-negative integer.' );
+	invariant( Number.isInteger( parsedPolicy.maxDelay ) && parsedPolicy.maxDelay >= 0, 'maxDelay must be a non-negative integer.' );
+
+	return parsedPolicy;
+};
+
+/**
+ * Sets the default policy for retrying failed GET requests.
+ *
+ * Only properties provided are changed from the built-in defaults. Pass
+ * `{ maxAttempts: 1 }` to disable retries.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object} policy                Retry policy.
+ * @param {number} [policy.maxAttempts]  Optional. Total number of attempts, including the initial request. Default 3.
+ * @param {number} [policy.initialDelay] Optional. Base delay in milliseconds before retrying, which is doubled for
+ *                                       every further attempt and randomized to spread out retries. Default 1000.
+ * @param {number} [policy.maxDelay]     Optional. Maximum delay in milliseconds before retrying. If the server asks
+ *                                       to wait longer via `Retry-After`, the request is not retried. Default 30000.
+ * @return {Object} The new retry policy.
+ */
+export const setRetryPolicy = ( policy ) => {
+	retryPolicy = parsePolicy( policy );
+
+	return { ...retryPolicy };
+};
+
+/**
+ * Gets the default policy for retrying failed GET requests.
+ *
+ * @since n.e.x.t
+ *
+ * @return {Object} The current retry policy.
+ */
+export const getRetryPolicy = () => {
+	return { ...retryPolicy };
+};
+
+/**
+ * Checks whether a failed request may succeed when retried.
+ *
+ * This is the case for network errors, rate limiting (HTTP 429) and server
+ * errors (HTTP 5xx), both for the REST API itself and for the Google APIs
+ * it proxies.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} error Error the request failed with.
+ * @return {boolean} `true` if the request should be retried, otherwise `false`.
+ */
+export const isRetryableError = ( error ) => {
+	if ( ! error || typeof error !== 'object' ) {
+		return false;
+	}
+
+	if ( error.code === 'fetch_error' ) {
+		return true;
+	}
+
+	const status = error.data?.status;
+	return status === 429 || ( status >= 500 && status < 600 );
+};
+
+/**
+ * Parses the value of a `Retry-After` header.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} value Header value, either a number of seconds or an HTTP date.
+ * @return {(number|undefined)} Number of seconds to wait, or `undefined` if the value is invalid.
+ */
+export const parseRetryAfter = ( value ) => {
+	if ( typeof value !== 'string' || ! value.trim().length ) {
+		return undefined;
+	}
+
+	if ( /^\d+$/.test( value.trim() ) ) {
+		return parseInt( value, 10 );
+	}
+
+	const date = Date.parse( value );
+	if ( isNaN( date ) ) {
+		return undefined;
+	}
+
+	return Math.max( 0, Math.ceil( ( date - Date.now() ) / 1000 ) );
+};
+
+/**
+ * Gets the number of milliseconds to wait before retrying a request.
+ *
+ * Without a `Retry-After` value, the delay grows exponentially and is
+ * randomized between half and all of that value, so that clients which
+ * failed at the same time do not retry at the same time.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {number} attempt      Number of the attempt that failed, starting at 1.
+ * @param {Object} policy       Retry policy, see `setRetryPolicy()`.
+ * @param {number} [retryAfter] Optional. Number of seconds the server asked to wait.
+ * @return {(number|null)} Delay in milliseconds, or `null` if the server asked to wait longer than allowed.
+ */
+export const getRetryDelay = ( attempt, { initialDelay, maxDelay }, retryAfter ) => {
+	if ( retryAfter !== undefined ) {
+		const delay = retryAfter * 1000;
+		return delay <= maxDelay ? delay : null;
+	}
+
+	const delay = Math.min( maxDelay, initialDelay * Math.pow( 2, attempt - 1 ) );
+	return Math.round( ( delay / 2 ) + ( Math.random() * delay / 2 ) );
+};
+
+/**
+ * Parses a failed REST API response into an error object.
+ *
+ * The error object matches what `apiFetch` rejects with, but always includes
+ * the HTTP status and, if sent, the `Retry-After` header value in seconds as
+ * `data.status` and `data.retryAfter` respectively.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Response} response Fetch API response.
+ * @return {Promise} Promise resolving to the error object.
+ */
+const parseErrorResponse = async ( response ) => {
+	let error;
+	try {
+		error = await response.json();
+	} catch ( err ) {
+		error = {
+			code: 'invalid_json',
+			message: __( 'The response is not a valid JSON response.', 'google-site-kit' ),
+		};
+	}
+
+	if ( ! error || typeof error !== 'object' ) {
+		error = {
+			code: 'unknown_error',
+			message: __( 'An unknown error occurred.', 'google-site-kit' ),
+		};
+	}
+
+	const data = {
+		status: response.status,
+		...error.data,
+	};
+
+	const retryAfter = parseRetryAfter( response.headers?.get( 'Retry-After' ) );
+	if ( retryAfter !== undefined ) {
+		data.retryAfter = retryAfter;
+	}
+
+	return { ...error, data };
+};
+
+/**
+ * Makes a request via `apiFetch`, keeping the HTTP details needed for retries.
+ *
+ * Behaves like `apiFetch`, except that errors always include the HTTP status
+ * and `Retry-After` information, see `parseErrorResponse()`.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} options Options for `apiFetch`.
+ * @return {Promise} Promise resolving to the parsed response.
+ */
+export const fetchWithRetryInfo = async ( options ) => {
+	let response;
+	try {
+		response = await apiFetch( { ...options, parse: false } );
+	} catch ( errorOrResponse ) {
+		// `apiFetch` reports aborted requests like network errors.
+		if ( options.signal?.aborted ) {
+			throw createAbortError();
+		}
+
+		// Network errors are already error objects.
+		if ( typeof errorOrResponse?.json !== 'function' ) {
+			throw errorOrResponse;
+		}
+
+		const error = await parseErrorResponse( errorOrResponse );
+
+		// Only `apiFetch` with parsing enabled refreshes expired nonces, so let
+		// it repeat the request in that case.
+		if ( error.code === 'rest_cookie_invalid_nonce' ) {
+			return apiFetch( options );
+		}
+
+		throw error;
+	}
+
+	// Some middlewares (e.g. preloading) may already return parsed data.
+	if ( typeof response?.json !== 'function' ) {
+		return response;
+	}
+
+	if ( response.status === 204 ) {
+		return null;
+	}
+
+	try {
+		return await response.json();
+	} catch ( err ) {
+		throw {
+			code: 'invalid_json',
+			message: __( 'The response is not a valid JSON response.', 'google-site-kit' ),
+		};
+	}
+};
+
+/**
+ * Calls a request callback, retrying it if it fails with a transient error.
+ *
+ * Every retry triggers the `googlesitekit.apiRetry` action with details
+ * about the request, the attempt about to be made, the delay before it and
+ * the error that caused it. Aborted requests are never retried.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Function}         callback          Function making the request and returning a promise.
+ * @param {Object}           [options]         Optional. Options.
+ * @param {Object}           [options.request] Optional. Details about the request, passed to the action.
+ * @param {(Object|boolean)} [options.policy]  Optional. Retry policy overriding the defaults, or `false` to not retry.
+ * @param {AbortSignal}      [options.signal]  Optional. Signal to abort the request, including waiting for a retry.
+ * @return {Promise} Promise resolving to the response, or rejecting with the last error.
+ */
+export const withRetry = async ( callback, { request = {}, policy, signal } = {} ) => {
+	const { maxAttempts, ...delayPolicy } = policy === false
+		? { ...retryPolicy, maxAttempts: 1 }
+		: parsePolicy( { ...retryPolicy, ...policy } );
+
+	for ( let attempt = 1; ; attempt++ ) {
+		try {
+			return await callback();
+		} catch ( error ) {
+			if ( signal?.aborted ) {
+				throw createAbortError();
+			}
+
+			if ( attempt >= maxAttempts || ! isRetryableError( error ) ) {
+				throw error;
+			}
+
+			const delay = getRetryDelay( attempt, delayPolicy, error.data?.retryAfter );
+			if ( delay === null ) {
+				throw error;
+			}
+
+			/**
+			 * Fires before a failed API request is retried.
+			 *
+			 * @since n.e.x.t
+			 *
+			 * @param {Object} details         Retry details.
+			 * @param {Object} details.request Details about the request, e.g. its datapoint.
+			 * @param {number} details.attempt Number of the attempt about to be made, starting at 2.
+			 * @param {number} details.delay   Milliseconds to wait before the attempt.
+			 * @param {Object} details.error   Error the previous attempt failed with.
+			 */
+			doAction( 'googlesitekit.apiRetry', { request, attempt: attempt + 1, delay, error } );
+
+			await raceAbort( new Promise( ( resolve ) => global.setTimeout( resolve, delay ) ), signal );
+		}
+	}
+};
@@ -0,0 +1,240 @@
+/**
+ * API request retry tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { addAction, removeAction } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies
+ */
+import { unexpectedSuccess } from '../../../../tests/js/test-utils';
+import {
+	DEFAULT_RETRY_POLICY,
+	fetchWithRetryInfo,
+	getRetryDelay,
+	getRetryPolicy,
+	isRetryableError,
+	parseRetryAfter,
+	setRetryPolicy,
+	withRetry,
+} from './retry';
+
+const serverError = {
+	code: 'internal_server_error',
+	message: 'Internal server error',
+	data: { status: 500 },
+};
+
+describe( 'googlesitekit.api retry', () => {
+	describe( 'setRetryPolicy', () => {
+		it( 'merges the given policy with the defaults', () => {
+			expect( setRetryPolicy( { maxAttempts: 5 } ) ).toEqual( {
+				...DEFAULT_RETRY_POLICY,
+				maxAttempts: 5,
+			} );
+			expect( getRetryPolicy().maxAttempts ).toBe( 5 );
+		} );
+
+		it.each( [
+			[ 'maxAttempts', { maxAttempts: 0 } ],
+			[ 'initialDelay', { initialDelay: -1 } ],
+			[ 'maxDelay', { maxDelay: 1.5 } ],
+		] )( 'throws for an invalid %s', ( option, policy ) => {
+			expect( () => setRetryPolicy( policy ) ).toThrow( option );
+		} );
+	} );
+
+	describe( 'isRetryableError', () => {
+		it.each( [
+			[ 'a network error', { code: 'fetch_error' }, true ],
+			[ 'rate limiting', { code: 'rateLimitExceeded', data: { status: 429 } }, true ],
+			[ 'a server error', serverError, true ],
+			[ 'a bad gateway error', { code: 'invalid_json', data: { status: 502 } }, true ],
+			[ 'a client error', { code: 'rest_invalid_param', data: { status: 400 } }, false ],
+			[ 'an expired nonce', { code: 'rest_cookie_invalid_nonce', data: { status: 403 } }, false ],
+			[ 'a non-object', 'error', false ],
+		] )( 'considers %s', ( description, error, expected ) => {
+			expect( isRetryableError( error ) ).toBe( expected );
+		} );
+	} );
+
+	describe( 'parseRetryAfter', () => {
+		it( 'parses a number of seconds', () => {
+			expect( parseRetryAfter( '120' ) ).toBe( 120 );
+		} );
+
+		it( 'parses an HTTP date relative to now', () => {
+			const nowSpy = jest.spyOn( Date, 'now' ).mockImplementation( () => Date.parse( 'Wed, 21 Oct 2020 07:28:00 GMT' ) );
+
+			expect( parseRetryAfter( 'Wed, 21 Oct 2020 07:28:30 GMT' ) ).toBe( 30 );
+			expect( parseRetryAfter( 'Wed, 21 Oct 2020 07:27:00 GMT' ) ).toBe( 0 );
+
+			nowSpy.mockRestore();
+		} );
+
+		it( 'returns undefined for a missing or invalid value', () => {
+			expect( parseRetryAfter( null ) ).toBe( undefined );
+			expect( parseRetryAfter( '' ) ).toBe( undefined );
+			expect( parseRetryAfter( 'soon' ) ).toBe( undefined );
+		} );
+	} );
+
+	describe( 'getRetryDelay', () => {
+		const policy = { initialDelay: 1000, maxDelay: 5000 };
+
+		it( 'grows exponentially with jitter', () => {
+			const randomSpy = jest.spyOn( Math, 'random' );
+
+			randomSpy.mockReturnValue( 0 );
+			expect( getRetryDelay( 1, policy ) ).toBe( 500 );
+			expect( getRetryDelay( 2, policy ) ).toBe( 1000 );
+
+			randomSpy.mockReturnValue( 1 );
+			expect( getRetryDelay( 1, policy ) ).toBe( 1000 );
+			expect( getRetryDelay( 2, policy ) ).toBe( 2000 );
+
+			// Capped at the maximum delay.
+			expect( getRetryDelay( 5, policy ) ).toBe( 5000 );
+
+			randomSpy.mockRestore();
+		} );
+
+		it( 'uses the Retry-After value if given', () => {
+			expect( getRetryDelay( 1, policy, 3 ) ).toBe( 3000 );
+		} );
+
+		it( 'returns null if Retry-After exceeds the maximum delay', () => {
+			expect( getRetryDelay( 1, policy, 10 ) ).toBe( null );
+		} );
+	} );
+
+	describe( 'withRetry', () => {
+		let retries;
+
+		beforeEach( () => {
+			jest.useRealTimers();
+			setRetryPolicy( { maxAttempts: 3, initialDelay: 1, maxDelay: 10 } );
+
+			retries = [];
+			addAction( 'googlesitekit.apiRetry', 'googlesitekit.test', ( details ) => retries.push( details ) );
+		} );
+
+		afterEach( () => {
+			removeAction( 'googlesitekit.apiRetry', 'googlesitekit.test' );
+			jest.useFakeTimers();
+		} );
+
+		it( 'retries transient errors until the request succeeds', async () => {
+			const callback = jest.fn()
+				.mockRejectedValueOnce( { code: 'fetch_error' } )
+				.mockRejectedValueOnce( serverError )
+				.mockResolvedValueOnce( 'response' );
+
+			const response = await withRetry( callback, { request: { datapoint: 'test' } } );
+
+			expect( response ).toBe( 'response' );
+			expect( callback ).toHaveBeenCalledTimes( 3 );
+			expect( retries ).toHaveLength( 2 );
+			expect( retries[ 1 ] ).toMatchObject( {
+				request: { datapoint: 'test' },
+				attempt: 3,
+				error: serverError,
+			} );
+		} );
+
+		it( 'rejects with the last error after the maximum number of attempts', async () => {
+			const callback = jest.fn().mockRejectedValue( serverError );
+
+			try {
+				await withRetry( callback );
+				return unexpectedSuccess();
+			} catch ( error ) {
+				expect( error ).toEqual( serverError );
+			}
+
+			expect( callback ).toHaveBeenCalledTimes( 3 );
+		} );
+
+		it( 'does not retry other errors', async () => {
+			const clientError = { code: 'rest_invalid_param', data: { status: 400 } };
+			const callback = jest.fn().mockRejectedValue( clientError );
+
+			await expect( withRetry( callback ) ).rejects.toEqual( clientError );
+			expect( callback ).toHaveBeenCalledTimes( 1 );
+			expect( retries ).toHaveLength( 0 );
+		} );
+
+		it( 'does not retry if the server asks to wait longer than the maximum delay', async () => {
+			const rateLimitError = { code: 'rateLimitExceeded', data: { status: 429, retryAfter: 60 } };
+			const callback = jest.fn().mockRejectedValue( rateLimitError );
+
+			await expect( withRetry( callback ) ).rejects.toEqual( rateLimitError );
+			expect( callback ).toHaveBeenCalledTimes( 1 );
+		} );
+
+		it( 'supports overriding or disabling the policy per request', async () => {
+			const callback = jest.fn().mockRejectedValue( serverError );
+
+			await expect( withRetry( callback, { policy: { maxAttempts: 2 } } ) ).rejects.toEqual( serverError );
+			expect( callback ).toHaveBeenCalledTimes( 2 );
+
+			callback.mockClear();
+			await expect( withRetry( callback, { policy: false } ) ).rejects.toEqual( serverError );
+			expect( callback ).toHaveBeenCalledTimes( 1 );
+		} );
+	} );
+
+	describe( 'fetchWithRetryInfo', () => {
+		it( 'resolves with the parsed response', async () => {
+			fetchMock.getOnce( /^\/google-site-kit\/v1\/core\/site\/data\/test/, { body: { foo: 'bar' }, status: 200 } );
+
+			const response = await fetchWithRetryInfo( { path: '/google-site-kit/v1/core/site/data/test' } );
+
+			expect( response ).toEqual( { foo: 'bar' } );
+		} );
+
+		it( 'adds the HTTP status and Retry-After value to errors', async () => {
+			fetchMock.getOnce( /^\/google-site-kit\/v1\/core\/site\/data\/test/, {
+				body: 'Too many requests',
+				status: 429,
+				headers: { 'Retry-After': '5' },
+			} );
+
+			try {
+				await fetchWithRetryInfo( { path: '/google-site-kit/v1/core/site/data/test' } );
+				return unexpectedSuccess();
+			} catch ( error ) {
+				expect( error ).toEqual( {
+					code: 'invalid_json',
+					message: 'The response is not a valid JSON response.',
+					data: { status: 429, retryAfter: 5 },
+				} );
+			}
+		} );
+
+		it( 'keeps the error data of the response', async () => {
+			fetchMock.getOnce( /^\/google-site-kit\/v1\/core\/site\/data\/test/, { body: serverError, status: 500 } );
+
+			await expect(
+				fetchWithRetryInfo( { path: '/google-site-kit/v1/core/site/data/test' } )
+			).rejects.toEqual( serverError );
+		} );
+	} );
+} );
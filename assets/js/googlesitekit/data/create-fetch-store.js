@@ -22,6 +22,11 @@
 import invariant from 'invariant';
 import isPlainObject from 'lodash/isPlainObject';
 
+/**
+ * WordPress dependencies
+ */
+import { createRegistryControl } from '@wordpress/data';
+
 /**
  * Internal dependencies
  */
@@ -29,6 +34,8 @@ import {
 	camelCaseToPascalCase,
 	camelCaseToConstantCase,
 } from './transform-case';
+import { CLEAR_ERROR } from './utils';
+import { createAbortError, isAbortError } from '../api/abort';
 import { stringifyObject } from '../../util';
 
 const defaultReducerCallback = ( state ) => {
@@ -48,12 +55,44 @@ const defaultArgsToParams = () => {
  * * control to issue the API request
  * * reducer to set API request flag and receive the response
  * * selector to check whether the API request is in progress via a flag
+ * * selector to get the error of a failed API request per params
  *
  * The names of the pieces are based on the baseName provided.
  * For example, if baseName is 'saveSettings':
  * * The fetch action creator is called 'fetchSaveSettings'.
  * * The receive action creator is called 'receiveSaveSettings'.
  * * The fetching selector is called 'isFetchingSaveSettings'.
+ * * The error selector is called 'getErrorForSaveSettings'.
+ *
+ * Errors are kept in the shared `errors` state, keyed by base name and
+ * params, so that concurrent requests do not overwrite each other's errors.
+ * An error is removed once data for the same params is received, or when it
+ * is cleared via the common `clearError` action.
+ *
+ * If `staleTime` or `revalidate` is provided, the following are included too:
+ * * selector to check whether received data is stale, e.g. 'isStaleGetSomeData'
+ * * action creator to mark received data as stale, e.g. 'invalidateGetSomeData'
+ *
+ * Stores opting into this should only skip fetching in their resolver if
+ * existing data is not stale, so that stale data keeps being returned while
+ * fresh data is fetched in the background. Once fetched data is older than
+ * `staleTime`, it is invalidated and the resolution of the selector named like
+ * `baseName` is reset, so that the next select fetches fresh data.
+ *
+ * The control passes an `AbortSignal` to `controlCallback`, which should be
+ * passed on to the API request. If `paramsToSupersedeKey` is provided, a new
+ * request aborts requests still in flight which have the same supersede key
+ * but different params, e.g. a report for a previously selected date range.
+ * Aborted requests are not recorded as errors, and the resolution of the
+ * selector named like `baseName` is invalidated, so that its resolver runs
+ * again once the data is needed again.
+ *
+ * Stores with `paramsToSupersedeKey` also include action creators to retain
+ * and release requests, e.g. 'retainGetSomeData' and 'releaseGetSomeData',
+ * which receive the same arguments as the fetch action. Once everything that
+ * retained a request released it, e.g. because all components using the data
+ * unmounted, the request is aborted if it is still in flight. Components
+ * should use the `useAbortOnUnmount` hook rather than these actions.
  *
  * All parts of the returned store objects should be considered internal. A
  * public action or selector should be implemented to actually call the
@@ -72,21 +111,33 @@ const defaultArgsToParams = () => {
  * @since 1.10.0
  * @private
  *
- * @param {Object}   args                   Arguments for creating the fetch store.
- * @param {string}   args.baseName          The base name to use for all the created infrastructure.
- * @param {Function} args.controlCallback   Callback function to issue the API request. Will be used inside the
- *                                          control. The function receives a params object based on argsToParams,
- *                                          i.e. the respective values passed to the action.
- * @param {Function} [args.reducerCallback] Optional. Callback function to modify state based on the API response.
- *                                          Will be used inside the reducer. The function receives the store's state
- *                                          object as first parameter, the API response as second parameter, and the
- *                                          params object for the request (see above) as third parameter. If not
- *                                          provided, the default will return the unmodified state.
- * @param {Function} [args.argsToParams]    Optional. Function that should validate expected arguments for the
- *                                          internal fetch action and parse them into an named parameters object,
- *                                          with the argument names used as keys. If not provided, the default
- *                                          function will return an empty object, essentially indicating that no
- *                                          arguments are supported/required.
+ * @param {Object}   args                        Arguments for creating the fetch store.
+ * @param {string}   args.baseName               The base name to use for all the created infrastructure.
+ * @param {Function} args.controlCallback        Callback function to issue the API request. Will be used inside the
+ *                                               control. The function receives a params object based on argsToParams,
+ *                                               i.e. the respective values passed to the action, and an object with
+ *                                               a `signal` property holding the `AbortSignal` for the request.
+ * @param {Function} [args.reducerCallback]      Optional. Callback function to modify state based on the API response.
+ *                                               Will be used inside the reducer. The function receives the store's state
+ *                                               object as first parameter, the API response as second parameter, and the
+ *                                               params object for the request (see above) as third parameter. If not
+ *                                               provided, the default will return the unmodified state.
+ * @param {Function} [args.argsToParams]         Optional. Function that should validate expected arguments for the
+ *                                               internal fetch action and parse them into an named parameters object,
+ *                                               with the argument names used as keys. If not provided, the default
+ *                                               function will return an empty object, essentially indicating that no
+ *                                               arguments are supported/required.
+ * @param {number}   [args.staleTime]            Optional. Number of milliseconds after which received data is
+ *                                               considered stale. If not provided, data only becomes stale when it is
+ *                                               invalidated.
+ * @param {boolean}  [args.revalidate]           Optional. Whether invalidating data should also reset the resolution of
+ *                                               the selector named like `baseName`, so that its resolver runs again
+ *                                               the next time the selector is called. Default false.
+ * @param {Function} [args.paramsToSupersedeKey] Optional. Function receiving a params object and returning a string.
+ *                                               Requests with the same key supersede each other. If not provided,
+ *                                               requests are never superseded.
+ * @param {string}   [args.storeName]            Optional. Name of the store the fetch store is part of. Required if
+ *                                               `staleTime` or `paramsToSupersedeKey` is provided.
  * @return {Object} Partial store object with properties 'actions', 'controls', 'reducer', 'resolvers', and 'selectors'.
  */
 export const createFetchStore = ( {
@@ -94,11 +145,21 @@ export const createFetchStore = ( {
 	controlCallback,
 	reducerCallback = defaultReducerCallback,
 	argsToParams = defaultArgsToParams,
+	staleTime,
+	revalidate = false,
+	paramsToSupersedeKey,
+	storeName,
 } ) => {
 	invariant( baseName, 'baseName is required.' );
 	invariant( 'function' === typeof controlCallback, 'controlCallback is required and must be a function.' );
 	invariant( 'function' === typeof reducerCallback, 'reducerCallback must be a function.' );
 	invariant( 'function' === typeof argsToParams, 'argsToParams must be a function.' );
+	invariant( staleTime === undefined || ( Number.isInteger( staleTime ) && staleTime >= 0 ), 'staleTime must be a non-negative integer.' );
+	invariant( paramsToSupersedeKey === undefined || 'function' === typeof paramsToSupersedeKey, 'paramsToSupersedeKey must be a function.' );
+	invariant( paramsToSupersedeKey === undefined || storeName, 'storeName is required when using paramsToSupersedeKey.' );
+	invariant( staleTime === undefined || storeName, 'storeName is required when using staleTime.' );
+
+	const tracksStaleness = staleTime !== undefined || revalidate;
 
 	// If argsToParams without any arguments does not result in an error, we
 	// know params is okay to be empty.
@@ -118,14 +179,46 @@ export const createFetchStore = ( {
 	const FINISH_FETCH = `FINISH_${ FETCH }`;
 	const CATCH_FETCH = `CATCH_${ FETCH }`;
 	const RECEIVE = `RECEIVE_${ constantBaseName }`;
+	const INVALIDATE = `INVALIDATE_${ constantBaseName }`;
+	const SCHEDULE_INVALIDATE = `SCHEDULE_INVALIDATE_${ constantBaseName }`;
+	const RETAIN = `RETAIN_${ constantBaseName }`;
+	const RELEASE = `RELEASE_${ constantBaseName }`;
 
 	const fetchCreator = `fetch${ pascalCaseBaseName }`;
 	const receiveCreator = `receive${ pascalCaseBaseName }`;
+	const invalidateCreator = `invalidate${ pascalCaseBaseName }`;
+	const retainCreator = `retain${ pascalCaseBaseName }`;
+	const releaseCreator = `release${ pascalCaseBaseName }`;
 	const isFetching = `isFetching${ pascalCaseBaseName }`;
+	const isStale = `isStale${ pascalCaseBaseName }`;
+	const getErrorFor = `getErrorFor${ pascalCaseBaseName }`;
+	// Holds the time data was received at per params, or 0 if it was invalidated.
+	const receivedAt = `receivedAt${ pascalCaseBaseName }`;
 
 	const INITIAL_STATE = {
 		[ isFetching ]: {},
 	};
+	if ( tracksStaleness ) {
+		INITIAL_STATE[ receivedAt ] = {};
+	}
+
+	// Returns the state with the error for the given params key removed.
+	const removeError = ( state, key ) => {
+		const { [ key ]: removedError, ...errors } = ( state.errors || {} )[ baseName ] || {};
+		if ( removedError === undefined ) {
+			return state;
+		}
+
+		return {
+			...state,
+			// Also clear the legacy store-wide error if it was caused by this request.
+			error: state.error === removedError ? undefined : state.error,
+			errors: {
+				...state.errors,
+				[ baseName ]: errors,
+			},
+		};
+	};
 
 	const actions = {
 		*[ fetchCreator ]( ...args ) {
@@ -150,7 +243,7 @@ export const createFetchStore = ( {
 
 			try {
 				response = yield {
-					payload: { params },
+					payload: { args, params },
 					type: FETCH,
 				};
 
@@ -160,12 +253,20 @@ export const createFetchStore = ( {
 					payload: { params },
 					type: FINISH_FETCH,
 				};
+
+				if ( staleTime !== undefined ) {
+					yield {
+						payload: { args, params },
+						type: SCHEDULE_INVALIDATE,
+					};
+				}
 			} catch ( e ) {
 				error = e;
 
+				// Aborted requests were not needed anymore, so they are not errors.
 				yield {
 					payload: { error, params },
-					type: CATCH_FETCH,
+					type: isAbortError( error ) ? FINISH_FETCH : CATCH_FETCH,
 				};
 			}
 
@@ -187,11 +288,183 @@ export const createFetchStore = ( {
 		},
 	};
 
+	if ( tracksStaleness ) {
+		actions[ invalidateCreator ] = function* ( ...args ) {
+			const params = argsToParams( ...args );
+
+			yield {
+				payload: { params },
+				type: INVALIDATE,
+			};
+
+			if ( revalidate ) {
+				// Let the resolver of the corresponding selector run again, which
+				// fetches fresh data while the stale data is still available.
+				yield {
+					type: 'INVALIDATE_RESOLUTION',
+					selectorName: baseName,
+					args,
+				};
+			}
+		};
+	}
+
+	if ( paramsToSupersedeKey ) {
+		actions[ retainCreator ] = function* ( ...args ) {
+			yield {
+				payload: { params: argsToParams( ...args ) },
+				type: RETAIN,
+			};
+		};
+
+		actions[ releaseCreator ] = function* ( ...args ) {
+			yield {
+				payload: { params: argsToParams( ...args ) },
+				type: RELEASE,
+			};
+		};
+	}
+
+	// Requests in flight per registry, to abort superseded requests.
+	const pendingRequests = new WeakMap();
+	// Number of times requests were retained per registry, keyed by params.
+	const retainCounts = new WeakMap();
+
+	// Invalidates the resolution for the given args once it finished.
+	const invalidateResolution = ( registry, args ) => {
+		const { hasFinishedResolution, isResolving } = registry.select( storeName );
+
+		if ( hasFinishedResolution( baseName, args ) ) {
+			registry.dispatch( storeName ).invalidateResolution( baseName, args );
+		} else if ( isResolving( baseName, args ) ) {
+			const unsubscribe = registry.subscribe( () => {
+				if ( registry.select( storeName ).hasFinishedResolution( baseName, args ) ) {
+					unsubscribe();
+					registry.dispatch( storeName ).invalidateResolution( baseName, args );
+				}
+			} );
+		}
+	};
+
+	// The registry is only needed, and thus only passed, to abort requests.
+	const fetchControl = ( registry ) => async ( { payload } ) => {
+		const { args, params } = payload;
+		const controller = global.AbortController ? new global.AbortController() : undefined;
+		const signal = controller?.signal;
+
+		let requests;
+		if ( paramsToSupersedeKey && controller ) {
+			if ( ! pendingRequests.has( registry ) ) {
+				pendingRequests.set( registry, new Map() );
+			}
+			requests = pendingRequests.get( registry );
+
+			const paramsKey = stringifyObject( params );
+			const supersedeKey = paramsToSupersedeKey( params );
+			requests.forEach( ( request, pendingController ) => {
+				if ( request.supersedeKey === supersedeKey && request.paramsKey !== paramsKey ) {
+					pendingController.abort();
+				}
+			} );
+			requests.set( controller, { paramsKey, supersedeKey } );
+		}
+
+		try {
+			const response = await controlCallback( params, { signal } );
+
+			// Do not let outdated data land even if the callback does not
+			// support aborting the request.
+			if ( signal?.aborted ) {
+				throw createAbortError();
+			}
+
+			return response;
+		} catch ( error ) {
+			if ( signal?.aborted ) {
+				invalidateResolution( registry, args );
+				throw createAbortError();
+			}
+
+			throw error;
+		} finally {
+			if ( requests ) {
+				requests.delete( controller );
+			}
+		}
+	};
+
+	// Timers invalidating stale data per registry, keyed by params.
+	const staleTimers = new WeakMap();
+
+	const scheduleInvalidateControl = ( registry ) => ( { payload } ) => {
+		const { args, params } = payload;
+		const paramsKey = stringifyObject( params );
+
+		if ( ! staleTimers.has( registry ) ) {
+			staleTimers.set( registry, new Map() );
+		}
+		const timers = staleTimers.get( registry );
+
+		global.clearTimeout( timers.get( paramsKey ) );
+		timers.set( paramsKey, global.setTimeout( () => {
+			timers.delete( paramsKey );
+
+			registry.dispatch( storeName )[ invalidateCreator ]( ...args );
+			if ( ! revalidate ) {
+				invalidateResolution( registry, args );
+			}
+		}, staleTime ) );
+	};
+
+	const getRetainCounts = ( registry ) => {
+		if ( ! retainCounts.has( registry ) ) {
+			retainCounts.set( registry, new Map() );
+		}
+
+		return retainCounts.get( registry );
+	};
+
+	const retainControl = ( registry ) => ( { payload } ) => {
+		const paramsKey = stringifyObject( payload.params );
+		const counts = getRetainCounts( registry );
+
+		counts.set( paramsKey, ( counts.get( paramsKey ) || 0 ) + 1 );
+	};
+
+	const releaseControl = ( registry ) => ( { payload } ) => {
+		const paramsKey = stringifyObject( payload.params );
+		const counts = getRetainCounts( registry );
+		const count = counts.get( paramsKey );
+
+		// Requests which were never retained are left alone.
+		if ( ! count ) {
+			return;
+		}
+
+		if ( count > 1 ) {
+			counts.set( paramsKey, count - 1 );
+			return;
+		}
+
+		// Nothing needs the data anymore, so stop waiting for it.
+		counts.delete( paramsKey );
+		( pendingRequests.get( registry ) || new Map() ).forEach( ( request, pendingController ) => {
+			if ( request.paramsKey === paramsKey ) {
+				pendingController.abort();
+			}
+		} );
+	};
+
 	const controls = {
-		[ FETCH ]: ( { payload } ) => {
-			return controlCallback( payload.params );
-		},
+		[ FETCH ]: paramsToSupersedeKey ? createRegistryControl( fetchControl ) : fetchControl(),
 	};
+	if ( paramsToSupersedeKey ) {
+		controls[ RETAIN ] = createRegistryControl( retainControl );
+		controls[ RELEASE ] = createRegistryControl( releaseControl );
+	}
+	if ( staleTime !== undefined ) {
+		controls[ SCHEDULE_INVALIDATE ] = createRegistryControl( scheduleInvalidateControl );
+	}
 
 	const reducer = ( state, { type, payload } ) => {
 		switch ( type ) {
@@ -208,7 +481,37 @@ export const createFetchStore = ( {
 
 			case RECEIVE: {
 				const { response, params } = payload;
-				return reducerCallback( state, response, params );
+				const newState = removeError(
+					reducerCallback( state, response, params ),
+					stringifyObject( params )
+				);
+				if ( ! tracksStaleness ) {
+					return newState;
+				}
+
+				return {
+					...newState,
+					[ receivedAt ]: {
+						...newState[ receivedAt ],
+						[ stringifyObject( params ) ]: Date.now(),
+					},
+				};
+			}
+
+			case INVALIDATE: {
+				const { params } = payload;
+				const key = stringifyObject( params );
+				if ( ( state[ receivedAt ] || {} )[ key ] === undefined ) {
+					return state;
+				}
+
+				return {
+					...state,
+					[ receivedAt ]: {
+						...state[ receivedAt ],
+						[ key ]: 0,
+					},
+				};
 			}
 
 			case FINISH_FETCH: {
@@ -224,9 +527,17 @@ export const createFetchStore = ( {
 
 			case CATCH_FETCH: {
 				const { error, params } = payload;
+				const errors = state.errors || {};
 				return {
 					...state,
 					error,
+					errors: {
+						...errors,
+						[ baseName ]: {
+							...errors[ baseName ],
+							[ stringifyObject( params ) ]: error,
+						},
+					},
 					[ isFetching ]: {
 						...state[ isFetching ],
 						[ stringifyObject( params ) ]: false,
@@ -234,6 +545,22 @@ export const createFetchStore = ( {
 				};
 			}
 
+			case CLEAR_ERROR: {
+				// Clearing all errors is handled by the common reducer.
+				if ( payload.baseName !== baseName ) {
+					return state;
+				}
+
+				let params;
+				try {
+					params = argsToParams( ...payload.args );
+				} catch ( err ) {
+					return state;
+				}
+
+				return removeError( state, stringifyObject( params ) );
+			}
+
 			default: {
 				return { ...state };
 			}
@@ -257,8 +584,47 @@ export const createFetchStore = ( {
 
 			return !! state[ isFetching ][ stringifyObject( params ) ];
 		},
+
+		[ getErrorFor ]: ( state, ...args ) => {
+			const errors = ( state.errors || {} )[ baseName ];
+			if ( errors === undefined ) {
+				return undefined;
+			}
+
+			let params;
+			try {
+				params = argsToParams( ...args );
+			} catch ( err ) {
+				return undefined;
+			}
+
+			return errors[ stringifyObject( params ) ];
+		},
 	};
 
+	if ( tracksStaleness ) {
+		selectors[ isStale ] = ( state, ...args ) => {
+			if ( state[ receivedAt ] === undefined ) {
+				return false;
+			}
+
+			let params;
+			try {
+				params = argsToParams( ...args );
+			} catch ( err ) {
+				return false;
+			}
+
+			const time = state[ receivedAt ][ stringifyObject( params ) ];
+			if ( time === undefined ) {
+				// Nothing received yet, so there is nothing to be stale.
+				return false;
+			}
+
+			return time === 0 || ( staleTime !== undefined && Date.now() - time >= staleTime );
+		};
+	}
+
 	return {
 		INITIAL_STATE,
 		actions,
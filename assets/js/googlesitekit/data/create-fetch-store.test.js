@@ -35,8 +35,10 @@ import {
 	muteConsole,
 	subscribeUntil,
 	unsubscribeFromAll,
+	untilResolved,
 } from '../../../../tests/js/utils';
 import { createFetchStore } from './create-fetch-store';
+import { combineStores, commonStore } from './utils';
 
 const STORE_NAME = 'test/some-data';
 const STORE_PARAMS = {
@@ -304,7 +306,342 @@ describe( 'createFetchStore store', () => {
 
 			expect( Object.keys( fetchStoreDefinition.selectors ) ).toEqual( [
 				'isFetchingSaveSomeData',
+				'getErrorForSaveSomeData',
 			] );
 		} );
 	} );
+
+	describe( 'errors', () => {
+		const ERROR_STORE_NAME = 'test/error-data';
+		const errorResponse = {
+			code: 'internal_server_error',
+			message: 'Internal server error',
+			data: { status: 500 },
+		};
+		let errorSelect;
+		let errorDispatch;
+
+		beforeEach( () => {
+			registry.registerStore( ERROR_STORE_NAME, combineStores(
+				commonStore,
+				createFetchStore( STORE_PARAMS ),
+				createFetchStore( {
+					baseName: 'getOtherData',
+					controlCallback: () => API.get( 'core', 'test', 'other-data' ),
+				} ),
+			) );
+			errorSelect = registry.select( ERROR_STORE_NAME );
+			errorDispatch = registry.dispatch( ERROR_STORE_NAME );
+		} );
+
+		it( 'records errors per base name and params', async () => {
+			fetchMock.getOnce(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: errorResponse, status: 500 }
+			);
+			fetchMock.getOnce(
+				/^\/google-site-kit\/v1\/core\/test\/data\/other-data/,
+				{ body: { someValue: 42 }, status: 200 }
+			);
+
+			muteConsole( 'error' );
+			await Promise.all( [
+				errorDispatch.fetchGetSomeData( {}, 'failing' ),
+				errorDispatch.fetchGetOtherData(),
+			] );
+
+			expect( errorSelect.getErrorForGetSomeData( {}, 'failing' ) ).toEqual( errorResponse );
+			expect( errorSelect.getErrorForGetSomeData( {}, 'other' ) ).toEqual( undefined );
+			expect( errorSelect.getErrorForGetOtherData() ).toEqual( undefined );
+		} );
+
+		it( 'removes the error once data for the same params is received', async () => {
+			fetchMock.getOnce(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: errorResponse, status: 500 }
+			);
+
+			muteConsole( 'error' );
+			await errorDispatch.fetchGetSomeData( {}, 'value' );
+			expect( errorSelect.getErrorForGetSomeData( {}, 'value' ) ).toEqual( errorResponse );
+
+			errorDispatch.receiveGetSomeData( { someValue: 42 }, { objParam: {}, aParam: 'value' } );
+			expect( errorSelect.getErrorForGetSomeData( {}, 'value' ) ).toEqual( undefined );
+		} );
+
+		it( 'clears the error for the given base name and arguments via clearError', async () => {
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\//,
+				{ body: errorResponse, status: 500 }
+			);
+
+			muteConsole( 'error', 3 );
+			await errorDispatch.fetchGetSomeData( {}, 'value' );
+			await errorDispatch.fetchGetSomeData( {}, 'other' );
+			await errorDispatch.fetchGetOtherData();
+
+			errorDispatch.clearError( 'getSomeData', [ {}, 'value' ] );
+			expect( errorSelect.getErrorForGetSomeData( {}, 'value' ) ).toEqual( undefined );
+			expect( errorSelect.getErrorForGetSomeData( {}, 'other' ) ).toEqual( errorResponse );
+			expect( errorSelect.getErrorForGetOtherData() ).toEqual( errorResponse );
+
+			errorDispatch.clearError();
+			expect( errorSelect.getErrorForGetSomeData( {}, 'other' ) ).toEqual( undefined );
+			expect( errorSelect.getErrorForGetOtherData() ).toEqual( undefined );
+		} );
+	} );
+	describe( 'staleness', () => {
+		const STALE_STORE_NAME = 'test/stale-data';
+		let now;
+		let staleSelect;
+		let staleDispatch;
+
+		beforeEach( () => {
+			now = 1000;
+			jest.spyOn( Date, 'now' ).mockImplementation( () => now );
+
+			const fetchStoreDefinition = createFetchStore( {
+				...STORE_PARAMS,
+				storeName: STALE_STORE_NAME,
+				staleTime: 500,
+				revalidate: true,
+			} );
+			registry.registerStore( STALE_STORE_NAME, {
+				...fetchStoreDefinition,
+				resolvers: {
+					*getSomeData( objParam, aParam ) {
+						yield fetchStoreDefinition.actions.fetchGetSomeData( objParam, aParam );
+					},
+				},
+				selectors: {
+					...fetchStoreDefinition.selectors,
+					getSomeData: ( state, objParam, aParam ) => ( state.data || {} )[ aParam ],
+				},
+			} );
+			staleSelect = registry.select( STALE_STORE_NAME );
+			staleDispatch = registry.dispatch( STALE_STORE_NAME );
+		} );
+
+		afterEach( () => {
+			Date.now.mockRestore();
+		} );
+
+		it( 'only includes the staleness selector and action if requested', () => {
+			const fetchStoreDefinition = createFetchStore( {
+				baseName: 'getSomeData',
+				controlCallback: async () => true,
+				storeName: STALE_STORE_NAME,
+				staleTime: 1000,
+			} );
+
+			expect( Object.keys( fetchStoreDefinition.actions ) ).toContain( 'invalidateGetSomeData' );
+			expect( Object.keys( fetchStoreDefinition.selectors ) ).toContain( 'isStaleGetSomeData' );
+			expect( Object.keys( storeDefinition.actions ) ).not.toContain( 'invalidateGetSomeData' );
+			expect( Object.keys( storeDefinition.selectors ) ).not.toContain( 'isStaleGetSomeData' );
+		} );
+
+		it( 'requires a storeName if staleTime is provided', () => {
+			expect( () => createFetchStore( {
+				...STORE_PARAMS,
+				staleTime: 1000,
+			} ) ).toThrow( 'storeName is required when using staleTime.' );
+		} );
+
+		it( 'considers data stale once staleTime has passed', () => {
+			expect( staleSelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( false );
+
+			staleDispatch.receiveGetSomeData( 42, { objParam: {}, aParam: 'value-to-key-response-by' } );
+			expect( staleSelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( false );
+
+			now += 500;
+			expect( staleSelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( true );
+		} );
+
+		it( 'considers data stale once it is invalidated', async () => {
+			staleDispatch.receiveGetSomeData( 42, { objParam: {}, aParam: 'value-to-key-response-by' } );
+
+			await staleDispatch.invalidateGetSomeData( {}, 'value-to-key-response-by' );
+
+			expect( staleSelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( true );
+		} );
+
+		it( 'resolves the corresponding selector again after invalidating if revalidate is set', async () => {
+			const response = { type: 'test' };
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: response, status: 200 }
+			);
+
+			staleSelect.getSomeData( {}, 'value-to-key-response-by' );
+			await subscribeUntil( registry, () => staleSelect.hasFinishedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) );
+			expect( fetchMock ).toHaveFetchedTimes( 1 );
+
+			await staleDispatch.invalidateGetSomeData( {}, 'value-to-key-response-by' );
+			expect( staleSelect.hasStartedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) ).toBe( false );
+
+			staleSelect.getSomeData( {}, 'value-to-key-response-by' );
+			await subscribeUntil( registry, () => staleSelect.hasFinishedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) );
+			expect( fetchMock ).toHaveFetchedTimes( 2 );
+			expect( staleSelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( false );
+		} );
+
+		it( 'resolves the corresponding selector again once fetched data is stale', async () => {
+			jest.useFakeTimers();
+
+			const STALE_ONLY_STORE_NAME = 'test/stale-only-data';
+			const fetchStoreDefinition = createFetchStore( {
+				...STORE_PARAMS,
+				storeName: STALE_ONLY_STORE_NAME,
+				staleTime: 500,
+			} );
+			registry.registerStore( STALE_ONLY_STORE_NAME, {
+				...fetchStoreDefinition,
+				resolvers: {
+					*getSomeData( objParam, aParam ) {
+						yield fetchStoreDefinition.actions.fetchGetSomeData( objParam, aParam );
+					},
+				},
+				selectors: {
+					...fetchStoreDefinition.selectors,
+					getSomeData: ( state, objParam, aParam ) => ( state.data || {} )[ aParam ],
+				},
+			} );
+			const staleOnlySelect = registry.select( STALE_ONLY_STORE_NAME );
+
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: { type: 'test' }, status: 200 }
+			);
+
+			staleOnlySelect.getSomeData( {}, 'value-to-key-response-by' );
+			await subscribeUntil( registry, () => staleOnlySelect.hasFinishedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) );
+			expect( fetchMock ).toHaveFetchedTimes( 1 );
+
+			// Data which is not stale yet is not fetched again.
+			jest.advanceTimersByTime( 499 );
+			staleOnlySelect.getSomeData( {}, 'value-to-key-response-by' );
+			expect( staleOnlySelect.hasFinishedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) ).toBe( true );
+
+			now += 500;
+			jest.advanceTimersByTime( 1 );
+			expect( staleOnlySelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( true );
+			expect( staleOnlySelect.hasStartedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) ).toBe( false );
+
+			staleOnlySelect.getSomeData( {}, 'value-to-key-response-by' );
+			await subscribeUntil( registry, () => staleOnlySelect.hasFinishedResolution( 'getSomeData', [ {}, 'value-to-key-response-by' ] ) );
+			expect( fetchMock ).toHaveFetchedTimes( 2 );
+			expect( staleOnlySelect.isStaleGetSomeData( {}, 'value-to-key-response-by' ) ).toBe( false );
+
+			jest.useRealTimers();
+		} );
+	} );
+
+	describe( 'superseded requests', () => {
+		const SUPERSEDE_STORE_NAME = 'test/superseded-data';
+		let supersedeSelect;
+		let controlSignals;
+
+		beforeEach( () => {
+			controlSignals = [];
+
+			const fetchStoreDefinition = createFetchStore( {
+				...STORE_PARAMS,
+				storeName: SUPERSEDE_STORE_NAME,
+				controlCallback: ( params, { signal } ) => {
+					controlSignals.push( signal );
+					return STORE_PARAMS.controlCallback( params );
+				},
+				// Requests for different values of `aParam` supersede each other.
+				paramsToSupersedeKey: ( { objParam } ) => JSON.stringify( objParam ),
+			} );
+			registry.registerStore( SUPERSEDE_STORE_NAME, combineStores(
+				commonStore,
+				fetchStoreDefinition,
+				{
+					resolvers: {
+						*getSomeData( objParam, aParam ) {
+							yield fetchStoreDefinition.actions.fetchGetSomeData( objParam, aParam );
+						},
+					},
+					selectors: {
+						getSomeData: ( state, objParam, aParam ) => ( state.data || {} )[ aParam ],
+					},
+				},
+			) );
+			supersedeSelect = registry.select( SUPERSEDE_STORE_NAME );
+		} );
+
+		it( 'requires a storeName', () => {
+			expect( () => createFetchStore( {
+				...STORE_PARAMS,
+				paramsToSupersedeKey: () => '',
+			} ) ).toThrow( 'storeName is required when using paramsToSupersedeKey.' );
+		} );
+
+		it( 'aborts superseded requests without recording an error', async () => {
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: { someValue: 42 }, status: 200 }
+			);
+
+			supersedeSelect.getSomeData( {}, 'first' );
+			supersedeSelect.getSomeData( { other: true }, 'unrelated' );
+			supersedeSelect.getSomeData( {}, 'second' );
+
+			await subscribeUntil( registry, [
+				() => supersedeSelect.hasFinishedResolution( 'getSomeData', [ {}, 'second' ] ),
+				() => supersedeSelect.hasFinishedResolution( 'getSomeData', [ { other: true }, 'unrelated' ] ),
+				() => ! supersedeSelect.hasStartedResolution( 'getSomeData', [ {}, 'first' ] ),
+			] );
+
+			expect( controlSignals.map( ( signal ) => signal.aborted ) ).toEqual( [ true, false, false ] );
+			expect( supersedeSelect.getSomeData( {}, 'second' ) ).toEqual( { someValue: 42 } );
+			expect( supersedeSelect.getSomeData( { other: true }, 'unrelated' ) ).toEqual( { someValue: 42 } );
+			expect( registry.stores[ SUPERSEDE_STORE_NAME ].store.getState().data.first ).toEqual( undefined );
+			expect( supersedeSelect.isFetchingGetSomeData( {}, 'first' ) ).toBe( false );
+			expect( supersedeSelect.getErrorForGetSomeData( {}, 'first' ) ).toEqual( undefined );
+			expect( global.console.error ).not.toHaveBeenCalled();
+		} );
+
+		it( 'aborts requests once everything that retained them released them', async () => {
+			let respond;
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				new Promise( ( resolve ) => {
+					respond = () => resolve( { body: { someValue: 42 }, status: 200 } );
+				} )
+			);
+			const { retainGetSomeData, releaseGetSomeData } = registry.dispatch( SUPERSEDE_STORE_NAME );
+
+			retainGetSomeData( {}, 'first' );
+			retainGetSomeData( {}, 'first' );
+			supersedeSelect.getSomeData( {}, 'first' );
+			expect( supersedeSelect.isFetchingGetSomeData( {}, 'first' ) ).toBe( true );
+
+			releaseGetSomeData( {}, 'first' );
+			expect( controlSignals[ 0 ].aborted ).toBe( false );
+
+			releaseGetSomeData( {}, 'first' );
+			expect( controlSignals[ 0 ].aborted ).toBe( true );
+
+			respond();
+			await subscribeUntil( registry, () => ! supersedeSelect.hasStartedResolution( 'getSomeData', [ {}, 'first' ] ) );
+
+			expect( registry.stores[ SUPERSEDE_STORE_NAME ].store.getState().data ).toEqual( undefined );
+			expect( supersedeSelect.getErrorForGetSomeData( {}, 'first' ) ).toEqual( undefined );
+		} );
+
+		it( 'does not abort requests which were not retained', async () => {
+			fetchMock.get(
+				/^\/google-site-kit\/v1\/core\/test\/data\/some-data/,
+				{ body: { someValue: 42 }, status: 200 }
+			);
+
+			supersedeSelect.getSomeData( {}, 'first' );
+			registry.dispatch( SUPERSEDE_STORE_NAME ).releaseGetSomeData( {}, 'first' );
+			await untilResolved( registry, SUPERSEDE_STORE_NAME ).getSomeData( {}, 'first' );
+
+			expect( supersedeSelect.getSomeData( {}, 'first' ) ).toEqual( { someValue: 42 } );
+		} );
+	} );
 } );
@@ -0,0 +1,60 @@
+/**
+ * Abort on unmount hook.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { useEffect } from '@wordpress/element';
+import { useDispatch } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { camelCaseToPascalCase } from './transform-case';
+import { stringifyObject } from '../../util';
+
+/**
+ * Aborts a request of a fetch store once the calling component unmounts.
+ *
+ * The request is retained for as long as the calling component is mounted
+ * with the given arguments. It is only aborted if it is still in flight once
+ * every component retaining it unmounted or moved on to other arguments, e.g.
+ * because the date range changed. Only fetch stores created with
+ * `paramsToSupersedeKey` support this.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} storeName Name of the store including the fetch store.
+ * @param {string} baseName  Base name of the fetch store, e.g. 'getReport'.
+ * @param {...*}   args      Arguments of the fetch action, e.g. the report options. These must match the arguments
+ *                           the request is made with, so e.g. a date range must not be left for the store to fill in.
+ */
+export const useAbortOnUnmount = ( storeName, baseName, ...args ) => {
+	const pascalCaseBaseName = camelCaseToPascalCase( baseName );
+	const {
+		[ `retain${ pascalCaseBaseName }` ]: retain,
+		[ `release${ pascalCaseBaseName }` ]: release,
+	} = useDispatch( storeName );
+	const argsKey = stringifyObject( args );
+
+	useEffect( () => {
+		retain( ...args );
+
+		return () => release( ...args );
+	}, [ storeName, baseName, argsKey ] );
+};
@@ -0,0 +1,89 @@
+/**
+ * Abort on unmount hook tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import API from 'googlesitekit-api';
+import { render, subscribeUntil } from '../../../../tests/js/test-utils';
+import { STORE_NAME } from '../../modules/search-console/datastore/constants';
+import { useAbortOnUnmount } from './use-abort-on-unmount';
+
+const { useSelect } = Data;
+
+function Report( { options } ) {
+	useAbortOnUnmount( STORE_NAME, 'getReport', options );
+	useSelect( ( select ) => select( STORE_NAME ).getReport( options ) );
+
+	return null;
+}
+
+describe( 'useAbortOnUnmount', () => {
+	const options = { dateRange: 'last-28-days', dimensions: 'date' };
+	let respond;
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		fetchMock.get(
+			/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+			new Promise( ( resolve ) => {
+				respond = () => resolve( { body: [], status: 200 } );
+			} )
+		);
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	it( 'aborts the request once every component using it unmounted', async () => {
+		const first = render( <Report options={ options } /> );
+		const { registry } = first;
+		const second = render( <Report options={ options } />, { registry } );
+
+		expect( registry.select( STORE_NAME ).isFetchingGetReport( options ) ).toBe( true );
+
+		first.unmount();
+		expect( registry.select( STORE_NAME ).isFetchingGetReport( options ) ).toBe( true );
+
+		second.unmount();
+		respond();
+		await subscribeUntil( registry, () => ! registry.select( STORE_NAME ).isFetchingGetReport( options ) );
+
+		expect( registry.select( STORE_NAME ).getErrorForGetReport( options ) ).toBeUndefined();
+		expect( registry.stores[ STORE_NAME ].store.getState().reports ).toEqual( {} );
+	} );
+
+	it( 'aborts the request for previous arguments', async () => {
+		const queryOptions = { ...options, dimensions: 'query' };
+		const { registry, rerender } = render( <Report options={ options } /> );
+
+		rerender( <Report options={ queryOptions } /> );
+		respond();
+		await subscribeUntil( registry, () => registry.select( STORE_NAME ).getReport( queryOptions ) !== undefined );
+
+		expect( registry.select( STORE_NAME ).isFetchingGetReport( options ) ).toBe( false );
+		expect( registry.select( STORE_NAME ).getErrorForGetReport( options ) ).toBeUndefined();
+		// Only the report for the current arguments was received.
+		expect( Object.keys( registry.stores[ STORE_NAME ].store.getState().reports ) ).toHaveLength( 1 );
+	} );
+} );
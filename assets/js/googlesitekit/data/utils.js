@@ -27,6 +27,7 @@ import invariant from 'invariant';
 import { createRegistryControl } from '@wordpress/data';
 
 const GET_REGISTRY = 'GET_REGISTRY';
+export const CLEAR_ERROR = 'CLEAR_ERROR';
 
 /**
  * Collects and combines multiple objects of similar shape.
@@ -223,6 +224,26 @@ export const commonActions = {
 			type: GET_REGISTRY,
 		};
 	},
+
+	/**
+	 * Clears request errors.
+	 *
+	 * If a base name is given, only the error for the fetch store with that
+	 * base name and the given arguments is cleared. Otherwise all errors in
+	 * the store are cleared.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} [baseName] Optional. Base name of the fetch store to clear the error for, e.g. 'getContainers'.
+	 * @param {Array}  [args]     Optional. Arguments the error was caused with, as passed to the selector. Default empty array.
+	 * @return {Object} FSA-compatible action.
+	 */
+	clearError( baseName, args = [] ) {
+		return {
+			payload: { baseName, args },
+			type: CLEAR_ERROR,
+		};
+	},
 };
 
 /**
@@ -270,6 +291,31 @@ const findDuplicates = ( array ) => {
 	return duplicates;
 };
 
+/**
+ * Reducer handling the common actions.
+ *
+ * Clearing errors for a single fetch store is handled by the respective
+ * fetch store's reducer.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} state  Store state.
+ * @param {Object} action Action object.
+ * @return {Object} New store state.
+ */
+const commonReducer = ( state, { type, payload } ) => {
+	if ( CLEAR_ERROR === type && ! payload.baseName ) {
+		return {
+			...state,
+			error: undefined,
+			errors: {},
+		};
+	}
+
+	return { ...state };
+};
+
 /**
  * A store containing the common actions, controls and reducer that all stores will use.
  *
@@ -280,5 +326,5 @@ const findDuplicates = ( array ) => {
 export const commonStore = {
 	actions: commonActions,
 	controls: commonControls,
-	reducer: passthroughReducer,
+	reducer: commonReducer,
 };
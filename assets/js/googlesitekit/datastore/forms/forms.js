@@ -20,16 +20,41 @@
  * External dependencies
  */
 import invariant from 'invariant';
+import { isEqual, isPlainObject, omit } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME } from './constants';
+import { getPersistedForm } from './persistence';
+
+const { commonActions } = Data;
 
 const SET_FORM_VALUES = 'SET_FORM_VALUES';
+const INIT_FORM = 'INIT_FORM';
+const GET_PERSISTED_FORM = 'GET_PERSISTED_FORM';
+const RESET_FORM = 'RESET_FORM';
+const SET_FORM_ERRORS = 'SET_FORM_ERRORS';
+const START_SUBMIT_FORM = 'START_SUBMIT_FORM';
+const SUBMIT_FORM = 'SUBMIT_FORM';
+const FINISH_SUBMIT_FORM = 'FINISH_SUBMIT_FORM';
 
-export const INITIAL_STATE = {};
+export const INITIAL_STATE = {
+	values: {},
+	initialValues: {},
+	errors: {},
+	isSubmitting: {},
+};
 
 export const actions = {
 	/**
 	 * Stores site form information.
 	 *
+	 * Errors of the fields which are set are cleared.
+	 *
 	 * @since 1.9.0
+	 * @since n.e.x.t Clears errors of the fields which are set.
 	 * @private
 	 *
 	 * @param {string} formName Name of the form.
@@ -45,9 +70,141 @@ export const actions = {
 			type: SET_FORM_VALUES,
 		};
 	},
+
+	/**
+	 * Initializes a form with its initial values.
+	 *
+	 * The form is dirty once its values differ from the initial values. If a
+	 * dirty form with the same initial values was persisted, e.g. before the
+	 * page was reloaded, its values are restored.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {string} formName      Name of the form.
+	 * @param {Object} initialValues Initial values of the form.
+	 * @return {Object} Object with `restored`, which is `true` if persisted values were restored.
+	 */
+	*initForm( formName, initialValues ) {
+		invariant( formName, 'formName is required.' );
+		invariant( isPlainObject( initialValues ), 'initialValues must be an object.' );
+
+		const persistedForm = yield {
+			payload: { formName },
+			type: GET_PERSISTED_FORM,
+		};
+		const restored = !! persistedForm && isEqual( persistedForm.initialValues, initialValues );
+
+		yield {
+			payload: {
+				formName,
+				initialValues,
+				values: restored ? persistedForm.values : initialValues,
+			},
+			type: INIT_FORM,
+		};
+
+		return { restored };
+	},
+
+	/**
+	 * Resets a form to its initial values, and clears its errors.
+	 *
+	 * Forms which were not initialized are removed.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {string} formName Name of the form.
+	 * @return {Object} Redux-style action.
+	 */
+	resetForm( formName ) {
+		invariant( formName, 'formName is required.' );
+
+		return {
+			payload: { formName },
+			type: RESET_FORM,
+		};
+	},
+
+	/**
+	 * Sets the validation errors of a form.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {string} formName Name of the form.
+	 * @param {Object} errors   Map of field keys to their error messages. Replaces any previous errors.
+	 * @return {Object} Redux-style action.
+	 */
+	setErrors( formName, errors ) {
+		invariant( formName, 'formName is required.' );
+		invariant( isPlainObject( errors ), 'errors must be an object.' );
+
+		return {
+			payload: { formName, errors },
+			type: SET_FORM_ERRORS,
+		};
+	},
+
+	/**
+	 * Submits a form.
+	 *
+	 * The callback receives the values of the form and returns a promise
+	 * resolving to an object with `response` and `error`, like the
+	 * `submitChanges` actions of modules. Once submitted successfully, the
+	 * submitted values become the initial values of the form. If the error
+	 * includes invalid parameters, they are set as errors of the form.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {string}   formName       Name of the form.
+	 * @param {Function} submitCallback Callback to submit the values of the form.
+	 * @return {Object} Object with `response` and `error`.
+	 */
+	*submitForm( formName, submitCallback ) {
+		invariant( formName, 'formName is required.' );
+		invariant( typeof submitCallback === 'function', 'submitCallback must be a function.' );
+
+		const registry = yield commonActions.getRegistry();
+		const values = registry.select( STORE_NAME ).getValues( formName );
+
+		yield {
+			payload: { formName },
+			type: START_SUBMIT_FORM,
+		};
+
+		const { response, error } = yield {
+			payload: { submitCallback, values },
+			type: SUBMIT_FORM,
+		};
+
+		if ( error && error.data && isPlainObject( error.data.params ) ) {
+			yield actions.setErrors( formName, error.data.params );
+		}
+
+		yield {
+			payload: { formName, values: error ? undefined : values },
+			type: FINISH_SUBMIT_FORM,
+		};
+
+		return { response, error };
+	},
 };
 
-export const controls = {};
+export const controls = {
+	[ GET_PERSISTED_FORM ]: ( { payload: { formName } } ) => {
+		return getPersistedForm( formName );
+	},
+	[ SUBMIT_FORM ]: async ( { payload: { submitCallback, values } } ) => {
+		try {
+			return ( await submitCallback( values ) ) || {};
+		} catch ( error ) {
+			return { error };
+		}
+	},
+};
 
 export const reducer = ( state, { type, payload } ) => {
 	switch ( type ) {
@@ -56,7 +213,65 @@ export const reducer = ( state, { type, payload } ) => {
 
 			return {
 				...state,
-				[ formName ]: { ...( state[ formName ] || {} ), ...formData },
+				values: {
+					...state.values,
+					[ formName ]: { ...( state.values[ formName ] || {} ), ...formData },
+				},
+				errors: {
+					...state.errors,
+					[ formName ]: omit( state.errors[ formName ], Object.keys( formData ) ),
+				},
+			};
+		}
+
+		case INIT_FORM: {
+			const { formName, initialValues, values } = payload;
+
+			return {
+				...state,
+				values: { ...state.values, [ formName ]: values },
+				initialValues: { ...state.initialValues, [ formName ]: initialValues },
+				errors: omit( state.errors, formName ),
+			};
+		}
+
+		case RESET_FORM: {
+			const { formName } = payload;
+			const initialValues = state.initialValues[ formName ];
+
+			return {
+				...state,
+				values: initialValues ? { ...state.values, [ formName ]: initialValues } : omit( state.values, formName ),
+				errors: omit( state.errors, formName ),
+			};
+		}
+
+		case SET_FORM_ERRORS: {
+			const { formName, errors } = payload;
+
+			return {
+				...state,
+				errors: { ...state.errors, [ formName ]: errors },
+			};
+		}
+
+		case START_SUBMIT_FORM: {
+			const { formName } = payload;
+
+			return {
+				...state,
+				isSubmitting: { ...state.isSubmitting, [ formName ]: true },
+			};
+		}
+
+		case FINISH_SUBMIT_FORM: {
+			const { formName, values } = payload;
+
+			return {
+				...state,
+				// Successfully submitted values are no longer unsaved changes.
+				initialValues: values && state.initialValues[ formName ] ? { ...state.initialValues, [ formName ]: values } : state.initialValues,
+				isSubmitting: { ...state.isSubmitting, [ formName ]: false },
 			};
 		}
 
@@ -81,11 +296,39 @@ export const selectors = {
 	 * @return {*} Value stored in state by formName and key. Returns `undefined` if formName or key isn't found.
 	 */
 	getValue( state, formName, key ) {
-		const formData = state[ formName ] || {};
+		const formData = state.values[ formName ] || {};
 
 		return formData[ key ];
 	},
 
+	/**
+	 * Gets all values of a form.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {(Object|undefined)} Values of the form, or `undefined` if the form doesn't exist.
+	 */
+	getValues( state, formName ) {
+		return state.values[ formName ];
+	},
+
+	/**
+	 * Gets the initial values of a form.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {(Object|undefined)} Initial values of the form, or `undefined` if the form wasn't initialized.
+	 */
+	getInitialValues( state, formName ) {
+		return state.initialValues[ formName ];
+	},
+
 	/**
 	 * Checks whether a form with the given formName exists.
 	 *
@@ -97,7 +340,95 @@ export const selectors = {
 	 * @return {boolean} True if the form exists, false otherwise.
 	 */
 	hasForm( state, formName ) {
-		return !! state[ formName ];
+		return !! state.values[ formName ];
+	},
+
+	/**
+	 * Checks whether the values of a form differ from its initial values.
+	 *
+	 * Only forms initialized with `initForm` can be dirty.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {boolean} True if the form has unsaved changes, false otherwise.
+	 */
+	isDirty( state, formName ) {
+		const initialValues = state.initialValues[ formName ];
+
+		return !! initialValues && ! isEqual( state.values[ formName ], initialValues );
+	},
+
+	/**
+	 * Gets the names of all dirty forms.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {Array.<string>} Names of the forms with unsaved changes.
+	 */
+	getDirtyFormNames( state ) {
+		return Object.keys( state.initialValues ).filter( ( formName ) => selectors.isDirty( state, formName ) );
+	},
+
+	/**
+	 * Gets the validation errors of a form.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {Object} Map of field keys to their error messages.
+	 */
+	getErrors( state, formName ) {
+		return state.errors[ formName ] || {};
+	},
+
+	/**
+	 * Gets the validation error of a form field.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @param {string} key      Key of the field.
+	 * @return {(string|undefined)} Error message of the field, or `undefined` if it is valid.
+	 */
+	getFieldError( state, formName, key ) {
+		return selectors.getErrors( state, formName )[ key ];
+	},
+
+	/**
+	 * Checks whether a form has validation errors.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {boolean} True if any field of the form has an error, false otherwise.
+	 */
+	hasErrors( state, formName ) {
+		return Object.keys( selectors.getErrors( state, formName ) ).length > 0;
+	},
+
+	/**
+	 * Checks whether a form is being submitted.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} formName Name of the form.
+	 * @return {boolean} True if the form is being submitted, false otherwise.
+	 */
+	isSubmittingForm( state, formName ) {
+		return !! state.isSubmitting[ formName ];
 	},
 };
 
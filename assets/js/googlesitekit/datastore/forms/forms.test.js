@@ -21,6 +21,7 @@
  */
 import { createTestRegistry } from 'tests/js/utils';
 import { STORE_NAME } from './constants';
+import { persistForm } from './persistence';
 
 describe( 'core/forms store', () => {
 	let registry;
@@ -29,6 +30,10 @@ describe( 'core/forms store', () => {
 		registry = createTestRegistry();
 	} );
 
+	afterEach( () => {
+		global.sessionStorage.clear();
+	} );
+
 	describe( 'actions', () => {
 		describe( 'setValues', () => {
 			it( 'requires the formName param', () => {
@@ -106,6 +111,132 @@ describe( 'core/forms store', () => {
 				expect( formValue ).toEqual( 'value2' );
 			} );
 		} );
+
+		describe( 'initForm', () => {
+			it( 'requires the formName and initialValues params', async () => {
+				await expect( registry.dispatch( STORE_NAME ).initForm() ).rejects.toThrow( 'formName is required.' );
+				await expect( registry.dispatch( STORE_NAME ).initForm( 'form-name', [] ) ).rejects.toThrow( 'initialValues must be an object.' );
+			} );
+
+			it( 'sets the initial values of a form', async () => {
+				const { restored } = await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+
+				expect( restored ).toBe( false );
+				expect( registry.select( STORE_NAME ).getValues( 'form-name' ) ).toEqual( { key1: 'value1' } );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( false );
+			} );
+
+			it( 'restores the values of a persisted form with the same initial values', async () => {
+				persistForm( 'form-name', { initialValues: { key1: 'value1' }, values: { key1: 'value2' } } );
+
+				const { restored } = await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+
+				expect( restored ).toBe( true );
+				expect( registry.select( STORE_NAME ).getValue( 'form-name', 'key1' ) ).toBe( 'value2' );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( true );
+			} );
+
+			it( 'does not restore the values of a persisted form with different initial values', async () => {
+				persistForm( 'form-name', { initialValues: { key1: 'value0' }, values: { key1: 'value2' } } );
+
+				const { restored } = await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+
+				expect( restored ).toBe( false );
+				expect( registry.select( STORE_NAME ).getValue( 'form-name', 'key1' ) ).toBe( 'value1' );
+			} );
+		} );
+
+		describe( 'resetForm', () => {
+			it( 'requires the formName param', () => {
+				expect( () => registry.dispatch( STORE_NAME ).resetForm() ).toThrow( 'formName is required.' );
+			} );
+
+			it( 'resets a form to its initial values and clears its errors', async () => {
+				await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value2', key2: 'value3' } );
+				registry.dispatch( STORE_NAME ).setErrors( 'form-name', { key1: 'Invalid value.' } );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( true );
+
+				registry.dispatch( STORE_NAME ).resetForm( 'form-name' );
+
+				expect( registry.select( STORE_NAME ).getValues( 'form-name' ) ).toEqual( { key1: 'value1' } );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).hasErrors( 'form-name' ) ).toBe( false );
+			} );
+
+			it( 'removes forms which were not initialized', () => {
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value1' } );
+
+				registry.dispatch( STORE_NAME ).resetForm( 'form-name' );
+
+				expect( registry.select( STORE_NAME ).hasForm( 'form-name' ) ).toBe( false );
+			} );
+		} );
+
+		describe( 'setErrors', () => {
+			it( 'requires the formName and errors params', () => {
+				expect( () => registry.dispatch( STORE_NAME ).setErrors() ).toThrow( 'formName is required.' );
+				expect( () => registry.dispatch( STORE_NAME ).setErrors( 'form-name', 'error' ) ).toThrow( 'errors must be an object.' );
+			} );
+
+			it( 'sets the errors of a form, which are cleared when setting the values of their fields', () => {
+				registry.dispatch( STORE_NAME ).setErrors( 'form-name', { key1: 'Invalid value.', key2: 'Required.' } );
+
+				expect( registry.select( STORE_NAME ).getFieldError( 'form-name', 'key1' ) ).toBe( 'Invalid value.' );
+
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value1' } );
+
+				expect( registry.select( STORE_NAME ).getErrors( 'form-name' ) ).toEqual( { key2: 'Required.' } );
+				expect( registry.select( STORE_NAME ).hasErrors( 'form-name' ) ).toBe( true );
+			} );
+		} );
+
+		describe( 'submitForm', () => {
+			it( 'requires the formName and submitCallback params', async () => {
+				await expect( registry.dispatch( STORE_NAME ).submitForm() ).rejects.toThrow( 'formName is required.' );
+				await expect( registry.dispatch( STORE_NAME ).submitForm( 'form-name' ) ).rejects.toThrow( 'submitCallback must be a function.' );
+			} );
+
+			it( 'submits the values of a form, which are no longer dirty afterwards', async () => {
+				await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value2' } );
+				const submitCallback = jest.fn( async () => {
+					expect( registry.select( STORE_NAME ).isSubmittingForm( 'form-name' ) ).toBe( true );
+					return { response: true };
+				} );
+
+				const { response, error } = await registry.dispatch( STORE_NAME ).submitForm( 'form-name', submitCallback );
+
+				expect( submitCallback ).toHaveBeenCalledWith( { key1: 'value2' } );
+				expect( response ).toBe( true );
+				expect( error ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).isSubmittingForm( 'form-name' ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( false );
+			} );
+
+			it( 'sets the invalid params of an error as errors of the form', async () => {
+				await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: '' } );
+				const submitError = { code: 'rest_invalid_param', message: 'Invalid parameter(s): key1', data: { status: 400, params: { key1: 'Required.' } } };
+
+				const { error } = await registry.dispatch( STORE_NAME ).submitForm( 'form-name', () => Promise.resolve( { error: submitError } ) );
+
+				expect( error ).toEqual( submitError );
+				expect( registry.select( STORE_NAME ).getFieldError( 'form-name', 'key1' ) ).toBe( 'Required.' );
+				expect( registry.select( STORE_NAME ).isSubmittingForm( 'form-name' ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( true );
+			} );
+
+			it( 'returns errors thrown by the callback', async () => {
+				const submitError = new Error( 'Failed.' );
+
+				const { error } = await registry.dispatch( STORE_NAME ).submitForm( 'form-name', () => {
+					throw submitError;
+				} );
+
+				expect( error ).toBe( submitError );
+			} );
+		} );
 	} );
 
 	describe( 'selectors', () => {
@@ -129,5 +260,26 @@ describe( 'core/forms store', () => {
 				expect( formValue ).toEqual( 'value2' );
 			} );
 		} );
+
+		describe( 'isDirty', () => {
+			it( 'returns false for forms which were not initialized', () => {
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value1' } );
+
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( false );
+			} );
+
+			it( 'compares the values of a form with its initial values', async () => {
+				await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value2' } );
+
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( true );
+				expect( registry.select( STORE_NAME ).getDirtyFormNames() ).toEqual( [ 'form-name' ] );
+
+				registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value1' } );
+
+				expect( registry.select( STORE_NAME ).isDirty( 'form-name' ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).getDirtyFormNames() ).toEqual( [] );
+			} );
+		} );
 	} );
 } );
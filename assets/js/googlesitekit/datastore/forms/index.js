@@ -22,6 +22,7 @@
 import Data from 'googlesitekit-data';
 import { createSnapshotStore } from '../../data/create-snapshot-store';
 import forms from './forms';
+import { persistDirtyForms } from './persistence';
 import { STORE_NAME } from './constants';
 
 export { STORE_NAME };
@@ -42,4 +43,7 @@ export const selectors = store.selectors;
 // Register this store on the global registry.
 Data.registerStore( STORE_NAME, store );
 
+// Keep unsaved changes of forms on the global registry across page reloads.
+persistDirtyForms( Data );
+
 export default store;
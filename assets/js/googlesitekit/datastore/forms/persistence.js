@@ -0,0 +1,141 @@
+/**
+ * core/forms data store: persistence of dirty forms.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { isEqual } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_NAME } from './constants';
+
+// Not prefixed like the cache API keys, so that the cache does not evict persisted forms.
+const STORAGE_KEY_PREFIX = 'googlesitekit-form::';
+
+/**
+ * Gets the session storage, if available.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @return {(Storage|null)} Session storage, or `null` if it isn't available.
+ */
+const getSessionStorage = () => {
+	try {
+		return global.sessionStorage || null;
+	} catch ( error ) {
+		// Accessing the storage throws if it is disabled.
+		return null;
+	}
+};
+
+/**
+ * Gets a form persisted in the session storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} formName Name of the form.
+ * @return {(Object|null)} Object with the `initialValues` and `values` of the form, or `null` if it wasn't persisted.
+ */
+export const getPersistedForm = ( formName ) => {
+	const storage = getSessionStorage();
+	if ( ! storage ) {
+		return null;
+	}
+
+	try {
+		return JSON.parse( storage.getItem( `${ STORAGE_KEY_PREFIX }${ formName }` ) );
+	} catch ( error ) {
+		return null;
+	}
+};
+
+/**
+ * Persists a form in the session storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} formName Name of the form.
+ * @param {Object} form     Object with the `initialValues` and `values` of the form.
+ */
+export const persistForm = ( formName, form ) => {
+	const storage = getSessionStorage();
+	if ( ! storage ) {
+		return;
+	}
+
+	try {
+		storage.setItem( `${ STORAGE_KEY_PREFIX }${ formName }`, JSON.stringify( form ) );
+	} catch ( error ) {
+		// Forms are only persisted if there is enough space.
+	}
+};
+
+/**
+ * Deletes a form persisted in the session storage.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} formName Name of the form.
+ */
+export const deletePersistedForm = ( formName ) => {
+	const storage = getSessionStorage();
+	if ( storage ) {
+		storage.removeItem( `${ STORAGE_KEY_PREFIX }${ formName }` );
+	}
+};
+
+/**
+ * Persists dirty forms of a registry in the session storage whenever they change.
+ *
+ * Forms are deleted from the session storage once they aren't dirty anymore,
+ * e.g. after they were reset or submitted.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {wp.data.registry} registry Registry to persist the dirty forms of.
+ * @return {Function} Function to stop persisting the forms.
+ */
+export const persistDirtyForms = ( registry ) => {
+	let persistedForms = {};
+
+	return registry.subscribe( () => {
+		const { getDirtyFormNames, getInitialValues, getValues } = registry.select( STORE_NAME );
+		const dirtyForms = {};
+
+		getDirtyFormNames().forEach( ( formName ) => {
+			dirtyForms[ formName ] = {
+				initialValues: getInitialValues( formName ),
+				values: getValues( formName ),
+			};
+		} );
+
+		Object.keys( persistedForms ).filter( ( formName ) => ! dirtyForms[ formName ] ).forEach( deletePersistedForm );
+		Object.keys( dirtyForms ).filter( ( formName ) => ! isEqual( dirtyForms[ formName ], persistedForms[ formName ] ) ).forEach( ( formName ) => {
+			persistForm( formName, dirtyForms[ formName ] );
+		} );
+
+		persistedForms = dirtyForms;
+	} );
+};
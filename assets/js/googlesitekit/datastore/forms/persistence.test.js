@@ -0,0 +1,70 @@
+/**
+ * core/forms data store: persistence tests.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { createTestRegistry } from 'tests/js/utils';
+import { STORE_NAME } from './constants';
+import { getPersistedForm, persistDirtyForms } from './persistence';
+
+describe( 'core/forms persistence', () => {
+	let registry;
+	let unsubscribe;
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+		unsubscribe = persistDirtyForms( registry );
+	} );
+
+	afterEach( () => {
+		unsubscribe();
+		global.sessionStorage.clear();
+	} );
+
+	it( 'persists dirty forms until they are not dirty anymore', async () => {
+		await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+		expect( getPersistedForm( 'form-name' ) ).toBeNull();
+
+		registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value2' } );
+		expect( getPersistedForm( 'form-name' ) ).toEqual( {
+			initialValues: { key1: 'value1' },
+			values: { key1: 'value2' },
+		} );
+
+		registry.dispatch( STORE_NAME ).resetForm( 'form-name' );
+		expect( getPersistedForm( 'form-name' ) ).toBeNull();
+	} );
+
+	it( 'does not persist forms which were not initialized', () => {
+		registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value1' } );
+
+		expect( getPersistedForm( 'form-name' ) ).toBeNull();
+	} );
+
+	it( 'restores persisted forms in a new registry', async () => {
+		await registry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+		registry.dispatch( STORE_NAME ).setValues( 'form-name', { key1: 'value2' } );
+
+		const newRegistry = createTestRegistry();
+		await newRegistry.dispatch( STORE_NAME ).initForm( 'form-name', { key1: 'value1' } );
+
+		expect( newRegistry.select( STORE_NAME ).getValue( 'form-name', 'key1' ) ).toBe( 'value2' );
+	} );
+} );
@@ -0,0 +1,174 @@
+/**
+ * core/user Data store: date range.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+
+/**
+ * Internal dependencies
+ */
+import {
+	DEFAULT_DATE_RANGE_OFFSET_DAYS,
+	getDateRangeDates,
+	getDateString,
+	isValidDateRange,
+	isValidDateString,
+} from '../../../util/date-range';
+
+// Actions
+const SET_DATE_RANGE = 'SET_DATE_RANGE';
+const SET_REFERENCE_DATE = 'SET_REFERENCE_DATE';
+
+export const INITIAL_STATE = {
+	dateRange: 'last-28-days',
+	referenceDate: getDateString( new Date() ),
+};
+
+export const actions = {
+	/**
+	 * Sets the active date range.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} dateRange Date range, either relative like 'last-28-days', 'this-month' or 'last-month', or
+	 *                           absolute like '2020-09-01..2020-09-30'.
+	 * @return {Object} Redux-style action.
+	 */
+	setDateRange( dateRange ) {
+		invariant( isValidDateRange( dateRange ), 'A valid dateRange is required.' );
+
+		return {
+			payload: { dateRange },
+			type: SET_DATE_RANGE,
+		};
+	},
+
+	/**
+	 * Sets the date that relative date ranges are calculated from.
+	 *
+	 * This is "today" by default and usually only needs to be changed in
+	 * tests and stories.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {string} referenceDate Date in 'YYYY-MM-DD' format.
+	 * @return {Object} Redux-style action.
+	 */
+	setReferenceDate( referenceDate ) {
+		invariant( isValidDateString( referenceDate ), 'A valid referenceDate in YYYY-MM-DD format is required.' );
+
+		return {
+			payload: { referenceDate },
+			type: SET_REFERENCE_DATE,
+		};
+	},
+};
+
+export const controls = {};
+
+export const reducer = ( state, { type, payload } ) => {
+	switch ( type ) {
+		case SET_DATE_RANGE: {
+			const { dateRange } = payload;
+			return {
+				...state,
+				dateRange,
+			};
+		}
+
+		case SET_REFERENCE_DATE: {
+			const { referenceDate } = payload;
+			return {
+				...state,
+				referenceDate,
+			};
+		}
+
+		default: {
+			return { ...state };
+		}
+	}
+};
+
+export const resolvers = {};
+
+export const selectors = {
+	/**
+	 * Gets the active date range.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {string} The active date range, e.g. 'last-28-days'.
+	 */
+	getDateRange( state ) {
+		const { dateRange } = state;
+
+		return dateRange;
+	},
+
+	/**
+	 * Gets the date that relative date ranges are calculated from.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {string} The reference date in 'YYYY-MM-DD' format.
+	 */
+	getReferenceDate( state ) {
+		const { referenceDate } = state;
+
+		return referenceDate;
+	},
+
+	/**
+	 * Gets the start and end dates of the active date range.
+	 *
+	 * With `compare` set, the dates of the comparison period are included
+	 * as well: the period of the same length right before the date range, or
+	 * the same days of the previous month for 'this-month' and 'last-month'.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object}  state                Data store's state.
+	 * @param {Object}  [options]            Optional. Options.
+	 * @param {boolean} [options.compare]    Optional. Whether to include the comparison period. Default false.
+	 * @param {number}  [options.offsetDays] Optional. Number of days to exclude before the reference date, for
+	 *                                       services with delayed data. Default `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+	 * @return {Object} Object with `startDate` and `endDate` in 'YYYY-MM-DD' format, plus `compareStartDate` and
+	 *                  `compareEndDate` if requested.
+	 */
+	getDateRangeDates( state, { compare = false, offsetDays = DEFAULT_DATE_RANGE_OFFSET_DAYS } = {} ) {
+		const { dateRange, referenceDate } = state;
+
+		return getDateRangeDates( dateRange, { compare, offsetDays, referenceDate } );
+	},
+};
+
+export default {
+	INITIAL_STATE,
+	actions,
+	controls,
+	reducer,
+	resolvers,
+	selectors,
+};
@@ -0,0 +1,150 @@
+/**
+ * core/user Data store: date range tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	createTestRegistry,
+} from '../../../../../tests/js/utils';
+import { STORE_NAME } from './constants';
+
+describe( 'core/user date range', () => {
+	let registry;
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+		registry.dispatch( STORE_NAME ).setReferenceDate( '2020-09-24' );
+	} );
+
+	describe( 'actions', () => {
+		describe( 'setDateRange', () => {
+			it.each( [
+				[ 'undefined', undefined ],
+				[ 'an unknown slug', 'last-week' ],
+				[ 'an inverted absolute range', '2020-09-30..2020-09-01' ],
+				[ 'an absolute range with invalid dates', '2020-02-01..2020-02-31' ],
+			] )( 'requires a valid date range, not %s', ( _, dateRange ) => {
+				expect( () => {
+					registry.dispatch( STORE_NAME ).setDateRange( dateRange );
+				} ).toThrow( 'A valid dateRange is required.' );
+			} );
+
+			it.each( [
+				'last-7-days',
+				'this-month',
+				'last-month',
+				'2020-09-01..2020-09-30',
+			] )( 'sets the date range %s', ( dateRange ) => {
+				registry.dispatch( STORE_NAME ).setDateRange( dateRange );
+
+				expect( registry.select( STORE_NAME ).getDateRange() ).toEqual( dateRange );
+			} );
+		} );
+
+		describe( 'setReferenceDate', () => {
+			it( 'requires a date in YYYY-MM-DD format', () => {
+				expect( () => {
+					registry.dispatch( STORE_NAME ).setReferenceDate( '09/24/2020' );
+				} ).toThrow( 'A valid referenceDate in YYYY-MM-DD format is required.' );
+			} );
+		} );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getDateRange', () => {
+			it( 'defaults to the last 28 days', () => {
+				expect( createTestRegistry().select( STORE_NAME ).getDateRange() ).toEqual( 'last-28-days' );
+			} );
+		} );
+
+		describe( 'getDateRangeDates', () => {
+			it( 'returns the dates of a relative number of days', () => {
+				registry.dispatch( STORE_NAME ).setDateRange( 'last-7-days' );
+
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { compare: true, offsetDays: 1 } ) ).toEqual( {
+					startDate: '2020-09-17',
+					endDate: '2020-09-23',
+					compareStartDate: '2020-09-10',
+					compareEndDate: '2020-09-16',
+				} );
+			} );
+
+			it( 'compares this month to the same days of last month', () => {
+				registry.dispatch( STORE_NAME ).setDateRange( 'this-month' );
+
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { compare: true } ) ).toEqual( {
+					startDate: '2020-09-01',
+					endDate: '2020-09-23',
+					compareStartDate: '2020-08-01',
+					compareEndDate: '2020-08-23',
+				} );
+			} );
+
+			it( 'caps the comparison period at the length of the previous month', () => {
+				registry.dispatch( STORE_NAME ).setReferenceDate( '2020-03-31' );
+				registry.dispatch( STORE_NAME ).setDateRange( 'this-month' );
+
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { compare: true } ) ).toMatchObject( {
+					compareStartDate: '2020-02-01',
+					compareEndDate: '2020-02-29',
+				} );
+			} );
+
+			it( 'compares last month to the month before', () => {
+				registry.dispatch( STORE_NAME ).setReferenceDate( '2020-01-15' );
+				registry.dispatch( STORE_NAME ).setDateRange( 'last-month' );
+
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { compare: true } ) ).toEqual( {
+					startDate: '2019-12-01',
+					endDate: '2019-12-31',
+					compareStartDate: '2019-11-01',
+					compareEndDate: '2019-11-30',
+				} );
+			} );
+
+			it( 'returns absolute dates regardless of the offset', () => {
+				registry.dispatch( STORE_NAME ).setDateRange( '2020-09-01..2020-09-30' );
+
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { compare: true, offsetDays: 3 } ) ).toEqual( {
+					startDate: '2020-09-01',
+					endDate: '2020-09-30',
+					compareStartDate: '2020-08-02',
+					compareEndDate: '2020-08-31',
+				} );
+			} );
+
+			it( 'omits the comparison period by default', () => {
+				expect( registry.select( STORE_NAME ).getDateRangeDates() ).toEqual( {
+					startDate: '2020-08-27',
+					endDate: '2020-09-23',
+				} );
+			} );
+
+			it( 'excludes the current day by default, like the server', () => {
+				expect( registry.select( STORE_NAME ).getDateRangeDates() ).toEqual(
+					registry.select( STORE_NAME ).getDateRangeDates( { offsetDays: 1 } )
+				);
+				expect( registry.select( STORE_NAME ).getDateRangeDates( { offsetDays: 0 } ) ).toEqual( {
+					startDate: '2020-08-28',
+					endDate: '2020-09-24',
+				} );
+			} );
+		} );
+	} );
+} );
@@ -0,0 +1,148 @@
+/**
+ * EditableWidget component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import classnames from 'classnames';
+import { bool, func, number, string } from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Button from '../../../components/button';
+import WidgetRenderer from './WidgetRenderer';
+
+// The data transfer type identifying dragged widgets.
+export const DRAG_TYPE = 'application/x-googlesitekit-widget';
+
+const EditableWidget = ( { slug, index, count, isHidden, onMove, onHide, onShow } ) => {
+	const [ isDragOver, setIsDragOver ] = useState( false );
+
+	const onKeyDown = ( event ) => {
+		const targetIndex = {
+			ArrowUp: index - 1,
+			ArrowLeft: index - 1,
+			ArrowDown: index + 1,
+			ArrowRight: index + 1,
+			Home: 0,
+			End: count - 1,
+		}[ event.key ];
+
+		if ( targetIndex === undefined ) {
+			return;
+		}
+
+		event.preventDefault();
+		if ( targetIndex >= 0 && targetIndex < count && targetIndex !== index ) {
+			onMove( index, targetIndex );
+		}
+	};
+
+	const onDragStart = ( event ) => {
+		event.dataTransfer.effectAllowed = 'move';
+		event.dataTransfer.setData( DRAG_TYPE, String( index ) );
+	};
+
+	const onDragOver = ( event ) => {
+		// Allow dropping other widgets.
+		event.preventDefault();
+		event.dataTransfer.dropEffect = 'move';
+		setIsDragOver( true );
+	};
+
+	const onDrop = ( event ) => {
+		event.preventDefault();
+		setIsDragOver( false );
+
+		const sourceIndex = parseInt( event.dataTransfer.getData( DRAG_TYPE ), 10 );
+		if ( ! isNaN( sourceIndex ) && sourceIndex !== index ) {
+			onMove( sourceIndex, index );
+		}
+	};
+
+	// Hidden widgets are only displayed to be shown again, so they cannot be moved.
+	if ( isHidden ) {
+		return (
+			<div className="googlesitekit-widget-area-widgets__editable googlesitekit-widget-area-widgets__editable--hidden">
+				<div className="googlesitekit-widget-area-widgets__edit-controls">
+					<Button text onClick={ () => onShow( slug ) }>
+						{ __( 'Show', 'google-site-kit' ) }
+					</Button>
+				</div>
+				<WidgetRenderer slug={ slug } />
+			</div>
+		);
+	}
+
+	return (
+		<div
+			className={ classnames( 'googlesitekit-widget-area-widgets__editable', {
+				'googlesitekit-widget-area-widgets__editable--drag-over': isDragOver,
+			} ) }
+			draggable
+			onDragStart={ onDragStart }
+			onDragOver={ onDragOver }
+			onDragLeave={ () => setIsDragOver( false ) }
+			onDrop={ onDrop }
+		>
+			<div className="googlesitekit-widget-area-widgets__edit-controls">
+				<button
+					type="button"
+					className="googlesitekit-widget-area-widgets__drag-handle"
+					aria-label={ sprintf(
+						/* translators: 1: widget position, 2: number of widgets */
+						__( 'Move widget, position %1$d of %2$d. Use the arrow keys to change its position.', 'google-site-kit' ),
+						index + 1,
+						count
+					) }
+					onKeyDown={ onKeyDown }
+				>
+					<span aria-hidden="true">⠿</span>
+				</button>
+				<Button text onClick={ () => onHide( slug ) }>
+					{ __( 'Hide', 'google-site-kit' ) }
+				</Button>
+			</div>
+			<WidgetRenderer slug={ slug } />
+		</div>
+	);
+};
+
+EditableWidget.propTypes = {
+	slug: string.isRequired,
+	index: number.isRequired,
+	count: number.isRequired,
+	isHidden: bool,
+	onMove: func.isRequired,
+	onHide: func.isRequired,
+	onShow: func,
+};
+
+EditableWidget.defaultProps = {
+	isHidden: false,
+	onShow: () => {},
+};
+
+export default EditableWidget;
@@ -20,7 +20,8 @@
  * Internal dependencies
  */
 import Widget from './WidgetRenderer';
-import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME, WIDGET_STATES } from '../datastore/constants';
+import { createTestRegistry, muteConsole } from '../../../../../tests/js/utils';
 import { render } from '../../../../../tests/js/test-utils';
 
 const setupRegistry = ( { component = () => <div>Test</div>, dispatch } ) => {
@@ -49,4 +50,38 @@ describe( 'Widget', () => {
 
 		expect( container.firstChild ).toEqual( null );
 	} );
+
+	it( 'should pass the widget state components bound to the widget', () => {
+		const registry = createTestRegistry();
+		setupRegistry( {
+			component: ( { WidgetReportZero } ) => <WidgetReportZero moduleName="Test Module" />,
+			dispatch: registry.dispatch,
+		} );
+
+		const { container, unmount } = render( <Widget slug="TestWidget" />, { registry } );
+
+		expect( container ).toHaveTextContent( 'Test Module Gathering Data' );
+		expect( registry.select( STORE_NAME ).getWidgetState( 'TestWidget' ) ).toBe( WIDGET_STATES.ZERO_DATA );
+
+		unmount();
+		expect( registry.select( STORE_NAME ).getWidgetState( 'TestWidget' ) ).toBeUndefined();
+	} );
+
+	it( 'should output an error instead of a widget that throws', () => {
+		const registry = createTestRegistry();
+		setupRegistry( {
+			component: () => {
+				throw new Error( 'Widget failed.' );
+			},
+			dispatch: registry.dispatch,
+		} );
+
+		// React logs the error in addition to the error boundary.
+		muteConsole( 'error', 2 );
+		const { container } = render( <Widget slug="TestWidget" />, { registry } );
+
+		expect( container ).toHaveTextContent( 'Data error in Site Kit' );
+		expect( container ).toHaveTextContent( 'Widget failed.' );
+		expect( registry.select( STORE_NAME ).getWidgetState( 'TestWidget' ) ).toBe( WIDGET_STATES.ERROR );
+	} );
 } );
@@ -22,21 +22,74 @@
 import classnames from 'classnames';
 import { string } from 'prop-types';
 
+/**
+ * WordPress dependencies
+ */
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
 /**
  * Internal dependencies
  */
 import Data from 'googlesitekit-data';
 import { STORE_NAME } from '../datastore';
+import { WIDGET_STATES, WIDGET_STYLES } from '../datastore/constants';
+import { getWidgetColumns } from '../util';
 import Widget from './WidgetRenderer';
+import EditableWidget from './EditableWidget';
+import Button from '../../../components/button';
+import ErrorText from '../../../components/error-text';
 
-const { useSelect } = Data;
+const { useSelect, useDispatch } = Data;
 
 const WidgetAreaRenderer = ( { slug } ) => {
+	const [ isEditing, setIsEditing ] = useState( false );
+	const [ saveError, setSaveError ] = useState();
 	const widgetArea = useSelect( ( select ) => select( STORE_NAME ).getWidgetArea( slug ) );
 	const widgets = useSelect( ( select ) => select( STORE_NAME ).getWidgets( slug ) );
+	const widgetStates = useSelect( ( select ) => select( STORE_NAME ).getWidgetStates() );
+	const isActive = useSelect( ( select ) => select( STORE_NAME ).isWidgetAreaActive( slug ) );
+	const hiddenWidgets = useSelect( ( select ) => select( STORE_NAME ).getHiddenWidgets( slug ) );
+	// Resolve the layout of the current user, which `getWidgets` applies once loaded.
+	const layout = useSelect( ( select ) => select( STORE_NAME ).getWidgetLayout() );
+	const { setWidgetOrder, hideWidget, showWidget, resetLayout } = useDispatch( STORE_NAME );
+
+	// The store restores the saved layout if saving fails, so only the error needs to be displayed.
+	const changeLayout = async ( change ) => {
+		setSaveError( undefined );
+		const { error } = await change();
+		if ( error ) {
+			setSaveError( error );
+		}
+	};
+
+	const moveWidget = ( fromIndex, toIndex ) => {
+		const widgetSlugs = widgets.map( ( widget ) => widget.slug );
+		const [ movedSlug ] = widgetSlugs.splice( fromIndex, 1 );
+		widgetSlugs.splice( toIndex, 0, movedSlug );
+
+		changeLayout( () => setWidgetOrder( slug, widgetSlugs ) );
+	};
+
+	// Areas are only displayed if any of their widgets are active, e.g. depending on the active modules.
+	if ( ! isActive ) {
+		return null;
+	}
+
+	// Widgets without data are collapsed, unless they are being edited.
+	const isCollapsed = ( widget ) => ! isEditing && widgetStates[ widget.slug ] === WIDGET_STATES.ZERO_DATA;
+	const visibleWidgets = widgets.filter( ( widget ) => ! isCollapsed( widget ) );
+
+	// Rows are packed per breakpoint, so that every row fills the grid where possible.
+	const widgetColumns = getWidgetColumns( visibleWidgets );
+	// Hidden widgets are only displayed while editing, so that they can be shown again.
+	const hiddenWidgetColumns = isEditing ? getWidgetColumns( hiddenWidgets ) : {};
 
 	return (
-		<div className={ classnames( 'mdc-layout-grid', 'googlesitekit-widget-area', `googlesitekit-widget-area--${ widgetArea.slug }`, `googlesitekit-widget-area--${ widgetArea.style }` ) }>
+		<div className={ classnames( 'mdc-layout-grid', 'googlesitekit-widget-area', `googlesitekit-widget-area--${ widgetArea.slug }`, `googlesitekit-widget-area--${ widgetArea.style }`, {
+			'googlesitekit-widget-area--editing': isEditing,
+			'googlesitekit-widget-area--collapsed': widgets.length > 0 && visibleWidgets.length === 0,
+		} ) }>
 			<div className="mdc-layout-grid__inner">
 				<header className={ classnames(
 					'googlesitekit-widget-area-header',
@@ -53,13 +106,84 @@ const WidgetAreaRenderer = ( { slug } ) => {
 					{ widgetArea.subtitle &&
 					<h4 className="googlesitekit-widget-area-header__subtitle">{ widgetArea.subtitle }</h4>
 					}
+					<div className="googlesitekit-widget-area-header__actions">
+						{ isEditing &&
+						<Button text onClick={ () => changeLayout( () => resetLayout( slug ) ) }>
+							{ __( 'Reset layout', 'google-site-kit' ) }
+						</Button>
+						}
+						{ /* The layout can only be changed once it is loaded, as it would otherwise be saved based on the default layout. */ }
+						<Button text onClick={ () => setIsEditing( ! isEditing ) } ariaExpanded={ isEditing } disabled={ layout === undefined }>
+							{ isEditing ? __( 'Done', 'google-site-kit' ) : __( 'Customize', 'google-site-kit' ) }
+						</Button>
+					</div>
 				</header>
+				{ saveError &&
+				<div className="mdc-layout-grid__cell mdc-layout-grid__cell--span-12">
+					<ErrorText message={ saveError.message } />
+				</div>
+				}
 			</div>
-			<div className="googlesitekit-widget-area-widgets">
+			<div className={ classnames( 'googlesitekit-widget-area-widgets', {
+				// Widgets of composite areas share their chrome, like a single widget.
+				'googlesitekit-widget-area-widgets--composite': widgetArea.style === WIDGET_STYLES.COMPOSITE,
+			} ) }>
 				<div className="mdc-layout-grid__inner">
-					{ widgets.map( ( widget ) => {
+					{ widgets.map( ( widget, index ) => {
+						// Collapsed widgets stay mounted in the same place, so that they can report once they have data.
+						const { desktop, tablet, phone } = widgetColumns[ widget.slug ] || {};
+
+						return (
+							<div
+								key={ widget.slug }
+								className={ classnames(
+									'googlesitekit-widget-area-widgets__cell',
+									isCollapsed( widget ) ? 'googlesitekit-widget-area-widgets__cell--collapsed' : [
+										'mdc-layout-grid__cell',
+										`mdc-layout-grid__cell--span-${ desktop }-desktop`,
+										`mdc-layout-grid__cell--span-${ tablet }-tablet`,
+										`mdc-layout-grid__cell--span-${ phone }-phone`,
+									]
+								) }
+							>
+								{ isEditing && (
+									<EditableWidget
+										slug={ widget.slug }
+										index={ index }
+										count={ widgets.length }
+										onMove={ moveWidget }
+										onHide={ ( widgetSlug ) => changeLayout( () => hideWidget( widgetSlug ) ) }
+									/>
+								) }
+								{ ! isEditing && <Widget slug={ widget.slug } /> }
+							</div>
+						);
+					} ) }
+					{ isEditing && hiddenWidgets.map( ( widget ) => {
+						const { desktop, tablet, phone } = hiddenWidgetColumns[ widget.slug ] || {};
+
 						return (
-							<Widget key={ widget.slug } slug={ widget.slug } />
+							<div
+								key={ widget.slug }
+								className={ classnames(
+									'googlesitekit-widget-area-widgets__cell',
+									'googlesitekit-widget-area-widgets__cell--hidden',
+									'mdc-layout-grid__cell',
+									`mdc-layout-grid__cell--span-${ desktop }-desktop`,
+									`mdc-layout-grid__cell--span-${ tablet }-tablet`,
+									`mdc-layout-grid__cell--span-${ phone }-phone`
+								) }
+							>
+								<EditableWidget
+									slug={ widget.slug }
+									index={ -1 }
+									count={ widgets.length }
+									isHidden
+									onMove={ moveWidget }
+									onHide={ hideWidget }
+									onShow={ ( widgetSlug ) => changeLayout( () => showWidget( widgetSlug ) ) }
+								/>
+							</div>
 						);
 					} ) }
 				</div>
@@ -0,0 +1,233 @@
+/**
+ * WidgetAreaRenderer component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import WidgetAreaRenderer from './WidgetAreaRenderer';
+import { STORE_NAME, WIDGET_STYLES, WIDGET_WIDTHS } from '../datastore/constants';
+import { WidgetComponents } from '../datastore/widgets';
+import { createTestRegistry, muteConsole } from '../../../../../tests/js/utils';
+import { render, fireEvent, wait } from '../../../../../tests/js/test-utils';
+
+const layoutEndpoint = /^\/google-site-kit\/v1\/core\/user\/data\/widget-layout/;
+
+const createWidgetComponent = ( text ) => () => <div>{ text }</div>;
+
+// Creates a registry with an area of three widgets, without loading the layout.
+const createAreaRegistry = () => {
+	const registry = createTestRegistry();
+	registry.dispatch( STORE_NAME ).registerWidgetArea( 'area', {
+		title: 'Area title',
+		subtitle: 'Area subtitle',
+	} );
+	[ 'one', 'two', 'three' ].forEach( ( slug, index ) => {
+		registry.dispatch( STORE_NAME ).registerWidget( slug, {
+			component: createWidgetComponent( `Widget ${ slug }` ),
+			priority: index,
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( slug, 'area' );
+	} );
+
+	return registry;
+};
+
+describe( 'WidgetAreaRenderer', () => {
+	let registry;
+
+	beforeEach( () => {
+		Object.keys( WidgetComponents ).forEach( ( registryKey ) => {
+			delete WidgetComponents[ registryKey ];
+		} );
+
+		registry = createAreaRegistry();
+		registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+	} );
+
+	const getRenderedWidgets = ( container ) => Array.from( container.querySelectorAll( '.googlesitekit-widget-area-widgets .mdc-layout-grid__inner > :not(.googlesitekit-widget-area-widgets__cell--hidden)' ) )
+		.map( ( node ) => node.textContent.replace( /^.*Hide/, '' ) );
+
+	it( 'renders the widgets in the order of the layout without the hidden widgets', () => {
+		registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: { area: [ 'three' ] }, hidden: [ 'one' ] } );
+
+		const { container } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget three', 'Widget two' ] );
+	} );
+
+	it( 'packs the widgets into rows filling the grid', () => {
+		registry.dispatch( STORE_NAME ).registerWidget( 'four', {
+			component: createWidgetComponent( 'Widget four' ),
+			priority: 4,
+			width: [ WIDGET_WIDTHS.HALF, WIDGET_WIDTHS.FULL ],
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( 'four', 'area' );
+
+		const { container } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+		const cells = container.querySelectorAll( '.googlesitekit-widget-area-widgets__cell' );
+
+		expect( cells ).toHaveLength( 4 );
+		expect( cells[ 0 ] ).toHaveClass( 'mdc-layout-grid__cell--span-3-desktop', 'mdc-layout-grid__cell--span-4-tablet' );
+		// The last widget does not fit into the first row, so it is widened to fill a row of its own.
+		expect( cells[ 3 ] ).toHaveClass(
+			'mdc-layout-grid__cell--span-12-desktop',
+			'mdc-layout-grid__cell--span-8-tablet',
+			'mdc-layout-grid__cell--span-4-phone'
+		);
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets--composite' ) ).toBeNull();
+	} );
+
+	it( 'merges the widget chrome of composite areas', () => {
+		registry.dispatch( STORE_NAME ).registerWidgetArea( 'composite-area', {
+			title: 'Composite area title',
+			subtitle: 'Composite area subtitle',
+			style: WIDGET_STYLES.COMPOSITE,
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( 'one', 'composite-area' );
+
+		const { container } = render( <WidgetAreaRenderer slug="composite-area" />, { registry } );
+
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets--composite' ) ).toBeInTheDocument();
+	} );
+
+	it( 'collapses widgets without data unless editing', () => {
+		registry.dispatch( STORE_NAME ).registerWidget( 'zero', {
+			component: ( { WidgetReportZero } ) => <WidgetReportZero moduleName="Test Module" />,
+			priority: 4,
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( 'zero', 'area' );
+
+		const { container, getByText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+		const zeroCell = container.querySelectorAll( '.googlesitekit-widget-area-widgets__cell' )[ 3 ];
+
+		expect( zeroCell ).toHaveClass( 'googlesitekit-widget-area-widgets__cell--collapsed' );
+		expect( zeroCell ).not.toHaveClass( 'mdc-layout-grid__cell' );
+		expect( container.querySelector( '.googlesitekit-widget-area--collapsed' ) ).toBeNull();
+
+		fireEvent.click( getByText( 'Customize' ) );
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets__cell--collapsed' ) ).toBeNull();
+	} );
+
+	it( 'collapses the area if none of its widgets have data', () => {
+		registry.dispatch( STORE_NAME ).registerWidgetArea( 'zero-area', {
+			title: 'Zero area title',
+			subtitle: 'Zero area subtitle',
+		} );
+		registry.dispatch( STORE_NAME ).registerWidget( 'zero', {
+			component: ( { WidgetReportZero } ) => <WidgetReportZero moduleName="Test Module" />,
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( 'zero', 'zero-area' );
+
+		const { container } = render( <WidgetAreaRenderer slug="zero-area" />, { registry } );
+
+		expect( container.firstChild ).toHaveClass( 'googlesitekit-widget-area--collapsed' );
+	} );
+
+	it( 'renders nothing if none of the widgets are active', () => {
+		registry.dispatch( STORE_NAME ).registerWidgetArea( 'inactive-area', {
+			title: 'Inactive area title',
+			subtitle: 'Inactive area subtitle',
+		} );
+		registry.dispatch( STORE_NAME ).registerWidget( 'inactive', {
+			component: createWidgetComponent( 'Widget inactive' ),
+			isActive: () => false,
+		} );
+		registry.dispatch( STORE_NAME ).assignWidget( 'inactive', 'inactive-area' );
+
+		const { container } = render( <WidgetAreaRenderer slug="inactive-area" />, { registry } );
+
+		expect( container.firstChild ).toBeNull();
+	} );
+
+	it( 'moves widgets with the keyboard in edit mode', async () => {
+		fetchMock.postOnce( layoutEndpoint, { body: { order: { area: [ 'two', 'one', 'three' ] }, hidden: [] } } );
+		const { container, getByText, getAllByLabelText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		fireEvent.click( getByText( 'Customize' ) );
+		fireEvent.keyDown( getAllByLabelText( /Move widget/ )[ 0 ], { key: 'ArrowDown' } );
+
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget two', 'Widget one', 'Widget three' ] );
+		await wait( () => expect( fetchMock ).toHaveFetched( layoutEndpoint, {
+			body: { data: { order: { area: [ 'two', 'one', 'three' ] }, hidden: [] } },
+		} ) );
+	} );
+
+	it( 'does not move widgets past the edges of the area', () => {
+		const { getByText, getAllByLabelText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		fireEvent.click( getByText( 'Customize' ) );
+		fireEvent.keyDown( getAllByLabelText( /Move widget/ )[ 0 ], { key: 'ArrowUp' } );
+		fireEvent.keyDown( getAllByLabelText( /Move widget/ )[ 2 ], { key: 'End' } );
+
+		expect( fetchMock ).not.toHaveFetched();
+	} );
+
+	it( 'hides widgets and resets the layout in edit mode', async () => {
+		fetchMock.post( layoutEndpoint, { body: {} } );
+		const { container, getByText, getAllByText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		fireEvent.click( getByText( 'Customize' ) );
+		fireEvent.click( getAllByText( 'Hide' )[ 1 ] );
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget one', 'Widget three' ] );
+
+		fireEvent.click( getByText( 'Reset layout' ) );
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget one', 'Widget two', 'Widget three' ] );
+
+		fireEvent.click( getByText( 'Done' ) );
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets__editable' ) ).toBeNull();
+		await wait( () => expect( fetchMock ).toHaveFetchedTimes( 2 ) );
+	} );
+
+	it( 'shows hidden widgets again in edit mode', async () => {
+		fetchMock.postOnce( layoutEndpoint, { body: { order: {}, hidden: [] } } );
+		registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [ 'two' ] } );
+		const { container, getByText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets__cell--hidden' ) ).toBeNull();
+
+		fireEvent.click( getByText( 'Customize' ) );
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets__cell--hidden' ) ).toHaveTextContent( 'Widget two' );
+
+		fireEvent.click( getByText( 'Show' ) );
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget one', 'Widget two', 'Widget three' ] );
+		expect( container.querySelector( '.googlesitekit-widget-area-widgets__cell--hidden' ) ).toBeNull();
+		await wait( () => expect( fetchMock ).toHaveFetched( layoutEndpoint, {
+			body: { data: { order: {}, hidden: [] } },
+		} ) );
+	} );
+
+	it( 'disables customizing until the layout is loaded', () => {
+		fetchMock.getOnce( layoutEndpoint, new Promise( () => {} ) );
+		const { getByText } = render( <WidgetAreaRenderer slug="area" />, { registry: createAreaRegistry() } );
+
+		expect( getByText( 'Customize' ).closest( 'button' ) ).toBeDisabled();
+	} );
+
+	it( 'restores the layout and displays an error if saving fails', async () => {
+		const errorResponse = { code: 'internal_server_error', message: 'Internal server error', data: { status: 500 } };
+		fetchMock.postOnce( layoutEndpoint, { body: errorResponse, status: 500 } );
+		const { container, getByText, getAllByText, findByText } = render( <WidgetAreaRenderer slug="area" />, { registry } );
+
+		muteConsole( 'error' );
+		fireEvent.click( getByText( 'Customize' ) );
+		fireEvent.click( getAllByText( 'Hide' )[ 1 ] );
+
+		expect( await findByText( /Internal server error/ ) ).toBeInTheDocument();
+		expect( getRenderedWidgets( container ) ).toEqual( [ 'Widget one', 'Widget two', 'Widget three' ] );
+	} );
+} );
@@ -0,0 +1,75 @@
+/**
+ * WidgetErrorBoundary component.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { node, string } from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { Component } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import WidgetReportError from './WidgetReportError';
+
+class WidgetErrorBoundary extends Component {
+	constructor( props ) {
+		super( props );
+
+		this.state = {
+			error: null,
+		};
+	}
+
+	componentDidCatch( error, info ) {
+		global.console.error( 'Caught an error:', error, info );
+
+		this.setState( { error } );
+	}
+
+	render() {
+		const { children, widgetSlug } = this.props;
+		const { error } = this.state;
+
+		// Only the failing widget is replaced, so that the rest of the widget area keeps working.
+		if ( ! error ) {
+			return children;
+		}
+
+		return (
+			<WidgetReportError
+				widgetSlug={ widgetSlug }
+				moduleName={ __( 'Site Kit', 'google-site-kit' ) }
+				error={ error }
+			/>
+		);
+	}
+}
+
+WidgetErrorBoundary.propTypes = {
+	children: node.isRequired,
+	widgetSlug: string.isRequired,
+};
+
+export default WidgetErrorBoundary;
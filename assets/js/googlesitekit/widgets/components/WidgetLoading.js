@@ -0,0 +1,50 @@
+/**
+ * WidgetLoading component.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { string } from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import { WIDGET_STATES } from '../datastore/constants';
+import { useWidgetState } from '../util/use-widget-state';
+import PreviewBlock from '../../../components/preview-block';
+
+const WidgetLoading = ( { widgetSlug, width, height } ) => {
+	useWidgetState( widgetSlug, WIDGET_STATES.LOADING );
+
+	return <PreviewBlock width={ width } height={ height } />;
+};
+
+WidgetLoading.defaultProps = {
+	widgetSlug: undefined,
+	width: '100%',
+	height: '100px',
+};
+
+WidgetLoading.propTypes = {
+	widgetSlug: string,
+	width: string,
+	height: string,
+};
+
+export default WidgetLoading;
@@ -16,17 +16,30 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import { string } from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { useMemo } from '@wordpress/element';
+
 /**
  * Internal dependencies
  */
 import Data from 'googlesitekit-data';
 import { STORE_NAME } from '../datastore';
-import { string } from 'prop-types';
+import { getWidgetComponentProps } from '../util/get-widget-component-props';
+import WidgetErrorBoundary from './WidgetErrorBoundary';
 
 const { useSelect } = Data;
 
 const WidgetRenderer = ( { slug } ) => {
 	const widget = useSelect( ( select ) => select( STORE_NAME ).getWidget( slug ) );
+	// Keep the bound state components across renders, so that they are not remounted.
+	const widgetComponentProps = useMemo( () => getWidgetComponentProps( slug ), [ slug ] );
 
 	if ( ! widget ) {
 		return null;
@@ -35,7 +48,11 @@ const WidgetRenderer = ( { slug } ) => {
 	// Capitalize the "component" variable, as it is required by JSX.
 	const { component: Component } = widget;
 
-	return <Component slug={ slug } />;
+	return (
+		<WidgetErrorBoundary widgetSlug={ slug }>
+			<Component slug={ slug } { ...widgetComponentProps } />
+		</WidgetErrorBoundary>
+	);
 };
 
 WidgetRenderer.propTypes = {
@@ -0,0 +1,50 @@
+/**
+ * WidgetReportError component.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { shape, string } from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import { WIDGET_STATES } from '../datastore/constants';
+import { useWidgetState } from '../util/use-widget-state';
+import getDataErrorComponent from '../../../components/notifications/data-error';
+
+const WidgetReportError = ( { widgetSlug, moduleName, error } ) => {
+	useWidgetState( widgetSlug, WIDGET_STATES.ERROR );
+
+	return getDataErrorComponent( moduleName, error.message );
+};
+
+WidgetReportError.defaultProps = {
+	widgetSlug: undefined,
+};
+
+WidgetReportError.propTypes = {
+	widgetSlug: string,
+	moduleName: string.isRequired,
+	error: shape( {
+		message: string,
+	} ).isRequired,
+};
+
+export default WidgetReportError;
@@ -20,3 +20,7 @@ export { default as WidgetAreaRenderer } from './WidgetAreaRenderer';
 export { default as WidgetContextRenderer } from './WidgetContextRenderer';
 export { default as WidgetRenderer } from './WidgetRenderer';
 export { default as Widget } from './Widget';
+export { default as WidgetErrorBoundary } from './WidgetErrorBoundary';
+export { default as WidgetLoading } from './WidgetLoading';
+export { default as WidgetReportError } from './WidgetReportError';
+export { default as WidgetReportZero } from './WidgetReportZero';
@@ -18,5 +18,6 @@
 
 export const WIDGET_STYLES = { BOXES: 'boxes', COMPOSITE: 'composite' };
 export const WIDGET_WIDTHS = { QUARTER: 'quarter', HALF: 'half', FULL: 'full' };
+export const WIDGET_STATES = { LOADING: 'loading', ZERO_DATA: 'zero-data', ERROR: 'error' };
 
 export const STORE_NAME = 'core/widgets';
@@ -22,11 +22,13 @@
 import Data from 'googlesitekit-data';
 import areas from './areas';
 import { STORE_NAME } from './constants';
+import layout from './layout';
+import widgetStates from './widget-states';
 import widgets from './widgets';
 
 export { STORE_NAME };
 
-const store = Data.combineStores( Data.commonStore, areas, widgets );
+const store = Data.combineStores( Data.commonStore, areas, layout, widgetStates, widgets );
 
 // Register this store on the global registry.
 Data.registerStore( STORE_NAME, store );
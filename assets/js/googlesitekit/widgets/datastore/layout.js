@@ -0,0 +1,480 @@
+/**
+ * core/widgets data store: layout.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+import { isPlainObject, omit } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import Data from 'googlesitekit-data';
+import { STORE_NAME } from './constants';
+import { createFetchStore } from '../../data/create-fetch-store';
+
+const { commonActions, createRegistrySelector, createRegistryControl } = Data;
+
+const RECEIVE_WIDGET_LAYOUT = 'RECEIVE_WIDGET_LAYOUT';
+const SET_WIDGET_ORDER = 'SET_WIDGET_ORDER';
+const HIDE_WIDGET = 'HIDE_WIDGET';
+const SHOW_WIDGET = 'SHOW_WIDGET';
+const RESET_LAYOUT = 'RESET_LAYOUT';
+const RESTORE_SAVED_WIDGET_LAYOUT = 'RESTORE_SAVED_WIDGET_LAYOUT';
+const SAVE_LATEST_WIDGET_LAYOUT = 'SAVE_LATEST_WIDGET_LAYOUT';
+
+// Layout saves per registry: the save in flight as `current`, and the save
+// waiting for it as `next`.
+const layoutSaves = new WeakMap();
+
+/**
+ * Normalizes a layout as received from the API.
+ *
+ * An empty `order` map is returned as an empty array by the API.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} layout Layout to normalize.
+ * @return {Object} Layout with `order` and `hidden` properties.
+ */
+const normalizeLayout = ( { order, hidden } = {} ) => ( {
+	order: isPlainObject( order ) ? order : {},
+	hidden: Array.isArray( hidden ) ? hidden : [],
+} );
+
+const fetchGetWidgetLayoutStore = createFetchStore( {
+	baseName: 'getWidgetLayout',
+	controlCallback: () => {
+		return API.get( 'core', 'user', 'widget-layout', undefined, {
+			useCache: false,
+		} );
+	},
+	reducerCallback: ( state, layout ) => {
+		return {
+			...state,
+			layout: normalizeLayout( layout ),
+			savedLayout: normalizeLayout( layout ),
+		};
+	},
+} );
+
+const fetchSaveWidgetLayoutStore = createFetchStore( {
+	baseName: 'saveWidgetLayout',
+	controlCallback: ( { layout } ) => {
+		return API.set( 'core', 'user', 'widget-layout', layout );
+	},
+	argsToParams: ( layout ) => {
+		invariant( isPlainObject( layout ), 'layout must be an object.' );
+
+		return { layout };
+	},
+	reducerCallback: ( state, response, { layout } ) => {
+		return {
+			...state,
+			savedLayout: layout,
+		};
+	},
+} );
+
+const BASE_INITIAL_STATE = {
+	layout: undefined,
+	// The layout as last loaded or saved, which is restored if saving fails.
+	savedLayout: undefined,
+};
+
+/**
+ * Ensures that the layout of the current user is loaded before changing it.
+ *
+ * Changing the layout before would save it based on the default layout,
+ * overwriting the actual layout of the user.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} registry Registry to select the layout from.
+ */
+const invariantLayoutLoaded = ( registry ) => {
+	invariant( registry.select( STORE_NAME ).getWidgetLayout() !== undefined, 'The widget layout must be loaded before changing it.' );
+};
+
+const baseActions = {
+	/**
+	 * Sets the order of the widgets in a widget area for the current user.
+	 *
+	 * Widgets not included are displayed after the ordered widgets, in order of
+	 * their priority.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string}         areaSlug    Widget area slug.
+	 * @param {Array.<string>} widgetSlugs Widget slugs, in the order to display them.
+	 * @return {Object} Object with `response` and `error` of saving the layout.
+	 */
+	*setWidgetOrder( areaSlug, widgetSlugs ) {
+		invariant( areaSlug, 'areaSlug is required.' );
+		invariant( Array.isArray( widgetSlugs ), 'widgetSlugs must be an array.' );
+
+		const registry = yield commonActions.getRegistry();
+		invariantLayoutLoaded( registry );
+
+		yield {
+			payload: { areaSlug, widgetSlugs },
+			type: SET_WIDGET_ORDER,
+		};
+
+		return yield baseActions.saveWidgetLayout();
+	},
+
+	/**
+	 * Hides a widget for the current user.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} slug Widget slug.
+	 * @return {Object} Object with `response` and `error` of saving the layout.
+	 */
+	*hideWidget( slug ) {
+		invariant( slug, 'slug is required.' );
+
+		const registry = yield commonActions.getRegistry();
+		invariantLayoutLoaded( registry );
+
+		yield {
+			payload: { slug },
+			type: HIDE_WIDGET,
+		};
+
+		return yield baseActions.saveWidgetLayout();
+	},
+
+	/**
+	 * Shows a widget hidden by the current user again.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} slug Widget slug.
+	 * @return {Object} Object with `response` and `error` of saving the layout.
+	 */
+	*showWidget( slug ) {
+		invariant( slug, 'slug is required.' );
+
+		const registry = yield commonActions.getRegistry();
+		invariantLayoutLoaded( registry );
+
+		yield {
+			payload: { slug },
+			type: SHOW_WIDGET,
+		};
+
+		return yield baseActions.saveWidgetLayout();
+	},
+
+	/**
+	 * Resets the layout of a widget area for the current user.
+	 *
+	 * The widgets of the area are displayed in their default order, and none
+	 * of them are hidden anymore. The layout of other areas is kept.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} areaSlug Widget area slug.
+	 * @return {Object} Object with `response` and `error` of saving the layout.
+	 */
+	*resetLayout( areaSlug ) {
+		invariant( areaSlug, 'areaSlug is required.' );
+
+		const registry = yield commonActions.getRegistry();
+		invariantLayoutLoaded( registry );
+
+		yield {
+			payload: { areaSlug },
+			type: RESET_LAYOUT,
+		};
+
+		return yield baseActions.saveWidgetLayout();
+	},
+
+	/**
+	 * Stores the layout of the current user in the datastore.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @param {Object} layout Layout with `order` and `hidden` properties.
+	 * @return {Object} Redux-style action.
+	 */
+	receiveWidgetLayout( layout ) {
+		invariant( isPlainObject( layout ), 'layout must be an object.' );
+
+		return {
+			payload: { layout },
+			type: RECEIVE_WIDGET_LAYOUT,
+		};
+	},
+
+	/**
+	 * Saves the layout in the datastore as the layout of the current user.
+	 *
+	 * Layouts are saved one at a time, so that an older layout cannot
+	 * overwrite a newer one on the server. While a save is in flight, only
+	 * the latest layout is saved once it finished.
+	 *
+	 * If saving fails, the layout as last saved is restored, so that the
+	 * displayed layout does not diverge from the stored one, unless another
+	 * save is already waiting to store the latest layout.
+	 *
+	 * @since n.e.x.t
+	 * @private
+	 *
+	 * @return {Object} Object with `response` and `error`.
+	 */
+	*saveWidgetLayout() {
+		const { response, error, hasNextSave } = yield {
+			payload: {},
+			type: SAVE_LATEST_WIDGET_LAYOUT,
+		};
+
+		if ( error && ! hasNextSave ) {
+			yield {
+				payload: {},
+				type: RESTORE_SAVED_WIDGET_LAYOUT,
+			};
+		}
+
+		return { response, error };
+	},
+};
+
+const baseControls = {
+	[ SAVE_LATEST_WIDGET_LAYOUT ]: createRegistryControl( ( registry ) => () => {
+		if ( ! layoutSaves.has( registry ) ) {
+			layoutSaves.set( registry, {} );
+		}
+		const saves = layoutSaves.get( registry );
+
+		const send = async () => {
+			const layout = registry.select( STORE_NAME ).getWidgetLayout();
+			const save = registry.dispatch( STORE_NAME ).fetchSaveWidgetLayout( layout );
+			saves.current = save;
+
+			const { response, error } = await save;
+			const hasNextSave = !! saves.next;
+			// A waiting save replaces the current one once it starts.
+			if ( ! hasNextSave ) {
+				saves.current = undefined;
+			}
+
+			return { response, error, hasNextSave };
+		};
+
+		if ( ! saves.current ) {
+			return send();
+		}
+
+		// Every save made in the meantime is covered by saving the latest layout once.
+		if ( ! saves.next ) {
+			saves.next = saves.current.then( () => {
+				saves.next = undefined;
+				return send();
+			} );
+		}
+
+		return saves.next;
+	} ),
+};
+
+const baseReducer = ( state, { type, payload } ) => {
+	switch ( type ) {
+		case RECEIVE_WIDGET_LAYOUT: {
+			const layout = normalizeLayout( payload.layout );
+
+			return {
+				...state,
+				layout,
+				savedLayout: layout,
+			};
+		}
+
+		case SET_WIDGET_ORDER: {
+			const { areaSlug, widgetSlugs } = payload;
+			const { layout } = state;
+
+			return {
+				...state,
+				layout: {
+					...layout,
+					order: {
+						...layout.order,
+						[ areaSlug ]: widgetSlugs,
+					},
+				},
+			};
+		}
+
+		case HIDE_WIDGET: {
+			const { slug } = payload;
+			const { layout } = state;
+
+			if ( layout.hidden.includes( slug ) ) {
+				return state;
+			}
+
+			return {
+				...state,
+				layout: {
+					...layout,
+					hidden: [ ...layout.hidden, slug ],
+				},
+			};
+		}
+
+		case SHOW_WIDGET: {
+			const { slug } = payload;
+			const { layout } = state;
+
+			return {
+				...state,
+				layout: {
+					...layout,
+					hidden: layout.hidden.filter( ( hiddenSlug ) => hiddenSlug !== slug ),
+				},
+			};
+		}
+
+		case RESET_LAYOUT: {
+			const { areaSlug } = payload;
+			const areaWidgetSlugs = state.areaAssignments[ areaSlug ] || [];
+
+			return {
+				...state,
+				layout: {
+					order: omit( state.layout.order, areaSlug ),
+					hidden: state.layout.hidden.filter( ( slug ) => ! areaWidgetSlugs.includes( slug ) ),
+				},
+			};
+		}
+
+		case RESTORE_SAVED_WIDGET_LAYOUT: {
+			return {
+				...state,
+				layout: state.savedLayout,
+			};
+		}
+
+		default: {
+			return state;
+		}
+	}
+};
+
+const baseResolvers = {
+	*getWidgetLayout() {
+		const registry = yield commonActions.getRegistry();
+
+		if ( registry.select( STORE_NAME ).getWidgetLayout() === undefined ) {
+			yield fetchGetWidgetLayoutStore.actions.fetchGetWidgetLayout();
+		}
+	},
+};
+
+const baseSelectors = {
+	/**
+	 * Gets the layout of the current user.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {(Object|undefined)} Layout with an `order` map of widget area slugs to lists of widget slugs, and a
+	 *                              `hidden` list of widget slugs; `undefined` if not loaded.
+	 */
+	getWidgetLayout( state ) {
+		return state.layout;
+	},
+
+	/**
+	 * Checks whether a widget is hidden by the current user.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @param {string} slug  Widget slug.
+	 * @return {boolean} `true` if the widget is hidden, otherwise `false`.
+	 */
+	isWidgetHidden( state, slug ) {
+		const { hidden = [] } = state.layout || {};
+
+		return hidden.includes( slug );
+	},
+
+	/**
+	 * Gets the active widgets of a widget area which are hidden by the current user.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state    Data store's state.
+	 * @param {string} areaSlug Widget area slug.
+	 * @return {Array.<Object>} Hidden widgets, in order of their priority.
+	 */
+	getHiddenWidgets: createRegistrySelector( ( select ) => ( state, areaSlug ) => {
+		invariant( areaSlug, 'areaSlug is required.' );
+
+		const { hidden = [] } = state.layout || {};
+		const areaWidgetSlugs = state.areaAssignments[ areaSlug ] || [];
+
+		return Object.values( state.widgets )
+			.filter( ( widget ) => areaWidgetSlugs.includes( widget.slug ) && hidden.includes( widget.slug ) && select( STORE_NAME ).isWidgetActive( widget.slug ) )
+			.sort( ( widgetA, widgetB ) => widgetA.priority - widgetB.priority );
+	} ),
+
+	/**
+	 * Checks whether the layout of the current user is being saved.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {boolean} `true` if the layout is being saved, otherwise `false`.
+	 */
+	isSavingWidgetLayout( state ) {
+		return Object.values( state.isFetchingSaveWidgetLayout ).some( Boolean );
+	},
+};
+
+const store = Data.combineStores(
+	fetchGetWidgetLayoutStore,
+	fetchSaveWidgetLayoutStore,
+	{
+		INITIAL_STATE: BASE_INITIAL_STATE,
+		actions: baseActions,
+		controls: baseControls,
+		reducer: baseReducer,
+		resolvers: baseResolvers,
+		selectors: baseSelectors,
+	}
+);
+
+export const INITIAL_STATE = store.INITIAL_STATE;
+export const actions = store.actions;
+export const controls = store.controls;
+export const reducer = store.reducer;
+export const resolvers = store.resolvers;
+export const selectors = store.selectors;
+
+export default store;
@@ -0,0 +1,275 @@
+/**
+ * core/widgets data store: layout tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import {
+	createTestRegistry,
+	muteConsole,
+	subscribeUntil,
+	unsubscribeFromAll,
+} from '../../../../../tests/js/utils';
+import { STORE_NAME } from './constants';
+import { WidgetComponents } from './widgets';
+
+describe( 'core/widgets layout', () => {
+	const layoutEndpoint = /^\/google-site-kit\/v1\/core\/user\/data\/widget-layout/;
+	const WidgetComponent = () => <div>Widget</div>;
+	let registry;
+
+	const registerWidgets = () => {
+		registry.dispatch( STORE_NAME ).registerWidget( 'one', { component: WidgetComponent, priority: 1 } );
+		registry.dispatch( STORE_NAME ).registerWidget( 'two', { component: WidgetComponent, priority: 2 } );
+		registry.dispatch( STORE_NAME ).registerWidget( 'three', { component: WidgetComponent, priority: 3 } );
+		registry.dispatch( STORE_NAME ).assignWidget( 'one', 'area' );
+		registry.dispatch( STORE_NAME ).assignWidget( 'two', 'area' );
+		registry.dispatch( STORE_NAME ).assignWidget( 'three', 'area' );
+	};
+	const getWidgetSlugs = () => registry.select( STORE_NAME ).getWidgets( 'area' ).map( ( { slug } ) => slug );
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+		Object.keys( WidgetComponents ).forEach( ( registryKey ) => {
+			delete WidgetComponents[ registryKey ];
+		} );
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'actions', () => {
+		describe( 'setWidgetOrder', () => {
+			it( 'requires the areaSlug and widgetSlugs params', async () => {
+				await expect( registry.dispatch( STORE_NAME ).setWidgetOrder() ).rejects.toThrow( 'areaSlug is required.' );
+				await expect( registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', 'one' ) ).rejects.toThrow( 'widgetSlugs must be an array.' );
+			} );
+
+			it( 'requires the layout to be loaded', async () => {
+				await expect( registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'one' ] ) ).rejects.toThrow( 'The widget layout must be loaded before changing it.' );
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toBeUndefined();
+			} );
+
+			it( 'sets the order of widgets in an area and saves the layout', async () => {
+				const layout = { order: { area: [ 'three', 'one' ] }, hidden: [] };
+				fetchMock.postOnce( layoutEndpoint, { body: layout } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+
+				const { response, error } = await registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'three', 'one' ] );
+
+				expect( error ).toBeUndefined();
+				expect( response ).toEqual( layout );
+				expect( fetchMock ).toHaveFetched( layoutEndpoint, { body: { data: layout } } );
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( layout );
+				// Widgets without a user-defined position follow in order of their priority.
+				expect( getWidgetSlugs() ).toEqual( [ 'three', 'one', 'two' ] );
+			} );
+
+			it( 'restores the saved layout if saving fails', async () => {
+				const errorResponse = { code: 'internal_server_error', message: 'Internal server error', data: { status: 500 } };
+				const savedLayout = { order: { area: [ 'three' ] }, hidden: [] };
+				fetchMock.postOnce( layoutEndpoint, { body: errorResponse, status: 500 } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( savedLayout );
+
+				muteConsole( 'error' );
+				const { error } = await registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'two', 'one' ] );
+
+				expect( error ).toEqual( errorResponse );
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( savedLayout );
+				expect( getWidgetSlugs() ).toEqual( [ 'three', 'one', 'two' ] );
+			} );
+
+			it( 'saves layouts one at a time, only saving the latest layout once the save in flight finished', async () => {
+				const firstLayout = { order: { area: [ 'two', 'one' ] }, hidden: [] };
+				const latestLayout = { order: { area: [ 'three', 'two', 'one' ] }, hidden: [] };
+				let respondToFirstSave;
+				// The first save is slower than the ones made while it is in flight.
+				fetchMock.postOnce( layoutEndpoint, new Promise( ( resolve ) => {
+					respondToFirstSave = () => resolve( { body: firstLayout } );
+				} ) );
+				fetchMock.postOnce( layoutEndpoint, { body: latestLayout }, { overwriteRoutes: false } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+
+				const firstSave = registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'two', 'one' ] );
+				const secondSave = registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'three', 'one', 'two' ] );
+				const latestSave = registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'three', 'two', 'one' ] );
+				expect( registry.select( STORE_NAME ).isSavingWidgetLayout() ).toBe( true );
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+
+				respondToFirstSave();
+				await firstSave;
+				const { response, error } = await latestSave;
+
+				expect( error ).toBeUndefined();
+				expect( response ).toEqual( latestLayout );
+				// Both saves made in the meantime are covered by saving the latest layout once.
+				expect( await secondSave ).toEqual( { response, error } );
+				expect( fetchMock ).toHaveFetchedTimes( 2 );
+				expect( fetchMock ).toHaveLastFetched( layoutEndpoint, { body: { data: latestLayout } } );
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( latestLayout );
+			} );
+
+			it( 'does not restore the saved layout if a newer save is waiting', async () => {
+				const errorResponse = { code: 'internal_server_error', message: 'Internal server error', data: { status: 500 } };
+				const latestLayout = { order: { area: [ 'three', 'two', 'one' ] }, hidden: [] };
+				fetchMock.postOnce( layoutEndpoint, { body: errorResponse, status: 500 } );
+				fetchMock.postOnce( layoutEndpoint, { body: latestLayout }, { overwriteRoutes: false } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+
+				muteConsole( 'error' );
+				const firstSave = registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'two', 'one' ] );
+				const latestSave = registry.dispatch( STORE_NAME ).setWidgetOrder( 'area', [ 'three', 'two', 'one' ] );
+
+				expect( ( await firstSave ).error ).toEqual( errorResponse );
+				expect( ( await latestSave ).error ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( latestLayout );
+			} );
+		} );
+
+		describe( 'hideWidget', () => {
+			it( 'requires the slug param', async () => {
+				await expect( registry.dispatch( STORE_NAME ).hideWidget() ).rejects.toThrow( 'slug is required.' );
+			} );
+
+			it( 'hides a widget and saves the layout', async () => {
+				const layout = { order: {}, hidden: [ 'two' ] };
+				fetchMock.postOnce( layoutEndpoint, { body: layout } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+
+				await registry.dispatch( STORE_NAME ).hideWidget( 'two' );
+
+				expect( fetchMock ).toHaveFetched( layoutEndpoint, { body: { data: layout } } );
+				expect( registry.select( STORE_NAME ).isWidgetHidden( 'two' ) ).toBe( true );
+				expect( getWidgetSlugs() ).toEqual( [ 'one', 'three' ] );
+			} );
+		} );
+
+		describe( 'showWidget', () => {
+			it( 'requires the slug param', async () => {
+				await expect( registry.dispatch( STORE_NAME ).showWidget() ).rejects.toThrow( 'slug is required.' );
+			} );
+
+			it( 'shows a hidden widget and saves the layout', async () => {
+				const layout = { order: {}, hidden: [ 'one' ] };
+				fetchMock.postOnce( layoutEndpoint, { body: layout } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [ 'one', 'two' ] } );
+
+				await registry.dispatch( STORE_NAME ).showWidget( 'two' );
+
+				expect( fetchMock ).toHaveFetched( layoutEndpoint, { body: { data: layout } } );
+				expect( registry.select( STORE_NAME ).isWidgetHidden( 'two' ) ).toBe( false );
+				expect( getWidgetSlugs() ).toEqual( [ 'two', 'three' ] );
+			} );
+		} );
+
+		describe( 'resetLayout', () => {
+			it( 'requires the areaSlug param', async () => {
+				await expect( registry.dispatch( STORE_NAME ).resetLayout() ).rejects.toThrow( 'areaSlug is required.' );
+			} );
+
+			it( 'restores the default layout of the area and saves it', async () => {
+				const layout = { order: { 'other-area': [ 'four' ] }, hidden: [ 'five' ] };
+				fetchMock.postOnce( layoutEndpoint, { body: layout } );
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).registerWidget( 'four', { component: WidgetComponent } );
+				registry.dispatch( STORE_NAME ).registerWidget( 'five', { component: WidgetComponent } );
+				registry.dispatch( STORE_NAME ).assignWidget( 'four', 'other-area' );
+				registry.dispatch( STORE_NAME ).assignWidget( 'five', 'other-area' );
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( {
+					order: { area: [ 'three' ], 'other-area': [ 'four' ] },
+					hidden: [ 'one', 'five' ],
+				} );
+				expect( getWidgetSlugs() ).toEqual( [ 'three', 'two' ] );
+
+				await registry.dispatch( STORE_NAME ).resetLayout( 'area' );
+
+				// The layout of other areas is kept.
+				expect( fetchMock ).toHaveFetched( layoutEndpoint, { body: { data: layout } } );
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( layout );
+				expect( getWidgetSlugs() ).toEqual( [ 'one', 'two', 'three' ] );
+			} );
+		} );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getWidgetLayout', () => {
+			it( 'uses a resolver to load the layout of the current user', async () => {
+				fetchMock.getOnce( layoutEndpoint, { body: { order: [], hidden: [ 'one' ] } } );
+
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toBeUndefined();
+				await subscribeUntil( registry, () => registry.select( STORE_NAME ).getWidgetLayout() !== undefined );
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				// An empty order is returned as a list by the API.
+				expect( registry.select( STORE_NAME ).getWidgetLayout() ).toEqual( { order: {}, hidden: [ 'one' ] } );
+			} );
+
+			it( 'does not make a network request if the layout is already in state', async () => {
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [] } );
+
+				registry.select( STORE_NAME ).getWidgetLayout();
+				await subscribeUntil( registry, () => registry.select( STORE_NAME ).hasFinishedResolution( 'getWidgetLayout' ) );
+
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+		} );
+
+		describe( 'isWidgetHidden', () => {
+			it( 'returns false if the layout is not loaded', () => {
+				expect( registry.select( STORE_NAME ).isWidgetHidden( 'one' ) ).toBe( false );
+			} );
+		} );
+
+		describe( 'getHiddenWidgets', () => {
+			it( 'returns the active hidden widgets of an area in order of their priority', () => {
+				registerWidgets();
+				registry.dispatch( STORE_NAME ).registerWidget( 'inactive', { component: WidgetComponent, isActive: () => false } );
+				registry.dispatch( STORE_NAME ).registerWidget( 'other', { component: WidgetComponent } );
+				registry.dispatch( STORE_NAME ).assignWidget( 'inactive', 'area' );
+				registry.dispatch( STORE_NAME ).assignWidget( 'other', 'other-area' );
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [ 'three', 'inactive', 'other', 'one' ] } );
+
+				const hiddenWidgets = registry.select( STORE_NAME ).getHiddenWidgets( 'area' );
+
+				expect( hiddenWidgets.map( ( { slug } ) => slug ) ).toEqual( [ 'one', 'three' ] );
+			} );
+
+			it( 'returns an empty list if the layout is not loaded', () => {
+				registerWidgets();
+
+				expect( registry.select( STORE_NAME ).getHiddenWidgets( 'area' ) ).toEqual( [] );
+			} );
+		} );
+	} );
+} );
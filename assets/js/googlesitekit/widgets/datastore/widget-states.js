@@ -0,0 +1,154 @@
+/**
+ * core/widgets data store: widget states.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+import { omit } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { WIDGET_STATES } from './constants';
+
+const SET_WIDGET_STATE = 'SET_WIDGET_STATE';
+const UNSET_WIDGET_STATE = 'UNSET_WIDGET_STATE';
+
+const WidgetStateKeys = Object.keys( WIDGET_STATES ).map( ( ( key ) => `WIDGET_STATES.${ key }` ) ).join( ', ' );
+
+export const INITIAL_STATE = {
+	widgetStates: {},
+};
+
+export const actions = {
+	/**
+	 * Sets the state a widget reports, e.g. that it has no data to display.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} slug        Widget's slug.
+	 * @param {string} widgetState Widget's state. One of the `WIDGET_STATES`.
+	 * @return {Object} Redux-style action.
+	 */
+	setWidgetState( slug, widgetState ) {
+		invariant( slug, 'slug is required.' );
+		invariant( Object.values( WIDGET_STATES ).includes( widgetState ), `widgetState must be one of: ${ WidgetStateKeys }.` );
+
+		return {
+			payload: { slug, widgetState },
+			type: SET_WIDGET_STATE,
+		};
+	},
+
+	/**
+	 * Unsets the state a widget reports.
+	 *
+	 * The state is only unset if it is still the given state, so that a state
+	 * set by the next state component of the widget is kept.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} slug        Widget's slug.
+	 * @param {string} widgetState Widget's state to unset.
+	 * @return {Object} Redux-style action.
+	 */
+	unsetWidgetState( slug, widgetState ) {
+		invariant( slug, 'slug is required.' );
+
+		return {
+			payload: { slug, widgetState },
+			type: UNSET_WIDGET_STATE,
+		};
+	},
+};
+
+export const controls = {};
+
+export const reducer = ( state, { type, payload } ) => {
+	switch ( type ) {
+		case SET_WIDGET_STATE: {
+			const { slug, widgetState } = payload;
+
+			return {
+				...state,
+				widgetStates: {
+					...state.widgetStates,
+					[ slug ]: widgetState,
+				},
+			};
+		}
+
+		case UNSET_WIDGET_STATE: {
+			const { slug, widgetState } = payload;
+
+			if ( state.widgetStates[ slug ] !== widgetState ) {
+				return state;
+			}
+
+			return {
+				...state,
+				widgetStates: omit( state.widgetStates, slug ),
+			};
+		}
+
+		default: {
+			return state;
+		}
+	}
+};
+
+export const resolvers = {};
+
+export const selectors = {
+	/**
+	 * Gets the state a widget reports.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @param {string} slug  Widget's slug.
+	 * @return {(string|undefined)} One of the `WIDGET_STATES`, or `undefined` if the widget reports no state.
+	 */
+	getWidgetState( state, slug ) {
+		invariant( slug, 'slug is required.' );
+
+		return state.widgetStates[ slug ];
+	},
+
+	/**
+	 * Gets the states all widgets report.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {Object} Map of widget slugs to their states.
+	 */
+	getWidgetStates( state ) {
+		return state.widgetStates;
+	},
+};
+
+export default {
+	INITIAL_STATE,
+	actions,
+	controls,
+	reducer,
+	resolvers,
+	selectors,
+};
@@ -0,0 +1,85 @@
+/**
+ * core/widgets data store: widget states tests.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	createTestRegistry,
+	unsubscribeFromAll,
+} from '../../../../../tests/js/utils';
+import { STORE_NAME, WIDGET_STATES } from './constants';
+
+describe( 'core/widgets widget states', () => {
+	let registry;
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'actions', () => {
+		describe( 'setWidgetState', () => {
+			it( 'requires the slug param and a valid widget state', () => {
+				expect( () => registry.dispatch( STORE_NAME ).setWidgetState() ).toThrow( 'slug is required.' );
+				expect( () => registry.dispatch( STORE_NAME ).setWidgetState( 'widget', 'empty' ) ).toThrow( 'widgetState must be one of: WIDGET_STATES.LOADING, WIDGET_STATES.ZERO_DATA, WIDGET_STATES.ERROR.' );
+			} );
+
+			it( 'sets the state of a widget', () => {
+				registry.dispatch( STORE_NAME ).setWidgetState( 'widget', WIDGET_STATES.LOADING );
+				registry.dispatch( STORE_NAME ).setWidgetState( 'widget', WIDGET_STATES.ZERO_DATA );
+
+				expect( registry.select( STORE_NAME ).getWidgetState( 'widget' ) ).toBe( WIDGET_STATES.ZERO_DATA );
+				expect( registry.select( STORE_NAME ).getWidgetStates() ).toEqual( { widget: WIDGET_STATES.ZERO_DATA } );
+			} );
+		} );
+
+		describe( 'unsetWidgetState', () => {
+			it( 'unsets the state of a widget', () => {
+				registry.dispatch( STORE_NAME ).setWidgetState( 'widget', WIDGET_STATES.ERROR );
+				registry.dispatch( STORE_NAME ).unsetWidgetState( 'widget', WIDGET_STATES.ERROR );
+
+				expect( registry.select( STORE_NAME ).getWidgetState( 'widget' ) ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getWidgetStates() ).toEqual( {} );
+			} );
+
+			it( 'keeps a different state of the widget', () => {
+				registry.dispatch( STORE_NAME ).setWidgetState( 'widget', WIDGET_STATES.ZERO_DATA );
+				registry.dispatch( STORE_NAME ).unsetWidgetState( 'widget', WIDGET_STATES.LOADING );
+
+				expect( registry.select( STORE_NAME ).getWidgetState( 'widget' ) ).toBe( WIDGET_STATES.ZERO_DATA );
+			} );
+		} );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getWidgetState', () => {
+			it( 'requires the slug param', () => {
+				expect( () => registry.select( STORE_NAME ).getWidgetState() ).toThrow( 'slug is required.' );
+			} );
+
+			it( 'returns undefined for widgets without a state', () => {
+				expect( registry.select( STORE_NAME ).getWidgetState( 'widget' ) ).toBeUndefined();
+			} );
+		} );
+	} );
+} );
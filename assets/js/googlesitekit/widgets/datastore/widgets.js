@@ -20,12 +20,14 @@
  * External dependencies
  */
 import invariant from 'invariant';
+import { castArray } from 'lodash';
 
 /**
  * Internal dependencies
  */
 import Data from 'googlesitekit-data';
 import { STORE_NAME, WIDGET_WIDTHS } from './constants';
+import { STORE_NAME as CORE_MODULES } from '../../modules/datastore/constants';
 
 const { commonActions, createRegistrySelector } = Data;
 
@@ -38,6 +40,15 @@ const { commonActions, createRegistrySelector } = Data;
  */
 export const WidgetComponents = {};
 
+/**
+ * Store the `isActive` callbacks of widgets by registry, then by widget `slug`,
+ * like the widget components.
+ *
+ * @private
+ * @since n.e.x.t
+ */
+export const WidgetActiveCallbacks = {};
+
 const ASSIGN_WIDGET = 'ASSIGN_WIDGET';
 const REGISTER_WIDGET = 'REGISTER_WIDGET';
 const SET_WIDGET_COMPONENT_KEY = 'SET_WIDGET_COMPONENT_KEY';
@@ -74,21 +85,31 @@ export const actions = {
 	 * Register a widget with a given slug and settings.
 	 *
 	 * @since 1.9.0
+	 * @since n.e.x.t Supports a list of acceptable widths, and the modules and `isActive` callback the widget depends on.
 	 *
-	 * @param {string}      slug                Widget's slug.
-	 * @param {Object}      settings            Widget's settings.
-	 * @param {WPComponent} settings.component  React component used to display the contents of this widget.
-	 * @param {number}      settings.priority   Optional. Widget's priority for ordering (lower number is higher priority, like WordPress hooks). Default is: 10.
-	 * @param {string}      settings.width      Optional. Widget's maximum width to occupy. Default is: "quarter". One of: "quarter", "half", "full".
+	 * @param {string}                  slug               Widget's slug.
+	 * @param {Object}                  settings           Widget's settings.
+	 * @param {WPComponent}             settings.component React component used to display the contents of this widget.
+	 * @param {number}                  settings.priority  Optional. Widget's priority for ordering (lower number is higher priority, like WordPress hooks). Default is: 10.
+	 * @param {(string|Array.<string>)} settings.width     Optional. Widget's width to occupy, or a list of acceptable widths in order of preference. Default is: "quarter". One of: "quarter", "half", "full".
+	 * @param {(string|Array.<string>)} settings.modules   Optional. Slug(s) of the modules which need to be active for the widget to be displayed.
+	 * @param {Function}                settings.isActive  Optional. Callback receiving the registry `select` function, which returns whether the widget
+	 *                                                     should be displayed, e.g. depending on permissions of the current user.
 	 * @return {Object} Redux-style action.
 	 */
 	*registerWidget( slug, {
 		component,
 		priority = 10,
 		width = WIDGET_WIDTHS.QUARTER,
+		modules = [],
+		isActive,
 	} = {} ) {
 		invariant( component, 'component is required to register a widget.' );
-		invariant( Object.values( WIDGET_WIDTHS ).includes( width ), `Widget width should be one of: ${ WidgetWidthKeys }, but "${ width }" was provided.` );
+		invariant( isActive === undefined || typeof isActive === 'function', 'isActive must be a function.' );
+		invariant( castArray( width ).length, 'Widget width should be one of the widths or a non-empty list of them.' );
+		castArray( width ).forEach( ( acceptableWidth ) => {
+			invariant( Object.values( WIDGET_WIDTHS ).includes( acceptableWidth ), `Widget width should be one of: ${ WidgetWidthKeys }, but "${ acceptableWidth }" was provided.` );
+		} );
 
 		const registry = yield commonActions.getRegistry();
 		let registryKey = yield registry.select( STORE_NAME ).getWidgetRegistryKey();
@@ -109,10 +130,14 @@ export const actions = {
 		}
 		if ( WidgetComponents[ registryKey ][ slug ] === undefined ) {
 			WidgetComponents[ registryKey ][ slug ] = component;
+			WidgetActiveCallbacks[ registryKey ] = {
+				...WidgetActiveCallbacks[ registryKey ],
+				[ slug ]: isActive,
+			};
 		}
 
 		yield {
-			payload: { slug, settings: { priority, width } },
+			payload: { slug, settings: { priority, width, modules: castArray( modules ) } },
 			type: REGISTER_WIDGET,
 		};
 
@@ -203,10 +228,13 @@ export const selectors = {
 	 * Returns all widgets registered for a given widget area.
 	 *
 	 * Returns an array of all widgets for a given area.
-	 * The widgets are returned in order of their priority, so can be rendered in
-	 * the order provided by the selector.
+	 * The widgets are returned in the order set by the current user, followed
+	 * by any other widgets in order of their priority, so can be rendered in
+	 * the order provided by the selector. Widgets hidden by the current user
+	 * and inactive widgets are not included.
 	 *
 	 * @since 1.9.0
+	 * @since n.e.x.t Applies the layout of the current user, and only includes active widgets.
 	 *
 	 * @param {Object} state          Data store's state.
 	 * @param {string} widgetAreaSlug Widget context to get areas for.
@@ -219,9 +247,26 @@ export const selectors = {
 
 		const registryKey = select( STORE_NAME ).getWidgetRegistryKey();
 
+		// The layout is not resolved here, so that widgets can be rendered in
+		// their default order until it is loaded.
+		const { order = {}, hidden = [] } = state.layout || {};
+		const userOrder = order[ widgetAreaSlug ] || [];
+
 		return Object.values( widgets ).filter( ( widget ) => {
-			return areaAssignments[ widgetAreaSlug ] && areaAssignments[ widgetAreaSlug ].includes( widget.slug );
+			return areaAssignments[ widgetAreaSlug ] && areaAssignments[ widgetAreaSlug ].includes( widget.slug ) && ! hidden.includes( widget.slug ) && select( STORE_NAME ).isWidgetActive( widget.slug );
 		} ).sort( ( widgetA, widgetB ) => {
+			const indexA = userOrder.indexOf( widgetA.slug );
+			const indexB = userOrder.indexOf( widgetB.slug );
+
+			// Widgets ordered by the user come first.
+			if ( indexA !== indexB && ( indexA === -1 || indexB === -1 ) ) {
+				return indexA === -1 ? 1 : -1;
+			}
+
+			if ( indexA !== indexB ) {
+				return indexA - indexB;
+			}
+
 			if ( widgetA.priority > widgetB.priority ) {
 				return 1;
 			}
@@ -241,6 +286,58 @@ export const selectors = {
 		} );
 	} ),
 
+	/**
+	 * Checks whether a widget is active.
+	 *
+	 * A widget is active if all modules it depends on are active, and its
+	 * `isActive` callback, if any, returns `true`. Widgets are not active while
+	 * the modules are still loading.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @param {string} slug  Widget slug.
+	 * @return {boolean} `true` if the widget is active, otherwise `false`.
+	 */
+	isWidgetActive: createRegistrySelector( ( select ) => ( state, slug ) => {
+		invariant( slug, 'slug is required.' );
+
+		const widget = state.widgets[ slug ];
+		if ( ! widget ) {
+			return false;
+		}
+
+		const { modules = [] } = widget;
+		if ( ! modules.every( ( moduleSlug ) => select( CORE_MODULES ).isModuleActive( moduleSlug ) === true ) ) {
+			return false;
+		}
+
+		const registryKey = select( STORE_NAME ).getWidgetRegistryKey();
+		const isActive = WidgetActiveCallbacks[ registryKey ] && WidgetActiveCallbacks[ registryKey ][ slug ];
+
+		return isActive ? !! isActive( select ) : true;
+	} ),
+
+	/**
+	 * Checks whether a widget area has any active widgets.
+	 *
+	 * Widgets hidden by the current user still count, so that the area stays
+	 * available to customize its layout.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state          Data store's state.
+	 * @param {string} widgetAreaSlug Widget area slug.
+	 * @return {boolean} `true` if any widget assigned to the area is active, otherwise `false`.
+	 */
+	isWidgetAreaActive: createRegistrySelector( ( select ) => ( state, widgetAreaSlug ) => {
+		invariant( widgetAreaSlug, 'widgetAreaSlug is required.' );
+
+		const widgetSlugs = state.areaAssignments[ widgetAreaSlug ] || [];
+
+		return widgetSlugs.some( ( slug ) => select( STORE_NAME ).isWidgetActive( slug ) );
+	} ),
+
 	/**
 	 * Returns a single widget, by slug.
 	 *
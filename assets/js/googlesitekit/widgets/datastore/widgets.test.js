@@ -25,8 +25,10 @@ import {
 	muteConsole,
 } from '../../../../../tests/js/utils';
 import { render } from '../../../../../tests/js/test-utils';
-import { STORE_NAME } from './constants';
+import { STORE_NAME, WIDGET_WIDTHS } from './constants';
 import { WidgetComponents } from './widgets';
+import { STORE_NAME as CORE_MODULES } from '../../modules/datastore/constants';
+import modulesFixtures from '../../modules/datastore/fixtures.json';
 
 describe( 'core/widgets Widgets', () => {
 	const resetWidgetComponents = () => {
@@ -207,6 +209,33 @@ describe( 'core/widgets Widgets', () => {
 				expect( Object.keys( WidgetComponents[ registryKey ] ) ).toHaveLength( 1 );
 				expect( WidgetComponents[ registryKey ][ slug ] ).toEqual( WidgetOne );
 			} );
+
+			it( 'accepts a list of acceptable widths', () => {
+				registry.dispatch( STORE_NAME ).registerWidget( 'widget-1', {
+					component: () => <div>Hello world!</div>,
+					width: [ WIDGET_WIDTHS.HALF, WIDGET_WIDTHS.FULL ],
+				} );
+
+				expect( registry.select( STORE_NAME ).getWidget( 'widget-1' ).width ).toEqual( [ WIDGET_WIDTHS.HALF, WIDGET_WIDTHS.FULL ] );
+			} );
+
+			it( 'requires isActive to be a function', async () => {
+				await expect( registry.dispatch( STORE_NAME ).registerWidget( 'widget-1', {
+					component: () => <div>Hello world!</div>,
+					isActive: true,
+				} ) ).rejects.toThrow( 'isActive must be a function.' );
+			} );
+
+			it( 'requires every acceptable width to be valid', async () => {
+				await expect( registry.dispatch( STORE_NAME ).registerWidget( 'widget-1', {
+					component: () => <div>Hello world!</div>,
+					width: [ WIDGET_WIDTHS.HALF, 'third' ],
+				} ) ).rejects.toThrow( 'but "third" was provided.' );
+				await expect( registry.dispatch( STORE_NAME ).registerWidget( 'widget-1', {
+					component: () => <div>Hello world!</div>,
+					width: [],
+				} ) ).rejects.toThrow( 'non-empty list' );
+			} );
 		} );
 	} );
 
@@ -313,6 +342,79 @@ describe( 'core/widgets Widgets', () => {
 			} );
 		} );
 
+		describe( 'isWidgetActive', () => {
+			const WidgetComponent = () => <div>Hello test.</div>;
+
+			it( 'requires the slug param', () => {
+				expect( () => registry.select( STORE_NAME ).isWidgetActive() ).toThrow( 'slug is required.' );
+			} );
+
+			it( 'returns false for widgets which are not registered', () => {
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'NotRealWidget' ) ).toBe( false );
+			} );
+
+			it( 'returns true for widgets without conditions', () => {
+				registry.dispatch( STORE_NAME ).registerWidget( 'TestWidget', { component: WidgetComponent } );
+
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'TestWidget' ) ).toBe( true );
+			} );
+
+			it( 'requires all modules of the widget to be active', () => {
+				registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+				registry.dispatch( STORE_NAME ).registerWidget( 'analytics-widget', { component: WidgetComponent, modules: 'analytics' } );
+				registry.dispatch( STORE_NAME ).registerWidget( 'adsense-widget', { component: WidgetComponent, modules: [ 'analytics', 'adsense' ] } );
+
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'analytics-widget' ) ).toBe( true );
+				// AdSense is not active in the fixtures.
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'adsense-widget' ) ).toBe( false );
+			} );
+
+			it( 'returns false while the modules are loading', () => {
+				fetchMock.getOnce( /^\/google-site-kit\/v1\/core\/modules\/data\/list/, { body: modulesFixtures } );
+				registry.dispatch( STORE_NAME ).registerWidget( 'analytics-widget', { component: WidgetComponent, modules: 'analytics' } );
+
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'analytics-widget' ) ).toBe( false );
+			} );
+
+			it( 'uses the isActive callback of the widget', () => {
+				registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+				const isActive = jest.fn( ( select ) => select( CORE_MODULES ).isModuleActive( 'optimize' ) );
+				registry.dispatch( STORE_NAME ).registerWidget( 'optimize-widget', { component: WidgetComponent, isActive } );
+
+				expect( registry.select( STORE_NAME ).isWidgetActive( 'optimize-widget' ) ).toBe( false );
+				expect( isActive ).toHaveBeenCalledWith( expect.any( Function ) );
+			} );
+		} );
+
+		describe( 'isWidgetAreaActive', () => {
+			const WidgetComponent = () => <div>Hello test.</div>;
+
+			beforeEach( () => {
+				registry.dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
+				registry.dispatch( STORE_NAME ).registerWidget( 'adsense-widget', { component: WidgetComponent, modules: 'adsense' } );
+				registry.dispatch( STORE_NAME ).registerWidget( 'analytics-widget', { component: WidgetComponent, modules: 'analytics' } );
+				registry.dispatch( STORE_NAME ).assignWidget( 'adsense-widget', [ 'adsense-area', 'mixed-area' ] );
+				registry.dispatch( STORE_NAME ).assignWidget( 'analytics-widget', 'mixed-area' );
+			} );
+
+			it( 'returns true if any widget of the area is active', () => {
+				expect( registry.select( STORE_NAME ).isWidgetAreaActive( 'mixed-area' ) ).toBe( true );
+				expect( registry.select( STORE_NAME ).getWidgets( 'mixed-area' ).map( ( { slug } ) => slug ) ).toEqual( [ 'analytics-widget' ] );
+			} );
+
+			it( 'returns false if all widgets of the area are inactive', () => {
+				expect( registry.select( STORE_NAME ).isWidgetAreaActive( 'adsense-area' ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).getWidgets( 'adsense-area' ) ).toEqual( [] );
+			} );
+
+			it( 'includes widgets hidden by the user', () => {
+				registry.dispatch( STORE_NAME ).receiveWidgetLayout( { order: {}, hidden: [ 'analytics-widget' ] } );
+
+				expect( registry.select( STORE_NAME ).isWidgetAreaActive( 'mixed-area' ) ).toBe( true );
+				expect( registry.select( STORE_NAME ).getWidgets( 'mixed-area' ) ).toEqual( [] );
+			} );
+		} );
+
 		describe( 'isWidgetRegistered', () => {
 			it( 'returns true if the widget is registered', () => {
 				registry.dispatch( STORE_NAME ).registerWidget( 'TestWidget', {
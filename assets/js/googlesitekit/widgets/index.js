@@ -21,6 +21,9 @@
  */
 import { dispatch, select } from 'googlesitekit-data';
 import Widget from './components/Widget';
+import WidgetLoading from './components/WidgetLoading';
+import WidgetReportError from './components/WidgetReportError';
+import WidgetReportZero from './components/WidgetReportZero';
 import { STORE_NAME } from './datastore/constants';
 // This import has side-effects; it registers the Widgets datastore on the default
 // data store registry (eg. `googlesitekit.data`).
@@ -30,9 +33,12 @@ const Widgets = {
 	/**
 	 * Public Widget components for creating Site Kit widgets.
 	 *
+	 * Registered widgets also receive the state components as props, bound to
+	 * the widget so that the states they display are reported for it.
+	 *
 	 * @since n.e.x.t
 	 */
-	components: { Widget },
+	components: { Widget, WidgetLoading, WidgetReportError, WidgetReportZero },
 
 	/**
 	 * Registers a widget area.
@@ -59,13 +65,20 @@ const Widgets = {
 	 * Registers a widget.
 	 *
 	 * @since 1.9.0
-	 *
-	 * @param {string}          slug               Widget's slug.
-	 * @param {Object}          settings           Widget's settings.
-	 * @param {React.Component} settings.component React component used to display the contents of this widget.
-	 * @param {number}          settings.priority  Optional. Widget's priority for ordering (lower number is higher priority, like WordPress hooks). Default is: 10.
-	 * @param {string}          settings.width     Optional. Widget's maximum width to occupy. Default is: "quarter". One of: "quarter", "half", "full".
-	 * @param {(string|Array)}  [contextSlugs]     Optional. Widget context slug(s).
+	 * @since n.e.x.t Supports a list of acceptable widths and conditions for displaying the widget, and passes the widget state
+	 *                components to the widget component.
+	 *
+	 * @param {string}                  slug               Widget's slug.
+	 * @param {Object}                  settings           Widget's settings.
+	 * @param {React.Component}         settings.component React component used to display the contents of this widget. It receives
+	 *                                                     the `WidgetLoading`, `WidgetReportError` and `WidgetReportZero` components
+	 *                                                     bound to the widget as props.
+	 * @param {number}                  settings.priority  Optional. Widget's priority for ordering (lower number is higher priority, like WordPress hooks). Default is: 10.
+	 * @param {(string|Array.<string>)} settings.width     Optional. Widget's width to occupy, or a list of acceptable widths in order of preference. Default is: "quarter". One of: "quarter", "half", "full".
+	 * @param {(string|Array.<string>)} settings.modules   Optional. Slug(s) of the modules which need to be active for the widget to be displayed.
+	 * @param {Function}                settings.isActive  Optional. Callback receiving the registry `select` function, which returns whether the widget
+	 *                                                     should be displayed, e.g. depending on permissions of the current user.
+	 * @param {(string|Array)}          [contextSlugs]     Optional. Widget context slug(s).
 	 */
 	registerWidget( slug, settings, contextSlugs ) {
 		dispatch( STORE_NAME ).registerWidget( slug, settings );
@@ -0,0 +1,47 @@
+/**
+ * Widget component props utility function.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import WidgetReportZero from '../components/WidgetReportZero';
+import WidgetReportError from '../components/WidgetReportError';
+import WidgetLoading from '../components/WidgetLoading';
+
+/**
+ * Gets the props passed to the component of a registered widget.
+ *
+ * The state components are bound to the widget, so that the states they
+ * display are reported for it.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} widgetSlug Widget's slug.
+ * @return {Object} Props with the `widgetSlug` and the `WidgetReportZero`, `WidgetReportError` and `WidgetLoading` components.
+ */
+export const getWidgetComponentProps = ( widgetSlug ) => {
+	const bindWidgetSlug = ( StateComponent ) => ( props ) => <StateComponent { ...props } widgetSlug={ widgetSlug } />;
+
+	return {
+		widgetSlug,
+		WidgetReportZero: bindWidgetSlug( WidgetReportZero ),
+		WidgetReportError: bindWidgetSlug( WidgetReportError ),
+		WidgetLoading: bindWidgetSlug( WidgetLoading ),
+	};
+};
@@ -0,0 +1,164 @@
+/**
+ * Widget row packing utility functions.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+import { castArray } from 'lodash';
+
+/**
+ * Internal dependencies
+ */
+import { WIDGET_WIDTHS } from '../datastore/constants';
+
+// Number of grid columns per breakpoint, as in the MDC layout grid.
+export const BREAKPOINT_COLUMNS = {
+	desktop: 12,
+	tablet: 8,
+	phone: 4,
+};
+
+// Number of grid columns each widget width occupies per breakpoint.
+export const WIDTH_COLUMNS = {
+	desktop: {
+		[ WIDGET_WIDTHS.QUARTER ]: 3,
+		[ WIDGET_WIDTHS.HALF ]: 6,
+		[ WIDGET_WIDTHS.FULL ]: 12,
+	},
+	tablet: {
+		[ WIDGET_WIDTHS.QUARTER ]: 4,
+		[ WIDGET_WIDTHS.HALF ]: 8,
+		[ WIDGET_WIDTHS.FULL ]: 8,
+	},
+	phone: {
+		[ WIDGET_WIDTHS.QUARTER ]: 4,
+		[ WIDGET_WIDTHS.HALF ]: 4,
+		[ WIDGET_WIDTHS.FULL ]: 4,
+	},
+};
+
+/**
+ * Widens the cells of a row to fill its remaining columns where their widgets allow it.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Array.<Object>} row       Cells of the row, modified in place.
+ * @param {number}         remaining Number of unused columns in the row.
+ */
+const fillRow = ( row, remaining ) => {
+	row.forEach( ( cell ) => {
+		const wider = cell.options
+			.filter( ( { columns } ) => columns > cell.columns && columns - cell.columns <= remaining )
+			.sort( ( a, b ) => b.columns - a.columns )[ 0 ];
+
+		if ( wider ) {
+			remaining -= wider.columns - cell.columns;
+			cell.width = wider.width;
+			cell.columns = wider.columns;
+		}
+	} );
+};
+
+/**
+ * Packs widgets into rows of grid columns for a breakpoint.
+ *
+ * Widgets keep their order. Every widget gets the first of its acceptable
+ * widths which fits into the current row, or starts a new row if none does.
+ * Before a row is closed, its widgets are widened within their acceptable
+ * widths to fill the unused columns, so rows only have gaps if no widget
+ * can be widened any further.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} widgets      Widgets with `slug` and `width` properties. The `width` is one of `WIDGET_WIDTHS`,
+ *                                      or a list of them in order of preference.
+ * @param {string}         [breakpoint] Optional. One of 'desktop', 'tablet' or 'phone'. Default 'desktop'.
+ * @return {Array.<Array.<Object>>} List of rows, each a list of cells with the `slug`, `width` and `columns` of a widget.
+ */
+export const packWidgetRows = ( widgets, breakpoint = 'desktop' ) => {
+	invariant( Array.isArray( widgets ), 'widgets must be an array.' );
+	invariant( BREAKPOINT_COLUMNS[ breakpoint ], `breakpoint must be one of: ${ Object.keys( BREAKPOINT_COLUMNS ).join( ', ' ) }.` );
+
+	const totalColumns = BREAKPOINT_COLUMNS[ breakpoint ];
+	const rows = [];
+	let row = [];
+	let remaining = totalColumns;
+
+	const closeRow = () => {
+		fillRow( row, remaining );
+		rows.push( row );
+		row = [];
+		remaining = totalColumns;
+	};
+
+	widgets.forEach( ( { slug, width } ) => {
+		const options = castArray( width ).map( ( optionWidth ) => {
+			invariant( WIDTH_COLUMNS[ breakpoint ][ optionWidth ], `Invalid width "${ optionWidth }" for widget "${ slug }".` );
+
+			return { width: optionWidth, columns: WIDTH_COLUMNS[ breakpoint ][ optionWidth ] };
+		} );
+		invariant( options.length, `Widget "${ slug }" must have at least one width.` );
+
+		let option = options.find( ( { columns } ) => columns <= remaining );
+		if ( ! option ) {
+			closeRow();
+			option = options[ 0 ];
+		}
+
+		row.push( { slug, ...option, options } );
+		remaining -= option.columns;
+
+		if ( remaining === 0 ) {
+			closeRow();
+		}
+	} );
+
+	if ( row.length ) {
+		closeRow();
+	}
+
+	return rows.map( ( cells ) => cells.map( ( { slug, width, columns } ) => ( { slug, width, columns } ) ) );
+};
+
+/**
+ * Gets the number of grid columns of every widget per breakpoint.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} widgets Widgets with `slug` and `width` properties, see `packWidgetRows()`.
+ * @return {Object} Map of widget slugs to objects with the number of columns per breakpoint, e.g.
+ *                  `{ desktop: 6, tablet: 8, phone: 4 }`.
+ */
+export const getWidgetColumns = ( widgets ) => {
+	const widgetColumns = {};
+
+	Object.keys( BREAKPOINT_COLUMNS ).forEach( ( breakpoint ) => {
+		packWidgetRows( widgets, breakpoint ).forEach( ( cells ) => {
+			cells.forEach( ( { slug, columns } ) => {
+				widgetColumns[ slug ] = {
+					...widgetColumns[ slug ],
+					[ breakpoint ]: columns,
+				};
+			} );
+		} );
+	} );
+
+	return widgetColumns;
+};
@@ -0,0 +1,145 @@
+/**
+ * Widget row packing utility function tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { packWidgetRows, getWidgetColumns } from './pack-widget-rows';
+import { WIDGET_WIDTHS } from '../datastore/constants';
+
+const { QUARTER, HALF, FULL } = WIDGET_WIDTHS;
+
+const getRowColumns = ( rows ) => rows.map( ( cells ) => cells.map( ( { slug, columns } ) => `${ slug }:${ columns }` ) );
+
+describe( 'packWidgetRows', () => {
+	it( 'requires a list of widgets and a valid breakpoint', () => {
+		expect( () => packWidgetRows() ).toThrow( 'widgets must be an array.' );
+		expect( () => packWidgetRows( [], 'watch' ) ).toThrow( 'breakpoint must be one of: desktop, tablet, phone.' );
+	} );
+
+	it( 'requires valid widths', () => {
+		expect( () => packWidgetRows( [ { slug: 'a', width: 'third' } ] ) ).toThrow( 'Invalid width "third" for widget "a".' );
+		expect( () => packWidgetRows( [ { slug: 'a', width: [] } ] ) ).toThrow( 'Widget "a" must have at least one width.' );
+	} );
+
+	it( 'returns no rows for no widgets', () => {
+		expect( packWidgetRows( [] ) ).toEqual( [] );
+	} );
+
+	it( 'packs widgets with a single width into rows of 12 columns', () => {
+		const widgets = [
+			{ slug: 'a', width: QUARTER },
+			{ slug: 'b', width: QUARTER },
+			{ slug: 'c', width: HALF },
+			{ slug: 'd', width: FULL },
+		];
+
+		expect( packWidgetRows( widgets ) ).toEqual( [
+			[
+				{ slug: 'a', width: QUARTER, columns: 3 },
+				{ slug: 'b', width: QUARTER, columns: 3 },
+				{ slug: 'c', width: HALF, columns: 6 },
+			],
+			[
+				{ slug: 'd', width: FULL, columns: 12 },
+			],
+		] );
+	} );
+
+	it( 'starts a new row if a widget does not fit and leaves gaps for widgets that cannot be widened', () => {
+		const widgets = [
+			{ slug: 'a', width: HALF },
+			{ slug: 'b', width: QUARTER },
+			{ slug: 'c', width: HALF },
+		];
+
+		expect( getRowColumns( packWidgetRows( widgets ) ) ).toEqual( [
+			[ 'a:6', 'b:3' ],
+			[ 'c:6' ],
+		] );
+	} );
+
+	it( 'widens widgets within their acceptable widths to fill rows', () => {
+		const widgets = [
+			{ slug: 'a', width: HALF },
+			{ slug: 'b', width: [ QUARTER, HALF ] },
+			{ slug: 'c', width: [ HALF, FULL ] },
+		];
+
+		expect( packWidgetRows( widgets ) ).toEqual( [
+			[
+				{ slug: 'a', width: HALF, columns: 6 },
+				{ slug: 'b', width: HALF, columns: 6 },
+			],
+			[
+				{ slug: 'c', width: FULL, columns: 12 },
+			],
+		] );
+	} );
+
+	it( 'uses the first acceptable width that fits into the current row', () => {
+		const widgets = [
+			{ slug: 'a', width: [ FULL, HALF ] },
+			{ slug: 'b', width: HALF },
+			{ slug: 'c', width: [ FULL, QUARTER ] },
+			{ slug: 'd', width: [ FULL, QUARTER ] },
+		];
+
+		expect( getRowColumns( packWidgetRows( widgets ) ) ).toEqual( [
+			[ 'a:12' ],
+			[ 'b:6', 'c:3', 'd:3' ],
+		] );
+	} );
+
+	it( 'packs rows for the columns of smaller breakpoints', () => {
+		const widgets = [
+			{ slug: 'a', width: QUARTER },
+			{ slug: 'b', width: QUARTER },
+			{ slug: 'c', width: [ QUARTER, HALF ] },
+			{ slug: 'd', width: HALF },
+		];
+
+		expect( getRowColumns( packWidgetRows( widgets, 'tablet' ) ) ).toEqual( [
+			[ 'a:4', 'b:4' ],
+			[ 'c:8' ],
+			[ 'd:8' ],
+		] );
+		expect( getRowColumns( packWidgetRows( widgets, 'phone' ) ) ).toEqual( [
+			[ 'a:4' ],
+			[ 'b:4' ],
+			[ 'c:4' ],
+			[ 'd:4' ],
+		] );
+	} );
+} );
+
+describe( 'getWidgetColumns', () => {
+	it( 'returns the columns of every widget per breakpoint', () => {
+		const widgets = [
+			{ slug: 'a', width: QUARTER },
+			{ slug: 'b', width: [ QUARTER, FULL ] },
+			{ slug: 'c', width: HALF },
+		];
+
+		expect( getWidgetColumns( widgets ) ).toEqual( {
+			a: { desktop: 3, tablet: 4, phone: 4 },
+			b: { desktop: 3, tablet: 4, phone: 4 },
+			c: { desktop: 6, tablet: 8, phone: 4 },
+		} );
+	} );
+} );
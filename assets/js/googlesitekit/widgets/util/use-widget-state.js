@@ -0,0 +1,56 @@
+/**
+ * Widget state hook.
+ *
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { useEffect } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME } from '../datastore/constants';
+
+const { useDispatch } = Data;
+
+/**
+ * Reports a widget state for as long as the calling component is mounted.
+ *
+ * Nothing is reported without a widget slug, so that state components can
+ * also be used outside of registered widgets.
+ *
+ * @since n.e.x.t
+ *
+ * @param {(string|undefined)} widgetSlug  Widget's slug.
+ * @param {string}             widgetState Widget's state. One of the `WIDGET_STATES`.
+ */
+export const useWidgetState = ( widgetSlug, widgetState ) => {
+	const { setWidgetState, unsetWidgetState } = useDispatch( STORE_NAME );
+
+	useEffect( () => {
+		if ( ! widgetSlug ) {
+			return;
+		}
+
+		setWidgetState( widgetSlug, widgetState );
+
+		return () => unsetWidgetState( widgetSlug, widgetState );
+	}, [ widgetSlug, widgetState ] );
+};
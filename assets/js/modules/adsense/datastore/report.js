@@ -21,6 +21,7 @@
  */
 import invariant from 'invariant';
 import isPlainObject from 'lodash/isPlainObject';
+import omit from 'lodash/omit';
 
 /**
  * Internal dependencies
@@ -28,13 +29,17 @@ import isPlainObject from 'lodash/isPlainObject';
 import API from 'googlesitekit-api';
 import Data from 'googlesitekit-data';
 import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_USER } from '../../../googlesitekit/datastore/user/constants';
 import { stringifyObject } from '../../../util';
 import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
 
+const { createRegistrySelector } = Data;
+
 const fetchGetReportStore = createFetchStore( {
 	baseName: 'getReport',
-	controlCallback: ( { options } ) => {
-		return API.get( 'modules', 'adsense', 'earnings', options );
+	storeName: STORE_NAME,
+	controlCallback: ( { options }, { signal } ) => {
+		return API.get( 'modules', 'adsense', 'earnings', options, { signal } );
 	},
 	reducerCallback: ( state, report, { options } ) => {
 		return {
@@ -49,6 +54,9 @@ const fetchGetReportStore = createFetchStore( {
 		invariant( isPlainObject( options ), 'options must be an object.' );
 		return { options };
 	},
+	// A report for another date range supersedes a report with otherwise
+	// identical options, e.g. after switching the date range.
+	paramsToSupersedeKey: ( { options } ) => stringifyObject( omit( options, [ 'dateRange' ] ) ),
 } );
 
 const BASE_INITIAL_STATE = {
@@ -57,6 +65,12 @@ const BASE_INITIAL_STATE = {
 
 const baseResolvers = {
 	*getReport( options = {} ) {
+		// Reports without an explicit date range are resolved through the
+		// active date range, see the `getReport` selector.
+		if ( options.dateRange === undefined ) {
+			return;
+		}
+
 		const registry = yield Data.commonActions.getRegistry();
 		const existingReport = registry.select( STORE_NAME ).getReport( options );
 
@@ -83,16 +97,21 @@ const baseSelectors = {
 	 *
 	 * @param {Object}         state              Data store's state.
 	 * @param {Object}         options            Optional. Options for generating the report.
-	 * @param {string}         options.dateRange  Date range slug. Default 'last-28-days'.
+	 * @param {string}         options.dateRange  Date range. Defaults to the active date range.
 	 * @param {Array.<string>} options.dimensions Dimensions to use.
 	 * @param {number}         options.limit      Maximum number of rows to include.
 	 * @return {(Array.<Object>|undefined)} An AdSense report; `undefined` if not loaded.
 	 */
-	getReport( state, options = {} ) {
+	getReport: createRegistrySelector( ( select ) => ( state, options = {} ) => {
+		if ( options.dateRange === undefined ) {
+			const dateRange = select( CORE_USER ).getDateRange();
+			return select( STORE_NAME ).getReport( { ...options, dateRange } );
+		}
+
 		const { reports } = state;
 
 		return reports[ stringifyObject( options ) ];
-	},
+	} ),
 };
 
 const store = Data.combineStores(
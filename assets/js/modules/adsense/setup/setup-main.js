@@ -126,7 +126,7 @@ export default function SetupMain( { finishSetup } ) {
 		resetAlerts,
 		resetClients,
 		resetURLChannels,
-		receiveError,
+		clearError,
 	} = useDispatch( STORE_NAME );
 
 	// Allow flagging when a background submission should happen.
@@ -244,8 +244,8 @@ export default function SetupMain( { finishSetup } ) {
 				return;
 			}
 
-			// Unset any potential error.
-			receiveError( undefined );
+			// Unset any potential errors.
+			clearError();
 			// Reset all data to force re-fetch.
 			resetAccounts();
 			resetAlerts();
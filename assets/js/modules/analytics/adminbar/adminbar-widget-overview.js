@@ -38,7 +38,7 @@ import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import {
 	calculateOverviewData,
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData,
 	overviewReportDataDefaults,
 } from '../util';
@@ -131,7 +131,7 @@ export default withData(
 		</div>
 	</Fragment>,
 	{ inGrid: true },
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData
 
 );
@@ -29,6 +29,7 @@ import Button from '../../../components/button';
 import Link from '../../../components/link';
 import ProgressBar from '../../../components/progress-bar';
 import { trackEvent } from '../../../util';
+import { navigateTo } from '../../../util/navigation';
 import TimezoneSelect from './account-create/timezone-select';
 import AccountField from './account-create/account-field';
 import PropertyField from './account-create/property-field';
@@ -61,7 +62,7 @@ export default function AccountCreate() {
 	// Redirect if the accountTicketTermsOfServiceURL is set.
 	useEffect( () => {
 		if ( accountTicketTermsOfServiceURL ) {
-			global.location.assign( accountTicketTermsOfServiceURL );
+			navigateTo( accountTicketTermsOfServiceURL );
 		}
 	}, [ accountTicketTermsOfServiceURL ] );
 
@@ -25,7 +25,7 @@ import apiFetchMock from '@wordpress/api-fetch';
  * Internal dependencies
  */
 import AccountSelect from './account-select';
-import { fireEvent, muteConsole, render } from '../../../../../tests/js/test-utils';
+import { fireEvent, muteConsole, render, wait } from '../../../../../tests/js/test-utils';
 import { STORE_NAME, ACCOUNT_CREATE } from '../datastore/constants';
 import * as fixtures from '../datastore/__fixtures__';
 
@@ -83,7 +83,7 @@ describe( 'AccountSelect', () => {
 
 		expect( queryByRole( 'progressbar' ) ).toBeInTheDocument();
 		// If accounts are `undefined`, we'll make a request to fetch them.
-		expect( apiFetchMock ).toHaveBeenCalled();
+		await wait( () => expect( apiFetchMock ).toHaveBeenCalled() );
 	} );
 
 	it( 'should render a select box with only setup when no accounts exist', async () => {
@@ -0,0 +1,86 @@
+/**
+ * Analytics Duplicate Tracking Notice component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { useCallback, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import Button from '../../../components/button';
+import ErrorText from '../../../components/error-text';
+import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME as MODULES_TAGMANAGER } from '../../tagmanager/datastore/constants';
+import { trackEvent } from '../../../util';
+const { useSelect, useDispatch } = Data;
+
+export default function DuplicateTrackingNotice() {
+	const hasDuplicateTracking = useSelect( ( select ) => select( MODULES_TAGMANAGER ).hasDuplicateAnalyticsTracking() );
+	const propertyID = useSelect( ( select ) => select( STORE_NAME ).getPropertyID() );
+	// Only selected once duplicate tracking was detected, as the Tag Manager settings are loaded by then.
+	const additionalContainerIDs = useSelect( ( select ) => hasDuplicateTracking ? select( MODULES_TAGMANAGER ).getAdditionalContainerIDs() : undefined ) || [];
+	const isDoingSubmitChanges = useSelect( ( select ) => select( STORE_NAME ).isDoingSubmitChanges() );
+
+	const [ submitError, setSubmitError ] = useState();
+
+	const { setUseSnippet, submitChanges, rollbackSettings } = useDispatch( STORE_NAME );
+	const disableSnippet = useCallback( async () => {
+		setSubmitError( undefined );
+		setUseSnippet( false );
+		const { error } = await submitChanges();
+		if ( error ) {
+			// Otherwise the unsaved setting would hide the notice as if tracking was fixed.
+			rollbackSettings();
+			setSubmitError( error );
+			return;
+		}
+
+		trackEvent( 'analytics_setup', 'analytics_tag_disabled' );
+	}, [] );
+
+	if ( ! hasDuplicateTracking ) {
+		return null;
+	}
+
+	return (
+		<div className="googlesitekit-analytics-duplicate-tracking googlesitekit-error-text">
+			<p>
+				{
+					sprintf(
+						/* translators: %s: Analytics property ID */
+						__( 'The published Tag Manager container on your site includes an Analytics tag for the property %s, which Site Kit also places with its Analytics code snippet. Every pageview is counted twice.', 'google-site-kit' ),
+						propertyID
+					)
+				}
+			</p>
+			{ !! additionalContainerIDs.length && (
+				<p>
+					{ __( 'Additional Tag Manager web containers are not checked for Analytics tags, so they may count pageviews again.', 'google-site-kit' ) }
+				</p>
+			) }
+			{ submitError && <ErrorText message={ submitError.message } /> }
+			<Button onClick={ disableSnippet } disabled={ isDoingSubmitChanges }>
+				{ __( 'Turn off the Analytics snippet', 'google-site-kit' ) }
+			</Button>
+		</div>
+	);
+}
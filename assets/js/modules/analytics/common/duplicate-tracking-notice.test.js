@@ -0,0 +1,94 @@
+/**
+ * Analytics Duplicate Tracking Notice component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import DuplicateTrackingNotice from './duplicate-tracking-notice';
+import { render, fireEvent, wait, muteConsole } from '../../../../../tests/js/test-utils';
+import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME as CORE_MODULES } from '../../../googlesitekit/modules/datastore/constants';
+import { STORE_NAME as MODULES_TAGMANAGER } from '../../tagmanager/datastore/constants';
+import modulesFixtures from '../../../googlesitekit/modules/datastore/fixtures.json';
+import * as tagmanagerFixtures from '../../tagmanager/datastore/__fixtures__';
+
+describe( 'DuplicateTrackingNotice', () => {
+	const settingsEndpoint = /^\/google-site-kit\/v1\/modules\/analytics\/data\/settings/;
+	const accountID = '100';
+	const internalContainerID = '200';
+
+	const setupRegistry = ( { dispatch } ) => {
+		dispatch( CORE_MODULES ).receiveGetModules(
+			modulesFixtures.map( ( module ) => module.slug === 'tagmanager' ? { ...module, active: true } : module )
+		);
+		dispatch( STORE_NAME ).receiveGetSettings( { propertyID: 'UA-000000-2', useSnippet: true } );
+		dispatch( MODULES_TAGMANAGER ).receiveGetSettings( { accountID, internalContainerID, internalAMPContainerID: '' } );
+		dispatch( MODULES_TAGMANAGER ).receiveGetLiveContainerVersion( tagmanagerFixtures.liveContainerVersionAnalytics, { accountID, internalContainerID } );
+	};
+
+	it( 'turns off the Analytics snippet if the live container tracks the same property', async () => {
+		fetchMock.postOnce( settingsEndpoint, ( url, { body } ) => ( { body: JSON.parse( body ).data } ) );
+
+		const { container, getByText, registry } = render( <DuplicateTrackingNotice />, { setupRegistry } );
+
+		expect( getByText( /includes an Analytics tag for the property UA-000000-2/ ) ).toBeInTheDocument();
+
+		fireEvent.click( getByText( 'Turn off the Analytics snippet' ) );
+
+		await wait( () => expect( container.firstChild ).toBeNull() );
+		expect( fetchMock ).toHaveFetched( settingsEndpoint, { body: { data: { propertyID: 'UA-000000-2', useSnippet: false } } } );
+		expect( registry.select( STORE_NAME ).getUseSnippet() ).toBe( false );
+	} );
+
+	it( 'rolls back the setting and displays the error if turning off the snippet fails', async () => {
+		const errorResponse = { code: 'internal_server_error', message: 'Internal server error', data: { status: 500 } };
+		fetchMock.postOnce( settingsEndpoint, { body: errorResponse, status: 500 } );
+
+		const { getByText, findByText, registry } = render( <DuplicateTrackingNotice />, { setupRegistry } );
+
+		muteConsole( 'error' );
+		fireEvent.click( getByText( 'Turn off the Analytics snippet' ) );
+
+		expect( await findByText( /Internal server error/ ) ).toBeInTheDocument();
+		expect( getByText( /includes an Analytics tag for the property UA-000000-2/ ) ).toBeInTheDocument();
+		expect( registry.select( STORE_NAME ).getUseSnippet() ).toBe( true );
+		expect( registry.select( STORE_NAME ).haveSettingsChanged() ).toBe( false );
+	} );
+
+	it( 'renders nothing if the live container tracks other properties', () => {
+		const { container } = render( <DuplicateTrackingNotice />, {
+			setupRegistry: ( registry ) => {
+				setupRegistry( registry );
+				registry.dispatch( STORE_NAME ).setPropertyID( 'UA-000000-3' );
+			},
+		} );
+
+		expect( container.firstChild ).toBeNull();
+	} );
+
+	it( 'mentions that additional web containers are not checked', () => {
+		const { getByText } = render( <DuplicateTrackingNotice />, {
+			setupRegistry: ( registry ) => {
+				setupRegistry( registry );
+				registry.dispatch( MODULES_TAGMANAGER ).setAdditionalContainerIDs( [ 'GTM-A1B2C3D' ] );
+			},
+		} );
+
+		expect( getByText( /Additional Tag Manager web containers are not checked/ ) ).toBeInTheDocument();
+	} );
+} );
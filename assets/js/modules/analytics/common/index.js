@@ -20,6 +20,7 @@ export { default as AccountCreateLegacy } from './account-create-legacy';
 export { default as AccountCreate } from './account-create';
 export { default as AccountSelect } from './account-select';
 export { default as AnonymizeIPSwitch } from './anonymize-ip-switch';
+export { default as DuplicateTrackingNotice } from './duplicate-tracking-notice';
 export { default as ErrorNotice } from './error-notice';
 export { default as ExistingTagError } from './existing-tag-error';
 export { default as ExistingTagNotice } from './existing-tag-notice';
@@ -31,12 +31,12 @@ import { __, _x } from '@wordpress/i18n';
  * Internal dependencies
  */
 import { getSiteKitAdminURL, getTimeInSeconds } from '../../../util';
-import GoogleChart from '../../../components/google-chart';
+import Chart from '../../../components/chart';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import Link from '../../../components/link';
 import PreviewBlock from '../../../components/preview-block';
-import { extractAnalyticsDataForTrafficChart, getAnalyticsErrorMessageFromData, trafficSourcesReportDataDefaults, isDataZeroForReporting } from '../util';
+import { extractAnalyticsDataForTrafficChart, getAnalyticsErrorMessageFromData, trafficSourcesReportDataDefaults, isZeroReport } from '../util';
 
 class DashboardAcquisitionPieChart extends Component {
 	render() {
@@ -51,39 +51,20 @@ class DashboardAcquisitionPieChart extends Component {
 
 		const processedData = extractAnalyticsDataForTrafficChart( data );
 		const options = {
-			chartArea: {
-				width: '100%',
-				height: '100%',
-			},
-			backgroundColor: 'transparent',
+			colors: [ '#178EC5', '#54B23B', '#EB5729', '#ECED33', '#34CBE3', '#82E88E' ],
 			height: 250,
-			legend: {
-				alignment: 'center',
-				textStyle: {
-					color: '#5b5b61',
-					fontSize: 12,
-				},
-			},
-			slices: {
-				0: { color: '#178EC5' },
-				1: { color: '#54B23B' },
-				2: { color: '#EB5729' },
-				3: { color: '#ECED33' },
-				4: { color: '#34CBE3' },
-				5: { color: '#82E88E' },
-			},
-			title: null,
-			width: '100%',
+			legend: true,
 		};
 
 		return (
 			<div className="googlesitekit-chart googlesitekit-chart--pie">
-				<GoogleChart
+				<Chart
+					type="pie"
 					data={ processedData }
 					options={ options }
-					chartType="pie"
 					id="overview-piechart"
 					loadHeight={ 205 }
+					exportName="traffic-sources"
 				/>
 				{ source &&
 					<div className="googlesitekit-chart__source">
@@ -131,6 +112,6 @@ export default withData(
 	],
 	<PreviewBlock width="282px" height="282px" shape="circular" />,
 	{},
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData
 );
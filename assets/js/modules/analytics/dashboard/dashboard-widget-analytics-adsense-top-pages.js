@@ -33,12 +33,12 @@ import { Component } from '@wordpress/element';
 import { getTimeInSeconds, numberFormat, getModulesData } from '../../../util';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
-import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
+import { DataTable, TableOverflowContainer } from '../../../components/data-table';
 import Layout from '../../../components/layout/layout';
 import PreviewTable from '../../../components/preview-table';
 import ctaWrapper from '../../../components/notifications/cta-wrapper';
 import AdSenseLinkCTA from '../common/adsense-link-cta';
-import { analyticsAdsenseReportDataDefaults, isDataZeroForReporting } from '../util';
+import { analyticsAdsenseReportDataDefaults, isZeroReport } from '../util';
 
 class AnalyticsAdSenseDashboardWidgetTopPagesTable extends Component {
 	static renderLayout( component ) {
@@ -60,73 +60,82 @@ class AnalyticsAdSenseDashboardWidgetTopPagesTable extends Component {
 
 		// Do not return zero data callout here since it will already be
 		// present on the page from other sources.
-		if ( isDataZeroForReporting( data ) ) {
+		if ( isZeroReport( data ) ) {
 			return null;
 		}
 
-		const headers = [
+		const {
+			accountID,
+			internalWebPropertyID,
+			profileID,
+		} = getModulesData().analytics.settings;
+
+		// Construct a deep link.
+		const adsenseDeepLink = `https://analytics.google.com/analytics/web/?pli=1#/report/content-pages/a${ accountID }w${ internalWebPropertyID }p${ profileID }/explorer-table.plotKeys=%5B%5D&_r.drilldown=analytics.pagePath:~2F`;
+
+		const formatAmount = ( value ) => numberFormat( value, {
+			minimumFractionDigits: 2,
+			maximumFractionDigits: 2,
+		} );
+
+		const columns = [
 			{
+				field: 'title',
 				title: __( 'Page Title', 'google-site-kit' ),
 				tooltip: __( 'Page Title', 'google-site-kit' ),
 				primary: true,
+				sortable: true,
+				link: ( { url } ) => adsenseDeepLink + url.replace( /\//g, '~2F' ),
 			},
 			{
+				field: 'earnings',
 				title: __( 'Earnings', 'google-site-kit' ),
 				tooltip: __( 'Earnings', 'google-site-kit' ),
+				type: 'number',
+				formatter: formatAmount,
+				sortable: true,
 			},
 			{
+				field: 'pageRPM',
 				title: __( 'Page RPM', 'google-site-kit' ),
 				tooltip: __( 'Page RPM', 'google-site-kit' ),
+				type: 'number',
+				formatter: formatAmount,
+				sortable: true,
 			},
 			{
+				field: 'impressions',
 				title: __( 'Impressions', 'google-site-kit' ),
 				tooltip: __( 'Impressions', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
 			},
 		];
 
-		const dataMapped = map( data[ 0 ].data.rows, ( row ) => {
+		const rows = map( data[ 0 ].data.rows, ( { dimensions, metrics } ) => {
 			/**
 			 * dimensions[0] = ga:pageTitle
 			 * dimensions[1] = ga:pagePath
 			 *
-			 * metrics[0] = ga:adsenseECPM
-			 * metrics[1] = ga:adsensePageImpressions
-			 * metrics[2] = ga:adsenseRevenue
+			 * metrics[0] = ga:adsenseRevenue
+			 * metrics[1] = ga:adsenseECPM
+			 * metrics[2] = ga:adsensePageImpressions
 			 */
-			return [
-				row.dimensions[ 0 ],
-				Number( row.metrics[ 0 ].values[ 0 ] ).toFixed( 2 ),
-				Number( row.metrics[ 0 ].values[ 1 ] ).toFixed( 2 ),
-				numberFormat( row.metrics[ 0 ].values[ 2 ] ),
-			];
-		} );
-
-		const {
-			accountID,
-			internalWebPropertyID,
-			profileID,
-		} = getModulesData().analytics.settings;
-
-		// Construct a deep link.
-		const adsenseDeepLink = `https://analytics.google.com/analytics/web/?pli=1#/report/content-pages/a${ accountID }w${ internalWebPropertyID }p${ profileID }/explorer-table.plotKeys=%5B%5D&_r.drilldown=analytics.pagePath:~2F`;
-
-		const linksMapped = map( data[ 0 ].data.rows, ( row ) => {
-			const pagePath = row.dimensions[ 1 ].replace( /\//g, '~2F' );
-			return adsenseDeepLink + pagePath;
+			const [ title, url ] = dimensions;
+			const [ earnings, pageRPM, impressions ] = metrics[ 0 ].values.map( Number );
+			return { title, url, earnings, pageRPM, impressions };
 		} );
 
-		const options = {
-			hideHeader: false,
-			chartsEnabled: false,
-			links: linksMapped,
-		};
-
-		const dataTable = getDataTableFromData( dataMapped, headers, options );
-
 		return (
 			AnalyticsAdSenseDashboardWidgetTopPagesTable.renderLayout(
 				<TableOverflowContainer>
-					{ dataTable }
+					<DataTable
+						columns={ columns }
+						rows={ rows }
+						defaultSortBy="earnings"
+						defaultSortOrder="desc"
+						exportName="top-earning-pages"
+					/>
 				</TableOverflowContainer>
 			)
 		);
@@ -41,7 +41,7 @@ import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import {
 	calculateOverviewData,
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData,
 	overviewReportDataDefaults,
 	userReportDataDefaults,
@@ -223,6 +223,6 @@ export default withData(
 	],
 	<PreviewBlock width="100%" height="190px" padding />,
 	{ createGrid: true },
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData
 );
@@ -30,11 +30,11 @@ import { Component } from '@wordpress/element';
 /**
  * Internal dependencies
  */
-import { getTimeInSeconds, numberFormat, getModulesData } from '../../../util';
-import { isDataZeroForReporting, getTopPagesReportDataDefaults } from '../util';
+import { getTimeInSeconds, getModulesData } from '../../../util';
+import { isZeroReport, getTopPagesReportDataDefaults } from '../util';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
-import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
+import { DataTable, TableOverflowContainer, PAGINATED_REPORT_ROW_LIMIT } from '../../../components/data-table';
 import PreviewTable from '../../../components/preview-table';
 import Layout from '../../../components/layout/layout';
 
@@ -66,40 +66,42 @@ class AnalyticsDashboardWidgetPopularPagesTable extends Component {
 			return null;
 		}
 
-		const headers = [
+		const columns = [
 			{
+				field: 'title',
 				title: __( 'Most popular content', 'google-site-kit' ),
 				primary: true,
+				sortable: true,
+				link: ( { url } ) => url.startsWith( '/' ) ? url : '/' + url,
+				showURL: true,
 			},
 			{
+				field: 'pageviews',
 				title: __( 'Views', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
 			},
 		];
 
-		const links = [];
-		const dataMapped = map( data[ 0 ].data.rows, ( row, i ) => {
-			const [ title, url ] = row.dimensions;
-			links[ i ] = url.startsWith( '/' ) ? url : '/' + url;
-
-			return [
+		const rows = map( data[ 0 ].data.rows, ( { dimensions, metrics } ) => {
+			const [ title, url ] = dimensions;
+			return {
 				title,
-				numberFormat( row.metrics[ 0 ].values[ 0 ] ),
-			];
+				url,
+				pageviews: Number( metrics[ 0 ].values[ 0 ] ),
+			};
 		} );
 
-		const options = {
-			hideHeader: false,
-			chartsEnabled: false,
-			links,
-			showURLs: true,
-		};
-
-		const dataTable = getDataTableFromData( dataMapped, headers, options );
-
 		return (
 			AnalyticsDashboardWidgetPopularPagesTable.renderLayout(
 				<TableOverflowContainer>
-					{ dataTable }
+					<DataTable
+						columns={ columns }
+						rows={ rows }
+						filterBy={ [ 'title', 'url' ] }
+						filterLabel={ __( 'Filter by title or URL', 'google-site-kit' ) }
+						exportName="popular-pages"
+					/>
 				</TableOverflowContainer>
 			)
 		);
@@ -113,7 +115,10 @@ export default withData(
 			type: TYPE_MODULES,
 			identifier: 'analytics',
 			datapoint: 'report',
-			data: getTopPagesReportDataDefaults(),
+			data: {
+				...getTopPagesReportDataDefaults(),
+				limit: PAGINATED_REPORT_ROW_LIMIT,
+			},
 			priority: 1,
 			maxAge: getTimeInSeconds( 'day' ),
 			context: [ 'Single', 'Dashboard' ],
@@ -126,5 +131,5 @@ export default withData(
 		inGrid: true,
 		createGrid: true,
 	},
-	isDataZeroForReporting
+	isZeroReport
 );
@@ -29,16 +29,27 @@ import {
 	getTimeInSeconds,
 } from '../../../util';
 import GoogleChart from '../../../components/google-chart';
+import ComparisonToggle from '../../../components/comparison-toggle';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import { extractAnalyticsDashboardData, siteAnalyticsReportDataDefaults } from '../util';
+import { getCurrentDateRangeDates } from '../../../util/date-range';
 import PreviewBlock from '../../../components/preview-block';
 
 class AnalyticsDashboardWidgetSiteStats extends Component {
 	constructor( props ) {
 		super( props );
 
+		this.state = {
+			compare: true,
+		};
+
 		this.setOptions = this.setOptions.bind( this );
+		this.toggleCompare = this.toggleCompare.bind( this );
+	}
+
+	toggleCompare() {
+		this.setState( ( { compare } ) => ( { compare: ! compare } ) );
 	}
 
 	setOptions() {
@@ -100,14 +111,14 @@ class AnalyticsDashboardWidgetSiteStats extends Component {
 	}
 
 	render() {
-		const { data, selectedStats, dateRangeSlug } = this.props;
+		const { data, selectedStats, dateRangeDates } = this.props;
+		const { compare } = this.state;
 
 		if ( ! data || ! data.length ) {
 			return null;
 		}
 
-		const days = dateRangeSlug ? dateRangeSlug.match( /\d+/ ).map( Number )[ 0 ] : 28;
-		const dataMap = extractAnalyticsDashboardData( data, selectedStats, days );
+		const dataMap = extractAnalyticsDashboardData( data, selectedStats, dateRangeDates || getCurrentDateRangeDates(), { compare } );
 
 		if ( ! dataMap ) {
 			return null;
@@ -118,11 +129,13 @@ class AnalyticsDashboardWidgetSiteStats extends Component {
 		return (
 			<section className="mdc-layout-grid">
 				<div className="mdc-layout-grid__inner">
-					<div className="mdc-layout-grid__cell mdc-layout-grid__cell--span-12">
+					<div className="mdc-layout-grid__cell mdc-layout-grid__cell--span-12 googlesitekit-chart">
+						<ComparisonToggle checked={ compare } onToggle={ this.toggleCompare } />
 						<GoogleChart
 							selectedStats={ selectedStats }
 							data={ dataMap }
 							options={ options }
+							exportName="audience-overview"
 						/>
 					</div>
 				</div>
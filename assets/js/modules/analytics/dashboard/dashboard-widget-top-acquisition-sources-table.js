@@ -40,7 +40,7 @@ import { TYPE_MODULES } from '../../../components/data';
 import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
 import PreviewTable from '../../../components/preview-table';
 import MiniChart from '../../../components/mini-chart';
-import { trafficSourcesReportDataDefaults, isDataZeroForReporting } from '../util';
+import { trafficSourcesReportDataDefaults, isZeroReport } from '../util';
 
 class AnalyticsDashboardWidgetTopAcquisitionSources extends Component {
 	render() {
@@ -132,5 +132,5 @@ export default withData(
 		rowHeight={ 50 }
 	/>,
 	{},
-	isDataZeroForReporting
+	isZeroReport
 );
@@ -37,7 +37,7 @@ import { getDataTableFromData, TableOverflowContainer } from '../../../component
 import PreviewTable from '../../../components/preview-table';
 import Layout from '../../../components/layout/layout';
 import AdSenseLinkCTA from '../common/adsense-link-cta';
-import { analyticsAdsenseReportDataDefaults, isDataZeroForReporting } from '../util';
+import { analyticsAdsenseReportDataDefaults, isZeroReport } from '../util';
 
 class AdSenseDashboardWidgetTopPagesTableSmall extends Component {
 	static renderLayout( component ) {
@@ -169,6 +169,6 @@ export default withData(
 		inGrid: true,
 		createGrid: true,
 	},
-	isDataZeroForReporting,
+	isZeroReport,
 	getDataError,
 );
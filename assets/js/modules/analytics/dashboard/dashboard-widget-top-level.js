@@ -42,7 +42,7 @@ import {
 	getAnalyticsErrorMessageFromData,
 	siteAnalyticsReportDataDefaults,
 	overviewReportDataDefaults,
-	isDataZeroForReporting,
+	isZeroReport,
 	userReportDataDefaults,
 } from '../util';
 import DataBlock from '../../../components/data-block';
@@ -215,7 +215,7 @@ class AnalyticsDashboardWidgetTopLevel extends Component {
 
 const isDataZero = ( data, datapoint ) => {
 	if ( 'report' === datapoint ) {
-		return isDataZeroForReporting( data );
+		return isZeroReport( data );
 	}
 
 	return false;
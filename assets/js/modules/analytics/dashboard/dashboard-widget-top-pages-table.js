@@ -27,15 +27,15 @@ import PropTypes from 'prop-types';
  * WordPress dependencies
  */
 import { __ } from '@wordpress/i18n';
-import { Component, Fragment } from '@wordpress/element';
+import { Component } from '@wordpress/element';
 
 /**
  * Internal dependencies
  */
-import { getTimeInSeconds, numberFormat, getModulesData } from '../../../util';
+import { getTimeInSeconds, getModulesData } from '../../../util';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
-import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
+import { DataTable, TableOverflowContainer, PAGINATED_REPORT_ROW_LIMIT } from '../../../components/data-table';
 import PreviewTable from '../../../components/preview-table';
 import { getTopPagesReportDataDefaults } from '../util';
 
@@ -68,57 +68,61 @@ class AnalyticsDashboardWidgetTopPagesTable extends Component {
 			return null;
 		}
 
-		const headers = [
+		const columns = [
 			{
+				field: 'title',
 				title: __( 'Title', 'google-site-kit' ),
 				tooltip: __( 'Page Title', 'google-site-kit' ),
 				primary: true,
+				sortable: true,
+				link: ( { url } ) => AnalyticsDashboardWidgetTopPagesTable.addDeepLink( url ),
 			},
 			{
+				field: 'pageviews',
 				title: __( 'Pageviews', 'google-site-kit' ),
 				tooltip: __( 'Pageviews', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
 			},
 			{
+				field: 'uniquePageviews',
 				title: __( 'Unique Pageviews', 'google-site-kit' ),
 				tooltip: __( 'Unique Pageviews', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
+				hideOnMobile: true,
 			},
 			{
+				field: 'bounceRate',
 				title: __( 'Bounce Rate', 'google-site-kit' ),
 				tooltip: __( 'Bounce Rate', 'google-site-kit' ),
+				type: 'percent',
+				sortable: true,
+				hideOnMobile: true,
 			},
 		];
 
-		const links = [];
-		const dataMapped = map( data[ 0 ].data.rows, ( row, i ) => {
-			const percent = Number( row.metrics[ 0 ].values[ 2 ] );
-			const [ title, url ] = row.dimensions;
-			links[ i ] = AnalyticsDashboardWidgetTopPagesTable.addDeepLink( url );
-			return [
-				title,
-				numberFormat( row.metrics[ 0 ].values[ 0 ] ),
-				numberFormat( row.metrics[ 0 ].values[ 1 ] ),
-				<Fragment key={ 'minichart-' + i }><div className="googlesitekit-table__body-item-chart-wrap">{ `${ percent.toFixed( 2 ) }%` }</div></Fragment>,
-			];
+		const rows = map( data[ 0 ].data.rows, ( { dimensions, metrics } ) => {
+			const [ title, url ] = dimensions;
+			const [ pageviews, uniquePageviews, bounceRate ] = metrics[ 0 ].values.map( Number );
+			return { title, url, pageviews, uniquePageviews, bounceRate };
 		} );
 
-		const options = {
-			hideHeader: false,
-			chartsEnabled: false,
-			links,
-			hideColumns: {
-				mobile: [ 2, 3 ],
-			},
-		};
-
-		const dataTable = getDataTableFromData( dataMapped, headers, options );
-
 		return (
 			<div className={ classnames(
 				'mdc-layout-grid__cell',
 				`mdc-layout-grid__cell--span-${ colspan }`
 			) }>
 				<TableOverflowContainer>
-					{ dataTable }
+					<DataTable
+						columns={ columns }
+						rows={ rows }
+						defaultSortBy="pageviews"
+						defaultSortOrder="desc"
+						filterBy={ [ 'title', 'url' ] }
+						filterLabel={ __( 'Filter by title or URL', 'google-site-kit' ) }
+						exportName="top-pages"
+					/>
 				</TableOverflowContainer>
 			</div>
 
@@ -143,7 +147,10 @@ export default withData(
 			type: TYPE_MODULES,
 			identifier: 'analytics',
 			datapoint: 'report',
-			data: getTopPagesReportDataDefaults(),
+			data: {
+				...getTopPagesReportDataDefaults(),
+				limit: PAGINATED_REPORT_ROW_LIMIT,
+			},
 			priority: 1,
 			maxAge: getTimeInSeconds( 'day' ),
 			context: [ 'Single', 'Dashboard' ],
@@ -24,3 +24,4 @@ export { default as propertiesProfiles } from './properties-profiles';
 export { default as getTagPermissionsAccess } from './tag-permissions-access';
 export { default as getTagPermissionsNoAccess } from './tag-permissions-no-access';
 export { default as createAccount } from './create-account';
+export { default as report } from './report';
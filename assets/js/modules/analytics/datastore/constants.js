@@ -28,6 +28,8 @@ export const PROFILE_CREATE = 'profile_create';
 export const FORM_ACCOUNT_CREATE = 'analyticsAccountCreate';
 // Form ID for the module setup form.
 export const FORM_SETUP = 'analyticsSetup';
+// Form ID for the module settings form.
+export const FORM_SETTINGS = 'analyticsSettings';
 
 // OAuth scope required for provisioning a Google Analytics account.
 export const PROVISIONING_SCOPE = 'https://www.googleapis.com/auth/analytics.provision';
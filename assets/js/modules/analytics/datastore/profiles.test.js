@@ -152,6 +152,13 @@ describe( 'modules/analytics profiles', () => {
 
 				const initialProfiles = registry.select( STORE_NAME ).getProfiles( testPropertyID );
 
+				expect( initialProfiles ).toEqual( undefined );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getProfiles( testPropertyID ) !== undefined
+					),
+				);
+
 				// Ensure the proper parameters were sent.
 				expect( fetchMock ).toHaveFetched(
 					/^\/google-site-kit\/v1\/modules\/analytics\/data\/profiles/,
@@ -163,13 +170,6 @@ describe( 'modules/analytics profiles', () => {
 					}
 				);
 
-				expect( initialProfiles ).toEqual( undefined );
-				await subscribeUntil( registry,
-					() => (
-						registry.select( STORE_NAME ).getProfiles( testPropertyID ) !== undefined
-					),
-				);
-
 				const profiles = registry.select( STORE_NAME ).getProfiles( testPropertyID );
 
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
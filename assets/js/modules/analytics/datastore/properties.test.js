@@ -140,6 +140,13 @@ describe( 'modules/analytics properties', () => {
 
 				const initialProperties = registry.select( STORE_NAME ).getProperties( accountID );
 
+				expect( initialProperties ).toEqual( undefined );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getProperties( accountID ) !== undefined
+					),
+				);
+
 				// Ensure the proper parameters were passed.
 				expect( fetchMock ).toHaveFetched(
 					/^\/google-site-kit\/v1\/modules\/analytics\/data\/properties-profiles/,
@@ -148,13 +155,6 @@ describe( 'modules/analytics properties', () => {
 					}
 				);
 
-				expect( initialProperties ).toEqual( undefined );
-				await subscribeUntil( registry,
-					() => (
-						registry.select( STORE_NAME ).getProperties( accountID ) !== undefined
-					),
-				);
-
 				const properties = registry.select( STORE_NAME ).getProperties( accountID );
 
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
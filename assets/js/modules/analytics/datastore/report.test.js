@@ -0,0 +1,207 @@
+/**
+ * modules/analytics data store: report tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_USER } from '../../../googlesitekit/datastore/user/constants';
+import {
+	createTestRegistry,
+	muteConsole,
+	subscribeUntil,
+	unsubscribeFromAll,
+} from 'tests/js/utils';
+import * as fixtures from './__fixtures__';
+
+describe( 'modules/analytics report', () => {
+	let registry;
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'actions', () => {
+		describe( 'fetchGetReport', () => {
+			it.each( [
+				[ 'no metrics', {} ],
+				[ 'invalid metrics', { metrics: [ { alias: 'Sessions' } ] } ],
+				[ 'invalid dimensions', { metrics: 'ga:sessions', dimensions: [ 1 ] } ],
+				[ 'invalid orderby', { metrics: 'ga:sessions', orderby: { sortOrder: 'DESCENDING' } } ],
+				[ 'an invalid limit', { metrics: 'ga:sessions', limit: 0 } ],
+				[ 'an invalid url', { metrics: 'ga:sessions', url: 'not a url' } ],
+			] )( 'does not make a request with %s', ( _, options ) => {
+				muteConsole( 'error' );
+				registry.dispatch( STORE_NAME ).fetchGetReport( options );
+
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+		} );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getReport', () => {
+			const options = {
+				dateRange: 'last-28-days',
+				dimensions: [ 'ga:date' ],
+				metrics: [
+					'ga:sessions',
+					{
+						expression: 'ga:users',
+						alias: 'Users',
+					},
+				],
+				orderby: {
+					fieldName: 'ga:date',
+					sortOrder: 'ASCENDING',
+				},
+				limit: 10,
+			};
+
+			it( 'uses a resolver to make a network request', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/analytics\/data\/report/,
+					{ body: fixtures.report, status: 200 }
+				);
+
+				const initialReport = registry.select( STORE_NAME ).getReport( options );
+
+				expect( initialReport ).toEqual( undefined );
+				expect( registry.select( STORE_NAME ).isLoadingReport( options ) ).toBe( true );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getReport( options ) !== undefined
+					),
+				);
+
+				const report = registry.select( STORE_NAME ).getReport( options );
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				expect( report ).toEqual( fixtures.report );
+				expect( registry.select( STORE_NAME ).isLoadingReport( options ) ).toBe( false );
+				expect( registry.select( STORE_NAME ).getErrorForGetReport( options ) ).toEqual( undefined );
+
+				const [ url ] = fetchMock.lastCall();
+				expect( url ).toMatch( 'dimensions=ga%3Adate' );
+				expect( url ).toMatch( 'metrics%5B0%5D%5Bexpression%5D=ga%3Asessions' );
+				expect( url ).toMatch( 'metrics%5B1%5D%5Balias%5D=Users' );
+				expect( url ).toMatch( 'orderby%5B0%5D%5BfieldName%5D=ga%3Adate' );
+			} );
+
+			it( 'does not make a network request if report for given options is already present', async () => {
+				// Load data into this store so there are matches for the data we're about to select,
+				// even though the selector hasn't fulfilled yet.
+				registry.dispatch( STORE_NAME ).receiveGetReport( fixtures.report, { options } );
+
+				const report = registry.select( STORE_NAME ).getReport( options );
+
+				await subscribeUntil( registry, () => registry
+					.select( STORE_NAME )
+					.hasFinishedResolution( 'getReport', [ options ] )
+				);
+
+				expect( fetchMock ).not.toHaveFetched();
+				expect( report ).toEqual( fixtures.report );
+			} );
+
+			it( 'dispatches an error if the request fails', async () => {
+				const response = {
+					code: 'internal_server_error',
+					message: 'Internal server error',
+					data: { status: 500 },
+				};
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/analytics\/data\/report/,
+					{ body: response, status: 500 }
+				);
+
+				muteConsole( 'error' );
+				registry.select( STORE_NAME ).getReport( options );
+				await subscribeUntil( registry, () => registry
+					.select( STORE_NAME )
+					.hasFinishedResolution( 'getReport', [ options ] )
+				);
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+
+				const report = registry.select( STORE_NAME ).getReport( options );
+				expect( report ).toEqual( undefined );
+				expect( registry.select( STORE_NAME ).getErrorForGetReport( options ) ).toEqual( response );
+				expect( registry.select( STORE_NAME ).getErrorForGetReport( { ...options, metrics: 'ga:users' } ) ).toEqual( undefined );
+			} );
+		} );
+		describe( 'getComparisonReport', () => {
+			const options = {
+				dateRange: 'last-2-days',
+				dimensions: 'ga:date',
+				metrics: 'ga:users',
+			};
+
+			it( 'aligns every day of the report with the previous period', () => {
+				const rows = [ '20200901', '20200902', '20200904' ].map( ( date, i ) => ( {
+					dimensions: [ date ],
+					metrics: [ { values: [ `${ i }` ] } ],
+				} ) );
+
+				registry.dispatch( CORE_USER ).setReferenceDate( '2020-09-05' );
+				registry.dispatch( STORE_NAME ).receiveGetReport( [ { data: { rows } } ], { options: { ...options, compareDateRanges: true } } );
+
+				expect( registry.select( STORE_NAME ).getComparisonReport( options ) ).toEqual( [
+					{ date: '2020-09-03', compareDate: '2020-09-01', row: undefined, compareRow: rows[ 0 ] },
+					{ date: '2020-09-04', compareDate: '2020-09-02', row: rows[ 2 ], compareRow: rows[ 1 ] },
+				] );
+			} );
+
+			it( 'aligns the days of this month with the same days of the previous month', () => {
+				const monthOptions = { ...options, dateRange: 'this-month' };
+				const rows = [ '20200201', '20200229', '20200301', '20200330' ].map( ( date, i ) => ( {
+					dimensions: [ date ],
+					metrics: [ { values: [ `${ i }` ] } ],
+				} ) );
+
+				registry.dispatch( CORE_USER ).setReferenceDate( '2020-03-31' );
+				registry.dispatch( STORE_NAME ).receiveGetReport( [ { data: { rows } } ], { options: { ...monthOptions, compareDateRanges: true } } );
+
+				const comparisonReport = registry.select( STORE_NAME ).getComparisonReport( monthOptions );
+				expect( comparisonReport ).toHaveLength( 30 );
+				expect( comparisonReport[ 0 ] ).toEqual( { date: '2020-03-01', compareDate: '2020-02-01', row: rows[ 2 ], compareRow: rows[ 0 ] } );
+				expect( comparisonReport[ 28 ] ).toEqual( { date: '2020-03-29', compareDate: '2020-02-29', row: undefined, compareRow: rows[ 1 ] } );
+				expect( comparisonReport[ 29 ] ).toEqual( { date: '2020-03-30', compareDate: undefined, row: rows[ 3 ], compareRow: undefined } );
+			} );
+
+			it( 'returns an empty list for a report without rows', () => {
+				registry.dispatch( STORE_NAME ).receiveGetReport( [ { data: {} } ], { options: { ...options, compareDateRanges: true } } );
+
+				expect( registry.select( STORE_NAME ).getComparisonReport( options ) ).toEqual( [] );
+			} );
+		} );
+	} );
+} );
@@ -66,14 +66,6 @@ describe( 'modules/analytics tags', () => {
 
 				const initialSelect = registry.select( STORE_NAME ).getTagPermission( propertyID );
 
-				// Ensure the proper parameters were sent.
-				expect( fetchMock ).toHaveFetched(
-					/^\/google-site-kit\/v1\/modules\/analytics\/data\/tag-permission/,
-					{
-						query: { propertyID },
-					}
-				);
-
 				// The connection info will be its initial value while the connection
 				// info is fetched.
 				expect( initialSelect ).toEqual( undefined );
@@ -83,6 +75,14 @@ describe( 'modules/analytics tags', () => {
 					),
 				);
 
+				// Ensure the proper parameters were sent.
+				expect( fetchMock ).toHaveFetched(
+					/^\/google-site-kit\/v1\/modules\/analytics\/data\/tag-permission/,
+					{
+						query: { propertyID },
+					}
+				);
+
 				const permissionForTag = registry.select( STORE_NAME ).getTagPermission( propertyID );
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
 
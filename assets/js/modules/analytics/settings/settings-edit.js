@@ -16,6 +16,11 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import { isEqual } from 'lodash';
+
 /**
  * WordPress dependencies
  */
@@ -26,8 +31,9 @@ import { addFilter, removeFilter } from '@wordpress/hooks';
  * Internal dependencies
  */
 import Data from 'googlesitekit-data';
-import { STORE_NAME, ACCOUNT_CREATE } from '../datastore/constants';
+import { STORE_NAME, ACCOUNT_CREATE, FORM_SETTINGS } from '../datastore/constants';
 import { STORE_NAME as CORE_SITE } from '../../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_FORMS } from '../../../googlesitekit/datastore/forms/constants';
 import SettingsForm from './settings-form';
 import ProgressBar from '../../../components/progress-bar';
 import {
@@ -36,7 +42,7 @@ import {
 	AccountCreateLegacy,
 } from '../common';
 import { parsePropertyID } from '../util';
-const { useSelect, useDispatch } = Data;
+const { useSelect, useDispatch, useRegistry } = Data;
 
 export default function SettingsEdit() {
 	const accounts = useSelect( ( select ) => select( STORE_NAME ).getAccounts() ) || [];
@@ -50,6 +56,32 @@ export default function SettingsEdit() {
 	const hasResolvedAccounts = useSelect( ( select ) => select( STORE_NAME ).hasFinishedResolution( 'getAccounts' ) );
 	const isCreateAccount = ACCOUNT_CREATE === accountID;
 	const usingProxy = useSelect( ( select ) => select( CORE_SITE ).isUsingProxy() );
+	const settings = useSelect( ( select ) => select( STORE_NAME ).getSettings() );
+
+	// Keep the settings in a form, so that unsaved changes survive a page reload or a redirect.
+	// Unsaved changes which were persisted for the same settings are restored.
+	const registry = useRegistry();
+	const { initForm, setValues, resetForm } = useDispatch( CORE_FORMS );
+	const { setSettings } = useDispatch( STORE_NAME );
+	const hasSettings = settings !== undefined;
+	useEffect( () => {
+		if ( ! hasSettings ) {
+			return;
+		}
+
+		initForm( FORM_SETTINGS, settings );
+		const formValues = registry.select( CORE_FORMS ).getValues( FORM_SETTINGS );
+		if ( ! isEqual( formValues, settings ) ) {
+			setSettings( formValues );
+		}
+
+		return () => resetForm( FORM_SETTINGS );
+	}, [ hasSettings ] );
+	useEffect( () => {
+		if ( hasSettings ) {
+			setValues( FORM_SETTINGS, settings );
+		}
+	}, [ settings ] );
 
 	// Set the accountID and property if there is an existing tag.
 	// This only applies to the edit view, so we apply it here rather than in the datastore.
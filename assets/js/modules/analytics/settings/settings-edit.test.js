@@ -25,8 +25,10 @@ import apiFetchMock from '@wordpress/api-fetch';
  * Internal dependencies
  */
 import { render } from '../../../../../tests/js/test-utils';
-import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME, FORM_SETTINGS } from '../datastore/constants';
 import { STORE_NAME as CORE_SITE } from '../../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_FORMS } from '../../../googlesitekit/datastore/forms/constants';
+import { persistForm } from '../../../googlesitekit/datastore/forms/persistence';
 import SettingsEdit from './settings-edit';
 import * as fixtures from '../datastore/__fixtures__';
 
@@ -38,7 +40,10 @@ apiFetchMock.mockImplementation( ( ...args ) => {
 } );
 
 describe( 'SettingsEdit', () => {
-	afterEach( () => apiFetchMock.mockClear() );
+	afterEach( () => {
+		apiFetchMock.mockClear();
+		global.sessionStorage.clear();
+	} );
 	afterAll( () => jest.restoreAllMocks() );
 
 	it( 'sets the account ID and property ID of an existing tag when present', () => {
@@ -65,4 +70,36 @@ describe( 'SettingsEdit', () => {
 		expect( registry.select( STORE_NAME ).getPropertyID() ).toBe( existingTag.propertyID );
 		expect( registry.select( STORE_NAME ).getError() ).toBeFalsy();
 	} );
+
+	it( 'restores unsaved changes of the settings and discards them when closed', () => {
+		const { accounts, properties, profiles } = fixtures.accountsPropertiesProfiles;
+		const settings = {
+			accountID: profiles[ 0 ].accountId,
+			propertyID: profiles[ 0 ].webPropertyId,
+			internalWebPropertyID: profiles[ 0 ].internalWebPropertyId,
+			profileID: profiles[ 0 ].id,
+			useSnippet: true,
+			trackingDisabled: [],
+			anonymizeIP: true,
+		};
+		persistForm( FORM_SETTINGS, { initialValues: settings, values: { ...settings, anonymizeIP: false } } );
+
+		const setupRegistry = ( { dispatch } ) => {
+			const { accountID, propertyID } = settings;
+			dispatch( STORE_NAME ).receiveGetSettings( settings );
+			dispatch( STORE_NAME ).receiveGetAccounts( accounts );
+			dispatch( STORE_NAME ).receiveGetProperties( properties, { accountID } );
+			dispatch( STORE_NAME ).receiveGetProfiles( profiles, { propertyID } );
+			dispatch( STORE_NAME ).receiveGetExistingTag( null );
+			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+		};
+		const { registry, unmount } = render( <SettingsEdit />, { setupRegistry } );
+
+		expect( registry.select( STORE_NAME ).getSettings().anonymizeIP ).toBe( false );
+		expect( registry.select( CORE_FORMS ).isDirty( FORM_SETTINGS ) ).toBe( true );
+
+		unmount();
+
+		expect( registry.select( CORE_FORMS ).isDirty( FORM_SETTINGS ) ).toBe( false );
+	} );
 } );
@@ -22,6 +22,8 @@
 import { render, fireEvent, wait } from '../../../../../tests/js/test-utils';
 import { STORE_NAME } from '../datastore/constants';
 import { STORE_NAME as CORE_SITE } from '../../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_MODULES } from '../../../googlesitekit/modules/datastore/constants';
+import modulesFixtures from '../../../googlesitekit/modules/datastore/fixtures.json';
 import * as fixtures from '../datastore/__fixtures__';
 import SettingsMain from './settings-main';
 
@@ -44,6 +46,7 @@ describe( 'SettingsMain', () => {
 
 		const setupRegistry = ( { dispatch } ) => {
 			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+			dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
 			dispatch( STORE_NAME ).receiveGetExistingTag( null );
 			dispatch( STORE_NAME ).receiveGetSettings( initialSettings );
 		};
@@ -72,6 +75,7 @@ describe( 'SettingsMain', () => {
 
 		const setupRegistry = ( { dispatch } ) => {
 			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+			dispatch( CORE_MODULES ).receiveGetModules( modulesFixtures );
 			dispatch( STORE_NAME ).receiveGetExistingTag( null );
 			dispatch( STORE_NAME ).receiveGetSettings( initialSettings );
 		};
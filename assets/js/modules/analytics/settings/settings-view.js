@@ -31,7 +31,7 @@ import { STORE_NAME } from '../datastore/constants';
 import { STORE_NAME as CORE_SITE } from '../../../googlesitekit/datastore/site/constants';
 import { STORE_NAME as CORE_USER } from '../../../googlesitekit/datastore/user/constants';
 import { trackingExclusionLabels } from '../common/tracking-exclusion-switches';
-import { ExistingTagError, ExistingTagNotice, ErrorNotice } from '../common';
+import { DuplicateTrackingNotice, ExistingTagError, ExistingTagNotice, ErrorNotice } from '../common';
 const { useSelect } = Data;
 
 export default function SettingsView() {
@@ -56,6 +56,7 @@ export default function SettingsView() {
 			{ ( ! hasExistingTag || hasExistingTagPermission ) && <ErrorNotice /> }
 			{ ( hasExistingTag && ! hasExistingTagPermission && hasExistingTagPermission !== undefined ) && <ExistingTagError /> }
 			{ ( hasExistingTag && hasExistingTagPermission && hasExistingTagPermission !== undefined ) && <ExistingTagNotice /> }
+			<DuplicateTrackingNotice />
 
 			<div className="googlesitekit-settings-module__meta-items">
 				<div className="googlesitekit-settings-module__meta-item">
@@ -31,12 +31,56 @@ import { __ } from '@wordpress/i18n';
  */
 import calculateOverviewData from './calculateOverviewData';
 import parseDimensionStringToDate from './parseDimensionStringToDate';
+import { numberFormat, prepareSecondsForDisplay } from '../../../util';
+import { alignComparisonRows, getComparisonTooltip, getDateLabel } from '../../../util/comparison';
 
 export { calculateOverviewData };
 
 export { default as parsePropertyID } from './parse-property-id';
+export { default as isZeroReport } from './is-zero-report';
 export * from './validation';
 
+/**
+ * Gets the day of a row of a report with the 'ga:date' dimension.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object} row Report row.
+ * @return {string} Date string in 'YYYY-MM-DD' format.
+ */
+export const getAnalyticsRowDate = ( row ) => {
+	return row.dimensions[ 0 ].replace( /^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3' );
+};
+
+/**
+ * Formats a value of the 'Users', 'Sessions', 'Bounce Rate' or 'Session Duration' metric for display.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {number} stat  Index of the metric.
+ * @param {number} value The value.
+ * @return {string} Formatted value.
+ */
+const formatAnalyticsStat = ( stat, value ) => {
+	if ( 2 === stat ) {
+		return numberFormat( value / 100, { style: 'percent', maximumFractionDigits: 2 } );
+	}
+	if ( 3 === stat ) {
+		return prepareSecondsForDisplay( value );
+	}
+	return numberFormat( value );
+};
+
+/**
+ * Extracts the data for the traffic sources chart from an Analytics report.
+ *
+ * If the report was requested with `multiDateRange`, the tooltip of every
+ * source compares its share of sessions with the previous period.
+ *
+ * @param {Object} reports The data returned from the Analytics API call.
+ * @return {Array} The dataMap ready for charting.
+ */
 export const extractAnalyticsDataForTrafficChart = ( reports ) => {
 	if ( ! reports || ! reports.length ) {
 		return null;
@@ -46,8 +90,14 @@ export const extractAnalyticsDataForTrafficChart = ( reports ) => {
 	const rows = data.rows;
 
 	const totalSessions = data.totals[ 0 ].values[ 0 ];
+	const previousTotalSessions = data.totals[ 1 ] ? data.totals[ 1 ].values[ 0 ] : undefined;
+	const compare = previousTotalSessions !== undefined;
+	const formatPercent = ( value ) => numberFormat( value, { style: 'percent', maximumFractionDigits: 1 } );
+
 	const dataMap = [
-		[ 'Source', 'Percent' ],
+		compare
+			? [ 'Source', 'Percent', { type: 'string', role: 'tooltip' } ]
+			: [ 'Source', 'Percent' ],
 	];
 
 	each( rows, ( row ) => {
@@ -61,46 +111,48 @@ export const extractAnalyticsDataForTrafficChart = ( reports ) => {
 
 		const source = row.dimensions[ 0 ].replace( /\(none\)/gi, 'direct' );
 
-		dataMap.push( [ source, percent ] );
-	} );
+		if ( ! compare ) {
+			dataMap.push( [ source, percent ] );
+			return;
+		}
 
-	return dataMap;
-};
+		const previousSessions = row.metrics[ 1 ] ? row.metrics[ 1 ].values[ 0 ] : 0;
+		const previousPercent = previousTotalSessions ? ( previousSessions / previousTotalSessions ) : 0;
 
-/**
- * Reduce and process an array of analytics row data.
- *
- * @param {Array} rows An array of rows to reduce.
- * @param {Array} selectedStats The currently selected stat we need to return data for.
- *
- * @return {Array} Array of selected stats from analytics row data.
- */
-function reduceAnalyticsRowsData( rows, selectedStats ) {
-	const dataMap = [];
-	each( rows, ( row ) => {
-		if ( row.metrics ) {
-			const { values } = row.metrics[ 0 ];
-			const dateString = row.dimensions[ 0 ];
-			const date = parseDimensionStringToDate( dateString );
-			dataMap.push( [
-				date,
-				values[ selectedStats ],
-			] );
-		}
+		dataMap.push( [
+			source,
+			percent,
+			getComparisonTooltip( {
+				title: source,
+				label: __( 'Current period', 'google-site-kit' ),
+				value: percent,
+				compareLabel: __( 'Previous period', 'google-site-kit' ),
+				compareValue: previousPercent,
+				format: formatPercent,
+			} ),
+		] );
 	} );
+
 	return dataMap;
-}
+};
 
 /**
  * Extract the data required from an analytics 'site-analytics' request.
  *
- * @param {Object} reports       The data returned from the Analytics API call.
- * @param {Array}  selectedStats The currently selected stat we need to return data for.
- * @param {number} days          The number of days to extract data for. Pads empty data days.
+ * The report must be requested with `compareDateRanges`. Every day is
+ * aligned with the day at the same position in the comparison period, which
+ * is included as a dashed comparison series if requested.
+ *
+ * @param {Object}  reports           The data returned from the Analytics API call.
+ * @param {Array}   selectedStats     The currently selected stat we need to return data for.
+ * @param {Object}  dates             Dates of the report and its comparison period, see
+ *                                    `getDateRangeDates()`. Pads empty data days.
+ * @param {Object}  [options]         Optional. Additional options.
+ * @param {boolean} [options.compare] Optional. Whether to include the previous period. Default true.
  *
  * @return {Array} The dataMap ready for charting.
  */
-export const extractAnalyticsDashboardData = ( reports, selectedStats, days ) => {
+export const extractAnalyticsDashboardData = ( reports, selectedStats, dates, { compare = true } = {} ) => {
 	if ( ! reports || ! reports.length ) {
 		return null;
 	}
@@ -111,32 +163,6 @@ export const extractAnalyticsDashboardData = ( reports, selectedStats, days ) =>
 		return false;
 	}
 
-	const rowLength = rows.length;
-
-	// Pad rows to 2 x number of days data points to accomodate new accounts.
-	if ( ( days * 2 ) > rowLength ) {
-		const date = new Date();
-		for ( let i = 0; days > i; i++ ) {
-			const month = ( date.getMonth() + 1 ).toString();
-			const day = date.getDate().toString();
-			const dateString = date.getFullYear().toString() +
-				( 2 > month.length ? '0' : '' ) +
-				month +
-				( 2 > day.length ? '0' : '' ) +
-				day;
-
-			if ( i > rowLength ) {
-				const emptyWeek = {
-					dimensions: [ dateString ],
-					metrics: [ { values: [ 0, 0, 0, 0, 0 ] } ],
-				};
-				rows.unshift( emptyWeek );
-			}
-			date.setDate( date.getDate() - 1 );
-		}
-		rows.push( [ 0, 0 ] );
-	}
-
 	const dataLabels = [
 		__( 'Users', 'google-site-kit' ),
 		__( 'Sessions', 'google-site-kit' ),
@@ -144,28 +170,51 @@ export const extractAnalyticsDashboardData = ( reports, selectedStats, days ) =>
 		__( 'Session Duration', 'google-site-kit' ),
 	];
 
+	const stat = Number( selectedStats );
+	const getValue = ( row ) => ( row ? Number( row.metrics[ 0 ].values[ stat ] ) || 0 : 0 );
+	const toDate = ( dateString ) => parseDimensionStringToDate( dateString.replace( /-/g, '' ) );
+
+	if ( ! compare ) {
+		const dataMap = [
+			[
+				{ type: 'date', label: __( 'Day', 'google-site-kit' ) },
+				{ type: 'number', label: dataLabels[ stat ] },
+			],
+		];
+
+		alignComparisonRows( rows, dates, getAnalyticsRowDate ).forEach( ( { date, row } ) => {
+			dataMap.push( [ toDate( date ), getValue( row ) ] );
+		} );
+
+		return dataMap;
+	}
+
 	const dataMap = [
 		[
 			{ type: 'date', label: __( 'Day', 'google-site-kit' ) },
-			{ type: 'number', label: dataLabels[ selectedStats ] },
+			{ type: 'number', label: dataLabels[ stat ] },
+			{ type: 'string', role: 'tooltip' },
 			{ type: 'number', label: __( 'Previous period', 'google-site-kit' ) },
+			{ type: 'string', role: 'tooltip' },
 		],
 	];
 
-	// Split the results in two chunks of days, and process.
-	const lastMonthRows = rows.slice( rows.length - days, rows.length );
-	const previousMonthRows = rows.slice( 0, rows.length - days );
-	const lastMonthData = reduceAnalyticsRowsData( lastMonthRows, selectedStats );
-	const previousMonthData = reduceAnalyticsRowsData( previousMonthRows, selectedStats );
-	each( lastMonthData, ( row, i ) => {
-		if ( row[ 0 ] && row[ 1 ] && previousMonthData[ i ] ) {
-			dataMap.push( [
-				row[ 0 ],
-				row[ 1 ],
-				previousMonthData[ i ][ 1 ],
-			] );
-		}
+	alignComparisonRows( rows, dates, getAnalyticsRowDate ).forEach( ( { date, compareDate, row, compareRow } ) => {
+		const value = getValue( row );
+		// Leave a gap in the comparison series for days beyond the end of a shorter comparison period.
+		const compareValue = compareDate ? getValue( compareRow ) : null;
+		const tooltip = getComparisonTooltip( {
+			title: dataLabels[ stat ],
+			label: getDateLabel( date ),
+			value,
+			compareLabel: compareDate && getDateLabel( compareDate ),
+			compareValue,
+			format: ( statValue ) => formatAnalyticsStat( stat, statValue ),
+		} );
+
+		dataMap.push( [ toDate( date ), value, tooltip, compareValue, tooltip ] );
 	} );
+
 	return dataMap;
 };
 
@@ -258,34 +307,6 @@ export const getAnalyticsErrorMessageFromData = ( data ) => {
 	return false;
 };
 
-/**
- * Check for Zero data from Analytics API.
- *
- * @param {Object} data The data returned from the Analytics API call.
- * @return {boolean} Indicates if zero data returned from Analytics API call or not.
- */
-export const isDataZeroForReporting = ( data ) => {
-	// Handle empty data.
-	if ( ! data || ! data.length ) {
-		return true;
-	}
-
-	if ( data && data[ 0 ] && data[ 0 ].data && data[ 0 ].data.totals && data[ 0 ].data.totals[ 0 ] ) {
-		const { values } = data[ 0 ].data.totals[ 0 ];
-
-		// Are all the data points zeros?
-		let allZeros = true;
-		each( values, ( value ) => {
-			if ( 0 !== parseInt( value ) ) {
-				allZeros = false;
-			}
-		} );
-		return allZeros;
-	}
-
-	return false;
-};
-
 /**
  * Default data object for making Analytics adsense requests.
  *
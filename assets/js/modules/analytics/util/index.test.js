@@ -0,0 +1,133 @@
+/**
+ * Analytics chart data utility function tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { extractAnalyticsDashboardData, extractAnalyticsDataForTrafficChart } from './';
+
+const getRow = ( date, users ) => ( {
+	dimensions: [ date ],
+	metrics: [ { values: [ `${ users }`, '0', '0', '0', '0' ] } ],
+} );
+
+describe( 'extractAnalyticsDashboardData', () => {
+	// Two periods of three days, with no row for September 5th.
+	const reports = [ {
+		data: {
+			rows: [
+				getRow( '20200901', 10 ),
+				getRow( '20200902', 20 ),
+				getRow( '20200903', 0 ),
+				getRow( '20200904', 15 ),
+				getRow( '20200906', 30 ),
+			],
+		},
+	} ];
+	const dates = {
+		startDate: '2020-09-04',
+		endDate: '2020-09-06',
+		compareStartDate: '2020-09-01',
+		compareEndDate: '2020-09-03',
+	};
+
+	it( 'should align every day with the same day of the previous period', () => {
+		const dataMap = extractAnalyticsDashboardData( reports, [ 0 ], dates );
+
+		expect( dataMap[ 0 ].map( ( { label, role } ) => label || role ) ).toEqual( [ 'Day', 'Users', 'tooltip', 'Previous period', 'tooltip' ] );
+		expect( dataMap.slice( 1 ).map( ( [ date, value, , compareValue ] ) => [ date.getDate(), value, compareValue ] ) ).toEqual( [
+			[ 4, 15, 10 ],
+			[ 5, 0, 20 ],
+			[ 6, 30, 0 ],
+		] );
+		expect( dataMap[ 1 ][ 2 ] ).toMatch( /^Users\n.*: 15\n.*: 10\nChange: \+50\.0%$/ );
+		expect( dataMap[ 1 ][ 4 ] ).toBe( dataMap[ 1 ][ 2 ] );
+	} );
+
+	it( 'should leave a gap for days without a comparison day', () => {
+		const monthDates = {
+			startDate: '2020-03-01',
+			endDate: '2020-03-31',
+			compareStartDate: '2020-02-01',
+			compareEndDate: '2020-02-29',
+		};
+		const monthReports = [ {
+			data: {
+				rows: [ getRow( '20200229', 5 ), getRow( '20200329', 10 ), getRow( '20200331', 20 ) ],
+			},
+		} ];
+
+		const dataMap = extractAnalyticsDashboardData( monthReports, [ 0 ], monthDates );
+
+		expect( dataMap ).toHaveLength( 32 );
+		expect( dataMap.slice( 29 ).map( ( [ date, value, , compareValue ] ) => [ date.getDate(), value, compareValue ] ) ).toEqual( [
+			[ 29, 10, 5 ],
+			[ 30, 0, null ],
+			[ 31, 20, null ],
+		] );
+		expect( dataMap[ 31 ][ 2 ] ).toMatch( /^Users\n.*: 20$/ );
+	} );
+
+	it( 'should only include the current period if not comparing', () => {
+		const dataMap = extractAnalyticsDashboardData( reports, [ 0 ], dates, { compare: false } );
+
+		expect( dataMap[ 0 ] ).toHaveLength( 2 );
+		expect( dataMap.slice( 1 ).map( ( [ , value ] ) => value ) ).toEqual( [ 15, 0, 30 ] );
+	} );
+
+	it( 'should return false if the report has no rows', () => {
+		expect( extractAnalyticsDashboardData( [ { data: {} } ], [ 0 ], dates ) ).toBe( false );
+	} );
+} );
+
+describe( 'extractAnalyticsDataForTrafficChart', () => {
+	const getSourceRow = ( source, ...sessions ) => ( {
+		dimensions: [ source ],
+		metrics: sessions.map( ( value ) => ( { values: [ `${ value }` ] } ) ),
+	} );
+
+	it( 'should include the share of every source', () => {
+		const reports = [ {
+			data: {
+				rows: [ getSourceRow( 'organic', 75 ), getSourceRow( '(none)', 25 ) ],
+				totals: [ { values: [ '100' ] } ],
+			},
+		} ];
+
+		expect( extractAnalyticsDataForTrafficChart( reports ) ).toEqual( [
+			[ 'Source', 'Percent' ],
+			[ 'organic', 0.75 ],
+			[ 'direct', 0.25 ],
+		] );
+	} );
+
+	it( 'should compare the shares with the previous period for multiple date ranges', () => {
+		const reports = [ {
+			data: {
+				rows: [ getSourceRow( 'organic', 75, 25 ), getSourceRow( 'referral', 25, 75 ) ],
+				totals: [ { values: [ '100' ] }, { values: [ '100' ] } ],
+			},
+		} ];
+
+		const dataMap = extractAnalyticsDataForTrafficChart( reports );
+
+		expect( dataMap[ 0 ][ 2 ] ).toEqual( { type: 'string', role: 'tooltip' } );
+		expect( dataMap[ 1 ].slice( 0, 2 ) ).toEqual( [ 'organic', 0.75 ] );
+		expect( dataMap[ 1 ][ 2 ] ).toBe( 'organic\nCurrent period: 75%\nPrevious period: 25%\nChange: +200.0%' );
+	} );
+} );
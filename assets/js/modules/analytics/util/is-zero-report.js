@@ -0,0 +1,42 @@
+/**
+ * Analytics zero report check.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Checks whether an Analytics report contains only zero data.
+ *
+ * A report is considered "zero" if it is empty, or if all values of the first
+ * totals row of its first report are zero.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} report Report as returned by the Analytics `report` datapoint.
+ * @return {boolean} `true` if the report has zero data, otherwise `false`.
+ */
+export default function isZeroReport( report ) {
+	// Handle empty data.
+	if ( ! report || ! report.length ) {
+		return true;
+	}
+
+	const values = report[ 0 ]?.data?.totals?.[ 0 ]?.values;
+	if ( ! values ) {
+		return false;
+	}
+
+	return values.every( ( value ) => 0 === parseInt( value, 10 ) );
+}
@@ -0,0 +1,48 @@
+/**
+ * Analytics zero report check tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import isZeroReport from './is-zero-report';
+
+describe( 'isZeroReport', () => {
+	it.each( [
+		[ 'undefined', undefined ],
+		[ 'null', null ],
+		[ 'an empty array', [] ],
+	] )( 'returns true for %s', ( _, report ) => {
+		expect( isZeroReport( report ) ).toBe( true );
+	} );
+
+	it( 'returns true if all totals are zero', () => {
+		const report = [ { data: { totals: [ { values: [ '0', 0, '0.0' ] } ] } } ];
+
+		expect( isZeroReport( report ) ).toBe( true );
+	} );
+
+	it( 'returns false if any total is not zero', () => {
+		const report = [ { data: { totals: [ { values: [ '0', '12', 0 ] } ] } } ];
+
+		expect( isZeroReport( report ) ).toBe( false );
+	} );
+
+	it( 'returns false if the report has no totals', () => {
+		expect( isZeroReport( [ { data: {} } ] ) ).toBe( false );
+	} );
+} );
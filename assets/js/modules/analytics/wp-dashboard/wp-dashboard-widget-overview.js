@@ -35,7 +35,7 @@ import DataBlock from '../../../components/data-block';
 import CTA from '../../../components/notifications/cta';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
-import { calculateOverviewData, getAnalyticsErrorMessageFromData, isDataZeroForReporting, overviewReportDataDefaults } from '../util';
+import { calculateOverviewData, getAnalyticsErrorMessageFromData, isZeroReport, overviewReportDataDefaults } from '../util';
 
 class WPAnalyticsDashboardWidgetOverview extends Component {
 	render() {
@@ -110,6 +110,6 @@ export default withData(
 		count={ 2 }
 	/>,
 	{},
-	isDataZeroForReporting,
+	isZeroReport,
 	getAnalyticsErrorMessageFromData
 );
@@ -35,13 +35,13 @@ import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
 import PreviewTable from '../../../components/preview-table';
-import { isDataZeroForReporting, getTopPagesReportDataDefaults } from '../util';
+import { isZeroReport, getTopPagesReportDataDefaults } from '../util';
 
 class WPAnalyticsDashboardWidgetTopPagesTable extends Component {
 	render() {
 		const { data } = this.props;
 
-		if ( isDataZeroForReporting( data ) ) {
+		if ( isZeroReport( data ) ) {
 			return null;
 		}
 
@@ -0,0 +1,55 @@
+/**
+ * Optimize AMP Experiment JSON Error component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { __, _x, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import SettingsNotice from '../../../components/settings-notice';
+import { STORE_NAME } from '../datastore/constants';
+const { useSelect } = Data;
+
+export default function AMPExperimentJSONError( { ampExperimentJSON } ) {
+	const unknownExperimentIDs = useSelect( ( select ) => ampExperimentJSON ? select( STORE_NAME ).getUnknownAMPExperimentIDs( ampExperimentJSON ) : undefined );
+
+	if ( ! unknownExperimentIDs || ! unknownExperimentIDs.length ) {
+		return null;
+	}
+
+	const message = sprintf(
+		/* translators: %s: IDs of the unknown experiments */
+		__( 'AMP experiment settings refer to experiments which do not exist for this site: %s. These experiments will not be served until they are created in Optimize.', 'google-site-kit' ),
+		unknownExperimentIDs.join( _x( ', ', 'list separator', 'google-site-kit' ) )
+	);
+
+	return <SettingsNotice message={ message } />;
+}
+
+AMPExperimentJSONError.propTypes = {
+	ampExperimentJSON: PropTypes.oneOfType( [ PropTypes.string, PropTypes.object ] ),
+};
@@ -0,0 +1,53 @@
+/**
+ * Optimize AMP Experiment JSON Error component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import AMPExperimentJSONError from './amp-experiment-json-error';
+import { render } from '../../../../../tests/js/test-utils';
+import { STORE_NAME } from '../datastore/constants';
+import * as fixtures from '../datastore/__fixtures__';
+
+describe( 'AMPExperimentJSONError', () => {
+	const [ experiment ] = fixtures.experiments;
+	const setupRegistry = ( { dispatch } ) => {
+		dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+	};
+
+	it( 'should warn about experiments which do not exist for the site', () => {
+		const ampExperimentJSON = JSON.stringify( {
+			[ experiment.id ]: { variants: { 0: 50, 1: 50 } },
+			unknownExperimentID: { variants: { 0: 50, 1: 50 } },
+		} );
+		const { container } = render( <AMPExperimentJSONError ampExperimentJSON={ ampExperimentJSON } />, { setupRegistry } );
+
+		expect( container.querySelector( '.googlesitekit-settings-notice' ) ).toHaveTextContent( 'unknownExperimentID' );
+		expect( container ).not.toHaveTextContent( experiment.id );
+		expect( container ).not.toHaveTextContent( /error/i );
+	} );
+
+	it( 'should render nothing if all experiments exist for the site', () => {
+		const ampExperimentJSON = JSON.stringify( {
+			[ experiment.id ]: { variants: { 0: 50, 1: 50 } },
+		} );
+		const { container } = render( <AMPExperimentJSONError ampExperimentJSON={ ampExperimentJSON } />, { setupRegistry } );
+
+		expect( container.firstChild ).toBeNull();
+	} );
+} );
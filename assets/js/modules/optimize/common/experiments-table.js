@@ -0,0 +1,83 @@
+/**
+ * Optimize Experiments Table component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import { uniq } from 'lodash';
+
+/**
+ * WordPress dependencies
+ */
+import { __, _x } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
+
+export default function ExperimentsTable( { experiments } ) {
+	const headers = [
+		{
+			title: __( 'Experiment', 'google-site-kit' ),
+			tooltip: __( 'Experiment name', 'google-site-kit' ),
+			primary: true,
+		},
+		{
+			title: __( 'Started', 'google-site-kit' ),
+			tooltip: __( 'Date the experiment was started', 'google-site-kit' ),
+		},
+		{
+			title: __( 'Variants', 'google-site-kit' ),
+			tooltip: __( 'Variants served to the visitors of the experiment', 'google-site-kit' ),
+		},
+		{
+			title: __( 'Targeted URLs', 'google-site-kit' ),
+			tooltip: __( 'URLs the variants are served on', 'google-site-kit' ),
+		},
+	];
+
+	const separator = _x( ', ', 'list separator', 'google-site-kit' );
+	const rows = experiments.map( ( { name, startTime, variations = [] } ) => [
+		name,
+		startTime ? new Date( startTime ).toLocaleDateString() : __( 'Not started', 'google-site-kit' ),
+		variations.map( ( variation ) => variation.name ).join( separator ),
+		uniq( variations.map( ( { url } ) => url ).filter( Boolean ) ).join( separator ),
+	] );
+
+	return (
+		<div className="googlesitekit-optimize-experiments-table">
+			<TableOverflowContainer>
+				{ getDataTableFromData( rows, headers, { disableListMode: true } ) }
+			</TableOverflowContainer>
+		</div>
+	);
+}
+
+ExperimentsTable.propTypes = {
+	experiments: PropTypes.arrayOf( PropTypes.shape( {
+		id: PropTypes.string.isRequired,
+		name: PropTypes.string.isRequired,
+		startTime: PropTypes.string,
+		variations: PropTypes.arrayOf( PropTypes.shape( {
+			name: PropTypes.string,
+			url: PropTypes.string,
+		} ) ),
+	} ) ).isRequired,
+};
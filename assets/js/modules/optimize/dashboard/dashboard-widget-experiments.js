@@ -0,0 +1,79 @@
+/**
+ * Optimize Experiments dashboard widget.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment } from '@wordpress/element';
+import { __, _x } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import Layout from '../../../components/layout/layout';
+import PreviewTable from '../../../components/preview-table';
+import DashboardModuleHeader from '../../../components/dashboard/dashboard-module-header';
+import getDataErrorComponent from '../../../components/notifications/data-error';
+import { STORE_NAME } from '../datastore/constants';
+import { ExperimentsTable } from '../common';
+const { useSelect } = Data;
+
+export default function DashboardExperiments() {
+	const experiments = useSelect( ( select ) => select( STORE_NAME ).getActiveExperiments() );
+	const error = useSelect( ( select ) => select( STORE_NAME ).getErrorForGetExperiments() );
+
+	if ( error ) {
+		return getDataErrorComponent( _x( 'Optimize', 'Service name', 'google-site-kit' ), error.message, true, true, true );
+	}
+
+	let content;
+	if ( experiments === undefined ) {
+		content = <PreviewTable rows={ 3 } padding />;
+	} else if ( ! experiments.length ) {
+		content = (
+			<p className="googlesitekit-optimize-experiments__empty">
+				{ __( 'There are no experiments running on your site.', 'google-site-kit' ) }
+			</p>
+		);
+	} else {
+		content = <ExperimentsTable experiments={ experiments } />;
+	}
+
+	return (
+		<Fragment>
+			<div className="
+				mdc-layout-grid__cell
+				mdc-layout-grid__cell--span-12
+			">
+				<DashboardModuleHeader
+					title={ __( 'Optimize Experiments', 'google-site-kit' ) }
+					description={ __( 'Experiments which are currently running on your site.', 'google-site-kit' ) }
+				/>
+			</div>
+			<div className="
+				mdc-layout-grid__cell
+				mdc-layout-grid__cell--span-12
+			">
+				<Layout className="googlesitekit-optimize-experiments" fill>
+					{ content }
+				</Layout>
+			</div>
+		</Fragment>
+	);
+}
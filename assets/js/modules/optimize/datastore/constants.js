@@ -17,3 +17,6 @@
  */
 
 export const STORE_NAME = 'modules/optimize';
+
+// Status of an experiment which is currently running.
+export const EXPERIMENT_STATUS_RUNNING = 'RUNNING';
@@ -0,0 +1,129 @@
+/**
+ * modules/optimize data store: experiments.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import Data from 'googlesitekit-data';
+import { STORE_NAME, EXPERIMENT_STATUS_RUNNING } from './constants';
+import { getAMPExperimentIDs } from '../util';
+import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
+const { createRegistrySelector } = Data;
+
+const fetchGetExperimentsStore = createFetchStore( {
+	baseName: 'getExperiments',
+	controlCallback: () => {
+		return API.get( 'modules', 'optimize', 'experiments', {}, { useCache: false } );
+	},
+	reducerCallback: ( state, experiments ) => {
+		return {
+			...state,
+			experiments: Array.isArray( experiments ) ? experiments : [],
+		};
+	},
+} );
+
+const BASE_INITIAL_STATE = {
+	experiments: undefined,
+};
+
+const baseResolvers = {
+	*getExperiments() {
+		const { select } = yield Data.commonActions.getRegistry();
+
+		if ( select( STORE_NAME ).getExperiments() === undefined ) {
+			yield fetchGetExperimentsStore.actions.fetchGetExperiments();
+		}
+	},
+};
+
+const baseSelectors = {
+	/**
+	 * Gets the Optimize experiments of the Analytics view the site is connected to.
+	 *
+	 * Each experiment includes its `id`, `name`, `status`, `startTime`, and its `variations`,
+	 * each with the `name` and `url` the variation is served on.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state Data store's state.
+	 * @return {(Array.<Object>|undefined)} List of experiments, or `undefined` if not loaded yet.
+	 */
+	getExperiments( state ) {
+		return state.experiments;
+	},
+
+	/**
+	 * Gets the experiments which are currently running.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return {(Array.<Object>|undefined)} List of running experiments, or `undefined` if not loaded yet.
+	 */
+	getActiveExperiments: createRegistrySelector( ( select ) => () => {
+		const experiments = select( STORE_NAME ).getExperiments();
+		if ( experiments === undefined ) {
+			return undefined;
+		}
+
+		return experiments.filter( ( { status } ) => status === EXPERIMENT_STATUS_RUNNING );
+	} ),
+
+	/**
+	 * Gets the experiment IDs in the given AMP experiment JSON which are not experiments of the site.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object}          state             Data store's state.
+	 * @param {(string|Object)} ampExperimentJSON AMP experiment JSON to check.
+	 * @return {(Array.<string>|undefined)} List of unknown experiment IDs, or `undefined` if the experiments are not loaded yet.
+	 *                                      An AMP experiment JSON which can't be parsed has no experiment IDs to check.
+	 */
+	getUnknownAMPExperimentIDs: createRegistrySelector( ( select ) => ( state, ampExperimentJSON ) => {
+		const experiments = select( STORE_NAME ).getExperiments();
+		if ( experiments === undefined ) {
+			return undefined;
+		}
+
+		const experimentIDs = experiments.map( ( { id } ) => id );
+
+		return ( getAMPExperimentIDs( ampExperimentJSON ) || [] )
+			.filter( ( experimentID ) => ! experimentIDs.includes( experimentID ) );
+	} ),
+};
+
+const store = Data.combineStores(
+	fetchGetExperimentsStore,
+	{
+		INITIAL_STATE: BASE_INITIAL_STATE,
+		resolvers: baseResolvers,
+		selectors: baseSelectors,
+	}
+);
+
+export const {
+	INITIAL_STATE,
+	actions,
+	controls,
+	reducer,
+	resolvers,
+	selectors,
+} = store;
+
+export default store;
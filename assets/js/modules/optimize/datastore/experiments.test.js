@@ -0,0 +1,163 @@
+/**
+ * modules/optimize data store: experiments tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import { STORE_NAME } from './constants';
+import {
+	createTestRegistry,
+	muteConsole,
+	untilResolved,
+	unsubscribeFromAll,
+} from '../../../../../tests/js/utils';
+import * as fixtures from './__fixtures__';
+
+describe( 'modules/optimize experiments', () => {
+	let registry;
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getExperiments', () => {
+			it( 'uses a resolver to make a network request', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+					{ body: fixtures.experiments, status: 200 }
+				);
+
+				const initialExperiments = registry.select( STORE_NAME ).getExperiments();
+
+				expect( initialExperiments ).toEqual( undefined );
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+
+				const experiments = registry.select( STORE_NAME ).getExperiments();
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				expect( experiments ).toEqual( fixtures.experiments );
+			} );
+
+			it( 'does not make a network request if experiments are already present', async () => {
+				registry.dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+
+				const experiments = registry.select( STORE_NAME ).getExperiments();
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+
+				expect( experiments ).toEqual( fixtures.experiments );
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+
+			it( 'receives an empty list if there are no experiments', async () => {
+				// The API omits the list if the view has no experiments.
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+					{ body: 'null', status: 200 }
+				);
+
+				registry.select( STORE_NAME ).getExperiments();
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+
+				expect( registry.select( STORE_NAME ).getExperiments() ).toEqual( [] );
+			} );
+
+			it( 'dispatches an error if the request fails', async () => {
+				const response = {
+					code: 'analytics_not_configured',
+					message: 'Analytics module needs to be configured.',
+					data: { status: 400 },
+				};
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+					{ body: response, status: 400 }
+				);
+
+				muteConsole( 'error' );
+				registry.select( STORE_NAME ).getExperiments();
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				expect( registry.select( STORE_NAME ).getError() ).toEqual( response );
+				expect( registry.select( STORE_NAME ).getExperiments() ).toEqual( undefined );
+			} );
+		} );
+
+		describe( 'getActiveExperiments', () => {
+			it( 'returns only the running experiments', () => {
+				registry.dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+
+				const activeExperiments = registry.select( STORE_NAME ).getActiveExperiments();
+
+				expect( activeExperiments ).toEqual( [ fixtures.experiments[ 0 ] ] );
+			} );
+
+			it( 'returns undefined if experiments are not loaded yet', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+					{ body: fixtures.experiments, status: 200 }
+				);
+
+				expect( registry.select( STORE_NAME ).getActiveExperiments() ).toEqual( undefined );
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+			} );
+		} );
+
+		describe( 'getUnknownAMPExperimentIDs', () => {
+			it( 'returns the IDs of experiments which are not experiments of the site', () => {
+				registry.dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+				const ampExperimentJSON = JSON.stringify( {
+					[ fixtures.experiments[ 0 ].id ]: { variants: { 0: 50, 1: 50 } },
+					unknownExperimentID: { variants: { 0: 50, 1: 50 } },
+				} );
+
+				const unknownExperimentIDs = registry.select( STORE_NAME ).getUnknownAMPExperimentIDs( ampExperimentJSON );
+
+				expect( unknownExperimentIDs ).toEqual( [ 'unknownExperimentID' ] );
+			} );
+
+			it( 'returns an empty list for an AMP experiment JSON which cannot be parsed', () => {
+				registry.dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+
+				expect( registry.select( STORE_NAME ).getUnknownAMPExperimentIDs( '{ invalid' ) ).toEqual( [] );
+			} );
+
+			it( 'returns undefined if experiments are not loaded yet', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+					{ body: fixtures.experiments, status: 200 }
+				);
+
+				expect( registry.select( STORE_NAME ).getUnknownAMPExperimentIDs( '{}' ) ).toEqual( undefined );
+				await untilResolved( registry, STORE_NAME ).getExperiments();
+			} );
+		} );
+	} );
+} );
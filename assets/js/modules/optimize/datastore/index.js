@@ -23,6 +23,7 @@ import Data from 'googlesitekit-data';
 import Modules from 'googlesitekit-modules';
 import { STORE_NAME } from './constants';
 import settings from './settings';
+import experiments from './experiments';
 import error from './error';
 
 export { STORE_NAME };
@@ -56,6 +57,7 @@ baseModuleStore = ( ( { actions, selectors, ...store } ) => {
 const store = Data.combineStores(
 	baseModuleStore,
 	settings,
+	experiments,
 	error,
 );
 
@@ -28,6 +28,7 @@ import {
 } from '../../../../../tests/js/utils';
 import { getItem, setItem } from '../../../googlesitekit/api/cache';
 import { createCacheKey } from '../../../googlesitekit/api';
+import * as fixtures from './__fixtures__';
 
 describe( 'modules/optimize settings', () => {
 	let registry;
@@ -149,6 +150,24 @@ describe( 'modules/optimize settings', () => {
 				expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
 			} );
 
+			it( 'does not require the ampExperimentJSON to only refer to experiments of the site', () => {
+				const [ experiment ] = fixtures.experiments;
+				registry.dispatch( STORE_NAME ).setSettings( validSettings );
+				registry.dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+
+				registry.dispatch( STORE_NAME ).setAMPExperimentJSON( JSON.stringify( {
+					[ experiment.id ]: { variants: { 0: 50, 1: 50 } },
+				} ) );
+				expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
+
+				registry.dispatch( STORE_NAME ).setAMPExperimentJSON( JSON.stringify( {
+					[ experiment.id ]: { variants: { 0: 50, 1: 50 } },
+					unknownExperimentID: { variants: { 0: 50, 1: 50 } },
+				} ) );
+				// Unknown experiments are only warned about, see AMPExperimentJSONError.
+				expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
+			} );
+
 			it( 'requires a valid optimizeID or empty string', () => {
 				registry.dispatch( STORE_NAME ).setSettings( validSettings );
 				expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
@@ -16,7 +16,29 @@
  * limitations under the License.
  */
 
+/**
+ * WordPress dependencies
+ */
+import { addFilter } from '@wordpress/hooks';
+
 /**
  * Internal dependencies
  */
 import './datastore';
+import { getModulesData, createAddToFilter } from '../../util';
+import DashboardExperiments from './dashboard/dashboard-widget-experiments';
+
+const {
+	active,
+	setupComplete,
+} = getModulesData().optimize;
+
+if ( active && setupComplete ) {
+	// Add to main dashboard.
+	addFilter(
+		'googlesitekit.DashboardModule',
+		'googlesitekit.Optimize',
+		createAddToFilter( <DashboardExperiments /> ),
+		50
+	);
+}
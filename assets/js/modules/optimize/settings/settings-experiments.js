@@ -0,0 +1,63 @@
+/**
+ * Optimize Settings Experiments component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import ErrorText from '../../../components/error-text';
+import ProgressBar from '../../../components/progress-bar';
+import { STORE_NAME } from '../datastore/constants';
+import { ExperimentsTable } from '../common';
+const { useSelect } = Data;
+
+export default function SettingsExperiments() {
+	const experiments = useSelect( ( select ) => select( STORE_NAME ).getActiveExperiments() );
+	const error = useSelect( ( select ) => select( STORE_NAME ).getErrorForGetExperiments() );
+
+	let content;
+	if ( error ) {
+		content = <ErrorText message={ error.message } />;
+	} else if ( experiments === undefined ) {
+		content = <ProgressBar small />;
+	} else if ( ! experiments.length ) {
+		content = (
+			<p className="googlesitekit-settings-module__meta-item-data">
+				{ __( 'There are no experiments running on your site.', 'google-site-kit' ) }
+			</p>
+		);
+	} else {
+		content = <ExperimentsTable experiments={ experiments } />;
+	}
+
+	return (
+		<div className="googlesitekit-settings-module__meta-items googlesitekit-optimize-experiments">
+			<div className="googlesitekit-settings-module__meta-item">
+				<h5 className="googlesitekit-settings-module__meta-item-type">
+					{ __( 'Active Experiments', 'google-site-kit' ) }
+				</h5>
+				{ content }
+			</div>
+		</div>
+	);
+}
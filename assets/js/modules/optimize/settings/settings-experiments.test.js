@@ -0,0 +1,71 @@
+/**
+ * Optimize Settings Experiments component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import SettingsExperiments from './settings-experiments';
+import { render, muteConsole, wait } from '../../../../../tests/js/test-utils';
+import { STORE_NAME } from '../datastore/constants';
+import * as fixtures from '../datastore/__fixtures__';
+
+describe( 'SettingsExperiments', () => {
+	it( 'should list the running experiments with their variants and targeted URLs', () => {
+		const setupRegistry = ( { dispatch } ) => {
+			dispatch( STORE_NAME ).receiveGetExperiments( fixtures.experiments );
+		};
+		const { container } = render( <SettingsExperiments />, { setupRegistry } );
+
+		const [ runningExperiment, endedExperiment ] = fixtures.experiments;
+		const rows = container.querySelectorAll( '.googlesitekit-table__body-row' );
+		expect( rows ).toHaveLength( 1 );
+		expect( rows[ 0 ] ).toHaveTextContent( runningExperiment.name );
+		runningExperiment.variations.forEach( ( { name, url } ) => {
+			expect( rows[ 0 ] ).toHaveTextContent( name );
+			expect( rows[ 0 ] ).toHaveTextContent( url );
+		} );
+		expect( container ).not.toHaveTextContent( endedExperiment.name );
+	} );
+
+	it( 'should show a notice if no experiments are running', () => {
+		const setupRegistry = ( { dispatch } ) => {
+			dispatch( STORE_NAME ).receiveGetExperiments( [] );
+		};
+		const { container } = render( <SettingsExperiments />, { setupRegistry } );
+
+		expect( container.querySelector( '.googlesitekit-table' ) ).not.toBeInTheDocument();
+		expect( container ).toHaveTextContent( /there are no experiments running/i );
+	} );
+
+	it( 'should show the error if experiments could not be loaded', async () => {
+		const response = {
+			code: 'analytics_not_configured',
+			message: 'Analytics module needs to be configured.',
+			data: { status: 400 },
+		};
+		fetchMock.getOnce(
+			/^\/google-site-kit\/v1\/modules\/optimize\/data\/experiments/,
+			{ body: response, status: 400 }
+		);
+
+		muteConsole( 'error' );
+		const { container } = render( <SettingsExperiments /> );
+
+		await wait( () => expect( container ).toHaveTextContent( response.message ) );
+	} );
+} );
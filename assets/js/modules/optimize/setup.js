@@ -43,6 +43,8 @@ import Button from '../../components/button';
 import Link from '../../components/link';
 import data, { TYPE_MODULES } from '../../components/data';
 import { TextField, Input, HelperText } from '../../material-components';
+import { AMPExperimentJSONError } from './common';
+import { SettingsExperiments } from './settings';
 
 class OptimizeSetup extends Component {
 	constructor( props ) {
@@ -193,6 +195,7 @@ class OptimizeSetup extends Component {
 		const {
 			optimizeID,
 		} = this.state;
+		const { onSettingsPage } = this.props;
 
 		return (
 			<Fragment>
@@ -201,6 +204,8 @@ class OptimizeSetup extends Component {
 						? <div>{ __( 'Your Optimize Container ID', 'google-site-kit' ) }: <strong>{ optimizeID }</strong></div>
 						: <div>{ __( 'Optimize Container ID missing, press "edit" to add', 'google-site-kit' ) }.</div>
 				}
+
+				{ onSettingsPage && optimizeID && <SettingsExperiments /> }
 			</Fragment>
 		);
 	}
@@ -274,6 +279,7 @@ class OptimizeSetup extends Component {
 				{ ! ampExperimentJSONValidated &&
 				<p className="googlesitekit-error-text">{ __( 'Error: AMP experiment settings are not in a valid JSON format.', 'google-site-kit' ) }</p>
 				}
+				{ ampExperimentJSONValidated && <AMPExperimentJSONError ampExperimentJSON={ ampExperimentJSON } /> }
 			</Fragment>
 		);
 	}
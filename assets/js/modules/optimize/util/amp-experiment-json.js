@@ -0,0 +1,50 @@
+/**
+ * AMP experiment JSON utilities.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { isPlainObject } from 'lodash';
+
+/**
+ * Gets the experiment IDs configured in the given AMP experiment JSON.
+ *
+ * The AMP experiment configuration is keyed by the IDs of the Optimize experiments,
+ * e.g. `{ "<experiment ID>": { "variants": { "0": 50, "1": 50 } } }`.
+ *
+ * @since n.e.x.t
+ *
+ * @param {(string|Object)} ampExperimentJSON AMP experiment JSON, or the already decoded configuration.
+ * @return {(Array.<string>|null)} List of experiment IDs, or `null` if the JSON is not a valid configuration.
+ */
+export function getAMPExperimentIDs( ampExperimentJSON ) {
+	let config = ampExperimentJSON;
+	if ( typeof ampExperimentJSON === 'string' ) {
+		try {
+			config = JSON.parse( ampExperimentJSON );
+		} catch ( err ) {
+			return null;
+		}
+	}
+
+	if ( ! isPlainObject( config ) ) {
+		return null;
+	}
+
+	return Object.keys( config );
+}
@@ -0,0 +1,50 @@
+/**
+ * AMP experiment JSON utility tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getAMPExperimentIDs } from './amp-experiment-json';
+
+describe( 'getAMPExperimentIDs', () => {
+	it( 'returns the experiment IDs of a JSON configuration', () => {
+		const json = JSON.stringify( {
+			abc123: { variants: { 0: 50, 1: 50 } },
+			def456: { sticky: false, variants: { 0: 30, 1: 70 } },
+		} );
+
+		expect( getAMPExperimentIDs( json ) ).toEqual( [ 'abc123', 'def456' ] );
+	} );
+
+	it( 'accepts an already decoded configuration', () => {
+		expect( getAMPExperimentIDs( { abc123: { variants: { 0: 50, 1: 50 } } } ) ).toEqual( [ 'abc123' ] );
+	} );
+
+	it( 'returns an empty list for an empty configuration', () => {
+		expect( getAMPExperimentIDs( '{}' ) ).toEqual( [] );
+	} );
+
+	it.each( [
+		[ 'invalid JSON', '{ abc123: ' ],
+		[ 'a JSON array', '[ "abc123" ]' ],
+		[ 'a JSON string', '"abc123"' ],
+		[ 'null', null ],
+	] )( 'returns null for %s', ( _, ampExperimentJSON ) => {
+		expect( getAMPExperimentIDs( ampExperimentJSON ) ).toBeNull();
+	} );
+} );
@@ -16,4 +16,5 @@
  * limitations under the License.
  */
 
+export * from './amp-experiment-json';
 export * from './validation';
@@ -12,6 +12,7 @@ import {
 	showErrorNotification,
 	getModulesData,
 } from '../../../util';
+import { navigateTo } from '../../../util/navigation';
 import CTA from '../../../components/notifications/cta';
 import data from '../../../components/data';
 import GenericError from '../../../components/notifications/generic-error';
@@ -31,7 +32,7 @@ const PageSpeedInsightsCTA = () => {
 	const handleSetUpClick = async () => {
 		try {
 			await activateOrDeactivateModule( data, 'pagespeed-insights', true );
-			global.location = getReAuthURL( 'pagespeed-insights' );
+			navigateTo( getReAuthURL( 'pagespeed-insights' ) );
 		} catch ( err ) {
 			showErrorNotification( GenericError, {
 				id: 'pagespeed-insights-setup-error',
@@ -36,6 +36,7 @@ import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store
 
 const fetchGetReportStore = createFetchStore( {
 	baseName: 'getReport',
+	storeName: STORE_NAME,
 	controlCallback: ( { strategy, url } ) => {
 		return API.get( 'modules', 'pagespeed-insights', 'pagespeed', { strategy, url } );
 	},
@@ -56,6 +57,10 @@ const fetchGetReportStore = createFetchStore( {
 			url,
 		};
 	},
+	// Reports are cached by the API for an hour, so refreshing them more
+	// often would not yield new data.
+	staleTime: 60 * 60 * 1000,
+	revalidate: true,
 } );
 
 const BASE_INITIAL_STATE = {
@@ -71,8 +76,9 @@ const baseResolvers = {
 		const registry = yield Data.commonActions.getRegistry();
 		const existingReport = registry.select( STORE_NAME ).getReport( url, strategy );
 
-		// If there is already a report loaded in state, consider it fulfilled and don't make an API request.
-		if ( existingReport ) {
+		// If there is already an up-to-date report loaded in state, consider it fulfilled
+		// and don't make an API request. A stale report is kept until the new one arrives.
+		if ( existingReport && ! registry.select( STORE_NAME ).isStaleGetReport( url, strategy ) ) {
 			return;
 		}
 
@@ -78,6 +78,11 @@ describe( 'modules/pagespeed-insights report', () => {
 
 				const initialReport = registry.select( STORE_NAME ).getReport( url, strategy );
 
+				expect( initialReport ).toEqual( undefined );
+				await subscribeUntil( registry,
+					() => registry.select( STORE_NAME ).hasFinishedResolution( 'getReport', [ url, strategy ] )
+				);
+
 				// Ensure the proper parameters were passed.
 				expect( fetchMock ).toHaveFetched(
 					/^\/google-site-kit\/v1\/modules\/pagespeed-insights\/data\/pagespeed/,
@@ -89,11 +94,6 @@ describe( 'modules/pagespeed-insights report', () => {
 					}
 				);
 
-				expect( initialReport ).toEqual( undefined );
-				await subscribeUntil( registry,
-					() => registry.select( STORE_NAME ).hasFinishedResolution( 'getReport', [ url, strategy ] )
-				);
-
 				const report = registry.select( STORE_NAME ).getReport( url, strategy );
 
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
@@ -118,6 +118,34 @@ describe( 'modules/pagespeed-insights report', () => {
 				expect( report ).toEqual( fixtures.pagespeedMobile );
 			} );
 
+			it( 'keeps returning a stale report while fetching a new one in the background', async () => {
+				const strategy = 'mobile';
+				const url = 'http://example.com/';
+				registry.dispatch( STORE_NAME ).receiveGetReport( fixtures.pagespeedMobile, { url, strategy } );
+				registry.select( STORE_NAME ).getReport( url, strategy );
+				await subscribeUntil( registry,
+					() => registry.select( STORE_NAME ).hasFinishedResolution( 'getReport', [ url, strategy ] )
+				);
+				expect( fetchMock ).not.toHaveFetched();
+
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/pagespeed-insights\/data\/pagespeed/,
+					{ body: fixtures.pagespeedDesktop, status: 200 },
+				);
+				await registry.dispatch( STORE_NAME ).invalidateGetReport( url, strategy );
+				expect( registry.select( STORE_NAME ).isStaleGetReport( url, strategy ) ).toBe( true );
+
+				// The stale report is returned while the new one is being fetched.
+				expect( registry.select( STORE_NAME ).getReport( url, strategy ) ).toEqual( fixtures.pagespeedMobile );
+				await subscribeUntil( registry,
+					() => registry.select( STORE_NAME ).hasFinishedResolution( 'getReport', [ url, strategy ] )
+				);
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				expect( registry.select( STORE_NAME ).getReport( url, strategy ) ).toEqual( fixtures.pagespeedDesktop );
+				expect( registry.select( STORE_NAME ).isStaleGetReport( url, strategy ) ).toBe( false );
+			} );
+
 			it( 'dispatches an error if the request fails', async () => {
 				const response = {
 					code: 'internal_server_error',
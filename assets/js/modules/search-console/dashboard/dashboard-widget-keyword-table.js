@@ -30,58 +30,63 @@ import { Component } from '@wordpress/element';
 /**
  * Internal dependencies
  */
-import { getTimeInSeconds, numberFormat, getModulesData } from '../../../util';
+import { getTimeInSeconds, getModulesData } from '../../../util';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
-import { getDataTableFromData, TableOverflowContainer } from '../../../components/data-table';
+import { DataTable, TableOverflowContainer, PAGINATED_REPORT_ROW_LIMIT } from '../../../components/data-table';
 import PreviewTable from '../../../components/preview-table';
+import { DATE_RANGE_OFFSET_DAYS } from '../datastore/constants';
 
 class SearchConsoleDashboardWidgetKeywordTable extends Component {
 	render() {
 		const { data } = this.props;
 
-		const headers = [
+		const domain = getModulesData()[ 'search-console' ].settings.propertyID;
+		const columns = [
 			{
+				field: 'query',
 				title: __( 'Keyword', 'google-site-kit' ),
 				tooltip: __( 'Most searched for keywords related to your content', 'google-site-kit' ),
 				primary: true,
+				sortable: true,
+				link: ( { query } ) => sprintf(
+					'https://search.google.com/search-console/performance/search-analytics?resource_id=%1$s&query=!%2$s&num_of_days=28',
+					domain,
+					query
+				),
 			},
 			{
+				field: 'clicks',
 				title: __( 'Clicks', 'google-site-kit' ),
 				tooltip: __( 'Number of times users clicked on your content in search results', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
 			},
 			{
+				field: 'impressions',
 				title: __( 'Impressions', 'google-site-kit' ),
 				tooltip: __( 'Counted each time your content appears in search results', 'google-site-kit' ),
+				type: 'number',
+				sortable: true,
 			},
 		];
-		const domain = getModulesData()[ 'search-console' ].settings.propertyID;
-		const links = [];
-		const dataMapped = map( data, ( row, i ) => {
-			const query = row.keys[ 0 ];
-			links[ i ] = sprintf(
-				'https://search.google.com/search-console/performance/search-analytics?resource_id=%1$s&query=!%2$s&num_of_days=28',
-				domain,
-				query
-			);
-			return [
-				query,
-				numberFormat( row.clicks ),
-				numberFormat( row.impressions ),
-			];
-		} );
-
-		const options = {
-			hideHeader: false,
-			chartsEnabled: false,
-			links,
-		};
 
-		const dataTable = getDataTableFromData( dataMapped, headers, options );
+		const rows = map( data, ( { keys, clicks, impressions } ) => ( {
+			query: keys[ 0 ],
+			clicks,
+			impressions,
+		} ) );
 
 		return (
 			<TableOverflowContainer>
-				{ dataTable }
+				<DataTable
+					columns={ columns }
+					rows={ rows }
+					filterBy={ [ 'query' ] }
+					filterLabel={ __( 'Filter by query', 'google-site-kit' ) }
+					exportName="top-queries"
+					exportOffsetDays={ DATE_RANGE_OFFSET_DAYS }
+				/>
 			</TableOverflowContainer>
 		);
 	}
@@ -97,7 +102,7 @@ export default withData(
 			data: {
 				url: global._googlesitekitLegacyData.permaLink,
 				dimensions: 'query',
-				limit: 10,
+				limit: PAGINATED_REPORT_ROW_LIMIT,
 			},
 			priority: 1,
 			maxAge: getTimeInSeconds( 'day' ),
@@ -26,17 +26,29 @@ import { Component } from '@wordpress/element';
  * Internal dependencies
  */
 import { decodeHtmlEntity, getTimeInSeconds } from '../../../util';
+import { getCurrentDateRangeDates } from '../../../util/date-range';
 import withData from '../../../components/higherorder/withdata';
 import { TYPE_MODULES } from '../../../components/data';
 import GoogleChart from '../../../components/google-chart.js';
+import ComparisonToggle from '../../../components/comparison-toggle';
 import PreviewBlock from '../../../components/preview-block';
-import { extractSearchConsoleDashboardData } from './util';
+import { extractSearchConsoleComparisonData, extractSearchConsoleDashboardData } from './util';
+import { DATE_RANGE_OFFSET_DAYS } from '../datastore/constants';
 
 class SearchConsoleDashboardWidgetSiteStats extends Component {
 	constructor( props ) {
 		super( props );
 
+		this.state = {
+			compare: false,
+		};
+
 		this.setOptions = this.setOptions.bind( this );
+		this.toggleCompare = this.toggleCompare.bind( this );
+	}
+
+	toggleCompare() {
+		this.setState( ( { compare } ) => ( { compare: ! compare } ) );
 	}
 
 	setOptions() {
@@ -100,6 +112,14 @@ class SearchConsoleDashboardWidgetSiteStats extends Component {
 		options.series = series;
 		options.vAxes = vAxes;
 
+		// Draw the previous period of every stat as a dashed line on the same axis.
+		if ( this.state.compare ) {
+			options.series = series.reduce( ( comparisonSeries, statSeries ) => comparisonSeries.concat( [
+				statSeries,
+				{ ...statSeries, lineDashStyle: [ 3, 3 ], lineWidth: 1 },
+			] ), [] );
+		}
+
 		// Clean up chart if more than three stats are selected.
 		if ( 3 <= selectedStats.length ) {
 			options.vAxis.textPosition = 'none';
@@ -118,18 +138,26 @@ class SearchConsoleDashboardWidgetSiteStats extends Component {
 			return null;
 		}
 
+		const { compare } = this.state;
 		const options = this.setOptions();
-		const processedData = extractSearchConsoleDashboardData( data );
+
+		// The comparison data only includes the selected stats, so it does not need to be filtered by the chart.
+		const dataMap = compare
+			? extractSearchConsoleComparisonData( data, selectedStats, getCurrentDateRangeDates( DATE_RANGE_OFFSET_DAYS ) )
+			: extractSearchConsoleDashboardData( data ).dataMap;
 
 		return (
 			<section className="mdc-layout-grid">
 				<div className="mdc-layout-grid__inner">
-					<div className="mdc-layout-grid__cell mdc-layout-grid__cell--span-12">
+					<div className="mdc-layout-grid__cell mdc-layout-grid__cell--span-12 googlesitekit-chart">
+						<ComparisonToggle checked={ compare } onToggle={ this.toggleCompare } />
 						<GoogleChart
 							selectedStats={ selectedStats }
-							data={ processedData.dataMap }
+							data={ dataMap }
 							options={ options }
-							singleStat={ false }
+							singleStat={ compare }
+							exportName="search-traffic"
+							exportOffsetDays={ DATE_RANGE_OFFSET_DAYS }
 						/>
 					</div>
 				</div>
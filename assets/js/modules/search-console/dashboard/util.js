@@ -21,10 +21,16 @@
  */
 import { each } from 'lodash';
 
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
 /**
  * Internal dependencies
  */
-import { changeToPercent, readableLargeNumber } from '../../../util';
+import { changeToPercent, numberFormat, readableLargeNumber } from '../../../util';
+import { alignComparisonRows, getComparisonTooltip, getDateLabel } from '../../../util/comparison';
 
 function reduceSearchConsoleData( rows ) {
 	const dataMap = [
@@ -99,6 +105,90 @@ export const extractSearchConsoleDashboardData = ( rows ) => {
 	};
 };
 
+/**
+ * Extracts the chart data comparing the selected stats of a Search Console report with the previous period.
+ *
+ * Every selected stat is included as a column followed by its tooltip, the
+ * stat for the day at the same position in the comparison period and again
+ * the tooltip.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} rows          Rows of a report with the 'date' dimension, requested with
+ *                                       `compareDateRanges`.
+ * @param {Array.<number>} selectedStats Indexes of the selected stats: clicks, impressions, CTR and position.
+ * @param {Object}         dates         Dates of the report and its comparison period, see `getDateRangeDates()`.
+ * @return {Array.<Array>} The dataMap ready for charting.
+ */
+export const extractSearchConsoleComparisonData = ( rows, selectedStats, dates ) => {
+	const stats = [
+		{
+			key: 'clicks',
+			label: __( 'Clicks', 'google-site-kit' ),
+			format: numberFormat,
+		},
+		{
+			key: 'impressions',
+			label: __( 'Impressions', 'google-site-kit' ),
+			format: numberFormat,
+		},
+		{
+			key: 'ctr',
+			label: __( 'CTR', 'google-site-kit' ),
+			format: ( value ) => numberFormat( value, { style: 'percent', maximumFractionDigits: 1 } ),
+		},
+		{
+			key: 'position',
+			label: __( 'Position', 'google-site-kit' ),
+			format: ( value ) => numberFormat( value, { maximumFractionDigits: 1 } ),
+		},
+	];
+
+	const header = [ { type: 'string', label: 'Day' } ];
+	selectedStats.forEach( ( stat ) => {
+		header.push(
+			{ type: 'number', label: stats[ stat ].label },
+			{ type: 'string', role: 'tooltip' },
+			{
+				type: 'number',
+				/* translators: %s: name of a stat, e.g. Clicks */
+				label: sprintf( __( '%s (previous period)', 'google-site-kit' ), stats[ stat ].label ),
+			},
+			{ type: 'string', role: 'tooltip' }
+		);
+	} );
+
+	const dataMap = [ header ];
+	alignComparisonRows( rows, dates, ( row ) => row.keys[ 0 ] ).forEach( ( { date, compareDate, row, compareRow } ) => {
+		const [ , month, day ] = date.split( '-' ).map( ( part ) => parseInt( part, 10 ) );
+		const dataRow = [ month + '/' + day ];
+
+		selectedStats.forEach( ( stat ) => {
+			const { key, label, format } = stats[ stat ];
+			const value = row ? row[ key ] : 0;
+			// Leave a gap in the comparison series for days beyond the end of a shorter comparison period.
+			let compareValue = null;
+			if ( compareDate ) {
+				compareValue = compareRow ? compareRow[ key ] : 0;
+			}
+			const tooltip = getComparisonTooltip( {
+				title: label,
+				label: getDateLabel( date ),
+				value,
+				compareLabel: compareDate && getDateLabel( compareDate ),
+				compareValue,
+				format,
+			} );
+
+			dataRow.push( value, tooltip, compareValue, tooltip );
+		} );
+
+		dataMap.push( dataRow );
+	} );
+
+	return dataMap;
+};
+
 /**
  * Check for Zero data from Search Console API.
  *
@@ -0,0 +1,88 @@
+/**
+ * Search Console dashboard utility function tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { extractSearchConsoleComparisonData } from './util';
+
+describe( 'extractSearchConsoleComparisonData', () => {
+	const getRow = ( date, clicks, ctr ) => ( { keys: [ date ], clicks, impressions: clicks * 10, ctr, position: 5 } );
+
+	const rows = [
+		getRow( '2020-09-01', 10, 0.1 ),
+		getRow( '2020-09-02', 20, 0.2 ),
+		getRow( '2020-09-03', 30, 0.1 ),
+		getRow( '2020-09-04', 40, 0.4 ),
+	];
+	const dates = {
+		startDate: '2020-09-03',
+		endDate: '2020-09-04',
+		compareStartDate: '2020-09-01',
+		compareEndDate: '2020-09-02',
+	};
+
+	it( 'should include every selected stat followed by the previous period', () => {
+		const dataMap = extractSearchConsoleComparisonData( rows, [ 0, 2 ], dates );
+
+		expect( dataMap[ 0 ].map( ( { label, role } ) => label || role ) ).toEqual( [
+			'Day',
+			'Clicks',
+			'tooltip',
+			'Clicks (previous period)',
+			'tooltip',
+			'CTR',
+			'tooltip',
+			'CTR (previous period)',
+			'tooltip',
+		] );
+
+		const [ , first, second ] = dataMap;
+		expect( [ first[ 0 ], first[ 1 ], first[ 3 ], first[ 5 ], first[ 7 ] ] ).toEqual( [ '9/3', 30, 10, 0.1, 0.1 ] );
+		expect( [ second[ 0 ], second[ 1 ], second[ 3 ], second[ 5 ], second[ 7 ] ] ).toEqual( [ '9/4', 40, 20, 0.4, 0.2 ] );
+		expect( second[ 6 ] ).toMatch( /^CTR\n.*: 40%\n.*: 20%\nChange: \+100\.0%$/ );
+	} );
+
+	it( 'should use zero for days without data', () => {
+		const dataMap = extractSearchConsoleComparisonData( [ rows[ 3 ] ], [ 1 ], dates );
+
+		expect( dataMap.slice( 1 ).map( ( row ) => [ row[ 1 ], row[ 3 ] ] ) ).toEqual( [
+			[ 0, 0 ],
+			[ 400, 0 ],
+		] );
+	} );
+
+	it( 'should leave a gap for days without a comparison day', () => {
+		const monthDates = {
+			startDate: '2020-03-01',
+			endDate: '2020-03-31',
+			compareStartDate: '2020-02-01',
+			compareEndDate: '2020-02-29',
+		};
+
+		const dataMap = extractSearchConsoleComparisonData( [ getRow( '2020-03-30', 10, 0.1 ) ], [ 0 ], monthDates );
+
+		expect( dataMap ).toHaveLength( 32 );
+		expect( dataMap.slice( 29 ).map( ( row ) => [ row[ 0 ], row[ 1 ], row[ 3 ] ] ) ).toEqual( [
+			[ '3/29', 0, 0 ],
+			[ '3/30', 10, null ],
+			[ '3/31', 0, null ],
+		] );
+		expect( dataMap[ 30 ][ 2 ] ).toMatch( /^Clicks\n.*: 10$/ );
+	} );
+} );
@@ -17,3 +17,6 @@
  */
 
 export const STORE_NAME = 'modules/search-console';
+
+// Search Console data is delayed, so reports end 3 days before the current day, like on the server.
+export const DATE_RANGE_OFFSET_DAYS = 3;
@@ -21,6 +21,7 @@
  */
 import Data from 'googlesitekit-data';
 import Modules from 'googlesitekit-modules';
+import report from './report';
 import { STORE_NAME } from './constants';
 export { STORE_NAME };
 
@@ -33,23 +34,19 @@ const baseModuleStore = Modules.createModuleStore( 'search-console', {
 	requiresSetup: false,
 } );
 
-const {
-	actions,
-	controls,
-	reducer,
-	resolvers,
-	selectors,
-} = baseModuleStore;
+const store = Data.combineStores(
+	baseModuleStore,
+	report,
+);
 
-export {
-	actions,
-	controls,
-	reducer,
-	resolvers,
-	selectors,
-};
+export const INITIAL_STATE = store.INITIAL_STATE;
+export const actions = store.actions;
+export const controls = store.controls;
+export const reducer = store.reducer;
+export const resolvers = store.resolvers;
+export const selectors = store.selectors;
 
-// Register this baseModuleStore on the global registry.
-Data.registerStore( STORE_NAME, baseModuleStore );
+// Register this store on the global registry.
+Data.registerStore( STORE_NAME, store );
 
-export default baseModuleStore;
+export default store;
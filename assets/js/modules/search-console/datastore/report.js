@@ -0,0 +1,198 @@
+/**
+ * modules/search-console data store: report.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+import isPlainObject from 'lodash/isPlainObject';
+import omit from 'lodash/omit';
+
+/**
+ * WordPress dependencies
+ */
+import { isURL } from '@wordpress/url';
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import Data from 'googlesitekit-data';
+import { STORE_NAME, DATE_RANGE_OFFSET_DAYS } from './constants';
+import { STORE_NAME as CORE_USER } from '../../../googlesitekit/datastore/user/constants';
+import { stringifyObject } from '../../../util';
+import { alignComparisonRows } from '../../../util/comparison';
+import { getDateRangeDates } from '../../../util/date-range';
+import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
+
+const { createRegistrySelector } = Data;
+
+const fetchGetReportStore = createFetchStore( {
+	baseName: 'getReport',
+	storeName: STORE_NAME,
+	controlCallback: ( { options }, { signal } ) => {
+		const { dimensions, ...queryParams } = options;
+
+		// The REST endpoint expects dimensions as a comma-separated string.
+		if ( dimensions ) {
+			queryParams.dimensions = Array.isArray( dimensions ) ? dimensions.join( ',' ) : dimensions;
+		}
+
+		return API.get( 'modules', 'search-console', 'searchanalytics', queryParams, { signal } );
+	},
+	reducerCallback: ( state, report, { options } ) => {
+		return {
+			...state,
+			reports: {
+				...state.reports,
+				[ stringifyObject( options ) ]: report,
+			},
+		};
+	},
+	argsToParams: ( options ) => {
+		invariant( isPlainObject( options ), 'options must be an object.' );
+
+		const { dateRange, dimensions, limit, url } = options;
+
+		if ( dateRange !== undefined ) {
+			invariant( typeof dateRange === 'string', 'dateRange must be a string.' );
+		}
+		if ( dimensions !== undefined ) {
+			invariant(
+				typeof dimensions === 'string' || ( Array.isArray( dimensions ) && dimensions.every( ( dimension ) => typeof dimension === 'string' ) ),
+				'dimensions must be a string or an array of strings.'
+			);
+		}
+		if ( limit !== undefined ) {
+			invariant( Number.isInteger( limit ) && limit > 0, 'limit must be a positive integer.' );
+		}
+		if ( url !== undefined ) {
+			invariant( isURL( url ), 'url must be a valid URL.' );
+		}
+
+		return { options };
+	},
+	// A report for another date range supersedes a report with otherwise
+	// identical options, e.g. after switching the date range.
+	paramsToSupersedeKey: ( { options } ) => stringifyObject( omit( options, [ 'dateRange' ] ) ),
+} );
+
+const BASE_INITIAL_STATE = {
+	reports: {},
+};
+
+const baseResolvers = {
+	*getReport( options = {} ) {
+		// Reports without an explicit date range are resolved through the
+		// active date range, see the `getReport` selector.
+		if ( options.dateRange === undefined ) {
+			return;
+		}
+
+		const registry = yield Data.commonActions.getRegistry();
+		const existingReport = registry.select( STORE_NAME ).getReport( options );
+
+		// If there is already a report loaded in state for these options,
+		// consider it fulfilled and don't make an API request.
+		if ( existingReport ) {
+			return;
+		}
+
+		yield fetchGetReportStore.actions.fetchGetReport( options );
+	},
+};
+
+const baseSelectors = {
+	/**
+	 * Gets a Google Search Console search analytics report for the given options.
+	 *
+	 * Each row of the report includes the 'clicks', 'impressions', 'ctr' and
+	 * 'position' metrics, plus a 'keys' array holding the values for the
+	 * requested dimensions.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object}                  state                     Data store's state.
+	 * @param {Object}                  options                   Optional. Options for generating the report.
+	 * @param {string}                  options.dateRange         Date range. Defaults to the active date range.
+	 * @param {boolean}                 options.compareDateRanges Whether to include the previous period for comparison.
+	 * @param {(string|Array.<string>)} options.dimensions        Dimensions to use, e.g. 'query', 'page' or 'date'.
+	 * @param {number}                  options.limit             Maximum number of rows to include.
+	 * @param {string}                  options.url               URL to limit the report to.
+	 * @return {(Array.<Object>|undefined)} A Search Console report; `undefined` if not loaded.
+	 */
+	getReport: createRegistrySelector( ( select ) => ( state, options = {} ) => {
+		if ( options.dateRange === undefined ) {
+			const dateRange = select( CORE_USER ).getDateRange();
+			return select( STORE_NAME ).getReport( { ...options, dateRange } );
+		}
+
+		const { reports } = state;
+
+		return reports[ stringifyObject( options ) ];
+	} ),
+
+	/**
+	 * Gets a daily Google Search Console report for the given options, compared with the previous period.
+	 *
+	 * The report is requested with `compareDateRanges` and its first dimension
+	 * must be 'date'. Every day of the date range is aligned with the day at the
+	 * same position in the comparison period, see `alignComparisonRows()`.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state   Data store's state.
+	 * @param {Object} options Options for generating the report, see `getReport`.
+	 * @return {(Array.<Object>|undefined)} List with an object per day, from oldest to newest, with `date`,
+	 *                                      `compareDate`, `row` and `compareRow` properties; `undefined` if not loaded.
+	 */
+	getComparisonReport: createRegistrySelector( ( select ) => ( state, options = {} ) => {
+		const dateRange = options.dateRange === undefined ? select( CORE_USER ).getDateRange() : options.dateRange;
+		const report = select( STORE_NAME ).getReport( { ...options, dateRange, compareDateRanges: true } );
+
+		if ( report === undefined ) {
+			return undefined;
+		}
+
+		const dates = getDateRangeDates( dateRange, {
+			referenceDate: select( CORE_USER ).getReferenceDate(),
+			offsetDays: DATE_RANGE_OFFSET_DAYS,
+			compare: true,
+		} );
+
+		return alignComparisonRows( report, dates, ( row ) => row.keys[ 0 ] );
+	} ),
+};
+
+const store = Data.combineStores(
+	fetchGetReportStore,
+	{
+		INITIAL_STATE: BASE_INITIAL_STATE,
+		resolvers: baseResolvers,
+		selectors: baseSelectors,
+	}
+);
+
+export const INITIAL_STATE = store.INITIAL_STATE;
+export const actions = store.actions;
+export const controls = store.controls;
+export const reducer = store.reducer;
+export const resolvers = store.resolvers;
+export const selectors = store.selectors;
+
+export default store;
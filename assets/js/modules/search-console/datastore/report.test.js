@@ -0,0 +1,250 @@
+/**
+ * modules/search-console data store: report tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_USER } from '../../../googlesitekit/datastore/user/constants';
+import {
+	createTestRegistry,
+	muteConsole,
+	subscribeUntil,
+	unsubscribeFromAll,
+} from 'tests/js/utils';
+import * as fixtures from './__fixtures__';
+
+describe( 'modules/search-console report', () => {
+	let registry;
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'actions', () => {
+		describe( 'fetchGetReport', () => {
+			it( 'requires options to be an object', () => {
+				muteConsole( 'error' );
+				registry.dispatch( STORE_NAME ).fetchGetReport( 'query' );
+
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+
+			it.each( [
+				[ 'dimensions', { dimensions: [ 'query', 5 ] } ],
+				[ 'limit', { limit: -1 } ],
+				[ 'url', { url: 'not a url' } ],
+			] )( 'does not make a request with an invalid %s option', ( option, options ) => {
+				muteConsole( 'error' );
+				registry.dispatch( STORE_NAME ).fetchGetReport( options );
+
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+		} );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getReport', () => {
+			it( 'uses a resolver to make a network request', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+					{ body: fixtures.report, status: 200 }
+				);
+
+				const initialReport = registry.select( STORE_NAME ).getReport( {} );
+
+				expect( initialReport ).toEqual( undefined );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getReport( {} ) !== undefined
+					),
+				);
+
+				const report = registry.select( STORE_NAME ).getReport( {} );
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				expect( report ).toEqual( fixtures.report );
+			} );
+
+			it( 'sends dimension, date range, limit and URL filters as query params', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+					{ body: fixtures.report, status: 200 }
+				);
+
+				const options = {
+					dateRange: 'last-90-days',
+					dimensions: [ 'query', 'page' ],
+					limit: 10,
+					url: 'https://example.com/page/',
+				};
+
+				registry.select( STORE_NAME ).getReport( options );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getReport( options ) !== undefined
+					),
+				);
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				const [ url ] = fetchMock.lastCall();
+				expect( url ).toMatch( 'dateRange=last-90-days' );
+				expect( url ).toMatch( 'dimensions=query%2Cpage' );
+				expect( url ).toMatch( 'limit=10' );
+				expect( url ).toMatch( 'url=https%3A%2F%2Fexample.com%2Fpage%2F' );
+			} );
+
+			it( 'uses the active date range if none is given', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+					{ body: fixtures.report, status: 200 }
+				);
+
+				registry.dispatch( CORE_USER ).setDateRange( 'this-month' );
+				registry.select( STORE_NAME ).getReport( { dimensions: 'query' } );
+				await subscribeUntil( registry,
+					() => (
+						registry.select( STORE_NAME ).getReport( { dimensions: 'query' } ) !== undefined
+					),
+				);
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+				const [ url ] = fetchMock.lastCall();
+				expect( url ).toMatch( 'dateRange=this-month' );
+				expect( registry.select( STORE_NAME ).getReport( { dimensions: 'query', dateRange: 'this-month' } ) ).toEqual( fixtures.report );
+			} );
+
+			it( 'does not make a network request if report for given options is already present', async () => {
+				const options = {
+					dateRange: 'last-90-days',
+				};
+
+				// Load data into this store so there are matches for the data we're about to select,
+				// even though the selector hasn't fulfilled yet.
+				registry.dispatch( STORE_NAME ).receiveGetReport( fixtures.report, { options } );
+
+				const report = registry.select( STORE_NAME ).getReport( options );
+
+				await subscribeUntil( registry, () => registry
+					.select( STORE_NAME )
+					.hasFinishedResolution( 'getReport', [ options ] )
+				);
+
+				expect( fetchMock ).not.toHaveFetched();
+				expect( report ).toEqual( fixtures.report );
+			} );
+
+			it( 'dispatches an error if the request fails', async () => {
+				const response = {
+					code: 'internal_server_error',
+					message: 'Internal server error',
+					data: { status: 500 },
+				};
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+					{ body: response, status: 500 }
+				);
+
+				const options = {
+					dateRange: 'last-90-days',
+					dimensions: 'date',
+				};
+
+				muteConsole( 'error' );
+				registry.select( STORE_NAME ).getReport( options );
+				await subscribeUntil( registry,
+					() => registry.select( STORE_NAME ).isFetchingGetReport( options ) === false,
+				);
+
+				expect( fetchMock ).toHaveFetchedTimes( 1 );
+
+				const report = registry.select( STORE_NAME ).getReport( options );
+				expect( report ).toEqual( undefined );
+			} );
+		} );
+		describe( 'getComparisonReport', () => {
+			it( 'aligns every day of the report with the previous period', () => {
+				const options = { dateRange: 'last-2-days', dimensions: 'date' };
+				const rows = [ '2020-09-01', '2020-09-02', '2020-09-03', '2020-09-04' ].map( ( date, i ) => ( {
+					keys: [ date ],
+					clicks: i,
+					impressions: i * 10,
+					ctr: 0.1,
+					position: 1,
+				} ) );
+
+				registry.dispatch( CORE_USER ).setReferenceDate( '2020-09-07' );
+				registry.dispatch( STORE_NAME ).receiveGetReport( rows, { options: { ...options, compareDateRanges: true } } );
+
+				expect( registry.select( STORE_NAME ).getComparisonReport( options ) ).toEqual( [
+					{ date: '2020-09-03', compareDate: '2020-09-01', row: rows[ 2 ], compareRow: rows[ 0 ] },
+					{ date: '2020-09-04', compareDate: '2020-09-02', row: rows[ 3 ], compareRow: rows[ 1 ] },
+				] );
+			} );
+
+			it( 'aligns the days of last month with the same days of the previous month', () => {
+				const options = { dateRange: 'last-month', dimensions: 'date' };
+				const rows = [ '2020-08-01', '2020-08-31', '2020-09-01', '2020-09-30' ].map( ( date, i ) => ( {
+					keys: [ date ],
+					clicks: i,
+					impressions: i * 10,
+					ctr: 0.1,
+					position: 1,
+				} ) );
+
+				// Search Console reports end 3 days ago, which is still in October.
+				registry.dispatch( CORE_USER ).setReferenceDate( '2020-10-05' );
+				registry.dispatch( STORE_NAME ).receiveGetReport( rows, { options: { ...options, compareDateRanges: true } } );
+
+				const comparisonReport = registry.select( STORE_NAME ).getComparisonReport( options );
+				expect( comparisonReport ).toHaveLength( 30 );
+				expect( comparisonReport[ 0 ] ).toEqual( { date: '2020-09-01', compareDate: '2020-08-01', row: rows[ 2 ], compareRow: rows[ 0 ] } );
+				expect( comparisonReport[ 29 ] ).toEqual( { date: '2020-09-30', compareDate: '2020-08-30', row: rows[ 3 ], compareRow: undefined } );
+			} );
+
+			it( 'requests the report including the previous period', async () => {
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/search-console\/data\/searchanalytics/,
+					{ body: [], status: 200 }
+				);
+
+				const options = { dateRange: 'last-28-days', dimensions: 'date' };
+				expect( registry.select( STORE_NAME ).getComparisonReport( options ) ).toBeUndefined();
+
+				await subscribeUntil( registry, () => registry.select( STORE_NAME ).getComparisonReport( options ) !== undefined );
+
+				expect( registry.select( STORE_NAME ).getComparisonReport( options ) ).toEqual( [] );
+				const [ url ] = fetchMock.lastCall();
+				expect( url ).toMatch( 'compareDateRanges=true' );
+			} );
+		} );
+	} );
+} );
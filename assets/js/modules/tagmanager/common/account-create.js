@@ -0,0 +1,82 @@
+/**
+ * Tag Manager Account Create component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment, useCallback } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import Button from '../../../components/button';
+import Link from '../../../components/link';
+import ProgressBar from '../../../components/progress-bar';
+import { STORE_NAME, ACCOUNT_CREATE } from '../datastore/constants';
+import ErrorNotice from './error-notice';
+const { useSelect, useDispatch } = Data;
+
+export default function AccountCreate() {
+	const accounts = useSelect( ( select ) => select( STORE_NAME ).getAccounts() );
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const isDoingGetAccounts = useSelect( ( select ) => select( STORE_NAME ).isDoingGetAccounts() );
+
+	const createAccount = useCallback( () => {
+		global.open( 'https://tagmanager.google.com/#/admin/accounts/create', '_blank' );
+	}, [] );
+
+	const { resetAccounts } = useDispatch( STORE_NAME );
+	const refetchAccounts = useCallback( () => {
+		resetAccounts();
+	}, [] );
+
+	if ( accounts === undefined || isDoingGetAccounts ) {
+		return <ProgressBar />;
+	}
+
+	return (
+		<div>
+			<ErrorNotice />
+
+			{ ACCOUNT_CREATE === accountID && (
+				<Fragment>
+					<p>{ __( 'To create a new account, click the button below which will open the Google Tag Manager account creation screen in a new window.', 'google-site-kit' ) }</p>
+					<p>{ __( 'Once completed, click the link below to re-fetch your accounts to continue.', 'google-site-kit' ) }</p>
+				</Fragment>
+			) }
+
+			{ ACCOUNT_CREATE !== accountID && (
+				<p>{ __( 'We didn’t find an associated Google Tag Manager account, would you like to set it up now? If you’ve just set up an account please re-fetch your account to sync it with Site Kit.', 'google-site-kit' ) }</p>
+			) }
+
+			<div className="googlesitekit-setup-module__action">
+				<Button onClick={ createAccount }>
+					{ __( 'Create an account', 'google-site-kit' ) }
+				</Button>
+
+				<div className="googlesitekit-setup-module__sub-action">
+					<Link onClick={ refetchAccounts }>
+						{ __( 'Re-fetch My Account', 'google-site-kit' ) }
+					</Link>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,142 @@
+/**
+ * Tag Manager Additional Containers Field component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { useCallback, useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Button from '../../../components/button';
+import Link from '../../../components/link';
+import { TextField, HelperText, Input } from '../../../material-components';
+import { isValidContainerID } from '../util/validation';
+
+export default function AdditionalContainersField( { containerIDs, containerID, onChange, disabled } ) {
+	const [ newContainerID, setNewContainerID ] = useState( '' );
+
+	const onNewContainerIDChange = useCallback( ( { currentTarget } ) => {
+		setNewContainerID( currentTarget.value.trim().toUpperCase() );
+	}, [] );
+
+	const isDuplicate = newContainerID === containerID || containerIDs.includes( newContainerID );
+	const canAdd = isValidContainerID( newContainerID ) && ! isDuplicate;
+
+	const addContainer = useCallback( () => {
+		onChange( [ ...containerIDs, newContainerID ] );
+		setNewContainerID( '' );
+	}, [ containerIDs, newContainerID ] );
+
+	const moveContainerUp = ( index ) => {
+		const reordered = [ ...containerIDs ];
+		reordered.splice( index - 1, 2, containerIDs[ index ], containerIDs[ index - 1 ] );
+		onChange( reordered );
+	};
+
+	const removeContainer = ( index ) => {
+		onChange( containerIDs.filter( ( id, i ) => i !== index ) );
+	};
+
+	let helperText;
+	if ( newContainerID && ! isValidContainerID( newContainerID ) ) {
+		helperText = __( 'Container IDs look like GTM-XXXXXX.', 'google-site-kit' );
+	} else if ( newContainerID && isDuplicate ) {
+		helperText = __( 'This container is already placed on your site.', 'google-site-kit' );
+	}
+
+	return (
+		<div className="googlesitekit-tagmanager-additional-containers">
+			<h5 className="googlesitekit-settings-module__meta-item-type">
+				{ __( 'Additional Web Containers', 'google-site-kit' ) }
+			</h5>
+			<p>
+				{ __( 'These containers are placed on your site after the selected web container, in this order.', 'google-site-kit' ) }
+				{ ' ' }
+				{ __( 'Site Kit only knows the public IDs of these containers, so it cannot load their published versions to show them or to check them for duplicate Analytics tracking.', 'google-site-kit' ) }
+			</p>
+
+			{ !! containerIDs.length && (
+				<ol className="googlesitekit-tagmanager-additional-containers__list">
+					{ containerIDs.map( ( id, index ) => (
+						<li key={ id } className="googlesitekit-tagmanager-additional-containers__item">
+							{ id }
+							{ ' ' }
+							{ index > 0 && (
+								<Link
+									onClick={ () => moveContainerUp( index ) }
+									disabled={ disabled }
+									small
+									inherit
+								>
+									{ __( 'Move up', 'google-site-kit' ) }
+								</Link>
+							) }
+							{ ' ' }
+							<Link
+								onClick={ () => removeContainer( index ) }
+								disabled={ disabled }
+								small
+								inherit
+								danger
+							>
+								{ __( 'Remove', 'google-site-kit' ) }
+							</Link>
+						</li>
+					) ) }
+				</ol>
+			) }
+
+			<div className="googlesitekit-setup-module__inputs">
+				<TextField
+					label={ __( 'Additional container ID', 'google-site-kit' ) }
+					outlined
+					helperText={ helperText && <HelperText persistent>{ helperText }</HelperText> }
+				>
+					<Input
+						value={ newContainerID }
+						onChange={ onNewContainerIDChange }
+						disabled={ disabled }
+					/>
+				</TextField>
+				<Button onClick={ addContainer } disabled={ disabled || ! canAdd }>
+					{ __( 'Add container', 'google-site-kit' ) }
+				</Button>
+			</div>
+		</div>
+	);
+}
+
+AdditionalContainersField.propTypes = {
+	containerIDs: PropTypes.arrayOf( PropTypes.string ).isRequired,
+	containerID: PropTypes.string,
+	onChange: PropTypes.func.isRequired,
+	disabled: PropTypes.bool,
+};
+
+AdditionalContainersField.defaultProps = {
+	containerID: '',
+	disabled: false,
+};
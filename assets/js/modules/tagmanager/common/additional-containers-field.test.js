@@ -0,0 +1,74 @@
+/**
+ * Tag Manager Additional Containers Field component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import AdditionalContainersField from './additional-containers-field';
+import { render, fireEvent } from '../../../../../tests/js/test-utils';
+
+describe( 'AdditionalContainersField', () => {
+	const renderField = ( props = {} ) => {
+		const onChange = jest.fn();
+		const result = render(
+			<AdditionalContainersField
+				containerIDs={ [ 'GTM-A1', 'GTM-B2' ] }
+				containerID="GTM-WEB1"
+				onChange={ onChange }
+				{ ...props }
+			/>
+		);
+
+		return { ...result, onChange };
+	};
+
+	it( 'adds a valid container ID to the end of the list', () => {
+		const { container, getByText, onChange } = renderField();
+		const input = container.querySelector( 'input' );
+
+		fireEvent.change( input, { target: { value: 'gtm-c3' } } );
+		fireEvent.click( getByText( 'Add container' ) );
+
+		expect( onChange ).toHaveBeenCalledWith( [ 'GTM-A1', 'GTM-B2', 'GTM-C3' ] );
+		expect( input.value ).toBe( '' );
+	} );
+
+	it( 'does not add invalid or duplicate container IDs', () => {
+		const { container, getByText, onChange } = renderField();
+		const input = container.querySelector( 'input' );
+
+		fireEvent.change( input, { target: { value: 'GTM' } } );
+		expect( getByText( 'Container IDs look like GTM-XXXXXX.' ) ).toBeInTheDocument();
+
+		fireEvent.change( input, { target: { value: 'GTM-WEB1' } } );
+		expect( getByText( 'This container is already placed on your site.' ) ).toBeInTheDocument();
+
+		fireEvent.click( getByText( 'Add container' ) );
+		expect( onChange ).not.toHaveBeenCalled();
+	} );
+
+	it( 'moves and removes containers', () => {
+		const { getByText, getAllByText, onChange } = renderField();
+
+		fireEvent.click( getByText( 'Move up' ) );
+		expect( onChange ).toHaveBeenLastCalledWith( [ 'GTM-B2', 'GTM-A1' ] );
+
+		fireEvent.click( getAllByText( 'Remove' )[ 0 ] );
+		expect( onChange ).toHaveBeenLastCalledWith( [ 'GTM-B2' ] );
+	} );
+} );
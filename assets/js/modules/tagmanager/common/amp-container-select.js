@@ -0,0 +1,53 @@
+/**
+ * Tag Manager AMP Container Select component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import ContainerSelect from './container-select';
+import { STORE_NAME, CONTEXT_AMP } from '../datastore/constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_SECONDARY } from '../../../googlesitekit/datastore/site/constants';
+const { useSelect, useDispatch } = Data;
+
+export default function AMPContainerSelect() {
+	const ampContainerID = useSelect( ( select ) => select( STORE_NAME ).getAMPContainerID() );
+	const isAMP = useSelect( ( select ) => select( CORE_SITE ).isAMP() );
+	const ampMode = useSelect( ( select ) => select( CORE_SITE ).getAMPMode() );
+
+	const { selectAMPContainer } = useDispatch( STORE_NAME );
+
+	if ( ! isAMP ) {
+		return null;
+	}
+
+	return (
+		<ContainerSelect
+			usageContext={ CONTEXT_AMP }
+			// Use the default label if it is the only container select shown.
+			label={ ampMode === AMP_MODE_SECONDARY ? __( 'AMP Container', 'google-site-kit' ) : __( 'Container', 'google-site-kit' ) }
+			value={ ampContainerID }
+			onChange={ selectAMPContainer }
+		/>
+	);
+}
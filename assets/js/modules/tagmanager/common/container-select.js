@@ -0,0 +1,103 @@
+/**
+ * Tag Manager Container Select component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+
+/**
+ * WordPress dependencies
+ */
+import { useCallback } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import ErrorText from '../../../components/error-text';
+import ProgressBar from '../../../components/progress-bar';
+import { Select, Option } from '../../../material-components';
+import { STORE_NAME, CONTAINER_CREATE } from '../datastore/constants';
+import { isValidAccountID } from '../util/validation';
+const { useSelect } = Data;
+
+export default function ContainerSelect( { usageContext, label, value, onChange } ) {
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const containers = useSelect( ( select ) => select( STORE_NAME ).getContainers( accountID, usageContext ) );
+	const hasExistingTag = useSelect( ( select ) => select( STORE_NAME ).hasExistingTag() );
+	const isDoingGetAccounts = useSelect( ( select ) => select( STORE_NAME ).isDoingGetAccounts() );
+	const isDoingGetContainers = useSelect( ( select ) => select( STORE_NAME ).isFetchingGetContainers( accountID ) );
+	// Errors of creating a container are shown with the select of the respective usage context.
+	const createContainerError = useSelect( ( select ) => isValidAccountID( accountID ) && select( STORE_NAME ).getErrorForCreateContainer( accountID, usageContext ) );
+
+	const onEnhancedChange = useCallback( ( index, item ) => {
+		const newContainerID = item.dataset.value;
+		if ( value !== newContainerID ) {
+			onChange( newContainerID );
+		}
+	}, [ value, onChange ] );
+
+	if ( isDoingGetAccounts || isDoingGetContainers ) {
+		return <ProgressBar small />;
+	}
+
+	return (
+		<div className="googlesitekit-tagmanager__container-field">
+			<Select
+				className={ classnames(
+					'googlesitekit-tagmanager__select-container',
+					`googlesitekit-tagmanager__select-container--${ usageContext }`
+				) }
+				label={ label }
+				value={ value }
+				onEnhancedChange={ onEnhancedChange }
+				disabled={ hasExistingTag || ! isValidAccountID( accountID ) }
+				enhanced
+				outlined
+			>
+				{ ( containers || [] )
+					.concat( {
+						publicId: CONTAINER_CREATE, // Capitalization rule exception: publicId
+						name: __( 'Set up a new container', 'google-site-kit' ),
+					} )
+					.map( ( { publicId, name } ) => ( // Capitalization rule exception: publicId
+						<Option
+							key={ publicId } // Capitalization rule exception: publicId
+							value={ publicId } // Capitalization rule exception: publicId
+						>
+							{ name }
+						</Option>
+					) ) }
+			</Select>
+
+			{ createContainerError && value === CONTAINER_CREATE && (
+				<ErrorText message={ createContainerError.message } />
+			) }
+		</div>
+	);
+}
+
+ContainerSelect.propTypes = {
+	usageContext: PropTypes.string.isRequired,
+	label: PropTypes.string.isRequired,
+	value: PropTypes.string,
+	onChange: PropTypes.func.isRequired,
+};
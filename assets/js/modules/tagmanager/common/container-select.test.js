@@ -0,0 +1,109 @@
+/**
+ * Container Select component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import ContainerSelect from './container-select';
+import { act, fireEvent, muteConsole, render } from '../../../../../tests/js/test-utils';
+import { STORE_NAME, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from '../datastore/constants';
+import * as factories from '../datastore/__factories__';
+
+describe( 'ContainerSelect', () => {
+	const { account, containers } = factories.buildAccountWithContainers( {
+		container: { usageContext: [ CONTEXT_WEB ] },
+		count: 3,
+	} );
+	const accountID = account.accountId; // Capitalization rule exception: accountId
+
+	const setupRegistry = ( { dispatch } ) => {
+		dispatch( STORE_NAME ).setSettings( { accountID } );
+		dispatch( STORE_NAME ).receiveGetAccounts( [ account ] );
+		dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+		dispatch( STORE_NAME ).receiveGetExistingTag( null );
+	};
+
+	it( 'should render an option for each container of the usage context', () => {
+		const { getAllByRole, container } = render(
+			<ContainerSelect usageContext={ CONTEXT_WEB } label="Container" onChange={ () => {} } />,
+			{ setupRegistry }
+		);
+
+		const listItems = getAllByRole( 'menuitem', { hidden: true } );
+		// Note: we do length + 1 here because there should also be an item for
+		// "Set up a new container".
+		expect( listItems ).toHaveLength( containers.length + 1 );
+		expect( listItems[ listItems.length - 1 ].textContent ).toMatch( /set up a new container/i );
+		expect( container.querySelector( '.googlesitekit-tagmanager__select-container--web' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should call onChange with the public ID of the selected container', () => {
+		const onChange = jest.fn();
+		const { getByText, container } = render(
+			<ContainerSelect usageContext={ CONTEXT_WEB } label="Container" onChange={ onChange } />,
+			{ setupRegistry }
+		);
+
+		fireEvent.click( container.querySelector( '.mdc-floating-label' ) );
+		fireEvent.click( getByText( containers[ 1 ].name ) );
+
+		expect( onChange ).toHaveBeenCalledWith( containers[ 1 ].publicId );
+	} );
+
+	it( 'should be disabled when there is an existing tag', () => {
+		const { container } = render(
+			<ContainerSelect usageContext={ CONTEXT_WEB } label="Container" onChange={ () => {} } />,
+			{
+				setupRegistry: ( registry ) => {
+					setupRegistry( registry );
+					registry.dispatch( STORE_NAME ).receiveGetExistingTag( containers[ 0 ].publicId );
+				},
+			}
+		);
+
+		expect( container.querySelector( '.googlesitekit-tagmanager__select-container' ) ).toHaveClass( 'mdc-select--disabled' );
+	} );
+
+	it( 'should show an error of creating a container of its usage context only', async () => {
+		const errorResponse = {
+			code: 'internal_server_error',
+			message: 'Internal server error',
+			data: { status: 500 },
+		};
+		fetchMock.postOnce(
+			/^\/google-site-kit\/v1\/modules\/tagmanager\/data\/create-container/,
+			{ body: errorResponse, status: 500 }
+		);
+
+		const { container, registry } = render(
+			<div>
+				<ContainerSelect usageContext={ CONTEXT_WEB } label="Web Container" value={ CONTAINER_CREATE } onChange={ () => {} } />
+				<ContainerSelect usageContext={ CONTEXT_AMP } label="AMP Container" value={ CONTAINER_CREATE } onChange={ () => {} } />
+			</div>,
+			{ setupRegistry }
+		);
+
+		muteConsole( 'error' );
+		await act( () => registry.dispatch( STORE_NAME ).createContainer( accountID, CONTEXT_WEB ) );
+
+		const webField = container.querySelector( '.googlesitekit-tagmanager__select-container--web' ).parentElement;
+		const ampField = container.querySelector( '.googlesitekit-tagmanager__select-container--amp' ).parentElement;
+		expect( webField ).toHaveTextContent( errorResponse.message );
+		expect( ampField ).not.toHaveTextContent( errorResponse.message );
+	} );
+} );
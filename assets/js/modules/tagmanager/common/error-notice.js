@@ -0,0 +1,49 @@
+/**
+ * Tag Manager Error Notice component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME, CONTEXT_WEB, CONTEXT_AMP } from '../datastore/constants';
+import { PERMISSION_SCOPE_ERROR_CODE } from '../../../googlesitekit/datastore/user/constants';
+import ErrorText from '../../../components/error-text';
+import { isValidAccountID } from '../util/validation';
+const { useSelect } = Data;
+
+export default function ErrorNotice() {
+	const error = useSelect( ( select ) => select( STORE_NAME ).getError() );
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const isCreateContainerError = useSelect( ( select ) => {
+		if ( ! error || ! isValidAccountID( accountID ) ) {
+			return false;
+		}
+
+		return [ CONTEXT_WEB, CONTEXT_AMP ].some(
+			( usageContext ) => select( STORE_NAME ).getErrorForCreateContainer( accountID, usageContext ) === error
+		);
+	} );
+
+	// Do not display if no error, or if the error is for missing scopes.
+	// Errors of creating a container are displayed with the respective container select instead.
+	if ( ! error || error.code === PERMISSION_SCOPE_ERROR_CODE || isCreateContainerError ) {
+		return null;
+	}
+
+	return <ErrorText message={ error.message } />;
+}
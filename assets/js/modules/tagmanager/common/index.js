@@ -0,0 +1,30 @@
+/**
+ * Tag Manager common components.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export { default as AccountCreate } from './account-create';
+export { default as AccountSelect } from './account-select';
+export { default as AdditionalContainersField } from './additional-containers-field';
+export { default as AMPContainerSelect } from './amp-container-select';
+export { default as ErrorNotice } from './error-notice';
+export { default as ExistingTagError } from './existing-tag-error';
+export { default as ExistingTagNotice } from './existing-tag-notice';
+export { default as FormInstructions } from './form-instructions';
+export { default as ServerContainerURLField } from './server-container-url-field';
+export { default as UseSnippetSwitch } from './use-snippet-switch';
+export { default as WebContainerOptions } from './web-container-options';
+export { default as WebContainerSelect } from './web-container-select';
@@ -0,0 +1,78 @@
+/**
+ * Tag Manager Server Container URL Field component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { useCallback } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { TextField, HelperText, Input } from '../../../material-components';
+import { isValidServerContainerURL } from '../util/validation';
+
+export default function ServerContainerURLField( { value, onChange, disabled } ) {
+	const onURLChange = useCallback( ( { currentTarget } ) => {
+		onChange( currentTarget.value.trim() );
+	}, [ onChange ] );
+
+	let helperText;
+	if ( value && ! isValidServerContainerURL( value ) ) {
+		helperText = (
+			<HelperText persistent>
+				{ __( 'The URL must start with https:// and must not include a query or fragment.', 'google-site-kit' ) }
+			</HelperText>
+		);
+	}
+
+	return (
+		<div className="googlesitekit-tagmanager-server-container-url">
+			<TextField
+				label={ __( 'Server-side tagging URL (optional)', 'google-site-kit' ) }
+				outlined
+				helperText={ helperText }
+			>
+				<Input
+					value={ value }
+					onChange={ onURLChange }
+					disabled={ disabled }
+				/>
+			</TextField>
+			<p>
+				{ __( 'If you use a server-side container, Site Kit loads the Tag Manager scripts of your web containers from this URL instead of www.googletagmanager.com.', 'google-site-kit' ) }
+			</p>
+		</div>
+	);
+}
+
+ServerContainerURLField.propTypes = {
+	value: PropTypes.string.isRequired,
+	onChange: PropTypes.func.isRequired,
+	disabled: PropTypes.bool,
+};
+
+ServerContainerURLField.defaultProps = {
+	disabled: false,
+};
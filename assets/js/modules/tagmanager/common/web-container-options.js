@@ -0,0 +1,65 @@
+/**
+ * Tag Manager Web Container Options component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import AdditionalContainersField from './additional-containers-field';
+import ServerContainerURLField from './server-container-url-field';
+import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY } from '../../../googlesitekit/datastore/site/constants';
+const { useSelect, useDispatch } = Data;
+
+export default function WebContainerOptions() {
+	const containerID = useSelect( ( select ) => select( STORE_NAME ).getContainerID() );
+	const additionalContainerIDs = useSelect( ( select ) => select( STORE_NAME ).getAdditionalContainerIDs() );
+	const serverContainerURL = useSelect( ( select ) => select( STORE_NAME ).getServerContainerURL() );
+	const hasExistingTag = useSelect( ( select ) => select( STORE_NAME ).hasExistingTag() );
+	const isDoingSubmitChanges = useSelect( ( select ) => select( STORE_NAME ).isDoingSubmitChanges() );
+	const isAMP = useSelect( ( select ) => select( CORE_SITE ).isAMP() );
+	const ampMode = useSelect( ( select ) => select( CORE_SITE ).getAMPMode() );
+
+	const { setAdditionalContainerIDs, setServerContainerURL } = useDispatch( STORE_NAME );
+
+	// These options only apply to the web container placed by Site Kit.
+	if ( hasExistingTag || ( isAMP && ampMode === AMP_MODE_PRIMARY ) ) {
+		return null;
+	}
+
+	return (
+		<Fragment>
+			<AdditionalContainersField
+				containerIDs={ additionalContainerIDs || [] }
+				containerID={ containerID }
+				onChange={ setAdditionalContainerIDs }
+				disabled={ isDoingSubmitChanges }
+			/>
+			<ServerContainerURLField
+				value={ serverContainerURL || '' }
+				onChange={ setServerContainerURL }
+				disabled={ isDoingSubmitChanges }
+			/>
+		</Fragment>
+	);
+}
@@ -0,0 +1,54 @@
+/**
+ * Tag Manager Web Container Select component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import ContainerSelect from './container-select';
+import { STORE_NAME, CONTEXT_WEB } from '../datastore/constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY } from '../../../googlesitekit/datastore/site/constants';
+const { useSelect, useDispatch } = Data;
+
+export default function WebContainerSelect() {
+	const containerID = useSelect( ( select ) => select( STORE_NAME ).getContainerID() );
+	const isAMP = useSelect( ( select ) => select( CORE_SITE ).isAMP() );
+	const ampMode = useSelect( ( select ) => select( CORE_SITE ).getAMPMode() );
+
+	const { selectWebContainer } = useDispatch( STORE_NAME );
+
+	// The web container is not used if AMP is in primary mode.
+	if ( isAMP && ampMode === AMP_MODE_PRIMARY ) {
+		return null;
+	}
+
+	return (
+		<ContainerSelect
+			usageContext={ CONTEXT_WEB }
+			// Only distinguish the web container if the AMP container select is shown too.
+			label={ isAMP ? __( 'Web Container', 'google-site-kit' ) : __( 'Container', 'google-site-kit' ) }
+			value={ containerID }
+			onChange={ selectWebContainer }
+		/>
+	);
+}
@@ -19,3 +19,4 @@
 export { default as accounts } from './accounts';
 export { default as createContainer } from './create-container';
 export { default as liveContainerVersion } from './live-container-version.json';
+export { default as liveContainerVersionAnalytics } from './live-container-version-analytics.json';
@@ -26,9 +26,11 @@ import invariant from 'invariant';
  */
 import API from 'googlesitekit-api';
 import Data from 'googlesitekit-data';
-import { STORE_NAME, ACCOUNT_CREATE } from './constants';
+import { STORE_NAME, ACCOUNT_CREATE, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from './constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY } from '../../../googlesitekit/datastore/site/constants';
 import { isValidAccountSelection } from '../util/validation';
 import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
+import { actions as containerActions } from './containers';
 const { createRegistrySelector } = Data;
 
 // Actions
@@ -66,13 +68,35 @@ export const baseActions = {
 
 		const registry = yield Data.commonActions.getRegistry();
 		registry.dispatch( STORE_NAME ).setAccountID( accountID );
+		registry.dispatch( STORE_NAME ).setContainerID( '' );
+		registry.dispatch( STORE_NAME ).setInternalContainerID( '' );
+		registry.dispatch( STORE_NAME ).setAMPContainerID( '' );
+		registry.dispatch( STORE_NAME ).setInternalAMPContainerID( '' );
 
 		if ( ACCOUNT_CREATE === accountID ) {
-			// eslint-disable-next-line no-useless-return
 			return;
 		}
 
 		// Trigger cascading selections.
+		yield containerActions.waitForContainers( accountID );
+
+		// Do not select containers of an account that is not selected anymore.
+		if ( accountID !== registry.select( STORE_NAME ).getAccountID() ) {
+			return;
+		}
+
+		const { isAMP, getAMPMode } = registry.select( CORE_SITE );
+
+		// The web container is only used if AMP is not active, or in a secondary mode.
+		if ( ! isAMP() || getAMPMode() !== AMP_MODE_PRIMARY ) {
+			const [ webContainer ] = registry.select( STORE_NAME ).getContainers( accountID, CONTEXT_WEB );
+			yield containerActions.selectWebContainer( webContainer?.publicId || CONTAINER_CREATE ); // Capitalization rule exception: publicId
+		}
+
+		if ( isAMP() ) {
+			const [ ampContainer ] = registry.select( STORE_NAME ).getContainers( accountID, CONTEXT_AMP );
+			yield containerActions.selectAMPContainer( ampContainer?.publicId || CONTAINER_CREATE ); // Capitalization rule exception: publicId
+		}
 	},
 };
 
@@ -20,7 +20,8 @@
  * Internal dependencies
  */
 import API from 'googlesitekit-api';
-import { STORE_NAME } from './constants';
+import { STORE_NAME, ACCOUNT_CREATE, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from './constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY, AMP_MODE_SECONDARY } from '../../../googlesitekit/datastore/site/constants';
 import {
 	createTestRegistry,
 	muteConsole,
@@ -28,6 +29,7 @@ import {
 	untilResolved,
 	unsubscribeFromAll,
 } from '../../../../../tests/js/utils';
+import * as factories from './__factories__';
 import * as fixtures from './__fixtures__';
 
 describe( 'modules/tagmanager accounts', () => {
@@ -51,6 +53,7 @@ describe( 'modules/tagmanager accounts', () => {
 		// Preload default settings to prevent the resolver from making unexpected requests
 		// as this is covered in settings store tests.
 		registry.dispatch( STORE_NAME ).receiveGetSettings( defaultSettings );
+		registry.dispatch( CORE_SITE ).receiveSiteInfo( {} );
 	} );
 
 	afterAll( () => {
@@ -100,6 +103,75 @@ describe( 'modules/tagmanager accounts', () => {
 				expect( registry.select( STORE_NAME ).hasFinishedResolution( 'getAccounts' ) ).toStrictEqual( false );
 			} );
 		} );
+
+		describe( 'selectAccount', () => {
+			const buildContainers = () => {
+				const { account, containers: webContainers } = factories.buildAccountWithContainers( {
+					container: { usageContext: [ CONTEXT_WEB ] },
+				} );
+				const { containers: ampContainers } = factories.buildAccountWithContainers( {
+					account,
+					container: { usageContext: [ CONTEXT_AMP ] },
+				} );
+
+				return { accountID: account.accountId, webContainers, ampContainers };
+			};
+
+			it( 'selects the first web container of the account', async () => {
+				const { accountID, webContainers, ampContainers } = buildContainers();
+				registry.dispatch( STORE_NAME ).receiveGetContainers( [ ...webContainers, ...ampContainers ], { accountID } );
+
+				await registry.dispatch( STORE_NAME ).selectAccount( accountID );
+
+				expect( registry.select( STORE_NAME ).getAccountID() ).toBe( accountID );
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( webContainers[ 0 ].publicId );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( webContainers[ 0 ].containerId );
+				expect( registry.select( STORE_NAME ).getAMPContainerID() ).toBe( '' );
+			} );
+
+			it( 'selects only the first AMP container in primary AMP mode', async () => {
+				const { accountID, webContainers, ampContainers } = buildContainers();
+				registry.dispatch( CORE_SITE ).receiveSiteInfo( { ampMode: AMP_MODE_PRIMARY } );
+				registry.dispatch( STORE_NAME ).receiveGetContainers( [ ...webContainers, ...ampContainers ], { accountID } );
+
+				await registry.dispatch( STORE_NAME ).selectAccount( accountID );
+
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( '' );
+				expect( registry.select( STORE_NAME ).getAMPContainerID() ).toBe( ampContainers[ 0 ].publicId );
+				expect( registry.select( STORE_NAME ).getInternalAMPContainerID() ).toBe( ampContainers[ 0 ].containerId );
+			} );
+
+			it( 'selects web and AMP containers in secondary AMP mode, once containers are loaded', async () => {
+				const { accountID, webContainers } = buildContainers();
+				registry.dispatch( CORE_SITE ).receiveSiteInfo( { ampMode: AMP_MODE_SECONDARY } );
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/tagmanager\/data\/containers/,
+					{ body: webContainers, status: 200 }
+				);
+
+				await registry.dispatch( STORE_NAME ).selectAccount( accountID );
+
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( webContainers[ 0 ].publicId );
+				// There is no AMP container in the account yet.
+				expect( registry.select( STORE_NAME ).getAMPContainerID() ).toBe( CONTAINER_CREATE );
+			} );
+
+			it( 'clears container selections when "set up a new account" is selected', async () => {
+				registry.dispatch( STORE_NAME ).setSettings( {
+					...defaultSettings,
+					accountID: '12345',
+					containerID: 'GTM-ABC123',
+					internalContainerID: '8765',
+				} );
+
+				await registry.dispatch( STORE_NAME ).selectAccount( ACCOUNT_CREATE );
+
+				expect( registry.select( STORE_NAME ).getAccountID() ).toBe( ACCOUNT_CREATE );
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( '' );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( '' );
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+		} );
 	} );
 
 	describe( 'selectors', () => {
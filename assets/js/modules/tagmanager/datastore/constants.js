@@ -26,3 +26,12 @@ export const CONTAINER_CREATE = 'container_create';
 export const CONTEXT_WEB = 'web';
 // Usage context for AMP containers.
 export const CONTEXT_AMP = 'amp';
+// Usage context for server-side containers.
+export const CONTEXT_SERVER = 'server';
+// Form ID for the module setup form.
+export const FORM_SETUP = 'tagmanagerSetup';
+// Form ID for the module settings form.
+export const FORM_SETTINGS = 'tagmanagerSettings';
+
+// OAuth scope required for creating a Tag Manager container.
+export const EDIT_SCOPE = 'https://www.googleapis.com/auth/tagmanager.edit.containers';
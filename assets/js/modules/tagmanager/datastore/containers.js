@@ -26,9 +26,13 @@ import invariant from 'invariant';
  */
 import API from 'googlesitekit-api';
 import Data from 'googlesitekit-data';
-import { STORE_NAME, CONTEXT_WEB, CONTEXT_AMP } from './constants';
-import { isValidAccountID, isValidUsageContext } from '../util/validation';
+import { STORE_NAME, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from './constants';
+import { isValidAccountID, isValidContainerSelection, isValidUsageContext } from '../util/validation';
 import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
+const { createRegistryControl } = Data;
+
+// Actions
+const WAIT_FOR_CONTAINERS = 'WAIT_FOR_CONTAINERS';
 
 const fetchGetContainersStore = createFetchStore( {
 	baseName: 'getContainers',
@@ -102,10 +106,100 @@ const baseActions = {
 
 		return { response, error };
 	},
+
+	/**
+	 * Selects the given web container.
+	 *
+	 * Also sets the internal container ID once the containers of the selected account are loaded.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} containerID Container ID (publicId) to select, or the "set up a new container" option.
+	 */
+	*selectWebContainer( containerID ) {
+		invariant( isValidContainerSelection( containerID ), 'A valid containerID selection is required to select.' );
+
+		const registry = yield Data.commonActions.getRegistry();
+		registry.dispatch( STORE_NAME ).setContainerID( containerID );
+		registry.dispatch( STORE_NAME ).setInternalContainerID( '' );
+
+		const accountID = registry.select( STORE_NAME ).getAccountID();
+		if ( CONTAINER_CREATE === containerID || ! isValidAccountID( accountID ) ) {
+			return;
+		}
+
+		yield baseActions.waitForContainers( accountID );
+		const container = registry.select( STORE_NAME ).getContainerByID( accountID, containerID );
+
+		// Only set the internal ID if the selection did not change in the meantime.
+		if ( container && containerID === registry.select( STORE_NAME ).getContainerID() ) {
+			registry.dispatch( STORE_NAME ).setInternalContainerID( container.containerId ); // Capitalization rule exception: containerId
+		}
+	},
+
+	/**
+	 * Selects the given AMP container.
+	 *
+	 * Also sets the internal AMP container ID once the containers of the selected account are loaded.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} containerID Container ID (publicId) to select, or the "set up a new container" option.
+	 */
+	*selectAMPContainer( containerID ) {
+		invariant( isValidContainerSelection( containerID ), 'A valid containerID selection is required to select.' );
+
+		const registry = yield Data.commonActions.getRegistry();
+		registry.dispatch( STORE_NAME ).setAMPContainerID( containerID );
+		registry.dispatch( STORE_NAME ).setInternalAMPContainerID( '' );
+
+		const accountID = registry.select( STORE_NAME ).getAccountID();
+		if ( CONTAINER_CREATE === containerID || ! isValidAccountID( accountID ) ) {
+			return;
+		}
+
+		yield baseActions.waitForContainers( accountID );
+		const container = registry.select( STORE_NAME ).getContainerByID( accountID, containerID );
+
+		// Only set the internal ID if the selection did not change in the meantime.
+		if ( container && containerID === registry.select( STORE_NAME ).getAMPContainerID() ) {
+			registry.dispatch( STORE_NAME ).setInternalAMPContainerID( container.containerId ); // Capitalization rule exception: containerId
+		}
+	},
+
+	waitForContainers( accountID ) {
+		return {
+			payload: { accountID },
+			type: WAIT_FOR_CONTAINERS,
+		};
+	},
+};
+
+const baseControls = {
+	[ WAIT_FOR_CONTAINERS ]: createRegistryControl( ( registry ) => ( { payload: { accountID } } ) => {
+		const areContainersLoaded = () => registry.select( STORE_NAME ).getContainers( accountID ) !== undefined;
+
+		if ( areContainersLoaded() ) {
+			return true;
+		}
+
+		return new Promise( ( resolve ) => {
+			const unsubscribe = registry.subscribe( () => {
+				if ( areContainersLoaded() ) {
+					unsubscribe();
+					resolve();
+				}
+			} );
+		} );
+	} ),
 };
 
 const baseResolvers = {
 	*getContainers( accountID ) {
+		if ( ! isValidAccountID( accountID ) ) {
+			return;
+		}
+
 		const { select } = yield Data.commonActions.getRegistry();
 
 		if ( ! select( STORE_NAME ).getContainers( accountID ) ) {
@@ -115,6 +209,26 @@ const baseResolvers = {
 };
 
 const baseSelectors = {
+	/**
+	 * Gets a container of the given account by its container ID (publicId).
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state       Data store's state.
+	 * @param {string} accountID   Account ID the container belongs to.
+	 * @param {string} containerID Container ID (publicId) to get the container for.
+	 * @return {(Object|null|undefined)} Container object, `null` if not found, or `undefined` if containers are not loaded yet.
+	 */
+	getContainerByID( state, accountID, containerID ) {
+		const containers = state.containers[ accountID ];
+
+		if ( containers === undefined ) {
+			return undefined;
+		}
+
+		return containers.find( ( { publicId } ) => publicId === containerID ) || null; // Capitalization rule exception: publicId
+	},
+
 	/**
 	 * Gets the containers for a given account.
 	 *
@@ -154,6 +268,7 @@ const store = Data.combineStores(
 	{
 		INITIAL_STATE: BASE_INITIAL_STATE,
 		actions: baseActions,
+		controls: baseControls,
 		resolvers: baseResolvers,
 		selectors: baseSelectors,
 	}
@@ -20,7 +20,7 @@
  * Internal dependencies
  */
 import API from 'googlesitekit-api';
-import { STORE_NAME, CONTEXT_WEB, CONTEXT_AMP } from './constants';
+import { STORE_NAME, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from './constants';
 import {
 	createTestRegistry,
 	muteConsole,
@@ -131,6 +131,71 @@ describe( 'modules/tagmanager containers', () => {
 				expect( containers ).toEqual( undefined );
 			} );
 		} );
+
+		describe( 'selectWebContainer', () => {
+			it( 'sets the container ID and the internal container ID', async () => {
+				const { account, containers } = factories.buildAccountWithContainers( { container: { usageContext: [ CONTEXT_WEB ] } } );
+				const accountID = account.accountId;
+				registry.dispatch( STORE_NAME ).setAccountID( accountID );
+				registry.dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+
+				await registry.dispatch( STORE_NAME ).selectWebContainer( containers[ 0 ].publicId );
+
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( containers[ 0 ].publicId );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( containers[ 0 ].containerId );
+			} );
+
+			it( 'sets the internal container ID once containers are loaded', async () => {
+				const { account, containers } = factories.buildAccountWithContainers( { container: { usageContext: [ CONTEXT_WEB ] } } );
+				const accountID = account.accountId;
+				registry.dispatch( STORE_NAME ).setAccountID( accountID );
+				fetchMock.getOnce(
+					/^\/google-site-kit\/v1\/modules\/tagmanager\/data\/containers/,
+					{ body: containers, status: 200 }
+				);
+
+				const promise = registry.dispatch( STORE_NAME ).selectWebContainer( containers[ 0 ].publicId );
+
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( containers[ 0 ].publicId );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( '' );
+
+				await promise;
+
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( containers[ 0 ].containerId );
+			} );
+
+			it( 'clears the internal container ID when "set up a new container" is selected', async () => {
+				registry.dispatch( STORE_NAME ).setAccountID( '12345' );
+				registry.dispatch( STORE_NAME ).setInternalContainerID( '9876' );
+
+				await registry.dispatch( STORE_NAME ).selectWebContainer( CONTAINER_CREATE );
+
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( CONTAINER_CREATE );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( '' );
+				expect( fetchMock ).not.toHaveFetched();
+			} );
+
+			it( 'requires a valid container selection', () => {
+				muteConsole( 'error' );
+				return expect( registry.dispatch( STORE_NAME ).selectWebContainer( 'invalid' ) ).rejects.toThrow( 'A valid containerID selection is required to select.' );
+			} );
+		} );
+
+		describe( 'selectAMPContainer', () => {
+			it( 'sets the AMP container ID and the internal AMP container ID', async () => {
+				const { account, containers } = factories.buildAccountWithContainers( { container: { usageContext: [ CONTEXT_AMP ] } } );
+				const accountID = account.accountId;
+				registry.dispatch( STORE_NAME ).setAccountID( accountID );
+				registry.dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+
+				await registry.dispatch( STORE_NAME ).selectAMPContainer( containers[ 0 ].publicId );
+
+				expect( registry.select( STORE_NAME ).getAMPContainerID() ).toBe( containers[ 0 ].publicId );
+				expect( registry.select( STORE_NAME ).getInternalAMPContainerID() ).toBe( containers[ 0 ].containerId );
+				// The web container is left untouched.
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( '' );
+			} );
+		} );
 	} );
 
 	describe( 'selectors', () => {
@@ -146,6 +211,10 @@ describe( 'modules/tagmanager containers', () => {
 
 				const initialContainers = registry.select( STORE_NAME ).getContainers( accountID );
 
+				expect( initialContainers ).toEqual( undefined );
+
+				await untilResolved( registry, STORE_NAME ).getContainers( accountID );
+
 				// Ensure the proper parameters were sent.
 				expect( fetchMock ).toHaveFetched(
 					/^\/google-site-kit\/v1\/modules\/tagmanager\/data\/containers/,
@@ -154,10 +223,6 @@ describe( 'modules/tagmanager containers', () => {
 					}
 				);
 
-				expect( initialContainers ).toEqual( undefined );
-
-				await untilResolved( registry, STORE_NAME ).getContainers( accountID );
-
 				const resolvedContainers = registry.select( STORE_NAME ).getContainers( accountID );
 
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
@@ -229,5 +294,20 @@ describe( 'modules/tagmanager containers', () => {
 				expect( getContainers( accountID ) ).toEqual( [ ...webContainers, ...ampContainers ] );
 			} );
 		} );
+
+		describe( 'getContainerByID', () => {
+			it( 'returns the container with the given container ID', () => {
+				const { account, containers } = factories.buildAccountWithContainers( { count: 2 } );
+				const accountID = account.accountId;
+				registry.dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+
+				expect( registry.select( STORE_NAME ).getContainerByID( accountID, containers[ 1 ].publicId ) ).toEqual( containers[ 1 ] );
+				expect( registry.select( STORE_NAME ).getContainerByID( accountID, 'GTM-NOTHERE' ) ).toBe( null );
+			} );
+
+			it( 'returns undefined if containers are not loaded yet', () => {
+				expect( registry.select( STORE_NAME ).getContainerByID( '12345', 'GTM-ABC123' ) ).toBe( undefined );
+			} );
+		} );
 	} );
 } );
@@ -0,0 +1,136 @@
+/**
+ * modules/tagmanager data store: duplicate tracking.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_MODULES } from '../../../googlesitekit/modules/datastore/constants';
+import { STORE_NAME as MODULES_ANALYTICS } from '../../analytics/datastore/constants';
+import { isValidAccountID, isValidInternalContainerID } from '../util/validation';
+import { isValidPropertyID } from '../../analytics/util/validation';
+const { createRegistrySelector } = Data;
+
+export const INITIAL_STATE = {};
+
+export const actions = {};
+
+export const controls = {};
+
+export const reducer = ( state ) => state;
+
+export const resolvers = {};
+
+export const selectors = {
+	/**
+	 * Gets the Google Analytics property IDs of the live versions of the selected containers.
+	 *
+	 * Both the web and the AMP container are taken into account. A container whose
+	 * live version could not be loaded, e.g. because it was never published,
+	 * does not contribute any property IDs. Additional web containers are not
+	 * taken into account either, as only their public IDs are stored, while
+	 * loading a live version requires the internal container ID.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return {(Array.<string>|undefined)} Unique list of property IDs, or `undefined` if not loaded yet.
+	 */
+	getSelectedContainersGoogleAnalyticsPropertyIDs: createRegistrySelector( ( select ) => () => {
+		const {
+			getAccountID,
+			getInternalContainerID,
+			getInternalAMPContainerID,
+			getLiveContainerGoogleAnalyticsPropertyIDs,
+			hasFinishedResolution,
+		} = select( STORE_NAME );
+
+		const accountID = getAccountID();
+		if ( accountID === undefined ) {
+			return undefined;
+		}
+
+		const internalContainerIDs = [ getInternalContainerID(), getInternalAMPContainerID() ].filter( isValidInternalContainerID );
+		if ( ! isValidAccountID( accountID ) || ! internalContainerIDs.length ) {
+			return [];
+		}
+
+		const propertyIDs = [];
+		for ( const internalContainerID of internalContainerIDs ) {
+			const containerPropertyIDs = getLiveContainerGoogleAnalyticsPropertyIDs( accountID, internalContainerID );
+
+			if ( containerPropertyIDs === undefined ) {
+				if ( ! hasFinishedResolution( 'getLiveContainerVersion', [ accountID, internalContainerID ] ) ) {
+					return undefined;
+				}
+				continue;
+			}
+
+			propertyIDs.push( ...containerPropertyIDs );
+		}
+
+		return [ ...new Set( propertyIDs ) ];
+	} ),
+
+	/**
+	 * Checks whether Analytics tracks pageviews twice, through Site Kit's Analytics snippet and through Tag Manager.
+	 *
+	 * This is the case if both modules are active, the Analytics snippet is placed
+	 * and the live version of a selected container includes a Universal Analytics
+	 * tag for the same property. Additional web containers are not checked.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return {(boolean|undefined)} `true` if there is duplicate tracking, `false` if not, or `undefined` if not loaded yet.
+	 */
+	hasDuplicateAnalyticsTracking: createRegistrySelector( ( select ) => () => {
+		const isAnalyticsActive = select( CORE_MODULES ).isModuleActive( 'analytics' );
+		const isTagManagerActive = select( CORE_MODULES ).isModuleActive( 'tagmanager' );
+		if ( isAnalyticsActive === undefined || isTagManagerActive === undefined ) {
+			return undefined;
+		}
+		if ( ! isAnalyticsActive || ! isTagManagerActive ) {
+			return false;
+		}
+
+		const useSnippet = select( MODULES_ANALYTICS ).getUseSnippet();
+		const propertyID = select( MODULES_ANALYTICS ).getPropertyID();
+		if ( useSnippet === undefined || propertyID === undefined ) {
+			return undefined;
+		}
+		if ( ! useSnippet || ! isValidPropertyID( propertyID ) ) {
+			return false;
+		}
+
+		const propertyIDs = select( STORE_NAME ).getSelectedContainersGoogleAnalyticsPropertyIDs();
+		if ( propertyIDs === undefined ) {
+			return undefined;
+		}
+
+		return propertyIDs.includes( propertyID );
+	} ),
+};
+
+export default {
+	INITIAL_STATE,
+	actions,
+	controls,
+	reducer,
+	resolvers,
+	selectors,
+};
@@ -0,0 +1,122 @@
+/**
+ * modules/tagmanager data store: duplicate tracking tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import API from 'googlesitekit-api';
+import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_MODULES } from '../../../googlesitekit/modules/datastore/constants';
+import { STORE_NAME as MODULES_ANALYTICS } from '../../analytics/datastore/constants';
+import {
+	createTestRegistry,
+	muteConsole,
+	untilResolved,
+	unsubscribeFromAll,
+} from '../../../../../tests/js/utils';
+import modulesFixtures from '../../../googlesitekit/modules/datastore/fixtures.json';
+import * as fixtures from './__fixtures__';
+
+describe( 'modules/tagmanager duplicate tracking', () => {
+	const accountID = '100';
+	const internalContainerID = '200';
+	const internalAMPContainerID = '300';
+	const liveContainerVersionEndpoint = /^\/google-site-kit\/v1\/modules\/tagmanager\/data\/live-container-version/;
+	const modules = modulesFixtures.map( ( module ) => module.slug === 'tagmanager' ? { ...module, active: true } : module );
+	let registry;
+
+	beforeAll( () => {
+		API.setUsingCache( false );
+	} );
+
+	beforeEach( () => {
+		registry = createTestRegistry();
+		registry.dispatch( CORE_MODULES ).receiveGetModules( modules );
+		registry.dispatch( STORE_NAME ).receiveGetSettings( { accountID, internalContainerID, internalAMPContainerID: '' } );
+		registry.dispatch( MODULES_ANALYTICS ).receiveGetSettings( { propertyID: 'UA-000000-2', useSnippet: true } );
+	} );
+
+	afterAll( () => {
+		API.setUsingCache( true );
+	} );
+
+	afterEach( () => {
+		unsubscribeFromAll( registry );
+	} );
+
+	describe( 'selectors', () => {
+		describe( 'getSelectedContainersGoogleAnalyticsPropertyIDs', () => {
+			it( 'returns the property IDs of both the web and the AMP container', () => {
+				registry.dispatch( STORE_NAME ).setInternalAMPContainerID( internalAMPContainerID );
+				registry.dispatch( STORE_NAME ).receiveGetLiveContainerVersion( fixtures.liveContainerVersionAnalytics, { accountID, internalContainerID } );
+				registry.dispatch( STORE_NAME ).receiveGetLiveContainerVersion( fixtures.liveContainerVersion, { accountID, internalContainerID: internalAMPContainerID } );
+
+				expect( registry.select( STORE_NAME ).getSelectedContainersGoogleAnalyticsPropertyIDs() ).toEqual( [ 'UA-000000-1', 'UA-000000-2' ] );
+			} );
+
+			it( 'returns an empty list if no container is selected', () => {
+				registry.dispatch( STORE_NAME ).setInternalContainerID( '' );
+
+				expect( registry.select( STORE_NAME ).getSelectedContainersGoogleAnalyticsPropertyIDs() ).toEqual( [] );
+			} );
+
+			it( 'ignores containers whose live version cannot be loaded', async () => {
+				fetchMock.getOnce( liveContainerVersionEndpoint, {
+					body: { code: 'not_found', message: 'Not found', data: { status: 404 } },
+					status: 404,
+				} );
+
+				muteConsole( 'error' );
+				expect( registry.select( STORE_NAME ).getSelectedContainersGoogleAnalyticsPropertyIDs() ).toBeUndefined();
+				await untilResolved( registry, STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+
+				expect( registry.select( STORE_NAME ).getSelectedContainersGoogleAnalyticsPropertyIDs() ).toEqual( [] );
+			} );
+		} );
+
+		describe( 'hasDuplicateAnalyticsTracking', () => {
+			beforeEach( () => {
+				registry.dispatch( STORE_NAME ).receiveGetLiveContainerVersion( fixtures.liveContainerVersionAnalytics, { accountID, internalContainerID } );
+			} );
+
+			it( 'returns true if the live container tracks the property of the Analytics snippet', () => {
+				expect( registry.select( STORE_NAME ).hasDuplicateAnalyticsTracking() ).toBe( true );
+			} );
+
+			it( 'returns false if the live container tracks other properties', () => {
+				registry.dispatch( MODULES_ANALYTICS ).setPropertyID( 'UA-000000-3' );
+
+				expect( registry.select( STORE_NAME ).hasDuplicateAnalyticsTracking() ).toBe( false );
+			} );
+
+			it( 'returns false if the Analytics snippet is not placed', () => {
+				registry.dispatch( MODULES_ANALYTICS ).setUseSnippet( false );
+
+				expect( registry.select( STORE_NAME ).hasDuplicateAnalyticsTracking() ).toBe( false );
+			} );
+
+			it.each( [ 'analytics', 'tagmanager' ] )( 'returns false if %s is not active', ( slug ) => {
+				registry.dispatch( CORE_MODULES ).receiveGetModules(
+					modules.map( ( module ) => module.slug === slug ? { ...module, active: false } : module )
+				);
+
+				expect( registry.select( STORE_NAME ).hasDuplicateAnalyticsTracking() ).toBe( false );
+			} );
+		} );
+	} );
+} );
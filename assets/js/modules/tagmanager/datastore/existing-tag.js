@@ -27,9 +27,12 @@ import invariant from 'invariant';
 import API from 'googlesitekit-api';
 import Data from 'googlesitekit-data';
 import { STORE_NAME } from './constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY } from '../../../googlesitekit/datastore/site/constants';
 import { getExistingTag } from '../../../util/tag';
 import { isValidContainerID, isValidContainerSelection } from '../util/validation';
 import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
+import { actions as accountActions } from './accounts';
+import { actions as containerActions } from './containers';
 
 const { createRegistrySelector } = Data;
 
@@ -71,6 +74,39 @@ const BASE_INITIAL_STATE = {
 	tagPermission: {},
 };
 
+const baseActions = {
+	/**
+	 * Selects the account and the container of the existing tag.
+	 *
+	 * The existing tag is only selected if the user has access to its container.
+	 * In primary AMP mode, it is selected as the AMP container, otherwise as the web container.
+	 *
+	 * @since n.e.x.t
+	 */
+	*selectExistingTag() {
+		const registry = yield Data.commonActions.getRegistry();
+		const containerID = registry.select( STORE_NAME ).getExistingTag();
+
+		if ( ! isValidContainerID( containerID ) ) {
+			return;
+		}
+
+		const { accountID, permission } = registry.select( STORE_NAME ).getTagPermission( containerID ) || {};
+
+		if ( ! permission ) {
+			return;
+		}
+
+		yield accountActions.selectAccount( accountID );
+
+		if ( registry.select( CORE_SITE ).isAMP() && registry.select( CORE_SITE ).getAMPMode() === AMP_MODE_PRIMARY ) {
+			yield containerActions.selectAMPContainer( containerID );
+		} else {
+			yield containerActions.selectWebContainer( containerID );
+		}
+	},
+};
+
 const baseResolvers = {
 	*getExistingTag() {
 		const { select } = yield Data.commonActions.getRegistry();
@@ -183,6 +219,7 @@ const store = Data.combineStores(
 	fetchGetTagPermissionStore,
 	{
 		INITIAL_STATE: BASE_INITIAL_STATE,
+		actions: baseActions,
 		resolvers: baseResolvers,
 		selectors: baseSelectors,
 	}
@@ -20,7 +20,8 @@
  * Internal dependencies
  */
 import API from 'googlesitekit-api';
-import { STORE_NAME } from './constants';
+import { STORE_NAME, CONTEXT_WEB, CONTEXT_AMP } from './constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_PRIMARY } from '../../../googlesitekit/datastore/site/constants';
 import {
 	createTestRegistry,
 	muteConsole,
@@ -50,8 +51,60 @@ describe( 'modules/tagmanager existing-tag', () => {
 	} );
 
 	describe( 'actions', () => {
-		// No non-fetch actions to test yet.
 		// Fetch actions are tested implicitly by their selectors.
+
+		describe( 'selectExistingTag', () => {
+			const buildExistingTag = ( usageContext ) => {
+				const { account, containers } = factories.buildAccountWithContainers( {
+					container: { usageContext: [ usageContext ] },
+					count: 2,
+				} );
+				const accountID = account.accountId;
+				// The existing tag is not the first container, which would be selected by default.
+				const containerID = containers[ 1 ].publicId;
+
+				registry.dispatch( STORE_NAME ).receiveGetSettings( {} );
+				registry.dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+				registry.dispatch( STORE_NAME ).receiveGetExistingTag( containerID );
+
+				return { accountID, containerID, internalContainerID: containers[ 1 ].containerId };
+			};
+
+			it( 'selects the account and web container of the existing tag', async () => {
+				registry.dispatch( CORE_SITE ).receiveSiteInfo( {} );
+				const { accountID, containerID, internalContainerID } = buildExistingTag( CONTEXT_WEB );
+				registry.dispatch( STORE_NAME ).receiveGetTagPermission( { accountID, permission: true }, { containerID } );
+
+				await registry.dispatch( STORE_NAME ).selectExistingTag();
+
+				expect( registry.select( STORE_NAME ).getAccountID() ).toBe( accountID );
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( containerID );
+				expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( internalContainerID );
+			} );
+
+			it( 'selects the existing tag as the AMP container in primary AMP mode', async () => {
+				registry.dispatch( CORE_SITE ).receiveSiteInfo( { ampMode: AMP_MODE_PRIMARY } );
+				const { accountID, containerID, internalContainerID } = buildExistingTag( CONTEXT_AMP );
+				registry.dispatch( STORE_NAME ).receiveGetTagPermission( { accountID, permission: true }, { containerID } );
+
+				await registry.dispatch( STORE_NAME ).selectExistingTag();
+
+				expect( registry.select( STORE_NAME ).getAccountID() ).toBe( accountID );
+				expect( registry.select( STORE_NAME ).getAMPContainerID() ).toBe( containerID );
+				expect( registry.select( STORE_NAME ).getInternalAMPContainerID() ).toBe( internalContainerID );
+			} );
+
+			it( 'does not select anything without access to the existing tag', async () => {
+				registry.dispatch( CORE_SITE ).receiveSiteInfo( {} );
+				const { accountID, containerID } = buildExistingTag( CONTEXT_WEB );
+				registry.dispatch( STORE_NAME ).receiveGetTagPermission( { accountID, permission: false }, { containerID } );
+
+				await registry.dispatch( STORE_NAME ).selectExistingTag();
+
+				expect( registry.select( STORE_NAME ).getAccountID() ).toBe( undefined );
+				expect( registry.select( STORE_NAME ).getContainerID() ).toBe( undefined );
+			} );
+		} );
 	} );
 
 	describe( 'selectors', () => {
@@ -133,6 +186,8 @@ describe( 'modules/tagmanager existing-tag', () => {
 				// The value will be undefined until the response is received.
 				expect( registry.select( STORE_NAME ).getTagPermission( containerID ) ).toEqual( undefined );
 
+				await untilResolved( registry, STORE_NAME ).getTagPermission( containerID );
+
 				expect( fetchMock ).toHaveFetched(
 					/^\/google-site-kit\/v1\/modules\/tagmanager\/data\/tag-permission/,
 					{
@@ -140,8 +195,6 @@ describe( 'modules/tagmanager existing-tag', () => {
 					}
 				);
 
-				await untilResolved( registry, STORE_NAME ).getTagPermission( containerID );
-
 				expect( fetchMock ).toHaveFetchedTimes( 1 );
 				// The value will be undefined until the response is received.
 				expect( registry.select( STORE_NAME ).getTagPermission( containerID ) ).toEqual(
@@ -24,6 +24,7 @@ import Modules from 'googlesitekit-modules';
 import { STORE_NAME } from './constants';
 import accounts from './accounts';
 import containers from './containers';
+import duplicateTracking from './duplicate-tracking';
 import error from './error';
 import existingTag from './existing-tag';
 import settings from './settings';
@@ -34,10 +35,12 @@ let baseModuleStore = Modules.createModuleStore( 'tagmanager', {
 	storeName: STORE_NAME,
 	settingSlugs: [
 		'accountID',
+		'additionalContainerIDs',
 		'ampContainerID',
 		'containerID',
 		'internalContainerID',
 		'internalAMPContainerID',
+		'serverContainerURL',
 		'useSnippet',
 	],
 } );
@@ -64,6 +67,7 @@ const store = Data.combineStores(
 	baseModuleStore,
 	accounts,
 	containers,
+	duplicateTracking,
 	error,
 	existingTag,
 	settings,
@@ -16,6 +16,11 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import invariant from 'invariant';
+
 /**
  * Internal dependencies
  */
@@ -28,6 +33,8 @@ import {
 	isValidContainerID,
 	isValidInternalContainerID,
 	isValidContainerSelection,
+	isValidAdditionalContainerIDs,
+	isValidServerContainerURL,
 } from '../util/validation';
 import { STORE_NAME, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from './constants';
 import { STORE_NAME as CORE_SITE, AMP_MODE_SECONDARY } from '../../../googlesitekit/datastore/site/constants';
@@ -44,6 +51,67 @@ export const INITIAL_STATE = {
 };
 
 export const actions = {
+	/**
+	 * Adds a web container to place after the selected web container and the other additional ones.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} containerID Container ID to add.
+	 */
+	*addAdditionalContainerID( containerID ) {
+		invariant( isValidContainerID( containerID ), 'A valid containerID is required to add.' );
+
+		const registry = yield Data.commonActions.getRegistry();
+		const additionalContainerIDs = registry.select( STORE_NAME ).getAdditionalContainerIDs() || [];
+
+		if ( additionalContainerIDs.includes( containerID ) ) {
+			return;
+		}
+
+		registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ ...additionalContainerIDs, containerID ] );
+	},
+
+	/**
+	 * Removes an additional web container.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} containerID Container ID to remove.
+	 */
+	*removeAdditionalContainerID( containerID ) {
+		invariant( containerID, 'containerID is required.' );
+
+		const registry = yield Data.commonActions.getRegistry();
+		const additionalContainerIDs = registry.select( STORE_NAME ).getAdditionalContainerIDs() || [];
+
+		registry.dispatch( STORE_NAME ).setAdditionalContainerIDs(
+			additionalContainerIDs.filter( ( id ) => id !== containerID )
+		);
+	},
+
+	/**
+	 * Moves an additional web container to another position in the list of additional web containers.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {string} containerID Container ID to move.
+	 * @param {number} index       New position of the container, starting at 0.
+	 */
+	*moveAdditionalContainerID( containerID, index ) {
+		invariant( containerID, 'containerID is required.' );
+		invariant( Number.isInteger( index ) && index >= 0, 'index must be a non-negative integer.' );
+
+		const registry = yield Data.commonActions.getRegistry();
+		const additionalContainerIDs = registry.select( STORE_NAME ).getAdditionalContainerIDs() || [];
+
+		invariant( additionalContainerIDs.includes( containerID ), 'containerID must be one of the additional container IDs.' );
+
+		const containerIDs = additionalContainerIDs.filter( ( id ) => id !== containerID );
+		containerIDs.splice( index, 0, containerID );
+
+		registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( containerIDs );
+	},
+
 	/**
 	 * Submits all changes currently present in the client, persisting them on the server.
 	 *
@@ -152,10 +220,12 @@ export const selectors = {
 	canSubmitChanges: createRegistrySelector( ( select ) => () => {
 		const {
 			getAccountID,
+			getAdditionalContainerIDs,
 			getContainerID,
 			getAMPContainerID,
 			getInternalContainerID,
 			getInternalAMPContainerID,
+			getServerContainerURL,
 			hasExistingTagPermission,
 			haveSettingsChanged,
 			isDoingSubmitChanges,
@@ -192,6 +262,13 @@ export const selectors = {
 				return false;
 			}
 		}
+		// Additional web containers are only placed along with the selected web container.
+		if ( ! isValidAdditionalContainerIDs( getAdditionalContainerIDs() || [], getContainerID() ) ) {
+			return false;
+		}
+		if ( getServerContainerURL() && ! isValidServerContainerURL( getServerContainerURL() ) ) {
+			return false;
+		}
 		// Do existing tag check last.
 		if ( hasExistingTagPermission() === false ) {
 			return false;
@@ -200,6 +277,30 @@ export const selectors = {
 		return true;
 	} ),
 
+	/**
+	 * Gets the IDs of the web containers to place, in order.
+	 *
+	 * The selected web container comes first, followed by the additional web containers.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return {(Array.<string>|undefined)} List of container IDs, or `undefined` if settings are not loaded yet.
+	 */
+	getWebContainerIDs: createRegistrySelector( ( select ) => () => {
+		const containerID = select( STORE_NAME ).getContainerID();
+
+		if ( containerID === undefined ) {
+			return undefined;
+		}
+		if ( ! isValidContainerID( containerID ) ) {
+			return [];
+		}
+
+		const additionalContainerIDs = select( STORE_NAME ).getAdditionalContainerIDs();
+
+		return [ containerID, ...( additionalContainerIDs || [] ).filter( ( id ) => id !== containerID ) ];
+	} ),
+
 	/**
 	 * Checks whether changes are currently being submitted.
 	 *
@@ -299,9 +299,55 @@ describe( 'modules/tagmanager settings', () => {
 				} );
 			} );
 		} );
+
+		describe( 'additional web containers', () => {
+			const getAdditionalContainerIDs = () => registry.select( STORE_NAME ).getAdditionalContainerIDs();
+
+			beforeEach( () => {
+				registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ 'GTM-A1', 'GTM-B2' ] );
+			} );
+
+			it( 'adds a container to the end of the list once', async () => {
+				await expect( registry.dispatch( STORE_NAME ).addAdditionalContainerID( 'invalid' ) ).rejects.toThrow( 'A valid containerID is required to add.' );
+
+				await registry.dispatch( STORE_NAME ).addAdditionalContainerID( 'GTM-C3' );
+				await registry.dispatch( STORE_NAME ).addAdditionalContainerID( 'GTM-A1' );
+
+				expect( getAdditionalContainerIDs() ).toEqual( [ 'GTM-A1', 'GTM-B2', 'GTM-C3' ] );
+			} );
+
+			it( 'removes a container', async () => {
+				await registry.dispatch( STORE_NAME ).removeAdditionalContainerID( 'GTM-A1' );
+
+				expect( getAdditionalContainerIDs() ).toEqual( [ 'GTM-B2' ] );
+			} );
+
+			it( 'moves a container to another position', async () => {
+				await expect( registry.dispatch( STORE_NAME ).moveAdditionalContainerID( 'GTM-A1', -1 ) ).rejects.toThrow( 'index must be a non-negative integer.' );
+				await expect( registry.dispatch( STORE_NAME ).moveAdditionalContainerID( 'GTM-C3', 0 ) ).rejects.toThrow( 'containerID must be one of the additional container IDs.' );
+
+				await registry.dispatch( STORE_NAME ).moveAdditionalContainerID( 'GTM-B2', 0 );
+
+				expect( getAdditionalContainerIDs() ).toEqual( [ 'GTM-B2', 'GTM-A1' ] );
+			} );
+		} );
 	} );
 
 	describe( 'selectors', () => {
+		describe( 'getWebContainerIDs', () => {
+			it( 'returns the selected web container followed by the additional ones', () => {
+				registry.dispatch( STORE_NAME ).receiveGetSettings( { ...validSettings, additionalContainerIDs: [ 'GTM-B2', 'GTM-A1' ] } );
+
+				expect( registry.select( STORE_NAME ).getWebContainerIDs() ).toEqual( [ 'GTM-WEB1234', 'GTM-B2', 'GTM-A1' ] );
+			} );
+
+			it( 'returns an empty list without a selected web container', () => {
+				registry.dispatch( STORE_NAME ).receiveGetSettings( { ...validSettingsAMP, containerID: '', additionalContainerIDs: [ 'GTM-A1' ] } );
+
+				expect( registry.select( STORE_NAME ).getWebContainerIDs() ).toEqual( [] );
+			} );
+		} );
+
 		describe( 'isDoingSubmitChanges', () => {
 			it( 'returns true while submitting changes', async () => {
 				registry.dispatch( STORE_NAME ).receiveGetSettings( validSettings );
@@ -367,6 +413,31 @@ describe( 'modules/tagmanager settings', () => {
 					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
 				} );
 
+				it( 'requires valid and unique additional container IDs', () => {
+					registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ 'GTM-A1', 'GTM-B2' ] );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
+
+					registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ 'GTM-A1', 'invalid' ] );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( false );
+
+					registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ 'GTM-A1', 'GTM-A1' ] );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( false );
+
+					registry.dispatch( STORE_NAME ).setAdditionalContainerIDs( [ validSettings.containerID ] );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( false );
+				} );
+
+				it( 'requires a valid server container URL if set', () => {
+					registry.dispatch( STORE_NAME ).setServerContainerURL( 'https://gtm.example.com' );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
+
+					registry.dispatch( STORE_NAME ).setServerContainerURL( 'http://gtm.example.com' );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( false );
+
+					registry.dispatch( STORE_NAME ).setServerContainerURL( '' );
+					expect( registry.select( STORE_NAME ).canSubmitChanges() ).toBe( true );
+				} );
+
 				it( 'does not support creating an account', () => {
 					registry.dispatch( STORE_NAME ).setAccountID( ACCOUNT_CREATE );
 
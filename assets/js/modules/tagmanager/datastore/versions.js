@@ -28,9 +28,29 @@ import API from 'googlesitekit-api';
 import Data from 'googlesitekit-data';
 import { STORE_NAME } from './constants';
 import { isValidAccountID, isValidInternalContainerID } from '../util/validation';
+import { isValidPropertyID } from '../../analytics/util/validation';
 import { createFetchStore } from '../../../googlesitekit/data/create-fetch-store';
 const { createRegistrySelector } = Data;
 
+// Matches references to variables in parameter values, e.g. `{{Variable Name}}`.
+const VARIABLE_REFERENCE_REGEXP = /^{{(.+)}}$/;
+
+/**
+ * Gets the value of a parameter of a tag or variable by its key.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Object} entity Tag or variable with a `parameter` list.
+ * @param {string} key    Key of the parameter.
+ * @return {(string|undefined)} Value of the parameter, or `undefined` if it isn't set.
+ */
+const getParameterValue = ( { parameter = [] }, key ) => {
+	const found = parameter.find( ( param ) => param.key === key );
+
+	return found ? found.value : undefined;
+};
+
 const fetchGetLiveContainerVersionStore = createFetchStore( {
 	baseName: 'getLiveContainerVersion',
 	argsToParams: ( accountID, internalContainerID ) => {
@@ -86,6 +106,142 @@ const baseSelectors = {
 		return state.liveContainerVersions[ `${ accountID }::${ internalContainerID }` ];
 	},
 
+	/**
+	 * Gets the tags of the live container version for the given account and container IDs.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state               Data store's state.
+	 * @param {string} accountID           Account ID the container belongs to.
+	 * @param {string} internalContainerID Internal container ID to get the tags for.
+	 * @return {(Array.<Object>|undefined)} List of tags, or `undefined` if not loaded yet.
+	 */
+	getLiveContainerTags: createRegistrySelector( ( select ) => ( state, accountID, internalContainerID ) => {
+		const liveContainerVersion = select( STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+		if ( liveContainerVersion === undefined ) {
+			return undefined;
+		}
+
+		return liveContainerVersion.tag || [];
+	} ),
+
+	/**
+	 * Gets the triggers of the live container version for the given account and container IDs.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state               Data store's state.
+	 * @param {string} accountID           Account ID the container belongs to.
+	 * @param {string} internalContainerID Internal container ID to get the triggers for.
+	 * @return {(Array.<Object>|undefined)} List of triggers, or `undefined` if not loaded yet.
+	 */
+	getLiveContainerTriggers: createRegistrySelector( ( select ) => ( state, accountID, internalContainerID ) => {
+		const liveContainerVersion = select( STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+		if ( liveContainerVersion === undefined ) {
+			return undefined;
+		}
+
+		return liveContainerVersion.trigger || [];
+	} ),
+
+	/**
+	 * Gets the variables of the live container version for the given account and container IDs.
+	 *
+	 * User-defined variables are followed by the enabled built-in variables.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state               Data store's state.
+	 * @param {string} accountID           Account ID the container belongs to.
+	 * @param {string} internalContainerID Internal container ID to get the variables for.
+	 * @return {(Array.<Object>|undefined)} List of variables, or `undefined` if not loaded yet.
+	 */
+	getLiveContainerVariables: createRegistrySelector( ( select ) => ( state, accountID, internalContainerID ) => {
+		const liveContainerVersion = select( STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+		if ( liveContainerVersion === undefined ) {
+			return undefined;
+		}
+
+		return [
+			...( liveContainerVersion.variable || [] ),
+			...( liveContainerVersion.builtInVariable || [] ),
+		];
+	} ),
+
+	/**
+	 * Gets a user-defined variable of the live container version by its name.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state               Data store's state.
+	 * @param {string} accountID           Account ID the container belongs to.
+	 * @param {string} internalContainerID Internal container ID to get the variable for.
+	 * @param {string} variableName        Name of the variable.
+	 * @return {(Object|null|undefined)} Variable object, `null` if there is no variable with the name, or `undefined` if not loaded yet.
+	 */
+	getLiveContainerVariable: createRegistrySelector( ( select ) => ( state, accountID, internalContainerID, variableName ) => {
+		const liveContainerVersion = select( STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+		if ( liveContainerVersion === undefined ) {
+			return undefined;
+		}
+
+		const variables = liveContainerVersion.variable || [];
+
+		return variables.find( ( { name } ) => name === variableName ) || null;
+	} ),
+
+	/**
+	 * Gets the Google Analytics property IDs of the live container version for the given account and container IDs.
+	 *
+	 * Property IDs are collected from Universal Analytics tags which are not paused,
+	 * either set directly or through a Google Analytics Settings variable, and
+	 * resolving references to constant variables.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param {Object} state               Data store's state.
+	 * @param {string} accountID           Account ID the container belongs to.
+	 * @param {string} internalContainerID Internal container ID to get the property IDs for.
+	 * @return {(Array.<string>|undefined)} Unique list of property IDs, or `undefined` if not loaded yet.
+	 */
+	getLiveContainerGoogleAnalyticsPropertyIDs: createRegistrySelector( ( select ) => ( state, accountID, internalContainerID ) => {
+		const tags = select( STORE_NAME ).getLiveContainerTags( accountID, internalContainerID );
+		if ( tags === undefined ) {
+			return undefined;
+		}
+
+		const resolveValue = ( value ) => {
+			const [ , variableName ] = VARIABLE_REFERENCE_REGEXP.exec( value || '' ) || [];
+			if ( ! variableName ) {
+				return value;
+			}
+
+			const variable = select( STORE_NAME ).getLiveContainerVariable( accountID, internalContainerID, variableName );
+			if ( ! variable ) {
+				return undefined;
+			}
+
+			// Google Analytics Settings variables hold the property ID as their tracking ID.
+			if ( variable.type === 'gas' ) {
+				return resolveValue( getParameterValue( variable, 'trackingId' ) );
+			}
+
+			// Constant variables hold the property ID as their value.
+			if ( variable.type === 'c' ) {
+				return resolveValue( getParameterValue( variable, 'value' ) );
+			}
+
+			return undefined;
+		};
+
+		const propertyIDs = tags
+			.filter( ( { type, paused } ) => type === 'ua' && ! paused )
+			.map( ( tag ) => resolveValue( getParameterValue( tag, 'trackingId' ) || getParameterValue( tag, 'gaSettings' ) ) )
+			.filter( isValidPropertyID );
+
+		return [ ...new Set( propertyIDs ) ];
+	} ),
+
 	/**
 	 * Checks whether or not the live container version is being fetched for the given account and container IDs.
 	 *
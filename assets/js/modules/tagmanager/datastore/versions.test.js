@@ -162,5 +162,64 @@ describe( 'modules/tagmanager versions', () => {
 				).toBe( false );
 			} );
 		} );
+
+		describe( 'live container contents', () => {
+			const accountID = '100';
+			const internalContainerID = '200';
+
+			const receiveLiveContainerVersion = ( liveContainerVersion = fixtures.liveContainerVersionAnalytics ) => {
+				registry.dispatch( STORE_NAME ).receiveGetLiveContainerVersion( liveContainerVersion, { accountID, internalContainerID } );
+			};
+
+			it( 'returns undefined while the live container version is loading', async () => {
+				muteFetch( /^\/google-site-kit\/v1\/modules\/tagmanager\/data\/live-container-version/ );
+
+				expect( registry.select( STORE_NAME ).getLiveContainerTags( accountID, internalContainerID ) ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getLiveContainerTriggers( accountID, internalContainerID ) ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getLiveContainerVariables( accountID, internalContainerID ) ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getLiveContainerVariable( accountID, internalContainerID, 'Click URL' ) ).toBeUndefined();
+				expect( registry.select( STORE_NAME ).getLiveContainerGoogleAnalyticsPropertyIDs( accountID, internalContainerID ) ).toBeUndefined();
+
+				await untilResolved( registry, STORE_NAME ).getLiveContainerVersion( accountID, internalContainerID );
+			} );
+
+			it( 'returns the tags, triggers and variables of the live container version', () => {
+				receiveLiveContainerVersion();
+
+				const { tag, trigger, variable, builtInVariable } = fixtures.liveContainerVersionAnalytics;
+				expect( registry.select( STORE_NAME ).getLiveContainerTags( accountID, internalContainerID ) ).toEqual( tag );
+				expect( registry.select( STORE_NAME ).getLiveContainerTriggers( accountID, internalContainerID ) ).toEqual( trigger );
+				expect( registry.select( STORE_NAME ).getLiveContainerVariables( accountID, internalContainerID ) ).toEqual( [ ...variable, ...builtInVariable ] );
+			} );
+
+			it( 'returns empty lists for an empty container', () => {
+				receiveLiveContainerVersion( {} );
+
+				expect( registry.select( STORE_NAME ).getLiveContainerTags( accountID, internalContainerID ) ).toEqual( [] );
+				expect( registry.select( STORE_NAME ).getLiveContainerTriggers( accountID, internalContainerID ) ).toEqual( [] );
+				expect( registry.select( STORE_NAME ).getLiveContainerVariables( accountID, internalContainerID ) ).toEqual( [] );
+				expect( registry.select( STORE_NAME ).getLiveContainerGoogleAnalyticsPropertyIDs( accountID, internalContainerID ) ).toEqual( [] );
+			} );
+
+			it( 'returns a user-defined variable by its name', () => {
+				receiveLiveContainerVersion();
+
+				expect(
+					registry.select( STORE_NAME ).getLiveContainerVariable( accountID, internalContainerID, 'Secondary Property ID' )
+				).toMatchObject( { name: 'Secondary Property ID', type: 'c' } );
+				expect(
+					registry.select( STORE_NAME ).getLiveContainerVariable( accountID, internalContainerID, 'Not A Variable' )
+				).toBeNull();
+			} );
+
+			it( 'returns the property IDs of active Universal Analytics tags, resolving variables', () => {
+				receiveLiveContainerVersion();
+
+				// The paused tag's property ID is not included.
+				expect(
+					registry.select( STORE_NAME ).getLiveContainerGoogleAnalyticsPropertyIDs( accountID, internalContainerID )
+				).toEqual( [ 'UA-000000-1', 'UA-000000-2' ] );
+			} );
+		} );
 	} );
 } );
@@ -20,3 +20,24 @@
  * Internal dependencies
  */
 import './datastore';
+import { fillFilterWithComponent } from '../../util';
+import { SetupMain as TagManagerSetup } from './setup';
+import { SettingsMain as TagManagerSettings } from './settings';
+
+/**
+ * WordPress dependencies
+ */
+import { compose } from '@wordpress/compose';
+import { addFilter } from '@wordpress/hooks';
+
+addFilter(
+	'googlesitekit.ModuleSetup-tagmanager',
+	'googlesitekit.TagManagerModuleSetup',
+	compose( fillFilterWithComponent )( TagManagerSetup )
+);
+
+addFilter(
+	'googlesitekit.ModuleSettingsDetails-tagmanager',
+	'googlesitekit.TagManagerModuleSettings',
+	compose( fillFilterWithComponent )( TagManagerSettings )
+);
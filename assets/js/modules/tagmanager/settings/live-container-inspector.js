@@ -0,0 +1,148 @@
+/**
+ * Tag Manager Live Container Inspector component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _x, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import ProgressBar from '../../../components/progress-bar';
+import ErrorText from '../../../components/error-text';
+import { STORE_NAME } from '../datastore/constants';
+import { isValidAccountID, isValidInternalContainerID } from '../util/validation';
+const { useSelect } = Data;
+
+// ID of the built-in trigger firing on all pages, which is not part of the container's triggers.
+const ALL_PAGES_TRIGGER_ID = '2147479553';
+
+export default function LiveContainerInspector() {
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const internalContainerID = useSelect( ( select ) => select( STORE_NAME ).getInternalContainerID() );
+	const internalAMPContainerID = useSelect( ( select ) => select( STORE_NAME ).getInternalAMPContainerID() );
+
+	// Inspect the web container, or the AMP container if there is no web container.
+	const inspectedContainerID = isValidInternalContainerID( internalContainerID ) ? internalContainerID : internalAMPContainerID;
+	const canInspect = isValidAccountID( accountID ) && isValidInternalContainerID( inspectedContainerID );
+
+	const tags = useSelect( ( select ) => canInspect ? select( STORE_NAME ).getLiveContainerTags( accountID, inspectedContainerID ) : undefined );
+	const triggers = useSelect( ( select ) => canInspect ? select( STORE_NAME ).getLiveContainerTriggers( accountID, inspectedContainerID ) : undefined );
+	const variables = useSelect( ( select ) => canInspect ? select( STORE_NAME ).getLiveContainerVariables( accountID, inspectedContainerID ) : undefined );
+	const hasResolved = useSelect( ( select ) => canInspect && select( STORE_NAME ).hasFinishedResolution( 'getLiveContainerVersion', [ accountID, inspectedContainerID ] ) );
+	const error = useSelect( ( select ) => canInspect ? select( STORE_NAME ).getErrorForGetLiveContainerVersion( accountID, inspectedContainerID ) : undefined );
+
+	if ( ! canInspect ) {
+		return null;
+	}
+
+	if ( tags === undefined ) {
+		// Containers without a published version are not found, while other errors are displayed as they are.
+		if ( error && error.data?.status !== 404 ) {
+			return (
+				<div className="googlesitekit-settings-module__meta-items googlesitekit-tagmanager-live-container">
+					<ErrorText message={ error.message } />
+				</div>
+			);
+		}
+
+		if ( hasResolved ) {
+			return (
+				<div className="googlesitekit-settings-module__meta-items googlesitekit-tagmanager-live-container">
+					<p className="googlesitekit-settings-module__meta-item-data">
+						{ __( 'The published version of this container could not be loaded. It may not have been published yet.', 'google-site-kit' ) }
+					</p>
+				</div>
+			);
+		}
+
+		return <ProgressBar small />;
+	}
+
+	const getTriggerNames = ( triggerIDs = [] ) => triggerIDs
+		.map( ( triggerID ) => {
+			if ( triggerID === ALL_PAGES_TRIGGER_ID ) {
+				return __( 'All Pages', 'google-site-kit' );
+			}
+			const trigger = triggers.find( ( { triggerId } ) => triggerId === triggerID );
+			return trigger ? trigger.name : triggerID;
+		} )
+		.join( _x( ', ', 'list separator', 'google-site-kit' ) );
+
+	return (
+		<div className="googlesitekit-tagmanager-live-container">
+			<div className="googlesitekit-settings-module__meta-items">
+				<div className="googlesitekit-settings-module__meta-item googlesitekit-tagmanager-live-container__tags">
+					<h5 className="googlesitekit-settings-module__meta-item-type">
+						{ __( 'Published Tags', 'google-site-kit' ) }
+					</h5>
+					{ ! tags.length && (
+						<p className="googlesitekit-settings-module__meta-item-data">
+							{ __( 'This container has no tags.', 'google-site-kit' ) }
+						</p>
+					) }
+					{ tags.map( ( { tagId, name, type, paused, firingTriggerId } ) => (
+						<p key={ tagId } className="googlesitekit-settings-module__meta-item-data">
+							{ name }
+							{ ' ' }
+							<small>
+								{
+									/* translators: 1: Tag type, 2: Names of the triggers firing the tag */
+									sprintf( __( '(%1$s, fired by: %2$s)', 'google-site-kit' ), type, getTriggerNames( firingTriggerId ) || __( 'none', 'google-site-kit' ) )
+								}
+								{ paused && ` ${ __( 'Paused', 'google-site-kit' ) }` }
+							</small>
+						</p>
+					) ) }
+				</div>
+			</div>
+
+			<div className="googlesitekit-settings-module__meta-items">
+				<div className="googlesitekit-settings-module__meta-item googlesitekit-tagmanager-live-container__triggers">
+					<h5 className="googlesitekit-settings-module__meta-item-type">
+						{ __( 'Published Triggers', 'google-site-kit' ) }
+					</h5>
+					<p className="googlesitekit-settings-module__meta-item-data">
+						{ !! triggers.length && triggers
+							.map( ( { name } ) => name )
+							.join( _x( ', ', 'list separator', 'google-site-kit' ) )
+						}
+						{ ! triggers.length && __( 'This container has no custom triggers.', 'google-site-kit' ) }
+					</p>
+				</div>
+			</div>
+
+			<div className="googlesitekit-settings-module__meta-items">
+				<div className="googlesitekit-settings-module__meta-item googlesitekit-tagmanager-live-container__variables">
+					<h5 className="googlesitekit-settings-module__meta-item-type">
+						{ __( 'Published Variables', 'google-site-kit' ) }
+					</h5>
+					<p className="googlesitekit-settings-module__meta-item-data">
+						{ !! variables.length && variables
+							.map( ( { name } ) => name )
+							.join( _x( ', ', 'list separator', 'google-site-kit' ) )
+						}
+						{ ! variables.length && __( 'This container has no variables.', 'google-site-kit' ) }
+					</p>
+				</div>
+			</div>
+		</div>
+	);
+}
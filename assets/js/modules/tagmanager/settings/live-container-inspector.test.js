@@ -0,0 +1,85 @@
+/**
+ * Tag Manager Live Container Inspector component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { render, wait } from '../../../../../tests/js/test-utils';
+import { muteConsole } from '../../../../../tests/js/utils';
+import { STORE_NAME } from '../datastore/constants';
+import * as fixtures from '../datastore/__fixtures__';
+import LiveContainerInspector from './live-container-inspector';
+
+describe( 'LiveContainerInspector', () => {
+	const accountID = '100';
+	const internalContainerID = '299';
+	const liveContainerVersionEndpoint = /^\/google-site-kit\/v1\/modules\/tagmanager\/data\/live-container-version/;
+
+	const setupRegistry = ( { dispatch } ) => {
+		dispatch( STORE_NAME ).receiveGetSettings( { accountID, internalContainerID } );
+	};
+
+	it( 'lists the tags, triggers and variables of the live container', () => {
+		const { getByText } = render( <LiveContainerInspector />, {
+			setupRegistry: ( registry ) => {
+				setupRegistry( registry );
+				registry.dispatch( STORE_NAME ).receiveGetLiveContainerVersion( fixtures.liveContainerVersionAnalytics, { accountID, internalContainerID } );
+			},
+		} );
+
+		expect( getByText( 'Google Analytics Pageview' ) ).toBeInTheDocument();
+		expect( getByText( '(ua, fired by: All Pages)' ) ).toBeInTheDocument();
+		expect( getByText( '(ua, fired by: Outbound Link Click)' ) ).toBeInTheDocument();
+		expect( getByText( 'Outbound Link Click' ) ).toBeInTheDocument();
+		expect( getByText( /^Google Analytics Settings, Secondary Property ID, / ) ).toBeInTheDocument();
+	} );
+
+	it( 'shows a notice if the container has not been published', async () => {
+		fetchMock.getOnce( liveContainerVersionEndpoint, {
+			body: { code: 'not_found', message: 'Not found', data: { status: 404 } },
+			status: 404,
+		} );
+
+		muteConsole( 'error' );
+		const { container, getByText } = render( <LiveContainerInspector />, { setupRegistry } );
+
+		expect( container.querySelector( '[role="progressbar"]' ) ).toBeInTheDocument();
+		await wait( () => getByText( /could not be loaded/ ) );
+	} );
+
+	it( 'shows the error if the live container cannot be loaded for other reasons', async () => {
+		fetchMock.getOnce( liveContainerVersionEndpoint, {
+			body: { code: 'forbidden', message: 'The caller does not have permission', data: { status: 403 } },
+			status: 403,
+		} );
+
+		muteConsole( 'error' );
+		const { findByText, queryByText } = render( <LiveContainerInspector />, { setupRegistry } );
+
+		expect( await findByText( /The caller does not have permission/ ) ).toBeInTheDocument();
+		expect( queryByText( /could not be loaded/ ) ).not.toBeInTheDocument();
+	} );
+
+	it( 'renders nothing without a container', () => {
+		const { container } = render( <LiveContainerInspector />, {
+			setupRegistry: ( { dispatch } ) => dispatch( STORE_NAME ).receiveGetSettings( {} ),
+		} );
+
+		expect( container.firstChild ).toBeNull();
+	} );
+} );
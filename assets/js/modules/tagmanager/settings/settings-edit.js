@@ -0,0 +1,139 @@
+/**
+ * Tag Manager Settings Edit component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { isEqual } from 'lodash';
+
+/**
+ * WordPress dependencies
+ */
+import { useEffect } from '@wordpress/element';
+import { addFilter, removeFilter } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME, ACCOUNT_CREATE, FORM_SETTINGS } from '../datastore/constants';
+import { STORE_NAME as CORE_FORMS } from '../../../googlesitekit/datastore/forms/constants';
+import SettingsForm from './settings-form';
+import ProgressBar from '../../../components/progress-bar';
+import { AccountCreate, ExistingTagError } from '../common';
+const { useSelect, useDispatch, useRegistry } = Data;
+
+export default function SettingsEdit() {
+	const accounts = useSelect( ( select ) => select( STORE_NAME ).getAccounts() ) || [];
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const hasExistingTag = useSelect( ( select ) => select( STORE_NAME ).hasExistingTag() );
+	const existingTagPermission = useSelect( ( select ) => select( STORE_NAME ).hasExistingTagPermission() );
+	const canSubmitChanges = useSelect( ( select ) => select( STORE_NAME ).canSubmitChanges() );
+	const isDoingGetAccounts = useSelect( ( select ) => select( STORE_NAME ).isDoingGetAccounts() );
+	const isDoingSubmitChanges = useSelect( ( select ) => select( STORE_NAME ).isDoingSubmitChanges() );
+	const hasResolvedAccounts = useSelect( ( select ) => select( STORE_NAME ).hasFinishedResolution( 'getAccounts' ) );
+	const isCreateAccount = ACCOUNT_CREATE === accountID;
+	const settings = useSelect( ( select ) => select( STORE_NAME ).getSettings() );
+
+	// Keep the settings in a form, so that unsaved changes survive a page reload or a redirect.
+	// Unsaved changes which were persisted for the same settings are restored.
+	const registry = useRegistry();
+	const { initForm, setValues, resetForm } = useDispatch( CORE_FORMS );
+	const { setSettings } = useDispatch( STORE_NAME );
+	const hasSettings = settings !== undefined;
+	useEffect( () => {
+		if ( ! hasSettings ) {
+			return;
+		}
+
+		initForm( FORM_SETTINGS, settings );
+		const formValues = registry.select( CORE_FORMS ).getValues( FORM_SETTINGS );
+		if ( ! isEqual( formValues, settings ) ) {
+			setSettings( formValues );
+		}
+
+		return () => resetForm( FORM_SETTINGS );
+	}, [ hasSettings ] );
+	useEffect( () => {
+		if ( hasSettings ) {
+			setValues( FORM_SETTINGS, settings );
+		}
+	}, [ settings ] );
+
+	// Set the account and container of an existing tag the user has access to.
+	// This only applies to the edit view, so we apply it here rather than in the datastore.
+	// These selections will be rolled back by SettingsMain if the user exits the edit view.
+	const { selectExistingTag } = useDispatch( STORE_NAME );
+	useEffect( () => {
+		if ( hasExistingTag && existingTagPermission ) {
+			selectExistingTag();
+		}
+	}, [ hasExistingTag, existingTagPermission ] );
+
+	// Toggle disabled state of legacy confirm changes button.
+	useEffect( () => {
+		const confirm = global.document.getElementById( 'confirm-changes-tagmanager' );
+		if ( confirm ) {
+			confirm.disabled = ! canSubmitChanges;
+		}
+	}, [ canSubmitChanges ] );
+
+	const { submitChanges } = useDispatch( STORE_NAME );
+	useEffect( () => {
+		addFilter(
+			'googlekit.SettingsConfirmed',
+			'googlekit.TagManagerSettingsConfirmed',
+			async ( chain, module ) => {
+				if ( 'tagmanager-module' === module ) {
+					const { error } = await submitChanges();
+					if ( error ) {
+						return Promise.reject( error );
+					}
+					return Promise.resolve();
+				}
+				return chain;
+			}
+		);
+
+		return () => {
+			removeFilter(
+				'googlekit.SettingsConfirmed',
+				'googlekit.TagManagerSettingsConfirmed',
+			);
+		};
+	}, [] );
+
+	let viewComponent;
+	// Here we also check for `hasResolvedAccounts` to prevent showing a different case below
+	// when the component initially loads and has yet to start fetching accounts.
+	if ( isDoingGetAccounts || isDoingSubmitChanges || ! hasResolvedAccounts ) {
+		viewComponent = <ProgressBar />;
+	} else if ( hasExistingTag && existingTagPermission === false ) {
+		viewComponent = <ExistingTagError />;
+	} else if ( ! accounts.length || isCreateAccount ) {
+		viewComponent = <AccountCreate />;
+	} else {
+		viewComponent = <SettingsForm />;
+	}
+
+	return (
+		<div className="googlesitekit-setup-module googlesitekit-setup-module--tag-manager">
+			{ viewComponent }
+		</div>
+	);
+}
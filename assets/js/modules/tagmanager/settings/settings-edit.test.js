@@ -0,0 +1,123 @@
+/**
+ * Tag Manager Settings Edit component tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import apiFetchMock from '@wordpress/api-fetch';
+
+/**
+ * Internal dependencies
+ */
+import { render, wait } from '../../../../../tests/js/test-utils';
+import { STORE_NAME, FORM_SETTINGS, CONTEXT_WEB } from '../datastore/constants';
+import { STORE_NAME as CORE_SITE } from '../../../googlesitekit/datastore/site/constants';
+import { STORE_NAME as CORE_FORMS } from '../../../googlesitekit/datastore/forms/constants';
+import { persistForm } from '../../../googlesitekit/datastore/forms/persistence';
+import SettingsEdit from './settings-edit';
+import * as factories from '../datastore/__factories__';
+
+// Mock apiFetch so we know if it's called.
+jest.mock( '@wordpress/api-fetch' );
+apiFetchMock.mockImplementation( ( ...args ) => {
+	// eslint-disable-next-line no-console
+	console.warn( 'apiFetch', ...args );
+} );
+
+describe( 'SettingsEdit', () => {
+	const { account, containers } = factories.buildAccountWithContainers( {
+		container: { usageContext: [ CONTEXT_WEB ] },
+		count: 2,
+	} );
+	const accountID = account.accountId; // Capitalization rule exception: accountId
+
+	afterEach( () => {
+		apiFetchMock.mockClear();
+		global.sessionStorage.clear();
+	} );
+	afterAll( () => jest.restoreAllMocks() );
+
+	it( 'selects the account and container of an existing tag when present', async () => {
+		// The existing tag is not the first container, which would be selected by default.
+		const existingTagID = containers[ 1 ].publicId;
+		const setupRegistry = ( { dispatch } ) => {
+			dispatch( STORE_NAME ).setSettings( {} );
+			dispatch( STORE_NAME ).receiveGetAccounts( [ account ] );
+			dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+			dispatch( STORE_NAME ).receiveGetExistingTag( existingTagID );
+			dispatch( STORE_NAME ).receiveGetTagPermission( {
+				accountID,
+				permission: true,
+			}, { containerID: existingTagID } );
+			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+		};
+		const { registry } = render( <SettingsEdit />, { setupRegistry } );
+
+		await wait( () => expect( registry.select( STORE_NAME ).getContainerID() ).toBe( existingTagID ) );
+		expect( registry.select( STORE_NAME ).getAccountID() ).toBe( accountID );
+		expect( registry.select( STORE_NAME ).getInternalContainerID() ).toBe( containers[ 1 ].containerId );
+		expect( registry.select( STORE_NAME ).getError() ).toBeFalsy();
+	} );
+
+	it( 'shows an error instead of the form without access to the existing tag', async () => {
+		const existingTagID = containers[ 1 ].publicId;
+		const setupRegistry = ( { dispatch } ) => {
+			dispatch( STORE_NAME ).setSettings( {} );
+			dispatch( STORE_NAME ).receiveGetAccounts( [ account ] );
+			dispatch( STORE_NAME ).receiveGetExistingTag( existingTagID );
+			dispatch( STORE_NAME ).receiveGetTagPermission( {
+				accountID,
+				permission: false,
+			}, { containerID: existingTagID } );
+			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+		};
+		const { container, registry } = render( <SettingsEdit />, { setupRegistry } );
+
+		await wait( () => expect( container ).toHaveTextContent( existingTagID ) );
+		expect( container.querySelector( '.googlesitekit-tagmanager__select-account' ) ).not.toBeInTheDocument();
+		expect( registry.select( STORE_NAME ).getAccountID() ).toBe( undefined );
+	} );
+
+	it( 'restores unsaved changes of the settings and discards them when closed', () => {
+		const settings = {
+			accountID,
+			containerID: containers[ 0 ].publicId,
+			internalContainerID: containers[ 0 ].containerId,
+			ampContainerID: '',
+			internalAMPContainerID: '',
+			useSnippet: true,
+		};
+		persistForm( FORM_SETTINGS, { initialValues: settings, values: { ...settings, useSnippet: false } } );
+
+		const setupRegistry = ( { dispatch } ) => {
+			dispatch( STORE_NAME ).receiveGetSettings( settings );
+			dispatch( STORE_NAME ).receiveGetAccounts( [ account ] );
+			dispatch( STORE_NAME ).receiveGetContainers( containers, { accountID } );
+			dispatch( STORE_NAME ).receiveGetExistingTag( null );
+			dispatch( CORE_SITE ).receiveSiteInfo( {} );
+		};
+		const { registry, unmount } = render( <SettingsEdit />, { setupRegistry } );
+
+		expect( registry.select( STORE_NAME ).getUseSnippet() ).toBe( false );
+		expect( registry.select( CORE_FORMS ).isDirty( FORM_SETTINGS ) ).toBe( true );
+
+		unmount();
+
+		expect( registry.select( CORE_FORMS ).isDirty( FORM_SETTINGS ) ).toBe( false );
+	} );
+} );
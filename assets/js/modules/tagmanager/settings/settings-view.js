@@ -0,0 +1,140 @@
+/**
+ * Tag Manager Settings View component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _x } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import DisplaySetting from '../../../components/display-setting';
+import { STORE_NAME } from '../datastore/constants';
+import { STORE_NAME as CORE_SITE, AMP_MODE_SECONDARY } from '../../../googlesitekit/datastore/site/constants';
+import { ErrorNotice, ExistingTagError } from '../common';
+import LiveContainerInspector from './live-container-inspector';
+import DuplicateTrackingNotice from '../../analytics/common/duplicate-tracking-notice';
+const { useSelect } = Data;
+
+export default function SettingsView() {
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const containerID = useSelect( ( select ) => select( STORE_NAME ).getContainerID() );
+	const ampContainerID = useSelect( ( select ) => select( STORE_NAME ).getAMPContainerID() );
+	const additionalContainerIDs = useSelect( ( select ) => select( STORE_NAME ).getAdditionalContainerIDs() ) || [];
+	const serverContainerURL = useSelect( ( select ) => select( STORE_NAME ).getServerContainerURL() );
+	const useSnippet = useSelect( ( select ) => select( STORE_NAME ).getUseSnippet() );
+	const hasExistingTag = useSelect( ( select ) => select( STORE_NAME ).hasExistingTag() );
+	const hasExistingTagPermission = useSelect( ( select ) => select( STORE_NAME ).hasExistingTagPermission() );
+	const isAMP = useSelect( ( select ) => select( CORE_SITE ).isAMP() );
+	const isSecondaryAMP = useSelect( ( select ) => select( CORE_SITE ).getAMPMode() ) === AMP_MODE_SECONDARY;
+
+	// The web container is only used if AMP is not active, or in a secondary mode.
+	const hasWebContainer = ! isAMP || isSecondaryAMP;
+
+	return (
+		<div className="googlesitekit-setup-module googlesitekit-setup-module--tag-manager">
+
+			{ /* Prevent showing ExistingTagError and general ErrorNotice at the same time. */ }
+			{ ( ! hasExistingTag || hasExistingTagPermission ) && <ErrorNotice /> }
+			{ ( hasExistingTag && hasExistingTagPermission === false ) && <ExistingTagError /> }
+
+			<div className="googlesitekit-settings-module__meta-items">
+				<div className="googlesitekit-settings-module__meta-item">
+					<h5 className="googlesitekit-settings-module__meta-item-type">
+						{ __( 'Account', 'google-site-kit' ) }
+					</h5>
+					<p className="googlesitekit-settings-module__meta-item-data">
+						<DisplaySetting value={ accountID } />
+					</p>
+				</div>
+
+				{ hasWebContainer && (
+					<div className="googlesitekit-settings-module__meta-item">
+						<h5 className="googlesitekit-settings-module__meta-item-type">
+							{ isSecondaryAMP ? __( 'Web Container ID', 'google-site-kit' ) : __( 'Container ID', 'google-site-kit' ) }
+						</h5>
+						<p className="googlesitekit-settings-module__meta-item-data">
+							<DisplaySetting value={ containerID } />
+						</p>
+					</div>
+				) }
+
+				{ isAMP && (
+					<div className="googlesitekit-settings-module__meta-item">
+						<h5 className="googlesitekit-settings-module__meta-item-type">
+							{ isSecondaryAMP ? __( 'AMP Container ID', 'google-site-kit' ) : __( 'Container ID', 'google-site-kit' ) }
+						</h5>
+						<p className="googlesitekit-settings-module__meta-item-data">
+							<DisplaySetting value={ ampContainerID } />
+						</p>
+					</div>
+				) }
+			</div>
+
+			{ hasWebContainer && ( !! additionalContainerIDs.length || !! serverContainerURL ) && (
+				<div className="googlesitekit-settings-module__meta-items">
+					{ !! additionalContainerIDs.length && (
+						<div className="googlesitekit-settings-module__meta-item">
+							<h5 className="googlesitekit-settings-module__meta-item-type">
+								{ __( 'Additional Web Containers', 'google-site-kit' ) }
+							</h5>
+							<p className="googlesitekit-settings-module__meta-item-data">
+								{ additionalContainerIDs.join( _x( ', ', 'list separator', 'google-site-kit' ) ) }
+							</p>
+							<p>
+								{ __( 'Site Kit only knows the public IDs of these containers, so it cannot load their published versions to show them or to check them for duplicate Analytics tracking.', 'google-site-kit' ) }
+							</p>
+						</div>
+					) }
+					{ !! serverContainerURL && (
+						<div className="googlesitekit-settings-module__meta-item">
+							<h5 className="googlesitekit-settings-module__meta-item-type">
+								{ __( 'Server-side Tagging URL', 'google-site-kit' ) }
+							</h5>
+							<p className="googlesitekit-settings-module__meta-item-data">
+								<DisplaySetting value={ serverContainerURL } />
+							</p>
+						</div>
+					) }
+				</div>
+			) }
+
+			<div className="googlesitekit-settings-module__meta-items">
+				<div className="googlesitekit-settings-module__meta-item">
+					<h5 className="googlesitekit-settings-module__meta-item-type">
+						{ __( 'Tag Manager Code Snippet', 'google-site-kit' ) }
+					</h5>
+					<p className="googlesitekit-settings-module__meta-item-data">
+						{ useSnippet && __( 'Snippet is inserted', 'google-site-kit' ) }
+						{ ( ! useSnippet && ! hasExistingTag ) && __( 'Snippet is not inserted', 'google-site-kit' ) }
+						{ ( ! useSnippet && hasExistingTag ) && __( 'Inserted by another plugin or theme', 'google-site-kit' ) }
+					</p>
+					{ ( useSnippet && hasExistingTag ) && (
+						<p>{ __( 'Placing two tags at the same time is not recommended.', 'google-site-kit' ) }</p>
+					) }
+				</div>
+			</div>
+
+			<DuplicateTrackingNotice />
+
+			<LiveContainerInspector />
+		</div>
+	);
+}
@@ -0,0 +1,112 @@
+/**
+ * Tag Manager Main setup component.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { useEffect, useState } from '@wordpress/element';
+import { _x } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import SetupForm from './setup-form';
+import ProgressBar from '../../../components/progress-bar';
+import { SvgIcon } from '../../../util';
+import { STORE_NAME, ACCOUNT_CREATE } from '../datastore/constants';
+import { AccountCreate, ExistingTagError } from '../common';
+const { useSelect, useDispatch } = Data;
+
+export default function SetupMain( { finishSetup } ) {
+	const accounts = useSelect( ( select ) => select( STORE_NAME ).getAccounts() );
+	const accountID = useSelect( ( select ) => select( STORE_NAME ).getAccountID() );
+	const hasExistingTag = useSelect( ( select ) => select( STORE_NAME ).hasExistingTag() );
+	const existingTagPermission = useSelect( ( select ) => select( STORE_NAME ).hasExistingTagPermission() );
+	const isDoingGetAccounts = useSelect( ( select ) => select( STORE_NAME ).isDoingGetAccounts() );
+	const isDoingSubmitChanges = useSelect( ( select ) => select( STORE_NAME ).isDoingSubmitChanges() );
+	const hasResolvedAccounts = useSelect( ( select ) => select( STORE_NAME ).hasFinishedResolution( 'getAccounts' ) );
+	const isCreateAccount = ACCOUNT_CREATE === accountID;
+
+	// Set the account and container of an existing tag the user has access to,
+	// otherwise select the first account once it is known that there is no existing tag.
+	// Site Kit does not place its own snippet along with an existing tag.
+	const { selectAccount, selectExistingTag, setUseSnippet } = useDispatch( STORE_NAME );
+	useEffect( () => {
+		if ( hasExistingTag && existingTagPermission ) {
+			selectExistingTag();
+			setUseSnippet( false );
+		}
+	}, [ hasExistingTag, existingTagPermission ] );
+	useEffect( () => {
+		if ( hasExistingTag === false && ! accountID && accounts?.length ) {
+			selectAccount( accounts[ 0 ].accountId ); // Capitalization rule exception: accountId
+		}
+	}, [ hasExistingTag, accountID, accounts ] );
+
+	// When `finishSetup` is called, flag that we are navigating to keep the progress bar going.
+	const [ isNavigating, setIsNavigating ] = useState( false );
+	const finishSetupAndNavigate = ( ...args ) => {
+		finishSetup( ...args );
+		setIsNavigating( true );
+	};
+
+	// The selections depend on whether there is an existing tag, and whether the user has access to it.
+	const isCheckingExistingTag = hasExistingTag === undefined || ( hasExistingTag && existingTagPermission === undefined );
+
+	let viewComponent;
+	// Here we also check for `hasResolvedAccounts` to prevent showing a different case below
+	// when the component initially loads and has yet to start fetching accounts.
+	if ( isDoingGetAccounts || isDoingSubmitChanges || ! hasResolvedAccounts || isCheckingExistingTag || isNavigating ) {
+		viewComponent = <ProgressBar />;
+	} else if ( hasExistingTag && existingTagPermission === false ) {
+		viewComponent = <ExistingTagError />;
+	} else if ( isCreateAccount || ( Array.isArray( accounts ) && ! accounts.length ) ) {
+		viewComponent = <AccountCreate />;
+	} else {
+		viewComponent = <SetupForm finishSetup={ finishSetupAndNavigate } />;
+	}
+
+	return (
+		<div className="googlesitekit-setup-module googlesitekit-setup-module--tag-manager">
+
+			<div className="googlesitekit-setup-module__logo">
+				<SvgIcon id="tagmanager" width="33" height="33" />
+			</div>
+
+			<h2 className="googlesitekit-heading-3 googlesitekit-setup-module__title">
+				{ _x( 'Tag Manager', 'Service name', 'google-site-kit' ) }
+			</h2>
+
+			{ viewComponent }
+		</div>
+	);
+}
+
+SetupMain.propTypes = {
+	finishSetup: PropTypes.func,
+};
+
+SetupMain.defaultProps = {
+	finishSetup: () => {},
+};
@@ -19,7 +19,7 @@
 /**
  * Internal dependencies
  */
-import { ACCOUNT_CREATE, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP } from '../datastore/constants';
+import { ACCOUNT_CREATE, CONTAINER_CREATE, CONTEXT_WEB, CONTEXT_AMP, CONTEXT_SERVER } from '../datastore/constants';
 
 /**
  * Checks the given value to see if it is a positive integer.
@@ -112,5 +112,49 @@ export function isValidInternalContainerID( internalContainerID ) {
  * @return {boolean} Whether or not the given context is valid.
  */
 export function isValidUsageContext( context ) {
-	return [ CONTEXT_WEB, CONTEXT_AMP ].includes( context );
+	return [ CONTEXT_WEB, CONTEXT_AMP, CONTEXT_SERVER ].includes( context );
+}
+
+/**
+ * Checks if the given list of additional web container IDs is valid.
+ *
+ * All container IDs must be valid and unique, and none of them may be the
+ * container ID of the selected web container.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<string>} containerIDs  List of container IDs to check.
+ * @param {string}         [containerID] Optional. Container ID of the selected web container.
+ * @return {boolean} Whether or not the given list is valid.
+ */
+export function isValidAdditionalContainerIDs( containerIDs, containerID ) {
+	if ( ! Array.isArray( containerIDs ) ) {
+		return false;
+	}
+
+	return containerIDs.every( ( id, index ) => isValidContainerID( id ) && id !== containerID && containerIDs.indexOf( id ) === index );
+}
+
+/**
+ * Checks if the given URL is a valid URL of a server-side container to load the Tag Manager scripts from.
+ *
+ * Only HTTPS URLs without query or fragment are valid.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} url URL to check.
+ * @return {boolean} Whether or not the given URL is valid.
+ */
+export function isValidServerContainerURL( url ) {
+	if ( typeof url !== 'string' ) {
+		return false;
+	}
+
+	try {
+		const { protocol, hostname, search, hash } = new URL( url );
+
+		return protocol === 'https:' && !! hostname && ! search && ! hash;
+	} catch {
+		return false;
+	}
 }
@@ -0,0 +1,80 @@
+/**
+ * Validation utility tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	isValidAdditionalContainerIDs,
+	isValidServerContainerURL,
+	isValidUsageContext,
+} from './validation';
+
+describe( 'isValidUsageContext', () => {
+	it( 'returns true for web, AMP and server contexts', () => {
+		[ 'web', 'amp', 'server' ].forEach( ( context ) => {
+			expect( isValidUsageContext( context ) ).toEqual( true );
+		} );
+	} );
+
+	it( 'returns false for other contexts', () => {
+		[ 'android', '', undefined ].forEach( ( context ) => {
+			expect( isValidUsageContext( context ) ).toEqual( false );
+		} );
+	} );
+} );
+
+describe( 'isValidAdditionalContainerIDs', () => {
+	it( 'returns true for lists of unique valid container IDs', () => {
+		expect( isValidAdditionalContainerIDs( [] ) ).toEqual( true );
+		expect( isValidAdditionalContainerIDs( [ 'GTM-A1', 'GTM-B2' ], 'GTM-C3' ) ).toEqual( true );
+	} );
+
+	it( 'returns false for invalid lists', () => {
+		expect( isValidAdditionalContainerIDs( 'GTM-A1' ) ).toEqual( false );
+		expect( isValidAdditionalContainerIDs( [ 'GTM-A1', 'A1' ] ) ).toEqual( false );
+		expect( isValidAdditionalContainerIDs( [ 'GTM-A1', 'GTM-A1' ] ) ).toEqual( false );
+		expect( isValidAdditionalContainerIDs( [ 'GTM-A1' ], 'GTM-A1' ) ).toEqual( false );
+	} );
+} );
+
+describe( 'isValidServerContainerURL', () => {
+	it( 'returns true for HTTPS URLs', () => {
+		const urls = [
+			'https://gtm.example.com',
+			'https://example.com/gtm',
+		];
+		urls.forEach( ( url ) => {
+			expect( isValidServerContainerURL( url ) ).toEqual( true );
+		} );
+	} );
+
+	it( 'returns false for invalid URLs', () => {
+		const urls = [
+			'http://gtm.example.com',
+			'https://gtm.example.com/?id=GTM-A1',
+			'https://gtm.example.com/#gtm',
+			'gtm.example.com',
+			'',
+			undefined,
+		];
+		urls.forEach( ( url ) => {
+			expect( isValidServerContainerURL( url ) ).toEqual( false );
+		} );
+	} );
+} );
@@ -0,0 +1,137 @@
+/**
+ * Period-over-period comparison utility functions.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { changeToPercent, numberFormat } from './';
+import { addDaysToDateString } from './date-range';
+
+/**
+ * Aligns the rows of a daily report spanning a date range and its comparison period.
+ *
+ * Reports requested with `compareDateRanges` contain the rows of both periods
+ * as one list. Every day of the date range is paired with the day at the same
+ * position in the comparison period, so that e.g. 'this-month' lines up with
+ * the same days of the previous month. Days without a row, e.g. because there
+ * was no data yet, are included with an `undefined` row. If the comparison
+ * period is shorter, like a previous month with fewer days, the remaining days
+ * have an `undefined` comparison date and row.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} rows                   Rows of the report.
+ * @param {Object}         dates                  Dates of the report, see `getDateRangeDates()` with `compare`.
+ * @param {string}         dates.startDate        Start date of the date range, in 'YYYY-MM-DD' format.
+ * @param {string}         dates.endDate          End date of the date range, in 'YYYY-MM-DD' format.
+ * @param {string}         dates.compareStartDate Start date of the comparison period, in 'YYYY-MM-DD' format.
+ * @param {string}         dates.compareEndDate   End date of the comparison period, in 'YYYY-MM-DD' format.
+ * @param {Function}       getRowDate             Callback receiving a row and returning its day in 'YYYY-MM-DD' format.
+ * @return {Array.<Object>} List with an object per day of the date range, from oldest to newest, with `date`,
+ *                          `compareDate`, `row` and `compareRow` properties.
+ */
+export function alignComparisonRows( rows, { startDate, endDate, compareStartDate, compareEndDate }, getRowDate ) {
+	if ( ! Array.isArray( rows ) || ! rows.length ) {
+		return [];
+	}
+
+	const rowsByDate = {};
+	rows.forEach( ( row ) => {
+		rowsByDate[ getRowDate( row ) ] = row;
+	} );
+
+	const alignedRows = [];
+	// Dates in 'YYYY-MM-DD' format sort chronologically.
+	for ( let i = 0, date = startDate; date <= endDate; date = addDaysToDateString( startDate, ++i ) ) {
+		let compareDate = addDaysToDateString( compareStartDate, i );
+		if ( compareDate > compareEndDate ) {
+			compareDate = undefined;
+		}
+
+		alignedRows.push( {
+			date,
+			compareDate,
+			row: rowsByDate[ date ],
+			compareRow: compareDate && rowsByDate[ compareDate ],
+		} );
+	}
+
+	return alignedRows;
+}
+
+/**
+ * Gets the text of a tooltip comparing a value with the value of the previous period.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Object}   args              Tooltip arguments.
+ * @param {string}   args.title        Title of the tooltip, e.g. the name of the metric.
+ * @param {string}   args.label        Label of the current value, e.g. its date.
+ * @param {number}   args.value        Current value.
+ * @param {string}   args.compareLabel Label of the previous value, e.g. its date. Only the current value is
+ *                                     included if `undefined`, e.g. for days without a comparison day.
+ * @param {number}   args.compareValue Value of the previous period.
+ * @param {Function} [args.format]     Optional. Callback formatting a value for display. Default `numberFormat`.
+ * @return {string} Tooltip text, with a line for each value and the change between them.
+ */
+export function getComparisonTooltip( { title, label, value, compareLabel, compareValue, format = numberFormat } ) {
+	const lines = [
+		title,
+		/* translators: 1: label of a value, e.g. a date, 2: the value */
+		sprintf( __( '%1$s: %2$s', 'google-site-kit' ), label, format( value ) ),
+	];
+
+	if ( compareLabel === undefined ) {
+		return lines.join( '\n' );
+	}
+
+	lines.push(
+		/* translators: 1: label of a value, e.g. a date, 2: the value */
+		sprintf( __( '%1$s: %2$s', 'google-site-kit' ), compareLabel, format( compareValue ) )
+	);
+
+	const change = changeToPercent( compareValue, value );
+	if ( '' !== change ) {
+		lines.push( sprintf(
+			/* translators: %s: percentage change, e.g. +12.5% */
+			__( 'Change: %s', 'google-site-kit' ),
+			`${ 0 < change ? '+' : '' }${ change }%`
+		) );
+	}
+
+	return lines.join( '\n' );
+}
+
+/**
+ * Gets a localized label for a date string.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} dateString Date string in 'YYYY-MM-DD' format.
+ * @return {string} Localized date.
+ */
+export function getDateLabel( dateString ) {
+	const [ year, month, day ] = dateString.split( '-' ).map( ( part ) => parseInt( part, 10 ) );
+
+	return new Date( year, month - 1, day ).toLocaleDateString();
+}
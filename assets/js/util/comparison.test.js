@@ -0,0 +1,176 @@
+/**
+ * Comparison utility function tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { alignComparisonRows, getComparisonTooltip } from './comparison';
+
+describe( 'alignComparisonRows', () => {
+	const getRowDate = ( row ) => row.date;
+
+	it( 'should pair every day with the same day of the previous period', () => {
+		const rows = [
+			{ date: '2020-09-01', value: 1 },
+			{ date: '2020-09-02', value: 2 },
+			{ date: '2020-09-03', value: 3 },
+			{ date: '2020-09-04', value: 4 },
+		];
+		const dates = {
+			startDate: '2020-09-03',
+			endDate: '2020-09-04',
+			compareStartDate: '2020-09-01',
+			compareEndDate: '2020-09-02',
+		};
+
+		expect( alignComparisonRows( rows, dates, getRowDate ) ).toEqual( [
+			{ date: '2020-09-03', compareDate: '2020-09-01', row: rows[ 2 ], compareRow: rows[ 0 ] },
+			{ date: '2020-09-04', compareDate: '2020-09-02', row: rows[ 3 ], compareRow: rows[ 1 ] },
+		] );
+	} );
+
+	it( 'should keep days aligned if rows are missing or unordered', () => {
+		const rows = [
+			{ date: '2020-09-30', value: 30 },
+			{ date: '2020-08-31', value: 31 },
+			{ date: '2020-09-28', value: 28 },
+		];
+		const dates = {
+			startDate: '2020-09-28',
+			endDate: '2020-09-30',
+			compareStartDate: '2020-09-25',
+			compareEndDate: '2020-09-27',
+		};
+
+		const alignedRows = alignComparisonRows( rows, dates, getRowDate );
+
+		expect( alignedRows.map( ( { date, compareDate } ) => [ date, compareDate ] ) ).toEqual( [
+			[ '2020-09-28', '2020-09-25' ],
+			[ '2020-09-29', '2020-09-26' ],
+			[ '2020-09-30', '2020-09-27' ],
+		] );
+		expect( alignedRows[ 0 ].row ).toBe( rows[ 2 ] );
+		expect( alignedRows[ 1 ].row ).toBeUndefined();
+		expect( alignedRows[ 1 ].compareRow ).toBeUndefined();
+	} );
+
+	it( 'should pair the days of a month with the same days of the previous month', () => {
+		const rows = [
+			{ date: '2020-08-01', value: 1 },
+			{ date: '2020-09-01', value: 2 },
+			{ date: '2020-08-31', value: 3 },
+			{ date: '2020-09-30', value: 4 },
+		];
+		// 'last-month' with a reference date in October.
+		const dates = {
+			startDate: '2020-09-01',
+			endDate: '2020-09-30',
+			compareStartDate: '2020-08-01',
+			compareEndDate: '2020-08-31',
+		};
+
+		const alignedRows = alignComparisonRows( rows, dates, getRowDate );
+
+		expect( alignedRows ).toHaveLength( 30 );
+		expect( alignedRows[ 0 ] ).toEqual( { date: '2020-09-01', compareDate: '2020-08-01', row: rows[ 1 ], compareRow: rows[ 0 ] } );
+		expect( alignedRows[ 29 ] ).toEqual( { date: '2020-09-30', compareDate: '2020-08-30', row: rows[ 3 ], compareRow: undefined } );
+	} );
+
+	it( 'should leave days beyond the end of a shorter previous month without comparison', () => {
+		const rows = [
+			{ date: '2020-02-29', value: 29 },
+			{ date: '2020-03-29', value: 1 },
+			{ date: '2020-03-31', value: 2 },
+		];
+		// 'last-month' with a reference date in April.
+		const dates = {
+			startDate: '2020-03-01',
+			endDate: '2020-03-31',
+			compareStartDate: '2020-02-01',
+			compareEndDate: '2020-02-29',
+		};
+
+		const alignedRows = alignComparisonRows( rows, dates, getRowDate );
+
+		expect( alignedRows ).toHaveLength( 31 );
+		expect( alignedRows[ 28 ] ).toEqual( { date: '2020-03-29', compareDate: '2020-02-29', row: rows[ 1 ], compareRow: rows[ 0 ] } );
+		expect( alignedRows[ 29 ] ).toEqual( { date: '2020-03-30', compareDate: undefined, row: undefined, compareRow: undefined } );
+		expect( alignedRows[ 30 ] ).toEqual( { date: '2020-03-31', compareDate: undefined, row: rows[ 2 ], compareRow: undefined } );
+	} );
+
+	it( 'should return an empty list without rows', () => {
+		const dates = {
+			startDate: '2020-09-01',
+			endDate: '2020-09-28',
+			compareStartDate: '2020-08-04',
+			compareEndDate: '2020-08-31',
+		};
+
+		expect( alignComparisonRows( [], dates, getRowDate ) ).toEqual( [] );
+		expect( alignComparisonRows( undefined, dates, getRowDate ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'getComparisonTooltip', () => {
+	it( 'should include both values and the change', () => {
+		const tooltip = getComparisonTooltip( {
+			title: 'Clicks',
+			label: 'Current',
+			value: 120,
+			compareLabel: 'Previous',
+			compareValue: 100,
+		} );
+
+		expect( tooltip ).toBe( 'Clicks\nCurrent: 120\nPrevious: 100\nChange: +20.0%' );
+	} );
+
+	it( 'should format values with the given callback', () => {
+		const tooltip = getComparisonTooltip( {
+			title: 'CTR',
+			label: 'Current',
+			value: 0.5,
+			compareLabel: 'Previous',
+			compareValue: 1,
+			format: ( value ) => `${ value * 100 }%`,
+		} );
+
+		expect( tooltip ).toBe( 'CTR\nCurrent: 50%\nPrevious: 100%\nChange: -50.0%' );
+	} );
+
+	it( 'should omit the change if there is no previous value', () => {
+		const tooltip = getComparisonTooltip( {
+			title: 'Clicks',
+			label: 'Current',
+			value: 5,
+			compareLabel: 'Previous',
+			compareValue: 0,
+		} );
+
+		expect( tooltip ).toBe( 'Clicks\nCurrent: 5\nPrevious: 0' );
+	} );
+
+	it( 'should only include the current value without a previous label', () => {
+		const tooltip = getComparisonTooltip( {
+			title: 'Clicks',
+			label: 'Current',
+			value: 5,
+		} );
+
+		expect( tooltip ).toBe( 'Clicks\nCurrent: 5' );
+	} );
+} );
@@ -18,32 +18,284 @@
 /**
  * WordPress dependencies
  */
-import { applyFilters } from '@wordpress/hooks';
 import { _n, sprintf } from '@wordpress/i18n';
 
+/**
+ * Internal dependencies
+ */
+import Data from 'googlesitekit-data';
+import { STORE_NAME as CORE_USER } from '../googlesitekit/datastore/user/constants';
+
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+const LAST_DAYS_REGEX = /^last-(\d+)-days$/;
+const ABSOLUTE_REGEX = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Number of days relative date ranges end before the reference date by default.
+ *
+ * This matches the server, which excludes the current day from reports since
+ * its data is incomplete. Services with further delayed data, like Search
+ * Console, use a larger offset.
+ *
+ * @since n.e.x.t
+ */
+export const DEFAULT_DATE_RANGE_OFFSET_DAYS = 1;
+
+/**
+ * Parses a date string in 'YYYY-MM-DD' format into a UTC-based Date object.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {string} dateString Date string in 'YYYY-MM-DD' format.
+ * @return {Date} Date object at midnight UTC of the given day.
+ */
+const parseDateString = ( dateString ) => {
+	const [ year, month, day ] = dateString.split( '-' ).map( ( part ) => parseInt( part, 10 ) );
+
+	return new Date( Date.UTC( year, month - 1, day ) );
+};
+
+/**
+ * Formats a UTC-based Date object as 'YYYY-MM-DD'.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {Date} date UTC-based date object.
+ * @return {string} Date string in 'YYYY-MM-DD' format.
+ */
+const formatUTCDate = ( date ) => date.toISOString().slice( 0, 10 );
+
+const addDays = ( date, days ) => new Date( date.getTime() + ( days * DAY_IN_MILLISECONDS ) );
+
+const getDaysInMonth = ( year, month ) => new Date( Date.UTC( year, month + 1, 0 ) ).getUTCDate();
+
+/**
+ * Checks whether the given value is a valid date string in 'YYYY-MM-DD' format.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} dateString Date string to check.
+ * @return {boolean} `true` if valid, otherwise `false`.
+ */
+export function isValidDateString( dateString ) {
+	if ( typeof dateString !== 'string' || ! DATE_REGEX.test( dateString ) ) {
+		return false;
+	}
+
+	// Rule out dates like '2020-02-31' which Date would silently roll over.
+	const date = parseDateString( dateString );
+	return ! isNaN( date.getTime() ) && formatUTCDate( date ) === dateString;
+}
+
+/**
+ * Checks whether the given value is a supported date range.
+ *
+ * Supported date ranges are:
+ * * Relative ranges of days, e.g. 'last-28-days'.
+ * * The current month so far, 'this-month'.
+ * * The whole previous month, 'last-month'.
+ * * Absolute ranges, e.g. '2020-09-01..2020-09-30'.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} dateRange Date range to check.
+ * @return {boolean} `true` if valid, otherwise `false`.
+ */
+export function isValidDateRange( dateRange ) {
+	if ( typeof dateRange !== 'string' ) {
+		return false;
+	}
+
+	if ( 'this-month' === dateRange || 'last-month' === dateRange ) {
+		return true;
+	}
+
+	const daysMatch = dateRange.match( LAST_DAYS_REGEX );
+	if ( daysMatch ) {
+		return parseInt( daysMatch[ 1 ], 10 ) > 0;
+	}
+
+	const absoluteMatch = dateRange.match( ABSOLUTE_REGEX );
+	if ( absoluteMatch ) {
+		const [ , startDate, endDate ] = absoluteMatch;
+		return isValidDateString( startDate ) && isValidDateString( endDate ) && startDate <= endDate;
+	}
+
+	return false;
+}
+
+/**
+ * Gets the local date of the given Date object as a string in 'YYYY-MM-DD' format.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Date} date Date object.
+ * @return {string} Date string in 'YYYY-MM-DD' format.
+ */
+export function getDateString( date ) {
+	const month = `${ date.getMonth() + 1 }`.padStart( 2, '0' );
+	const day = `${ date.getDate() }`.padStart( 2, '0' );
+
+	return `${ date.getFullYear() }-${ month }-${ day }`;
+}
+
+/**
+ * Adds the given number of days to a date string.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} dateString Date string in 'YYYY-MM-DD' format.
+ * @param {number} days       Number of days to add, negative to subtract.
+ * @return {string} Date string in 'YYYY-MM-DD' format.
+ */
+export function addDaysToDateString( dateString, days ) {
+	return formatUTCDate( addDays( parseDateString( dateString ), days ) );
+}
+
+/**
+ * Gets the start and end dates for the given date range.
+ *
+ * The comparison period is the period of the same length immediately
+ * preceding the date range, except for 'this-month' and 'last-month', which
+ * are compared to the same days of the respective previous month.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string}  dateRange             Date range, see `isValidDateRange()`.
+ * @param {Object}  options               Options.
+ * @param {string}  options.referenceDate Date to consider "today", in 'YYYY-MM-DD' format.
+ * @param {number}  [options.offsetDays]  Optional. Number of days to exclude before the reference date, for
+ *                                        services with delayed data. Ignored for absolute ranges. Default
+ *                                        `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @param {boolean} [options.compare]     Optional. Whether to include the comparison period. Default false.
+ * @return {Object} Object with `startDate` and `endDate`, plus `compareStartDate` and `compareEndDate` if requested.
+ */
+export function getDateRangeDates( dateRange, { referenceDate, offsetDays = DEFAULT_DATE_RANGE_OFFSET_DAYS, compare = false } ) {
+	if ( ! isValidDateRange( dateRange ) ) {
+		throw new Error( `Unrecognized date range: ${ dateRange }.` );
+	}
+	if ( ! isValidDateString( referenceDate ) ) {
+		throw new Error( 'A valid referenceDate is required.' );
+	}
+
+	const lastDay = addDays( parseDateString( referenceDate ), -offsetDays );
+
+	let startDate, endDate, compareStartDate, compareEndDate;
+
+	if ( 'this-month' === dateRange || 'last-month' === dateRange ) {
+		let year = lastDay.getUTCFullYear();
+		let month = lastDay.getUTCMonth();
+		let day = lastDay.getUTCDate();
+
+		if ( 'last-month' === dateRange ) {
+			month -= 1;
+			day = getDaysInMonth( year, month );
+		}
+
+		startDate = new Date( Date.UTC( year, month, 1 ) );
+		endDate = new Date( Date.UTC( year, month, day ) );
+
+		// Compare to the same days of the previous month, capped at its length.
+		year = startDate.getUTCFullYear();
+		month = startDate.getUTCMonth() - 1;
+		const isFullMonth = 'last-month' === dateRange;
+		compareStartDate = new Date( Date.UTC( year, month, 1 ) );
+		compareEndDate = new Date( Date.UTC(
+			year,
+			month,
+			isFullMonth ? getDaysInMonth( year, month ) : Math.min( day, getDaysInMonth( year, month ) )
+		) );
+	} else {
+		const absoluteMatch = dateRange.match( ABSOLUTE_REGEX );
+		if ( absoluteMatch ) {
+			startDate = parseDateString( absoluteMatch[ 1 ] );
+			endDate = parseDateString( absoluteMatch[ 2 ] );
+		} else {
+			const numberOfDays = parseInt( dateRange.match( LAST_DAYS_REGEX )[ 1 ], 10 );
+			endDate = lastDay;
+			startDate = addDays( endDate, -( numberOfDays - 1 ) );
+		}
+
+		const numberOfDays = Math.round( ( endDate - startDate ) / DAY_IN_MILLISECONDS ) + 1;
+		compareEndDate = addDays( startDate, -1 );
+		compareStartDate = addDays( compareEndDate, -( numberOfDays - 1 ) );
+	}
+
+	const dates = {
+		startDate: formatUTCDate( startDate ),
+		endDate: formatUTCDate( endDate ),
+	};
+
+	if ( compare ) {
+		dates.compareStartDate = formatUTCDate( compareStartDate );
+		dates.compareEndDate = formatUTCDate( compareEndDate );
+	}
+
+	return dates;
+}
+
+/**
+ * Gets the number of days in the given date range.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} dateRange     Date range, see `isValidDateRange()`.
+ * @param {string} referenceDate Date to consider "today", in 'YYYY-MM-DD' format.
+ * @param {number} [offsetDays]  Optional. Number of days to exclude before the reference date, see
+ *                               `getDateRangeDates()`. Default `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @return {number} Number of days in the date range, including start and end date.
+ */
+export function getDateRangeNumberOfDays( dateRange, referenceDate, offsetDays = DEFAULT_DATE_RANGE_OFFSET_DAYS ) {
+	const { startDate, endDate } = getDateRangeDates( dateRange, { referenceDate, offsetDays } );
+
+	return Math.round( ( parseDateString( endDate ) - parseDateString( startDate ) ) / DAY_IN_MILLISECONDS ) + 1;
+}
+
+/**
+ * Gets the number of days in the current dateRange.
+ *
+ * @since n.e.x.t
+ *
+ * @param {number} [offsetDays] Optional. Number of days to exclude before the reference date, see
+ *                              `getDateRangeDates()`. Default `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @return {number} Number of days in the current date range.
+ */
+export function getCurrentDateRangeDayCount( offsetDays = DEFAULT_DATE_RANGE_OFFSET_DAYS ) {
+	const { getDateRange, getReferenceDate } = Data.select( CORE_USER );
+
+	return getDateRangeNumberOfDays( getDateRange(), getReferenceDate(), offsetDays );
+}
+
+/**
+ * Gets the start and end dates of the current dateRange and its comparison period.
+ *
+ * @since n.e.x.t
+ *
+ * @param {number} [offsetDays] Optional. Number of days to exclude before the reference date, see
+ *                              `getDateRangeDates()`. Default `DEFAULT_DATE_RANGE_OFFSET_DAYS`.
+ * @return {Object} Object with `startDate`, `endDate`, `compareStartDate` and `compareEndDate`.
+ */
+export function getCurrentDateRangeDates( offsetDays = DEFAULT_DATE_RANGE_OFFSET_DAYS ) {
+	return Data.select( CORE_USER ).getDateRangeDates( { compare: true, offsetDays } );
+}
+
 /**
  * Gets the current dateRange string.
  *
  * @return {string} the date range string.
  */
 export function getCurrentDateRange() {
-	/**
-	 * Filter the date range used for queries.
-	 *
-	 * @param String The selected date range. Default 'Last 28 days'.
-	 */
-	const dateRange = applyFilters( 'googlesitekit.dateRange', 'last-28-days' );
-	const daysMatch = dateRange.match( /last-(\d+)-days/ );
-
-	if ( daysMatch && daysMatch[ 1 ] ) {
-		return sprintf(
-			/* translators: %s: Number of days matched. */
-			_n( '%s day', '%s days', parseInt( daysMatch[ 1 ], 10 ), 'google-site-kit' ),
-			daysMatch[ 1 ]
-		);
-	}
+	const numberOfDays = getCurrentDateRangeDayCount();
 
-	throw new Error( 'Unrecognized date range slug used in `googlesitekit.dateRange`.' );
+	return sprintf(
+		/* translators: %s: Number of days matched. */
+		_n( '%s day', '%s days', numberOfDays, 'google-site-kit' ),
+		numberOfDays
+	);
 }
 
 /**
@@ -52,5 +304,5 @@ export function getCurrentDateRange() {
  * @return {string} the date range slug.
  */
 export function getCurrentDateRangeSlug() {
-	return applyFilters( 'googlesitekit.dateRange', 'last-28-days' );
+	return Data.select( CORE_USER ).getDateRange();
 }
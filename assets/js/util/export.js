@@ -0,0 +1,217 @@
+/**
+ * Utility functions for exporting tabular data.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import kebabCase from 'lodash/kebabCase';
+
+/**
+ * Internal dependencies
+ */
+import { getDateString } from './date-range';
+
+/**
+ * Gets the value of a cell for export.
+ *
+ * Numbers are kept as-is so that they do not depend on the user's locale,
+ * dates are converted to 'YYYY-MM-DD' strings, and Google Charts cell objects
+ * are reduced to their raw value.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} value Cell value.
+ * @return {(string|number|boolean|null)} Exportable value.
+ */
+const getExportValue = ( value ) => {
+	if ( value === undefined || value === null ) {
+		return null;
+	}
+
+	if ( value instanceof Date ) {
+		return getDateString( value );
+	}
+
+	if ( typeof value === 'number' ) {
+		return isFinite( value ) ? value : null;
+	}
+
+	if ( typeof value === 'object' && value.hasOwnProperty( 'v' ) ) {
+		return getExportValue( value.v );
+	}
+
+	if ( typeof value === 'boolean' ) {
+		return value;
+	}
+
+	return String( value );
+};
+
+/**
+ * Escapes a value as a CSV field.
+ *
+ * Strings like page titles or search queries come from visitors, so those
+ * that spreadsheets would run as formulas are prefixed with a single quote.
+ * Numbers are kept as-is, even if negative.
+ *
+ * @since n.e.x.t
+ * @private
+ *
+ * @param {*} value Cell value.
+ * @return {string} CSV field.
+ */
+const toCSVField = ( value ) => {
+	const exportValue = getExportValue( value );
+	if ( exportValue === null ) {
+		return '';
+	}
+
+	let field = String( exportValue );
+	if ( typeof exportValue === 'string' && /^[=+\-@\t\r]/.test( field ) ) {
+		field = `'${ field }`;
+	}
+
+	if ( /[",\r\n]/.test( field ) ) {
+		return `"${ field.replace( /"/g, '""' ) }"`;
+	}
+
+	return field;
+};
+
+/**
+ * Converts tabular data to CSV.
+ *
+ * The output follows RFC 4180: the first record contains the column labels,
+ * records are separated by CRLF, and fields containing commas, double quotes
+ * or line breaks are enclosed in double quotes.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} columns Columns, each with a `label` for the header record.
+ * @param {Array.<Array>}  rows    Rows, each an array of values in the order of the columns.
+ * @return {string} CSV data.
+ */
+export const toCSV = ( columns, rows ) => {
+	return [
+		columns.map( ( { label } ) => toCSVField( label ) ),
+		...rows.map( ( row ) => columns.map( ( column, i ) => toCSVField( row[ i ] ) ) ),
+	].map( ( fields ) => fields.join( ',' ) ).join( '\r\n' ) + '\r\n';
+};
+
+/**
+ * Converts tabular data to JSON.
+ *
+ * Each row becomes an object with its values keyed by the respective column
+ * keys.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Object>} columns Columns, each with a `key` for the row objects.
+ * @param {Array.<Array>}  rows    Rows, each an array of values in the order of the columns.
+ * @return {string} JSON data.
+ */
+export const toJSON = ( columns, rows ) => {
+	const objects = rows.map( ( row ) => columns.reduce( ( object, { key }, i ) => {
+		object[ key ] = getExportValue( row[ i ] );
+		return object;
+	}, {} ) );
+
+	return JSON.stringify( objects, null, 2 );
+};
+
+/**
+ * Converts Google Charts data to tabular data for export.
+ *
+ * Role columns like tooltips or annotations are omitted, as they only
+ * affect how the chart is displayed.
+ *
+ * @since n.e.x.t
+ *
+ * @param {Array.<Array>} data Chart data in the format of `arrayToDataTable()`, with the column labels or
+ *                             column description objects as first row.
+ * @return {Object} Object with `columns` and `rows`, see `toCSV()` and `toJSON()`.
+ */
+export const getChartExportData = ( data ) => {
+	const [ header = [], ...dataRows ] = data || [];
+
+	const indexes = [];
+	const columns = [];
+	header.forEach( ( column, i ) => {
+		if ( column && typeof column === 'object' ) {
+			if ( column.role ) {
+				return;
+			}
+			column = column.label || column.id || '';
+		}
+
+		indexes.push( i );
+		columns.push( { key: String( column ), label: String( column ) } );
+	} );
+
+	return {
+		columns,
+		rows: dataRows.map( ( row ) => indexes.map( ( i ) => row[ i ] ) ),
+	};
+};
+
+/**
+ * Gets the name for an exported file.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} name                Base name of the file, e.g. the title of the exported table.
+ * @param {Object} dateRange           Dates of the exported data.
+ * @param {string} dateRange.startDate Start date in 'YYYY-MM-DD' format.
+ * @param {string} dateRange.endDate   End date in 'YYYY-MM-DD' format.
+ * @param {string} extension           File extension, e.g. 'csv'.
+ * @return {string} File name, e.g. 'top-pages_2020-09-01_2020-09-28.csv'.
+ */
+export const getExportFileName = ( name, { startDate, endDate }, extension ) => {
+	return [ kebabCase( name ), startDate, endDate ].filter( Boolean ).join( '_' ) + `.${ extension }`;
+};
+
+/**
+ * Lets the user download the given contents as a file.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} contents File contents.
+ * @param {string} fileName File name.
+ * @param {string} type     MIME type of the file.
+ */
+export const downloadFile = ( contents, fileName, type ) => {
+	const blob = new global.Blob( [ contents ], { type } );
+
+	// Internet Explorer does not support the download attribute.
+	if ( global.navigator.msSaveOrOpenBlob ) {
+		global.navigator.msSaveOrOpenBlob( blob, fileName );
+		return;
+	}
+
+	const url = global.URL.createObjectURL( blob );
+	const link = global.document.createElement( 'a' );
+	link.href = url;
+	link.download = fileName;
+	link.style.display = 'none';
+
+	global.document.body.appendChild( link );
+	link.click();
+	global.document.body.removeChild( link );
+	global.URL.revokeObjectURL( url );
+};
@@ -0,0 +1,115 @@
+/**
+ * Export utility tests.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getChartExportData, getExportFileName, toCSV, toJSON } from './export';
+
+const columns = [
+	{ key: 'title', label: 'Title' },
+	{ key: 'pageviews', label: 'Pageviews' },
+];
+
+describe( 'export', () => {
+	describe( 'toCSV', () => {
+		it( 'returns the header and rows separated by CRLF', () => {
+			expect( toCSV( columns, [ [ 'Home', 1234.5 ], [ 'About', 0 ] ] ) ).toBe(
+				'Title,Pageviews\r\nHome,1234.5\r\nAbout,0\r\n'
+			);
+		} );
+
+		it( 'quotes fields with commas, double quotes and line breaks', () => {
+			const rows = [
+				[ 'Hello, world', 1 ],
+				[ 'The "best" page', 2 ],
+				[ 'Multi\nline', 3 ],
+			];
+
+			expect( toCSV( columns, rows ) ).toBe(
+				'Title,Pageviews\r\n"Hello, world",1\r\n"The ""best"" page",2\r\n"Multi\nline",3\r\n'
+			);
+		} );
+
+		it( 'prevents strings from being run as formulas', () => {
+			const rows = [
+				[ '=HYPERLINK("https://example.com")', -1 ],
+				[ '+1', 2 ],
+				[ '-1', 3 ],
+				[ '@SUM(A1)', 4 ],
+			];
+
+			expect( toCSV( columns, rows ) ).toBe(
+				'Title,Pageviews\r\n"\'=HYPERLINK(""https://example.com"")",-1\r\n\'+1,2\r\n\'-1,3\r\n\'@SUM(A1),4\r\n'
+			);
+		} );
+
+		it( 'exports numbers independent of the locale and dates as YYYY-MM-DD', () => {
+			const rows = [
+				[ new Date( 2020, 8, 1 ), 1234567.891 ],
+				[ null, undefined ],
+				[ { v: 'raw', f: 'formatted' }, NaN ],
+			];
+
+			expect( toCSV( columns, rows ) ).toBe(
+				'Title,Pageviews\r\n2020-09-01,1234567.891\r\n,\r\nraw,\r\n'
+			);
+		} );
+	} );
+
+	describe( 'toJSON', () => {
+		it( 'returns the rows as objects keyed by column', () => {
+			const json = toJSON( columns, [ [ 'Home', 1234.5 ], [ new Date( 2020, 8, 1 ), null ] ] );
+
+			expect( JSON.parse( json ) ).toEqual( [
+				{ title: 'Home', pageviews: 1234.5 },
+				{ title: '2020-09-01', pageviews: null },
+			] );
+		} );
+	} );
+
+	describe( 'getChartExportData', () => {
+		it( 'uses the first row as columns and omits role columns', () => {
+			const data = [
+				[ { type: 'date', label: 'Day' }, { type: 'string', role: 'tooltip' }, 'Users' ],
+				[ new Date( 2020, 8, 1 ), 'Tooltip', 10 ],
+				[ new Date( 2020, 8, 2 ), 'Tooltip', 20 ],
+			];
+
+			expect( getChartExportData( data ) ).toEqual( {
+				columns: [
+					{ key: 'Day', label: 'Day' },
+					{ key: 'Users', label: 'Users' },
+				],
+				rows: [
+					[ new Date( 2020, 8, 1 ), 10 ],
+					[ new Date( 2020, 8, 2 ), 20 ],
+				],
+			} );
+		} );
+	} );
+
+	describe( 'getExportFileName', () => {
+		it( 'includes the name and the dates', () => {
+			const dates = { startDate: '2020-09-01', endDate: '2020-09-28' };
+
+			expect( getExportFileName( 'Top Pages', dates, 'csv' ) ).toBe( 'top-pages_2020-09-01_2020-09-28.csv' );
+			expect( getExportFileName( 'top-pages', dates, 'json' ) ).toBe( 'top-pages_2020-09-01_2020-09-28.json' );
+		} );
+	} );
+} );
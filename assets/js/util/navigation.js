@@ -0,0 +1,44 @@
+/**
+ * Navigation utility functions.
+ *
+ * Site Kit by Google, Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+let navigating = false;
+
+/**
+ * Navigates to the given URL on purpose, e.g. to an authorization or setup page.
+ *
+ * Unlike the user leaving the page, such a navigation does not ask for
+ * confirmation if there are unsaved changes, since dirty forms are persisted
+ * and restored once the user comes back.
+ *
+ * @since n.e.x.t
+ *
+ * @param {string} url URL to navigate to.
+ */
+export const navigateTo = ( url ) => {
+	navigating = true;
+	global.location.assign( url );
+};
+
+/**
+ * Checks whether the page is being left through `navigateTo`.
+ *
+ * @since n.e.x.t
+ *
+ * @return {boolean} `true` if navigating on purpose, otherwise `false`.
+ */
+export const isNavigating = () => navigating;
@@ -24,6 +24,11 @@ import {
 	sprintf,
 } from '@wordpress/i18n';
 
+/**
+ * Internal dependencies
+ */
+import { DATABASE_NAME } from '../googlesitekit/api/indexeddb-storage';
+
 /**
  * Appends a notification count icon to the Site Kit dashboard menu/admin bar when
  * user is outside the Site Kit app.
@@ -84,9 +89,9 @@ export const appendNotificationsCount = ( count = 0 ) => {
 };
 
 /**
- * Clears session storage and local storage.
+ * Clears session storage, local storage and the Site Kit IndexedDB database.
  *
- * Both of these should be cleared to make sure no Site Kit data is left in the
+ * All of these should be cleared to make sure no Site Kit data is left in the
  * browser's cache regardless of which storage implementation is used.
  */
 export const clearWebStorage = () => {
@@ -96,6 +101,9 @@ export const clearWebStorage = () => {
 	if ( global.sessionStorage ) {
 		global.sessionStorage.clear();
 	}
+	if ( global.indexedDB ) {
+		global.indexedDB.deleteDatabase( DATABASE_NAME );
+	}
 };
 
 /**
@@ -0,0 +1,17 @@
+/**
+ * Internal dependencies
+ */
+import { addDaysToDateString } from '../date-range';
+
+const valuesToTest = [
+	[ '2020-09-24', 1, '2020-09-25' ],
+	[ '2020-09-30', 1, '2020-10-01' ],
+	[ '2020-03-01', -1, '2020-02-29' ],
+	[ '2020-01-15', -28, '2019-12-18' ],
+];
+
+describe( 'addDaysToDateString', () => {
+	it.each( valuesToTest )( 'for %s adding %s days should return %s', ( dateString, days, expected ) => {
+		expect( addDaysToDateString( dateString, days ) ).toStrictEqual( expected );
+	} );
+} );
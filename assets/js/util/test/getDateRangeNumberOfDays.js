@@ -0,0 +1,22 @@
+/**
+ * Internal dependencies
+ */
+import { getDateRangeNumberOfDays } from '../date-range';
+
+const valuesToTest = [
+	[ 'last-28-days', '2020-09-24', 1, 28 ],
+	[ 'this-month', '2020-09-24', 1, 23 ],
+	[ 'this-month', '2020-09-24', 3, 21 ],
+	[ 'last-month', '2020-03-10', 1, 29 ],
+	[ '2020-09-01..2020-09-30', '2020-09-24', 3, 30 ],
+];
+
+describe( 'getDateRangeNumberOfDays', () => {
+	it.each( valuesToTest )( 'for %s with reference date %s and offset %s should return %s', ( dateRange, referenceDate, offsetDays, expected ) => {
+		expect( getDateRangeNumberOfDays( dateRange, referenceDate, offsetDays ) ).toStrictEqual( expected );
+	} );
+
+	it( 'should exclude the current day by default', () => {
+		expect( getDateRangeNumberOfDays( 'this-month', '2020-09-24' ) ).toStrictEqual( 23 );
+	} );
+} );
@@ -0,0 +1,25 @@
+/**
+ * Internal dependencies
+ */
+import { isValidDateRange } from '../date-range';
+
+const valuesToTest = [
+	[ 'last-28-days', true ],
+	[ 'last-1-days', true ],
+	[ 'last-0-days', false ],
+	[ 'this-month', true ],
+	[ 'last-month', true ],
+	[ '2020-09-01..2020-09-30', true ],
+	[ '2020-09-01..2020-09-01', true ],
+	[ '2020-09-30..2020-09-01', false ],
+	[ '2020-02-01..2020-02-30', false ],
+	[ '2020-9-1..2020-9-30', false ],
+	[ 'last-week', false ],
+	[ undefined, false ],
+];
+
+describe( 'isValidDateRange', () => {
+	it.each( valuesToTest )( 'for %s should return %s', ( dateRange, expected ) => {
+		expect( isValidDateRange( dateRange ) ).toStrictEqual( expected );
+	} );
+} );
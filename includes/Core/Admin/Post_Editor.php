@@ -0,0 +1,120 @@
+<?php
+/**
+ * Class Google\Site_Kit\Core\Admin\Post_Editor
+ *
+ * @package   Google\Site_Kit
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Core\Admin;
+
+use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\Assets\Assets;
+use Google\Site_Kit\Core\Modules\Modules;
+use Google\Site_Kit\Core\Permissions\Permissions;
+
+/**
+ * Class to handle all block editor related functionality.
+ *
+ * @since n.e.x.t
+ * @access private
+ * @ignore
+ */
+final class Post_Editor {
+
+	/**
+	 * Plugin context.
+	 *
+	 * @since n.e.x.t
+	 * @var Context
+	 */
+	private $context;
+
+	/**
+	 * Assets Instance.
+	 *
+	 * @since n.e.x.t
+	 * @var Assets
+	 */
+	private $assets;
+
+	/**
+	 * Modules instance.
+	 *
+	 * @since n.e.x.t
+	 * @var Modules
+	 */
+	private $modules;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param Context $context Plugin context.
+	 * @param Assets  $assets  Optional. Assets API instance. Default is a new instance.
+	 * @param Modules $modules Optional. Modules instance. Default is a new instance.
+	 */
+	public function __construct(
+		Context $context,
+		Assets $assets = null,
+		Modules $modules = null
+	) {
+		$this->context = $context;
+		$this->assets  = $assets ?: new Assets( $this->context );
+		$this->modules = $modules ?: new Modules( $this->context );
+	}
+
+	/**
+	 * Registers functionality through WordPress hooks.
+	 *
+	 * @since n.e.x.t
+	 */
+	public function register() {
+		add_action(
+			'enqueue_block_editor_assets',
+			function() {
+				if ( ! $this->is_active() ) {
+					return;
+				}
+
+				// Enqueue fonts.
+				$this->assets->enqueue_fonts();
+
+				// Enqueue styles.
+				$this->assets->enqueue_asset( 'googlesitekit-editor-css' );
+
+				// Enqueue scripts.
+				$this->assets->enqueue_asset( 'googlesitekit-editor' );
+				$this->modules->enqueue_assets();
+			}
+		);
+	}
+
+	/**
+	 * Checks whether the post performance panel should be available for the edited post.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return bool True if the panel should be available, false otherwise.
+	 */
+	public function is_active() {
+		$post = get_post();
+		if ( ! $post instanceof \WP_Post ) {
+			return false;
+		}
+
+		// There is no data for posts that have not been published yet.
+		if ( 'publish' !== $post->post_status ) {
+			return false;
+		}
+
+		if ( ! current_user_can( Permissions::VIEW_POST_INSIGHTS, $post->ID ) ) {
+			return false;
+		}
+
+		return (bool) $this->context->get_reference_permalink( $post );
+	}
+}
@@ -583,6 +583,21 @@ final class Assets {
 					'src' => $base_url . 'css/wpdashboard.css',
 				)
 			),
+			// Block editor assets.
+			new Script(
+				'googlesitekit-editor',
+				array(
+					'src'          => $base_url . 'js/googlesitekit-editor.js',
+					'dependencies' => array_merge( $dependencies, array( 'wp-plugins', 'wp-edit-post', 'wp-element', 'wp-data' ) ),
+					'execution'    => 'defer',
+				)
+			),
+			new Stylesheet(
+				'googlesitekit-editor-css',
+				array(
+					'src' => $base_url . 'css/editor.css',
+				)
+			),
 			// Admin bar assets.
 			new Script(
 				'googlesitekit-adminbar-loader',
@@ -737,6 +752,19 @@ final class Assets {
 			$page_title = is_home() ? get_bloginfo( 'blogname' ) : get_the_title();
 		}
 
+		/**
+		 * Filters the browser storage used to cache API responses in JS.
+		 *
+		 * Supported values are 'localStorage' (default), 'sessionStorage' and 'indexedDB'. IndexedDB avoids
+		 * serializing large responses on the main thread. If the storage is not available in a browser, the
+		 * default storage is used instead.
+		 *
+		 * @since n.e.x.t
+		 *
+		 * @param string $storage Name of the browser storage.
+		 */
+		$js_cache_storage = apply_filters( 'googlesitekit_js_cache_storage', 'localStorage' );
+
 		$admin_data = array(
 			'siteURL'          => esc_url_raw( $site_url ),
 			'siteName'         => get_bloginfo( 'name' ),
@@ -744,6 +772,7 @@ final class Assets {
 			'adminRoot'        => esc_url_raw( get_admin_url() . 'admin.php' ),
 			'assetsRoot'       => esc_url_raw( $this->context->url( 'dist/assets/' ) ),
 			'nojscache'        => current_user_can( 'manage_options' ) && null !== $input->filter( INPUT_GET, 'nojscache' ),
+			'jsCacheStorage'   => in_array( $js_cache_storage, array( 'localStorage', 'sessionStorage', 'indexedDB' ), true ) ? $js_cache_storage : 'localStorage',
 			'datacache'        => ( current_user_can( 'manage_options' ) && null !== $input->filter( INPUT_GET, 'datacache' ) )
 				? json_encode( $cache->get_current_cache_data() ) // phpcs:ignore WordPress.WP.AlternativeFunctions.json_encode_json_encode
 				: false,
@@ -551,19 +551,35 @@ abstract class Module {
 	 * Parses a date range string into a start date and an end date.
 	 *
 	 * @since 1.0.0
+	 * @since n.e.x.t Added support for 'this-month', 'last-month' and absolute 'Y-m-d..Y-m-d' ranges.
 	 *
-	 * @param string $range      Date range string. Either 'last-7-days', 'last-14-days', 'last-90-days', or
-	 *                           'last-28-days' (default).
+	 * @param string $range      Date range string. Either 'last-7-days', 'last-14-days', 'last-90-days',
+	 *                           'last-28-days' (default), 'this-month', 'last-month', or an absolute range like
+	 *                           '2020-09-01..2020-09-30'.
 	 * @param string $multiplier Optional. How many times the date range to get. This value can be specified if the
 	 *                           range should be request multiple times back. Default 1.
 	 * @param int    $offset     Days the range should be offset by. Default 1. Used by Search Console where
-	 *                           data is delayed by two days.
+	 *                           data is delayed by two days. Ignored for absolute ranges.
 	 * @param bool   $previous   Whether to select the previous period. Default false.
 	 *
 	 * @return array List with two elements, the first with the start date and the second with the end date, both as
 	 *               'Y-m-d'.
 	 */
 	protected function parse_date_range( $range, $multiplier = 1, $offset = 1, $previous = false ) {
+		if ( preg_match( '/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/', $range, $matches ) ) {
+			$range_end      = strtotime( $matches[2] );
+			$number_of_days = $multiplier * ( (int) round( ( $range_end - strtotime( $matches[1] ) ) / DAY_IN_SECONDS ) + 1 );
+
+			// For previous period requests, offset period by the number of days in the request.
+			$date_end   = $previous ? $range_end - $number_of_days * DAY_IN_SECONDS : $range_end;
+			$date_start = $date_end - ( $number_of_days - 1 ) * DAY_IN_SECONDS;
+
+			return array( gmdate( 'Y-m-d', $date_start ), gmdate( 'Y-m-d', $date_end ) );
+		}
+
+		if ( 'this-month' === $range || 'last-month' === $range ) {
+			return $this->parse_month_date_range( 'last-month' === $range, $multiplier, $offset, $previous );
+		}
 
 		preg_match( '*-(\d+)-*', $range, $matches );
 		$number_of_days = $multiplier * ( isset( $matches[1] ) ? $matches[1] : 28 );
@@ -579,6 +595,41 @@ abstract class Module {
 		return array( $date_start, $date_end );
 	}
 
+	/**
+	 * Parses a calendar month based date range into a start date and an end date.
+	 *
+	 * Previous periods of month based ranges span the same days of the respective previous months, capped at the
+	 * length of each month.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param bool $full_month Whether the range is the whole previous month ('last-month') rather than the current
+	 *                         month so far ('this-month').
+	 * @param int  $multiplier How many months the date range should span.
+	 * @param int  $offset     Days the end of the current month should be offset by.
+	 * @param bool $previous   Whether to select the previous period.
+	 *
+	 * @return array List with two elements, the first with the start date and the second with the end date, both as
+	 *               'Y-m-d'.
+	 */
+	private function parse_month_date_range( $full_month, $multiplier, $offset, $previous ) {
+		$last_day = strtotime( $offset . ' days ago' );
+		$year     = (int) gmdate( 'Y', $last_day );
+		$month    = (int) gmdate( 'n', $last_day ) - ( $full_month ? 1 : 0 );
+		$day      = (int) gmdate( 'j', $last_day );
+
+		// For previous period requests, offset period by the number of months in the request.
+		$end_month     = $previous ? $month - $multiplier : $month;
+		$end_timestamp = gmmktime( 0, 0, 0, $end_month, 1, $year );
+		$days_in_month = (int) gmdate( 't', $end_timestamp );
+		$end_day       = $full_month ? $days_in_month : min( $day, $days_in_month );
+
+		$date_start = gmdate( 'Y-m-d', gmmktime( 0, 0, 0, $end_month - $multiplier + 1, 1, $year ) );
+		$date_end   = gmdate( 'Y-m-d', gmmktime( 0, 0, 0, $end_month, $end_day, $year ) );
+
+		return array( $date_start, $date_end );
+	}
+
 	/**
 	 * Gets the output for a specific frontend hook.
 	 *
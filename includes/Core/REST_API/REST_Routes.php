@@ -184,6 +184,13 @@ final class REST_Routes {
 									$responses = array_merge( $responses, $additional_responses );
 								}
 							}
+
+							// Serve everything that cannot be batched, so that clients never need to request it separately.
+							foreach ( $datasets as $dataset ) {
+								if ( isset( $dataset->key ) && ! array_key_exists( $dataset->key, $responses ) ) {
+									$responses[ $dataset->key ] = $this->get_dataset_response( $dataset );
+								}
+							}
 							$responses = array_map(
 								function ( $response ) {
 									if ( is_wp_error( $response ) ) {
@@ -274,6 +281,33 @@ final class REST_Routes {
 		return apply_filters( 'googlesitekit_rest_routes', $routes );
 	}
 
+	/**
+	 * Gets the response for a single dataset of a batch request from its own REST route.
+	 *
+	 * Used for datasets which cannot be batched, i.e. datapoints of inactive modules or datapoints that are not
+	 * backed by a Google service, like 'settings'. Dispatching the request internally applies the same permission
+	 * checks and yields the same response as requesting the route directly.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param \stdClass $dataset Dataset with `type`, `identifier`, `datapoint` and `data` properties.
+	 * @return mixed|WP_Error Response data, or an error object on failure.
+	 */
+	private function get_dataset_response( $dataset ) {
+		$request = new WP_REST_Request(
+			'GET',
+			sprintf( '/%s/%s/%s/data/%s', self::REST_ROOT, $dataset->type, $dataset->identifier, $dataset->datapoint )
+		);
+		$request->set_query_params( isset( $dataset->data ) ? (array) $dataset->data : array() );
+
+		$response = rest_do_request( $request );
+		if ( $response->is_error() ) {
+			return $response->as_error();
+		}
+
+		return $response->get_data();
+	}
+
 	/**
 	 * Converts a WP_Error to its response representation.
 	 *
@@ -0,0 +1,150 @@
+<?php
+/**
+ * Class Google\Site_Kit\Core\Widgets\Widget_Layout
+ *
+ * @package   Google\Site_Kit\Core\Widgets
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Core\Widgets;
+
+use Google\Site_Kit\Core\Storage\User_Setting;
+
+/**
+ * Class for the user's customized widget layout.
+ *
+ * The layout holds the widget order per widget area and the hidden widgets.
+ *
+ * @since n.e.x.t
+ * @access private
+ * @ignore
+ */
+class Widget_Layout extends User_Setting {
+
+	/**
+	 * The user option name for this setting.
+	 *
+	 * @var string
+	 */
+	const OPTION = 'googlesitekit_widget_layout';
+
+	/**
+	 * Gets the value of the setting.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array Layout with 'order' and 'hidden' keys.
+	 */
+	public function get() {
+		return $this->sanitize( parent::get() );
+	}
+
+	/**
+	 * Sets the value of the setting with the given value.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param mixed $value Layout with 'order' and 'hidden' keys.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function set( $value ) {
+		return parent::set( $this->sanitize( $value ) );
+	}
+
+	/**
+	 * Gets the expected value type.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return string The type name.
+	 */
+	protected function get_type() {
+		return 'object';
+	}
+
+	/**
+	 * Gets the default value.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array The default value.
+	 */
+	protected function get_default() {
+		return array(
+			'order'  => array(),
+			'hidden' => array(),
+		);
+	}
+
+	/**
+	 * Gets the callback for sanitizing the setting's value before saving.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return callable Sanitize callback.
+	 */
+	protected function get_sanitize_callback() {
+		return array( $this, 'sanitize' );
+	}
+
+	/**
+	 * Sanitizes a layout.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param mixed $value Layout to sanitize.
+	 * @return array Layout with an 'order' map of area slugs to lists of widget slugs, and a 'hidden' list of widget
+	 *               slugs.
+	 */
+	public function sanitize( $value ) {
+		$layout = $this->get_default();
+		if ( ! is_array( $value ) ) {
+			return $layout;
+		}
+
+		if ( isset( $value['order'] ) && is_array( $value['order'] ) ) {
+			foreach ( $value['order'] as $area_slug => $widget_slugs ) {
+				if ( is_array( $widget_slugs ) ) {
+					$layout['order'][ $this->sanitize_slug( $area_slug ) ] = $this->sanitize_slugs( $widget_slugs );
+				}
+			}
+		}
+
+		if ( isset( $value['hidden'] ) && is_array( $value['hidden'] ) ) {
+			$layout['hidden'] = $this->sanitize_slugs( $value['hidden'] );
+		}
+
+		return $layout;
+	}
+
+	/**
+	 * Sanitizes a list of widget slugs.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param array $slugs Widget slugs.
+	 * @return array Unique, non-empty widget slugs.
+	 */
+	private function sanitize_slugs( array $slugs ) {
+		$slugs = array_map( array( $this, 'sanitize_slug' ), array_filter( $slugs, 'is_string' ) );
+
+		return array_values( array_unique( array_filter( $slugs ) ) );
+	}
+
+	/**
+	 * Sanitizes a widget or widget area slug.
+	 *
+	 * Unlike `sanitize_key()`, this preserves the case, as slugs are camel-cased in JavaScript.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param string $slug Slug to sanitize.
+	 * @return string Slug with only alphanumeric characters, dashes and underscores.
+	 */
+	private function sanitize_slug( $slug ) {
+		return preg_replace( '/[^a-zA-Z0-9_\-]/', '', (string) $slug );
+	}
+}
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Class Google\Site_Kit\Core\Widgets\Widgets
+ *
+ * @package   Google\Site_Kit\Core\Widgets
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Core\Widgets;
+
+use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\Permissions\Permissions;
+use Google\Site_Kit\Core\REST_API\REST_Route;
+use Google\Site_Kit\Core\REST_API\REST_Routes;
+use Google\Site_Kit\Core\Storage\User_Options;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class managing the user-specific widget layout.
+ *
+ * @since n.e.x.t
+ * @access private
+ * @ignore
+ */
+final class Widgets {
+
+	/**
+	 * Widget_Layout instance.
+	 *
+	 * @since n.e.x.t
+	 * @var Widget_Layout
+	 */
+	protected $layout;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param Context      $context      Plugin context.
+	 * @param User_Options $user_options Optional. User_Options instance. Default is a new instance.
+	 */
+	public function __construct( Context $context, User_Options $user_options = null ) {
+		$user_options = $user_options ?: new User_Options( $context );
+		$this->layout = new Widget_Layout( $user_options );
+	}
+
+	/**
+	 * Registers functionality through WordPress hooks.
+	 *
+	 * @since n.e.x.t
+	 */
+	public function register() {
+		$this->layout->register();
+
+		add_filter(
+			'googlesitekit_rest_routes',
+			function( $routes ) {
+				return array_merge( $routes, $this->get_rest_routes() );
+			}
+		);
+
+		add_filter(
+			'googlesitekit_apifetch_preload_paths',
+			function( $routes ) {
+				return array_merge(
+					$routes,
+					array(
+						'/' . REST_Routes::REST_ROOT . '/core/user/data/widget-layout',
+					)
+				);
+			}
+		);
+	}
+
+	/**
+	 * Gets related REST routes.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array List of REST_Route objects.
+	 */
+	private function get_rest_routes() {
+		$can_view_dashboard = function() {
+			return current_user_can( Permissions::VIEW_DASHBOARD );
+		};
+
+		return array(
+			new REST_Route(
+				'core/user/data/widget-layout',
+				array(
+					array(
+						'methods'             => WP_REST_Server::READABLE,
+						'callback'            => function( WP_REST_Request $request ) {
+							return new WP_REST_Response( $this->layout->get() );
+						},
+						'permission_callback' => $can_view_dashboard,
+					),
+					array(
+						'methods'             => WP_REST_Server::EDITABLE,
+						'callback'            => function( WP_REST_Request $request ) {
+							$this->layout->set( $request['data'] );
+
+							return new WP_REST_Response( $this->layout->get() );
+						},
+						'permission_callback' => $can_view_dashboard,
+						'args'                => array(
+							'data' => array(
+								'type'     => 'object',
+								'required' => true,
+							),
+						),
+					),
+				)
+			),
+		);
+	}
+}
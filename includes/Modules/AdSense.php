@@ -733,9 +733,14 @@ tag_partner: "site_kit"
 			case 'last-14-days':
 			case 'last-28-days':
 			case 'last-90-days':
+			case 'last-month':
 				return $this->parse_date_range( $date_range );
 		}
 
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}$/', $date_range ) ) {
+			return $this->parse_date_range( $date_range );
+		}
+
 		return new WP_Error( 'invalid_date_range', __( 'Invalid date range.', 'google-site-kit' ) );
 	}
 
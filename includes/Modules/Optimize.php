@@ -14,6 +14,8 @@ use Google\Site_Kit\Core\Assets\Script;
 use Google\Site_Kit\Core\Modules\Module;
 use Google\Site_Kit\Core\Modules\Module_Settings;
 use Google\Site_Kit\Core\Modules\Module_With_Debug_Fields;
+use Google\Site_Kit\Core\Modules\Module_With_Scopes;
+use Google\Site_Kit\Core\Modules\Module_With_Scopes_Trait;
 use Google\Site_Kit\Core\Modules\Module_With_Settings;
 use Google\Site_Kit\Core\Modules\Module_With_Settings_Trait;
 use Google\Site_Kit\Core\Modules\Module_With_Assets;
@@ -22,7 +24,10 @@ use Google\Site_Kit\Core\REST_API\Exception\Invalid_Datapoint_Exception;
 use Google\Site_Kit\Core\Authentication\Clients\Google_Site_Kit_Client;
 use Google\Site_Kit\Core\REST_API\Data_Request;
 use Google\Site_Kit\Core\Util\Debug_Data;
+use Google\Site_Kit\Modules\Analytics\Settings as Analytics_Settings;
 use Google\Site_Kit\Modules\Optimize\Settings;
+use Google\Site_Kit_Dependencies\Google_Service_Analytics;
+use Google\Site_Kit_Dependencies\Google_Service_Analytics_Experiments;
 use Google\Site_Kit_Dependencies\Psr\Http\Message\RequestInterface;
 use WP_Error;
 
@@ -34,8 +39,8 @@ use WP_Error;
  * @ignore
  */
 final class Optimize extends Module
-	implements Module_With_Settings, Module_With_Debug_Fields, Module_With_Assets {
-	use Module_With_Settings_Trait, Module_With_Assets_Trait;
+	implements Module_With_Scopes, Module_With_Settings, Module_With_Debug_Fields, Module_With_Assets {
+	use Module_With_Scopes_Trait, Module_With_Settings_Trait, Module_With_Assets_Trait;
 
 	/**
 	 * Registers functionality through WordPress hooks.
@@ -43,6 +48,8 @@ final class Optimize extends Module
 	 * @since 1.0.0
 	 */
 	public function register() {
+		$this->register_scopes_hook();
+
 		add_filter( // For non-AMP.
 			'googlesitekit_gtag_opt',
 			function( $gtag_config ) {
@@ -64,6 +71,21 @@ final class Optimize extends Module
 		);
 	}
 
+	/**
+	 * Gets required Google OAuth scopes for the module.
+	 *
+	 * Experiments are read through the Analytics Management API.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array List of Google OAuth scopes.
+	 */
+	public function get_scopes() {
+		return array(
+			'https://www.googleapis.com/auth/analytics.readonly',
+		);
+	}
+
 	/**
 	 * Returns all module information data for passing it to JavaScript.
 	 *
@@ -202,6 +224,8 @@ final class Optimize extends Module
 			// GET / POST.
 			'optimize-id'         => '',
 			'amp-experiment-json' => '',
+			// GET.
+			'experiments'         => 'analytics',
 			// POST.
 			'settings'            => '',
 		);
@@ -261,6 +285,22 @@ final class Optimize extends Module
 					$this->get_settings()->merge( array( 'optimizeID' => $data['optimizeID'] ) );
 					return true;
 				};
+			case 'GET:experiments':
+				// Experiments are linked to the Analytics view the site is connected to.
+				$analytics_settings = ( new Analytics_Settings( $this->options ) )->get();
+				if (
+					empty( $analytics_settings['accountID'] ) ||
+					empty( $analytics_settings['propertyID'] ) ||
+					empty( $analytics_settings['profileID'] )
+				) {
+					return new WP_Error( 'analytics_not_configured', __( 'Analytics module needs to be configured.', 'google-site-kit' ), array( 'status' => 400 ) );
+				}
+				$service = $this->get_service( 'analytics' );
+				return $service->management_experiments->listManagementExperiments(
+					$analytics_settings['accountID'],
+					$analytics_settings['propertyID'],
+					$analytics_settings['profileID']
+				);
 		}
 
 		throw new Invalid_Datapoint_Exception();
@@ -277,6 +317,12 @@ final class Optimize extends Module
 	 * @return mixed Parsed response data on success, or WP_Error on failure.
 	 */
 	protected function parse_data_response( Data_Request $data, $response ) {
+		switch ( "{$data->method}:{$data->datapoint}" ) {
+			case 'GET:experiments':
+				/* @var Google_Service_Analytics_Experiments $response listManagementExperiments response. */
+				return $response->getItems();
+		}
+
 		return $response;
 	}
 
@@ -310,13 +356,16 @@ final class Optimize extends Module
 	 *
 	 * @since 1.0.0
 	 * @since 1.2.0 Now requires Google_Site_Kit_Client instance.
+	 * @since n.e.x.t Adds the Analytics service to read experiments.
 	 *
 	 * @param Google_Site_Kit_Client $client Google client instance.
 	 * @return array Google services as $identifier => $service_instance pairs. Every $service_instance must be an
 	 *               instance of Google_Service.
 	 */
 	protected function setup_services( Google_Site_Kit_Client $client ) {
-		return array();
+		return array(
+			'analytics' => new Google_Service_Analytics( $client ),
+		);
 	}
 
 	/**
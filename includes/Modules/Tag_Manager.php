@@ -59,6 +59,16 @@ final class Tag_Manager extends Module
 	 */
 	const USAGE_CONTEXT_AMP = 'amp';
 
+	/**
+	 * Container usage context for server-side tagging.
+	 */
+	const USAGE_CONTEXT_SERVER = 'server';
+
+	/**
+	 * Default domain to load the Tag Manager scripts from.
+	 */
+	const DEFAULT_LOADER_URL = 'https://www.googletagmanager.com';
+
 	/**
 	 * Map of container usageContext to option key for containerID.
 	 *
@@ -199,22 +209,40 @@ final class Tag_Manager extends Module
 		$settings = $this->get_settings()->get();
 
 		return array(
-			'tagmanager_account_id'       => array(
+			'tagmanager_account_id'               => array(
 				'label' => __( 'Tag Manager account ID', 'google-site-kit' ),
 				'value' => $settings['accountID'],
 				'debug' => Debug_Data::redact_debug_value( $settings['accountID'] ),
 			),
-			'tagmanager_container_id'     => array(
+			'tagmanager_container_id'             => array(
 				'label' => __( 'Tag Manager container ID', 'google-site-kit' ),
 				'value' => $settings['containerID'],
 				'debug' => Debug_Data::redact_debug_value( $settings['containerID'], 7 ),
 			),
-			'tagmanager_amp_container_id' => array(
+			'tagmanager_amp_container_id'         => array(
 				'label' => __( 'Tag Manager AMP container ID', 'google-site-kit' ),
 				'value' => $settings['ampContainerID'],
 				'debug' => Debug_Data::redact_debug_value( $settings['ampContainerID'], 7 ),
 			),
-			'tagmanager_use_snippet'      => array(
+			'tagmanager_additional_container_ids' => array(
+				'label' => __( 'Tag Manager additional container IDs', 'google-site-kit' ),
+				'value' => implode( ', ', $settings['additionalContainerIDs'] ),
+				'debug' => implode(
+					', ',
+					array_map(
+						function( $container_id ) {
+							return Debug_Data::redact_debug_value( $container_id, 7 );
+						},
+						$settings['additionalContainerIDs']
+					)
+				),
+			),
+			'tagmanager_server_container_url'     => array(
+				'label' => __( 'Tag Manager server-side container URL', 'google-site-kit' ),
+				'value' => $settings['serverContainerURL'],
+				'debug' => $settings['serverContainerURL'] ? 'yes' : 'no',
+			),
+			'tagmanager_use_snippet'              => array(
 				'label' => __( 'Tag Manager snippet placed', 'google-site-kit' ),
 				'value' => $settings['useSnippet'] ? __( 'Yes', 'google-site-kit' ) : __( 'No', 'google-site-kit' ),
 				'debug' => $settings['useSnippet'] ? 'yes' : 'no',
@@ -237,23 +265,28 @@ final class Tag_Manager extends Module
 			return;
 		}
 
-		$container_id = $this->get_data( 'container-id', array( 'usageContext' => self::USAGE_CONTEXT_WEB ) );
+		$container_ids = $this->get_web_container_ids();
 
-		if ( is_wp_error( $container_id ) || ! $container_id ) {
+		if ( empty( $container_ids ) ) {
 			return;
 		}
 
+		$loader_url = $this->get_loader_url();
+
 		?>
 		<!-- Google Tag Manager added by Site Kit -->
-		<script>( function( w, d, s, l, i ) {
+		<script>
+			<?php foreach ( $container_ids as $container_id ) : ?>
+			( function( w, d, s, l, i, u ) {
 				w[l] = w[l] || [];
 				w[l].push( {'gtm.start': new Date().getTime(), event: 'gtm.js'} );
 				var f = d.getElementsByTagName( s )[0],
 					j = d.createElement( s ), dl = l != 'dataLayer' ? '&l=' + l : '';
 				j.async = true;
-				j.src = 'https://www.googletagmanager.com/gtm.js?id=' + i + dl;
+				j.src = u + '/gtm.js?id=' + i + dl;
 				f.parentNode.insertBefore( j, f );
-			} )( window, document, 'script', 'dataLayer', '<?php echo esc_js( $container_id ); ?>' );
+			} )( window, document, 'script', 'dataLayer', '<?php echo esc_js( $container_id ); ?>', '<?php echo esc_js( $loader_url ); ?>' );
+			<?php endforeach; ?>
 		</script>
 		<!-- End Google Tag Manager -->
 		<?php
@@ -274,9 +307,9 @@ final class Tag_Manager extends Module
 			return;
 		}
 
-		$container_id = $this->get_data( 'container-id', array( 'usageContext' => self::USAGE_CONTEXT_WEB ) );
+		$container_ids = $this->get_web_container_ids();
 
-		if ( is_wp_error( $container_id ) || ! $container_id ) {
+		if ( empty( $container_ids ) ) {
 			return;
 		}
 
@@ -287,10 +320,14 @@ final class Tag_Manager extends Module
 
 		$this->did_gtm_no_js = true;
 
+		$loader_url = $this->get_loader_url();
+
 		?>
 		<!-- Google Tag Manager (noscript) added by Site Kit -->
 		<noscript>
-			<iframe src="<?php echo esc_url( "https://www.googletagmanager.com/ns.html?id=$container_id" ); ?>" height="0" width="0" style="display:none;visibility:hidden"></iframe>
+			<?php foreach ( $container_ids as $container_id ) : ?>
+			<iframe src="<?php echo esc_url( "$loader_url/ns.html?id=$container_id" ); ?>" height="0" width="0" style="display:none;visibility:hidden"></iframe>
+			<?php endforeach; ?>
 		</noscript>
 		<!-- End Google Tag Manager (noscript) -->
 		<?php
@@ -375,6 +412,40 @@ final class Tag_Manager extends Module
 		return $data;
 	}
 
+	/**
+	 * Gets the IDs of the web containers to place, in order.
+	 *
+	 * The selected web container comes first, followed by the additional web containers.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return array List of container IDs, empty if no web container is selected.
+	 */
+	protected function get_web_container_ids() {
+		$container_id = $this->get_data( 'container-id', array( 'usageContext' => self::USAGE_CONTEXT_WEB ) );
+
+		if ( is_wp_error( $container_id ) || ! $container_id ) {
+			return array();
+		}
+
+		$settings = $this->get_settings()->get();
+
+		return array_values( array_unique( array_merge( array( $container_id ), (array) $settings['additionalContainerIDs'] ) ) );
+	}
+
+	/**
+	 * Gets the URL to load the Tag Manager scripts for web containers from.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @return string URL of the server-side container if set, otherwise the default Tag Manager URL.
+	 */
+	protected function get_loader_url() {
+		$settings = $this->get_settings()->get();
+
+		return $settings['serverContainerURL'] ?: self::DEFAULT_LOADER_URL;
+	}
+
 	/**
 	 * Gets the current container usage context based on the current AMP mode (defaults to 'web').
 	 *
@@ -588,14 +659,16 @@ final class Tag_Manager extends Module
 
 				$usage_context = $data['usageContext'] ?: self::USAGE_CONTEXT_WEB;
 
-				if ( empty( $this->context_map[ $usage_context ] ) ) {
+				$usage_contexts = array( self::USAGE_CONTEXT_WEB, self::USAGE_CONTEXT_AMP, self::USAGE_CONTEXT_SERVER );
+
+				if ( ! in_array( $usage_context, $usage_contexts, true ) ) {
 					return new WP_Error(
 						'invalid_param',
 						sprintf(
 						/* translators: 1: Invalid parameter name, 2: list of valid values */
 							__( 'Request parameter %1$s is not one of %2$s', 'google-site-kit' ),
 							'usageContext',
-							implode( ', ', array_keys( $this->context_map ) )
+							implode( ', ', $usage_contexts )
 						),
 						array( 'status' => 400 )
 					);
@@ -611,6 +684,8 @@ final class Tag_Manager extends Module
 					// Prevent naming conflict (Tag Manager does not allow more than one with same name).
 					if ( self::USAGE_CONTEXT_AMP === $usage_context ) {
 						$container_name .= ' AMP';
+					} elseif ( self::USAGE_CONTEXT_SERVER === $usage_context ) {
+						$container_name .= ' Server';
 					}
 				}
 
@@ -58,6 +58,8 @@ class Settings extends Module_Settings {
 			'internalContainerID'    => '',
 			'internalAMPContainerID' => '',
 			'useSnippet'             => true,
+			'additionalContainerIDs' => array(),
+			'serverContainerURL'     => '',
 		);
 	}
 
@@ -74,8 +76,69 @@ class Settings extends Module_Settings {
 				if ( isset( $option['useSnippet'] ) ) {
 					$option['useSnippet'] = (bool) $option['useSnippet'];
 				}
+				if ( isset( $option['additionalContainerIDs'] ) ) {
+					$option['additionalContainerIDs'] = self::sanitize_container_ids( $option['additionalContainerIDs'] );
+				}
+				if ( isset( $option['serverContainerURL'] ) ) {
+					$option['serverContainerURL'] = self::sanitize_server_container_url( $option['serverContainerURL'] );
+				}
 			}
 			return $option;
 		};
 	}
+
+	/**
+	 * Sanitizes a list of web container IDs.
+	 *
+	 * Invalid and duplicate container IDs are removed, while the order of the
+	 * remaining ones is kept.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param mixed $container_ids List of container IDs.
+	 * @return array Sanitized list of container IDs.
+	 */
+	public static function sanitize_container_ids( $container_ids ) {
+		if ( ! is_array( $container_ids ) ) {
+			return array();
+		}
+
+		$container_ids = array_filter(
+			$container_ids,
+			function( $container_id ) {
+				return is_string( $container_id ) && preg_match( '/^GTM-[A-Z0-9]+$/', $container_id );
+			}
+		);
+
+		return array_values( array_unique( $container_ids ) );
+	}
+
+	/**
+	 * Sanitizes the URL of a server-side container to load the Tag Manager scripts from.
+	 *
+	 * Only HTTPS URLs without query or fragment are accepted. The trailing slash is removed.
+	 *
+	 * @since n.e.x.t
+	 *
+	 * @param mixed $url URL of the server-side container.
+	 * @return string Sanitized URL, or empty string if invalid.
+	 */
+	public static function sanitize_server_container_url( $url ) {
+		if ( ! is_string( $url ) || '' === $url ) {
+			return '';
+		}
+
+		$parts = wp_parse_url( $url );
+		if (
+			empty( $parts['scheme'] ) ||
+			'https' !== $parts['scheme'] ||
+			empty( $parts['host'] ) ||
+			isset( $parts['query'] ) ||
+			isset( $parts['fragment'] )
+		) {
+			return '';
+		}
+
+		return untrailingslashit( esc_url_raw( $url ) );
+	}
 }
@@ -6,27 +6,61 @@ import { storiesOf } from '@storybook/react';
 /**
  * WordPress dependencies
  */
-import { doAction } from '@wordpress/hooks';
 import { __, _x } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
 import Layout from '../assets/js/components/layout/layout';
-import AnalyticsDashboardWidgetTopPagesTable from '../assets/js/modules/analytics/dashboard/dashboard-widget-top-pages-table';
-import { googlesitekit as analyticsDashboardData } from '../.storybook/data/wp-admin-admin.php-page=googlesitekit-module-analytics-googlesitekit';
+import { DataTable, TableOverflowContainer } from '../assets/js/components/data-table';
+
+const columns = [
+	{
+		field: 'title',
+		title: __( 'Title', 'google-site-kit' ),
+		primary: true,
+		sortable: true,
+		link: ( { url } ) => `https://example.com${ url }`,
+	},
+	{
+		field: 'pageviews',
+		title: __( 'Pageviews', 'google-site-kit' ),
+		type: 'number',
+		sortable: true,
+	},
+	{
+		field: 'uniquePageviews',
+		title: __( 'Unique Pageviews', 'google-site-kit' ),
+		type: 'number',
+		sortable: true,
+		hideOnMobile: true,
+	},
+	{
+		field: 'bounceRate',
+		title: __( 'Bounce Rate', 'google-site-kit' ),
+		type: 'percent',
+		sortable: true,
+		hideOnMobile: true,
+	},
+];
+
+const rows = [
+	[ 'Home', '/', 5214, 4021, 48.12 ],
+	[ 'Blog', '/blog/', 1830, 1502, 52.9 ],
+	[ 'About us', '/about/', 974, 903, 61.35 ],
+	[ 'Contact', '/contact/', 612, 588, 35.02 ],
+	[ 'Hello world!', '/hello-world/', 531, 470, 73.4 ],
+	[ 'Pricing', '/pricing/', 498, 421, 29.87 ],
+	[ 'Getting started', '/blog/getting-started/', 377, 350, 44.44 ],
+	[ 'Frequently asked questions', '/faq/', 260, 241, 57.1 ],
+	[ 'Careers', '/careers/', 143, 139, 66.67 ],
+	[ 'Privacy policy', '/privacy-policy/', 98, 95, 80.2 ],
+	[ 'Release notes', '/blog/release-notes/', 64, 60, 41.25 ],
+	[ 'Team', '/about/team/', 37, 35, 54.05 ],
+].map( ( [ title, url, pageviews, uniquePageviews, bounceRate ] ) => ( { title, url, pageviews, uniquePageviews, bounceRate } ) );
 
 storiesOf( 'Global', module )
 	.add( 'Data Table', () => {
-		global._googlesitekitLegacyData = analyticsDashboardData;
-
-		// Load the datacache with data.
-		setTimeout( () => {
-			doAction(
-				'googlesitekit.moduleLoaded',
-				'Dashboard'
-			);
-		}, 250 );
 		return (
 			<Layout
 				header
@@ -37,7 +71,15 @@ storiesOf( 'Global', module )
 				footerCtaLabel={ _x( 'Analytics', 'Service name', 'google-site-kit' ) }
 				footerCtaLink="https://analytics.google.com"
 			>
-				<AnalyticsDashboardWidgetTopPagesTable />
+				<TableOverflowContainer>
+					<DataTable
+						columns={ columns }
+						rows={ rows }
+						defaultSortBy="pageviews"
+						defaultSortOrder="desc"
+						filterBy={ [ 'title', 'url' ] }
+					/>
+				</TableOverflowContainer>
 			</Layout>
 		);
 	}, {
@@ -104,9 +104,9 @@ describe( 'Tag Manager module setup', () => {
 		] );
 		await page.waitForSelector( '.googlesitekit-setup-module__inputs' );
 
-		// Ensure account and container selections are cleared.
-		await expect( page ).toMatchElement( '.googlesitekit-tagmanager__select-account .mdc-select__selected-text', { text: '' } );
-		await expect( page ).toMatchElement( '.googlesitekit-tagmanager__select-container .mdc-select__selected-text', { text: '' } );
+		// Ensure the first account and its first container are selected.
+		await expect( page ).toMatchElement( '.googlesitekit-tagmanager__select-account .mdc-select__selected-text', { text: /test account a/i } );
+		await expect( page ).toMatchElement( '.googlesitekit-tagmanager__select-container .mdc-select__selected-text', { text: /test container x/i } );
 
 		// Choose an account.
 		await expect( page ).toClick( '.googlesitekit-tagmanager__select-account' );
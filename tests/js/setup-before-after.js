@@ -12,6 +12,11 @@ beforeEach( () => {
 	global.console.info.mockClear();
 	global.console.debug.mockClear();
 
+	// Retries wait using timers, which are faked in tests, so only tests
+	// covering retries should enable them. The module is required here rather
+	// than imported, so that it picks up module mocks of the current test.
+	require( '../../assets/js/googlesitekit/api/retry' ).setRetryPolicy( { maxAttempts: 1 } );
+
 	localStorage.clear();
 	sessionStorage.clear();
 
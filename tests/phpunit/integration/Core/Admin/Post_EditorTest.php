@@ -0,0 +1,82 @@
+<?php
+/**
+ * Post_EditorTest class.
+ *
+ * @package   Google\Site_Kit
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Tests\Core\Admin;
+
+use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\Admin\Post_Editor;
+use Google\Site_Kit\Core\Permissions\Permissions;
+use Google\Site_Kit\Tests\TestCase;
+
+/**
+ * @group Admin
+ */
+class Post_EditorTest extends TestCase {
+
+	public function setUp() {
+		parent::setUp();
+
+		// Bypass user authentication requirement in map_meta_cap
+		add_filter(
+			'map_meta_cap',
+			function ( $caps, $cap ) {
+				if ( in_array( $cap, array( Permissions::VIEW_POST_INSIGHTS, Permissions::VIEW_POSTS_INSIGHTS ), true ) ) {
+					$caps = array_filter(
+						$caps,
+						function ( $cap ) {
+							return 'do_not_allow' !== $cap;
+						}
+					);
+				}
+
+				return $caps;
+			},
+			10,
+			2
+		);
+	}
+
+	public function test_register() {
+		$admin_id    = $this->factory()->user->create( array( 'role' => 'administrator' ) );
+		$post_editor = new Post_Editor( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+		remove_all_actions( 'enqueue_block_editor_assets' );
+
+		$post_editor->register();
+
+		wp_set_current_user( $admin_id );
+		$GLOBALS['post'] = $this->factory()->post->create_and_get( array( 'post_status' => 'publish' ) );
+
+		$this->assertFalse( wp_script_is( 'googlesitekit-editor', 'enqueued' ) );
+		$this->assertFalse( wp_style_is( 'googlesitekit-editor-css', 'enqueued' ) );
+		do_action( 'enqueue_block_editor_assets' );
+		$this->assertTrue( wp_script_is( 'googlesitekit-editor', 'enqueued' ) );
+		$this->assertTrue( wp_style_is( 'googlesitekit-editor-css', 'enqueued' ) );
+	}
+
+	public function test_is_active() {
+		$admin_id    = $this->factory()->user->create( array( 'role' => 'administrator' ) );
+		$post_editor = new Post_Editor( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+
+		// Not active without a post.
+		$this->assertFalse( $post_editor->is_active() );
+
+		$GLOBALS['post'] = $this->factory()->post->create_and_get( array( 'post_status' => 'publish' ) );
+
+		// Not active if the user cannot view insights for the post.
+		$this->assertFalse( $post_editor->is_active() );
+
+		wp_set_current_user( $admin_id );
+		$this->assertTrue( $post_editor->is_active() );
+
+		// Not active for posts that are not published.
+		$GLOBALS['post'] = $this->factory()->post->create_and_get( array( 'post_status' => 'draft' ) );
+		$this->assertFalse( $post_editor->is_active() );
+	}
+}
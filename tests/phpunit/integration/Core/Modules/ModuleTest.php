@@ -189,6 +189,75 @@ class ModuleTest extends TestCase {
 		);
 	}
 
+	/**
+	 * @dataProvider data_parse_date_range
+	 */
+	public function test_parse_date_range( $args, $expected ) {
+		$module = new FakeModule( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+		$method = new \ReflectionMethod( self::MODULE_CLASS_NAME, 'parse_date_range' );
+		$method->setAccessible( true );
+
+		$this->assertSame( $expected, $method->invokeArgs( $module, $args ) );
+	}
+
+	public function data_parse_date_range() {
+		$yesterday    = strtotime( '1 day ago' );
+		$three_ago    = strtotime( '3 days ago' );
+		$last_month   = strtotime( 'first day of last month', $yesterday );
+		$before_month = strtotime( 'first day of -2 months', $yesterday );
+		$prev_month   = strtotime( 'first day of last month', $three_ago );
+
+		return array(
+			'last-7-days'                         => array(
+				array( 'last-7-days' ),
+				array( gmdate( 'Y-m-d', strtotime( '7 days ago' ) ), gmdate( 'Y-m-d', $yesterday ) ),
+			),
+			'last-7-days, previous period'        => array(
+				array( 'last-7-days', 1, 1, true ),
+				array( gmdate( 'Y-m-d', strtotime( '14 days ago' ) ), gmdate( 'Y-m-d', strtotime( '8 days ago' ) ) ),
+			),
+			'absolute range'                      => array(
+				array( '2020-09-01..2020-09-30' ),
+				array( '2020-09-01', '2020-09-30' ),
+			),
+			'absolute range, ignoring the offset' => array(
+				array( '2020-09-01..2020-09-30', 1, 3 ),
+				array( '2020-09-01', '2020-09-30' ),
+			),
+			'absolute range, with comparison'     => array(
+				array( '2020-09-01..2020-09-30', 2 ),
+				array( '2020-08-02', '2020-09-30' ),
+			),
+			'absolute range, previous period'     => array(
+				array( '2020-09-01..2020-09-30', 1, 1, true ),
+				array( '2020-08-02', '2020-08-31' ),
+			),
+			'last-month'                          => array(
+				array( 'last-month' ),
+				array( gmdate( 'Y-m-01', $last_month ), gmdate( 'Y-m-t', $last_month ) ),
+			),
+			'last-month, with comparison'         => array(
+				array( 'last-month', 2 ),
+				array( gmdate( 'Y-m-01', $before_month ), gmdate( 'Y-m-t', $last_month ) ),
+			),
+			'last-month, previous period'         => array(
+				array( 'last-month', 1, 1, true ),
+				array( gmdate( 'Y-m-01', $before_month ), gmdate( 'Y-m-t', $before_month ) ),
+			),
+			'this-month, with offset'             => array(
+				array( 'this-month', 1, 3 ),
+				array( gmdate( 'Y-m-01', $three_ago ), gmdate( 'Y-m-d', $three_ago ) ),
+			),
+			'this-month, previous period'         => array(
+				array( 'this-month', 1, 3, true ),
+				array(
+					gmdate( 'Y-m-01', $prev_month ),
+					gmdate( 'Y-m-', $prev_month ) . sprintf( '%02d', min( (int) gmdate( 'j', $three_ago ), (int) gmdate( 't', $prev_month ) ) ),
+				),
+			),
+		);
+	}
+
 	public function test_exception_to_error() {
 		$module = new FakeModule( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
 
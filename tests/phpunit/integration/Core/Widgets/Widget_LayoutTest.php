@@ -0,0 +1,79 @@
+<?php
+/**
+ * Widget_LayoutTest
+ *
+ * @package   Google\Site_Kit\Tests\Core\Widgets
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Tests\Core\Widgets;
+
+use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\Storage\User_Options;
+use Google\Site_Kit\Core\Widgets\Widget_Layout;
+use Google\Site_Kit\Tests\TestCase;
+
+/**
+ * @group Widgets
+ */
+class Widget_LayoutTest extends TestCase {
+
+	public function setUp() {
+		parent::setUp();
+		// Unregister all registered user meta.
+		global $wp_meta_keys;
+		unset( $wp_meta_keys['user'] );
+
+		$user_id = $this->factory()->user->create( array( 'role' => 'administrator' ) );
+		wp_set_current_user( $user_id );
+	}
+
+	public function test_register() {
+		$user_options  = new User_Options( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+		$widget_layout = new Widget_Layout( $user_options );
+		$this->assertArrayNotHasKey( $user_options->get_meta_key( Widget_Layout::OPTION ), get_registered_meta_keys( 'user' ) );
+
+		$widget_layout->register();
+
+		$this->assertArrayHasKey( $user_options->get_meta_key( Widget_Layout::OPTION ), get_registered_meta_keys( 'user' ) );
+	}
+
+	public function test_get_default() {
+		$widget_layout = new Widget_Layout( new User_Options( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ) );
+
+		$this->assertEquals(
+			array(
+				'order'  => array(),
+				'hidden' => array(),
+			),
+			$widget_layout->get()
+		);
+	}
+
+	public function test_set() {
+		$widget_layout = new Widget_Layout( new User_Options( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ) );
+
+		$widget_layout->set(
+			array(
+				'order'   => array(
+					'dashboardAreaOne' => array( 'widgetTwo', 'widgetOne', 'widgetTwo', 'invalid slug!', 3 ),
+					'dashboardAreaTwo' => 'not-a-list',
+				),
+				'hidden'  => array( 'widgetThree' ),
+				'unknown' => true,
+			)
+		);
+
+		$this->assertEquals(
+			array(
+				'order'  => array(
+					'dashboardAreaOne' => array( 'widgetTwo', 'widgetOne', 'invalidslug' ),
+				),
+				'hidden' => array( 'widgetThree' ),
+			),
+			$widget_layout->get()
+		);
+	}
+}
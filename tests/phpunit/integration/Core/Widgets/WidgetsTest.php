@@ -0,0 +1,41 @@
+<?php
+/**
+ * WidgetsTest
+ *
+ * @package   Google\Site_Kit\Tests\Core\Widgets
+ * @copyright 2020 Google LLC
+ * @license   https://www.apache.org/licenses/LICENSE-2.0 Apache License 2.0
+ * @link      https://sitekit.withgoogle.com
+ */
+
+namespace Google\Site_Kit\Tests\Core\Widgets;
+
+use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\REST_API\REST_Route;
+use Google\Site_Kit\Core\Widgets\Widgets;
+use Google\Site_Kit\Tests\TestCase;
+
+/**
+ * @group Widgets
+ */
+class WidgetsTest extends TestCase {
+
+	public function test_register() {
+		$widgets = new Widgets( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+		remove_all_filters( 'googlesitekit_rest_routes' );
+		remove_all_filters( 'googlesitekit_apifetch_preload_paths' );
+
+		$widgets->register();
+
+		$routes = array_map(
+			function ( REST_Route $route ) {
+				return $route->get_uri();
+			},
+			apply_filters( 'googlesitekit_rest_routes', array() )
+		);
+		$this->assertEqualSets( array( 'core/user/data/widget-layout' ), $routes );
+
+		$preload_paths = apply_filters( 'googlesitekit_apifetch_preload_paths', array() );
+		$this->assertContains( '/google-site-kit/v1/core/user/data/widget-layout', $preload_paths );
+	}
+}
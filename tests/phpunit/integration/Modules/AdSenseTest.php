@@ -190,6 +190,56 @@ class AdSenseTest extends TestCase {
 		);
 	}
 
+	/**
+	 * @dataProvider data_date_range_to_dates
+	 */
+	public function test_date_range_to_dates( $date_range, $expected ) {
+		$class  = new \ReflectionClass( AdSense::class );
+		$method = $class->getMethod( 'date_range_to_dates' );
+		$method->setAccessible( true );
+
+		$result = $method->invokeArgs(
+			new AdSense( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ),
+			array( $date_range )
+		);
+		$this->assertSame( $expected, $result );
+	}
+
+	public function data_date_range_to_dates() {
+		$last_month = strtotime( 'first day of last month', strtotime( '1 day ago' ) );
+
+		return array(
+			'last-28-days'   => array(
+				'last-28-days',
+				array( gmdate( 'Y-m-d', strtotime( '28 days ago' ) ), gmdate( 'Y-m-d', strtotime( '1 day ago' ) ) ),
+			),
+			'this-month'     => array(
+				'this-month',
+				array( gmdate( 'Y-m-01' ), gmdate( 'Y-m-d' ) ),
+			),
+			'last-month'     => array(
+				'last-month',
+				array( gmdate( 'Y-m-01', $last_month ), gmdate( 'Y-m-t', $last_month ) ),
+			),
+			'absolute range' => array(
+				'2020-09-01..2020-09-30',
+				array( '2020-09-01', '2020-09-30' ),
+			),
+		);
+	}
+
+	public function test_date_range_to_dates_invalid() {
+		$class  = new \ReflectionClass( AdSense::class );
+		$method = $class->getMethod( 'date_range_to_dates' );
+		$method->setAccessible( true );
+
+		$result = $method->invokeArgs(
+			new AdSense( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ),
+			array( '2020-09-01..' )
+		);
+		$this->assertWPErrorWithMessage( 'Invalid date range.', $result );
+	}
+
 	/**
 	 * @return Module_With_Scopes
 	 */
@@ -11,10 +11,12 @@
 namespace Google\Site_Kit\Tests\Modules;
 
 use Google\Site_Kit\Context;
+use Google\Site_Kit\Core\Modules\Module_With_Scopes;
 use Google\Site_Kit\Core\Modules\Module_With_Settings;
 use Google\Site_Kit\Core\Storage\Options;
 use Google\Site_Kit\Modules\Optimize;
 use Google\Site_Kit\Modules\Optimize\Settings;
+use Google\Site_Kit\Tests\Core\Modules\Module_With_Scopes_ContractTests;
 use Google\Site_Kit\Tests\Core\Modules\Module_With_Settings_ContractTests;
 use Google\Site_Kit\Tests\TestCase;
 
@@ -22,6 +24,7 @@ use Google\Site_Kit\Tests\TestCase;
  * @group Modules
  */
 class OptimizeTest extends TestCase {
+	use Module_With_Scopes_ContractTests;
 	use Module_With_Settings_ContractTests;
 
 	public function test_register() {
@@ -30,6 +33,17 @@ class OptimizeTest extends TestCase {
 		$optimize->register();
 	}
 
+	public function test_scopes() {
+		$optimize = new Optimize( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+
+		$this->assertEqualSets(
+			array(
+				'https://www.googleapis.com/auth/analytics.readonly',
+			),
+			$optimize->get_scopes()
+		);
+	}
+
 	public function test_is_connected() {
 		$optimize = new Optimize( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
 
@@ -85,12 +99,20 @@ class OptimizeTest extends TestCase {
 			array(
 				'optimize-id',
 				'amp-experiment-json',
+				'experiments',
 				'settings',
 			),
 			$optimize->get_datapoints()
 		);
 	}
 
+	/**
+	 * @return Module_With_Scopes
+	 */
+	protected function get_module_with_scopes() {
+		return new Optimize( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+	}
+
 	/**
 	 * @return Module_With_Settings
 	 */
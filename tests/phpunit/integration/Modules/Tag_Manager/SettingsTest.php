@@ -33,11 +33,50 @@ class SettingsTest extends SettingsTestCase {
 				'useSnippet'             => true,
 				'internalContainerID'    => '',
 				'internalAMPContainerID' => '',
+				'additionalContainerIDs' => array(),
+				'serverContainerURL'     => '',
 			),
 			get_option( Settings::OPTION )
 		);
 	}
 
+	public function test_sanitize_additional_container_ids() {
+		$settings = new Settings( new Options( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ) );
+		$settings->register();
+
+		$settings->merge( array( 'additionalContainerIDs' => array( 'GTM-B2', 'invalid', 'GTM-A1', 'GTM-B2', 123 ) ) );
+		// Invalid and duplicate IDs are removed, but the order is kept.
+		$this->assertEquals( array( 'GTM-B2', 'GTM-A1' ), $settings->get()['additionalContainerIDs'] );
+
+		$settings->merge( array( 'additionalContainerIDs' => 'GTM-A1' ) );
+		$this->assertEquals( array(), $settings->get()['additionalContainerIDs'] );
+	}
+
+	/**
+	 * @dataProvider server_container_url_provider
+	 *
+	 * @param mixed  $url      URL to save.
+	 * @param string $expected Expected saved URL.
+	 */
+	public function test_sanitize_server_container_url( $url, $expected ) {
+		$settings = new Settings( new Options( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) ) );
+		$settings->register();
+
+		$settings->merge( array( 'serverContainerURL' => $url ) );
+		$this->assertEquals( $expected, $settings->get()['serverContainerURL'] );
+	}
+
+	public function server_container_url_provider() {
+		return array(
+			array( 'https://gtm.example.com', 'https://gtm.example.com' ),
+			array( 'https://example.com/gtm/', 'https://example.com/gtm' ),
+			array( 'http://gtm.example.com', '' ),
+			array( 'https://gtm.example.com/?id=1', '' ),
+			array( 'gtm.example.com', '' ),
+			array( false, '' ),
+		);
+	}
+
 	public function test_legacy_options() {
 		$legacy_option = array(
 			'account_id'   => 'test-account-id-snake',
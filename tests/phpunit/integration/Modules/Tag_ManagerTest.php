@@ -145,6 +145,37 @@ class Tag_ManagerTest extends TestCase {
 		$this->assertArrayHasKey( 'amp-analytics', $result['amp_component_scripts'] );
 	}
 
+	public function test_print_gtm_js_web_containers() {
+		remove_all_actions( 'wp_head' );
+		remove_all_actions( 'wp_footer' );
+		$tagmanager = new Tag_Manager( new Context( GOOGLESITEKIT_PLUGIN_MAIN_FILE ) );
+		$tagmanager->register();
+
+		$tagmanager->get_settings()->merge(
+			array(
+				'containerID'            => 'GTM-A1',
+				'additionalContainerIDs' => array( 'GTM-C3', 'GTM-B2' ),
+			)
+		);
+
+		ob_start();
+		do_action( 'wp_head' );
+		$output = ob_get_clean();
+
+		// The containers are placed in order, loading from the default domain.
+		$this->assertRegExp( "#'GTM-A1', 'https://www.googletagmanager.com'.*'GTM-C3'.*'GTM-B2'#s", $output );
+
+		$tagmanager->get_settings()->merge( array( 'serverContainerURL' => 'https://gtm.example.com' ) );
+
+		ob_start();
+		do_action( 'wp_footer' );
+		$output = ob_get_clean();
+
+		$this->assertContains( 'https://gtm.example.com/ns.html?id=GTM-A1', $output );
+		$this->assertContains( 'https://gtm.example.com/ns.html?id=GTM-C3', $output );
+		$this->assertContains( 'https://gtm.example.com/ns.html?id=GTM-B2', $output );
+	}
+
 	/**
 	 * @param string $input String to sanitize
 	 * @param string $expected Expected output
@@ -111,6 +111,7 @@ const webpackConfig = ( mode ) => {
 				'googlesitekit-dashboard-details': './assets/js/googlesitekit-dashboard-details.js',
 				'googlesitekit-dashboard-splash': './assets/js/googlesitekit-dashboard-splash.js',
 				'googlesitekit-wp-dashboard': './assets/js/googlesitekit-wp-dashboard.js',
+				'googlesitekit-editor': './assets/js/googlesitekit-editor.js',
 				'googlesitekit-adminbar-loader': './assets/js/googlesitekit-adminbar-loader.js',
 				'googlesitekit-admin': './assets/js/googlesitekit-admin.js',
 				'googlesitekit-module': './assets/js/googlesitekit-module.js',
@@ -192,6 +193,7 @@ const webpackConfig = ( mode ) => {
 				admin: './assets/sass/admin.scss',
 				adminbar: './assets/sass/adminbar.scss',
 				wpdashboard: './assets/sass/wpdashboard.scss',
+				editor: './assets/sass/editor.scss',
 			},
 			module: {
 				rules: [